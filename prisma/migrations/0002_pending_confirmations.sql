@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "PendingConfirmation" (
+    "id" TEXT NOT NULL,
+    "chatId" BIGINT NOT NULL,
+    "userId" BIGINT NOT NULL,
+    "messageId" INTEGER,
+    "toolName" TEXT NOT NULL,
+    "params" JSONB NOT NULL,
+    "summary" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "PendingConfirmation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PendingConfirmation_chatId_status_idx" ON "PendingConfirmation"("chatId", "status");
+
+-- AddForeignKey
+ALTER TABLE "PendingConfirmation" ADD CONSTRAINT "PendingConfirmation_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
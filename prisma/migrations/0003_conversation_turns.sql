@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ConversationTurn" (
+    "id" TEXT NOT NULL,
+    "chatId" BIGINT NOT NULL,
+    "userId" BIGINT,
+    "role" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "toolName" TEXT,
+    "toolData" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "ConversationTurn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConversationTurn_chatId_createdAt_idx" ON "ConversationTurn"("chatId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ConversationTurn" ADD CONSTRAINT "ConversationTurn_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
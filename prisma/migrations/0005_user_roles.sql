@@ -0,0 +1,12 @@
+-- Role-based access control on User.role.
+-- Every existing User row was created by running /link with the org's Luma key in a DM,
+-- so existing members become admins and the earliest user of each org becomes its owner.
+UPDATE "User" SET "role" = 'admin' WHERE "role" = 'member';
+
+UPDATE "User" u SET "role" = 'owner'
+FROM (
+  SELECT DISTINCT ON ("orgId") "id" FROM "User" ORDER BY "orgId", "createdAt" ASC
+) first_user
+WHERE u."id" = first_user."id";
+
+ALTER TABLE "User" ALTER COLUMN "role" SET DEFAULT 'viewer';
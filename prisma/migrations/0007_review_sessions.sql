@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "ReviewSession" (
+    "id" TEXT NOT NULL,
+    "chatId" BIGINT NOT NULL,
+    "messageId" INTEGER,
+    "startedBy" BIGINT NOT NULL,
+    "eventApiId" TEXT NOT NULL,
+    "currentEmail" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "ReviewSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReviewDecision" (
+    "id" TEXT NOT NULL,
+    "guestEmail" TEXT NOT NULL,
+    "decision" TEXT NOT NULL,
+    "decidedBy" BIGINT NOT NULL,
+    "decidedByName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sessionId" TEXT NOT NULL,
+
+    CONSTRAINT "ReviewDecision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReviewSession_chatId_status_idx" ON "ReviewSession"("chatId", "status");
+
+-- CreateIndex
+CREATE INDEX "ReviewDecision_sessionId_idx" ON "ReviewDecision"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewSession" ADD CONSTRAINT "ReviewSession_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewDecision" ADD CONSTRAINT "ReviewDecision_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "ReviewSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN "digestEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "digestTime" TEXT NOT NULL DEFAULT '09:00',
+ADD COLUMN "digestTimezone" TEXT NOT NULL DEFAULT 'UTC',
+ADD COLUMN "digestDays" INTEGER NOT NULL DEFAULT 7,
+ADD COLUMN "lastDigestAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ScheduledJob" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "runAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "lockedAt" TIMESTAMP(3),
+    "lockedBy" TEXT,
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduledJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduledJob_key_key" ON "ScheduledJob"("key");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_status_runAt_idx" ON "ScheduledJob"("status", "runAt");
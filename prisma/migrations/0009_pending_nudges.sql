@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN "nudgesEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN "nudgeMaxPending" INTEGER NOT NULL DEFAULT 20,
+ADD COLUMN "nudgeMaxPendingHours" INTEGER NOT NULL DEFAULT 48,
+ADD COLUMN "nudgeEventWithinHours" INTEGER NOT NULL DEFAULT 72;
+
+-- CreateTable
+CREATE TABLE "NudgeAlert" (
+    "id" TEXT NOT NULL,
+    "eventApiId" TEXT NOT NULL,
+    "condition" TEXT NOT NULL,
+    "value" INTEGER NOT NULL,
+    "openKey" TEXT,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+    "groupId" BIGINT NOT NULL,
+
+    CONSTRAINT "NudgeAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NudgeAlert_openKey_key" ON "NudgeAlert"("openKey");
+
+-- CreateIndex
+CREATE INDEX "NudgeAlert_groupId_resolvedAt_idx" ON "NudgeAlert"("groupId", "resolvedAt");
+
+-- AddForeignKey
+ALTER TABLE "NudgeAlert" ADD CONSTRAINT "NudgeAlert_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
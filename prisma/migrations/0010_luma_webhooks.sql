@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN "liveUpdatesEnabled" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "LumaWebhookEvent" (
+    "id" TEXT NOT NULL,
+    "deliveryId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "eventApiId" TEXT,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "error" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "LumaWebhookEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LumaWebhookEvent_deliveryId_key" ON "LumaWebhookEvent"("deliveryId");
+
+-- CreateIndex
+CREATE INDEX "LumaWebhookEvent_orgId_receivedAt_idx" ON "LumaWebhookEvent"("orgId", "receivedAt");
+
+-- AddForeignKey
+ALTER TABLE "LumaWebhookEvent" ADD CONSTRAINT "LumaWebhookEvent_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "CheckinSession" (
+    "id" TEXT NOT NULL,
+    "chatId" BIGINT NOT NULL,
+    "startedBy" BIGINT NOT NULL,
+    "eventApiId" TEXT NOT NULL,
+    "counterMessageId" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "CheckinSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CheckinSession_chatId_status_idx" ON "CheckinSession"("chatId", "status");
+
+-- AddForeignKey
+ALTER TABLE "CheckinSession" ADD CONSTRAINT "CheckinSession_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,54 @@
+-- CreateTable
+CREATE TABLE "GuestSnapshot" (
+    "id" TEXT NOT NULL,
+    "eventApiId" TEXT NOT NULL,
+    "guestApiId" TEXT NOT NULL,
+    "email" TEXT,
+    "name" TEXT,
+    "approvalStatus" TEXT,
+    "checkedInAt" TIMESTAMP(3),
+    "vipScore" INTEGER,
+    "vip" BOOLEAN NOT NULL DEFAULT false,
+    "data" JSONB NOT NULL,
+    "syncedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "GuestSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QueuedCheckin" (
+    "id" TEXT NOT NULL,
+    "eventApiId" TEXT NOT NULL,
+    "guestApiId" TEXT NOT NULL,
+    "guestEmail" TEXT,
+    "guestName" TEXT,
+    "chatId" BIGINT NOT NULL,
+    "checkedInBy" BIGINT NOT NULL,
+    "checkedInByName" TEXT,
+    "checkedInAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "conflict" TEXT,
+    "detail" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "QueuedCheckin_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestSnapshot_orgId_eventApiId_guestApiId_key" ON "GuestSnapshot"("orgId", "eventApiId", "guestApiId");
+
+-- CreateIndex
+CREATE INDEX "QueuedCheckin_status_checkedInAt_idx" ON "QueuedCheckin"("status", "checkedInAt");
+
+-- CreateIndex
+CREATE INDEX "QueuedCheckin_orgId_eventApiId_status_idx" ON "QueuedCheckin"("orgId", "eventApiId", "status");
+
+-- AddForeignKey
+ALTER TABLE "GuestSnapshot" ADD CONSTRAINT "GuestSnapshot_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QueuedCheckin" ADD CONSTRAINT "QueuedCheckin_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "EventDraft" (
+    "id" TEXT NOT NULL,
+    "chatId" BIGINT NOT NULL,
+    "userId" BIGINT NOT NULL,
+    "step" TEXT NOT NULL,
+    "fields" JSONB NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "EventDraft_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EventDraft_chatId_userId_status_idx" ON "EventDraft"("chatId", "userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "EventDraft" ADD CONSTRAINT "EventDraft_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
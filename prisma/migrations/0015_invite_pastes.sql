@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "InvitePaste" (
+    "id" TEXT NOT NULL,
+    "chatId" BIGINT NOT NULL,
+    "userId" BIGINT NOT NULL,
+    "eventApiId" TEXT NOT NULL,
+    "approvalStatus" TEXT NOT NULL DEFAULT 'approved',
+    "ticketTypeId" TEXT,
+    "ticketTypeName" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'waiting',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "InvitePaste_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InvitePaste_chatId_userId_status_idx" ON "InvitePaste"("chatId", "userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "InvitePaste" ADD CONSTRAINT "InvitePaste_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
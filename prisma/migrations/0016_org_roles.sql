@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "OrgRole" (
+    "id" TEXT NOT NULL,
+    "userId" BIGINT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'viewer',
+    "firstName" TEXT,
+    "username" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "orgId" TEXT NOT NULL,
+
+    CONSTRAINT "OrgRole_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrgRole_orgId_userId_key" ON "OrgRole"("orgId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "OrgRole" ADD CONSTRAINT "OrgRole_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move roles off User, which can only point at one org
+INSERT INTO "OrgRole" ("id", "userId", "role", "firstName", "username", "createdAt", "updatedAt", "orgId")
+SELECT gen_random_uuid()::text, "id", "role", "firstName", "username", "createdAt", CURRENT_TIMESTAMP, "orgId"
+FROM "User"
+WHERE "role" <> 'viewer';
+
+ALTER TABLE "User" DROP COLUMN "role";
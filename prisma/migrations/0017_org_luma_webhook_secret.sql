@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Org" ADD COLUMN "lumaWebhookSecretEncrypted" TEXT;
+
+-- AlterTable
+ALTER TABLE "LumaWebhookEvent" ADD COLUMN "claimedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
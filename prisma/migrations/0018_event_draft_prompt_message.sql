@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "EventDraft" ADD COLUMN "promptMessageId" INTEGER;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "InvitePaste" ADD COLUMN "promptMessageId" INTEGER;
@@ -0,0 +1,11 @@
+-- Legacy members only ever had approve/decline access, but 0005 made them admins (and 0016 copied
+-- that into OrgRole). Turn those admins into approvers; admins someone granted with /grant stay.
+UPDATE "OrgRole" r SET "role" = 'approver', "updatedAt" = CURRENT_TIMESTAMP
+WHERE r."role" = 'admin'
+  AND NOT EXISTS (
+    SELECT 1 FROM "AuditLog" a
+    WHERE a."orgId" = r."orgId"
+      AND a."actionType" = 'grant_role'
+      AND a."details"->>'targetUserId' = r."userId"::text
+      AND a."details"->>'newRole' = 'admin'
+  );
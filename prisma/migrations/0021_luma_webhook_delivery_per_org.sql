@@ -0,0 +1,5 @@
+-- Delivery IDs (or body hashes) are only unique within one org's webhook
+DROP INDEX "LumaWebhookEvent_deliveryId_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LumaWebhookEvent_orgId_deliveryId_key" ON "LumaWebhookEvent"("orgId", "deliveryId");
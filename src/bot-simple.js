@@ -1,11 +1,9 @@
 require('dotenv').config();
 const { Telegraf } = require('telegraf');
-const OpenAI = require('openai');
+const { createProvider } = require('./core/llm');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// Initialize OpenAI (through the OpenAI-compatible LLM provider)
+const llm = createProvider({ provider: 'openai', model: 'gpt-4' });
 
 // Fallback responses when OpenAI is unavailable
 const fallbackResponses = {
@@ -85,30 +83,19 @@ bot.on('text', async (ctx) => {
         
         try {
             // Attempt OpenAI response
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are CoinWings' private aviation expert. You help crypto-native clients with private jet inquiries.
+            const response = await llm.generateText({
+                system: `You are CoinWings' private aviation expert. You help crypto-native clients with private jet inquiries.
                         Keep responses concise and professional. Focus on:
                         - Route information
                         - Aircraft recommendations
                         - Approximate pricing
                         - Next steps
                         
-                        If the user shows serious interest, suggest connecting them with our aviation team.`
-                    },
-                    {
-                        role: "user",
-                        content: ctx.message.text
-                    }
-                ],
+                        If the user shows serious interest, suggest connecting them with our aviation team.`,
+                messages: [{ role: "user", content: ctx.message.text }],
                 temperature: 0.7,
-                max_tokens: 500
+                maxTokens: 500
             });
-
-            const response = completion.choices[0].message.content;
             await ctx.reply(response);
             
         } catch (aiError) {
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const COMMANDS_DIR = path.join(__dirname, 'commands');
+// Telegram's rules for command names registered with setMyCommands
+const COMMAND_NAME_PATTERN = /^[a-z0-9_]{1,32}$/;
+
+/**
+ * @typedef {object} CommandModule
+ * @property {string} command - Command name without the slash (e.g. 'guests').
+ * @property {string} description - One-line description shown in Telegram's command menu and /help.
+ * @property {string} [usage] - Usage line shown in /help.
+ * @property {Function[]} [middleware=[]] - Middleware run before the handler (e.g. requireLink).
+ * @property {Function} handler - The Telegraf handler.
+ * @property {boolean} [hidden=false] - Registered, but left out of /help and the command menu.
+ */
+
+/**
+ * Discovers command modules in src/bot/commands. Every .js file must export a CommandModule;
+ * files that don't are skipped with a warning rather than taking the bot down.
+ * @param {string} [dir=COMMANDS_DIR] - Directory to scan.
+ * @returns {CommandModule[]} - Valid modules, sorted by command name.
+ */
+function loadCommands(dir = COMMANDS_DIR) {
+  const commands = [];
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.js')).sort()) {
+    const definition = require(path.join(dir, file));
+    const problems = [];
+    if (!COMMAND_NAME_PATTERN.test(definition.command || '')) problems.push('invalid or missing command name');
+    if (!definition.description) problems.push('missing description');
+    if (typeof definition.handler !== 'function') problems.push('handler is not a function');
+    if (definition.middleware && !Array.isArray(definition.middleware)) problems.push('middleware is not an array');
+
+    if (problems.length > 0) {
+      console.warn(`Skipping command module ${file}: ${problems.join(', ')}`);
+      continue;
+    }
+    commands.push({ middleware: [], hidden: false, ...definition });
+  }
+  return commands.sort((a, b) => a.command.localeCompare(b.command));
+}
+
+/**
+ * Builds the /help text from command metadata.
+ * @param {CommandModule[]} commands
+ * @returns {string}
+ */
+function buildHelpText(commands) {
+  const lines = commands
+    .filter((definition) => !definition.hidden)
+    .map((definition) => `${definition.usage || `/${definition.command}`} - ${definition.description}`);
+  return [
+    'I can help you manage Luma events.',
+    '',
+    'Use these commands:',
+    ...lines,
+    '/help - Show this help message',
+    '',
+    'You can also just ask me things in plain language.',
+  ].join('\n');
+}
+
+/**
+ * Registers every command (with its middleware chain) and a generated /help on the bot.
+ * @param {import('telegraf').Telegraf} bot
+ * @param {CommandModule[]} commands
+ */
+function registerCommands(bot, commands) {
+  for (const definition of commands) {
+    bot.command(definition.command, ...definition.middleware, definition.handler);
+    console.log(`Registered /${definition.command} (${definition.middleware.length} middleware)`);
+  }
+
+  const helpText = buildHelpText(commands);
+  bot.help((ctx) => {
+    console.log('Help command received');
+    return ctx.reply(helpText);
+  });
+}
+
+/**
+ * Publishes the command menu to Telegram (BotFather-style descriptions via setMyCommands).
+ * @param {import('telegraf').Telegraf} bot
+ * @param {CommandModule[]} commands
+ * @returns {Promise<void>}
+ */
+async function publishCommands(bot, commands) {
+  const menu = [
+    ...commands
+      .filter((definition) => !definition.hidden)
+      .map((definition) => ({ command: definition.command, description: definition.description.slice(0, 256) })),
+    { command: 'help', description: 'Show this help message' },
+  ];
+  await bot.telegram.setMyCommands(menu);
+  console.log(`Published ${menu.length} commands to Telegram.`);
+}
+
+module.exports = {
+  loadCommands,
+  buildHelpText,
+  registerCommands,
+  publishCommands,
+};
@@ -1,18 +1,28 @@
 // const lumaClient = require('../../core/luma/client'); // No longer needed
-import { requireLink } from '../middleware/auth.js';
+const { requireLink, requireRole } = require('../middleware/auth');
 // const prisma = require('../../core/db/prisma'); // No longer needed directly for audit
-import { guestService } from '../../core/services/guestService.js';
+const guestService = require('../../core/services/guestService');
+const { escapeMarkdownV2 } = require('../../core/services/escapeUtil');
+const { isBulkRequest, handleBulkStatusCommand } = require('../handlers/bulkStatusHandler');
+const { splitEventArg } = require('../utils/eventArgs');
+
+const USAGE = '/approve [EVENT_ID] <GUEST_EMAIL> [MORE_EMAILS...] or /approve [EVENT_ID] --all-pending [--domain=example.com] [--registered-before=YYYY-MM-DD]';
 
 const approveCommandHandler = async (ctx) => {
   const { encryptedApiKey, org } = ctx.state;
 
-  // Parse arguments: /approve <EVENT_ID> <GUEST_EMAIL>
-  const args = ctx.message.text.split(' ').slice(1);
-  const eventApiId = args[0];
-  const guestEmail = args[1];
+  // Parse arguments: /approve [EVENT_ID] <GUEST_EMAIL> (see USAGE for bulk forms); EVENT_ID defaults to the /use event
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const { eventApiId, rest } = splitEventArg(ctx, args);
+  const guestEmail = rest[0];
 
   if (!eventApiId || !guestEmail) {
-    return ctx.reply('Usage: /approve <EVENT_ID> <GUEST_EMAIL>');
+    return ctx.reply(`Usage: ${USAGE}${eventApiId ? '' : '\nTip: pick a current event with /use <event name> to leave out EVENT_ID.'}`);
+  }
+
+  // Several emails or filter options: preview the selection and ask for confirmation
+  if (isBulkRequest(rest)) {
+    return handleBulkStatusCommand(ctx, eventApiId, rest, 'approved');
   }
 
   // Basic email validation
@@ -24,27 +34,26 @@ const approveCommandHandler = async (ctx) => {
   const chatType = ctx.chat.type;
   const userId = ctx.from?.id;
 
-  try {
-    await ctx.reply(`Approving ${guestEmail} for event ${eventApiId}...`);
+  await ctx.reply(`Approving ${guestEmail} for event ${eventApiId}...`);
 
-    // Pass audit context to the service
-    const auditContext = {
-      orgId: org.id,
-      userId: chatType === 'private' ? userId : null,
-      groupId: chatType !== 'private' ? chatId : null,
-    };
+  // Pass audit context to the service
+  const auditContext = {
+    orgId: org.id,
+    userId: chatType === 'private' ? userId : null,
+    groupId: chatType !== 'private' ? chatId : null,
+  };
 
-    const successMessage = await guestService.approveGuest(encryptedApiKey, eventApiId, guestEmail, auditContext);
+  // Failures propagate to the error middleware, which replies and audits
+  const successMessage = await guestService.approveGuest(encryptedApiKey, eventApiId, guestEmail, auditContext);
 
-    await ctx.replyWithMarkdownV2(successMessage);
-
-  } catch (error) {
-    // Service function handles logging and audit for failure
-    console.error(`Error in /approve command handler:`, error);
-    // Service function provides escaped error message
-    await ctx.replyWithMarkdownV2(error.message);
-  }
+  await ctx.replyWithMarkdownV2(escapeMarkdownV2(successMessage));
 };
 
-export const command = 'approve';
-export const handler = [requireLink, approveCommandHandler]; 
\ No newline at end of file
+module.exports = {
+  command: 'approve',
+  description: 'Approve guests for an event (one, a list, or by filter)',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('approver')],
+  handler: approveCommandHandler,
+};
+ 
\ No newline at end of file
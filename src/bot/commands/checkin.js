@@ -0,0 +1,31 @@
+const { requireLink, requireRole } = require('../middleware/auth');
+const { startCheckin, syncCheckin, stopCheckin } = require('../handlers/checkinHandler');
+const { splitEventArg } = require('../utils/eventArgs');
+
+const USAGE = '/checkin [EVENT_ID] | /checkin sync [EVENT_ID] | /checkin stop';
+
+const checkinCommandHandler = async (ctx) => {
+  // Parse arguments: /checkin [sync] [EVENT_ID] or /checkin stop; EVENT_ID defaults to the /use event
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const subcommand = (args[0] || '').toLowerCase();
+  if (subcommand === 'stop') {
+    return stopCheckin(ctx);
+  }
+
+  const sync = subcommand === 'sync';
+  const { eventApiId } = splitEventArg(ctx, sync ? args.slice(1) : args);
+  if (!eventApiId) {
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
+  }
+
+  // sync: save the guest list ahead of event day so check-in works without Luma
+  await (sync ? syncCheckin(ctx, eventApiId) : startCheckin(ctx, eventApiId));
+};
+
+module.exports = {
+  command: 'checkin',
+  description: 'Door mode: check guests in from QR photos, emails or names, with a pinned arrivals counter',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('approver')],
+  handler: checkinCommandHandler,
+};
@@ -0,0 +1,107 @@
+const ticketService = require('../../core/services/ticketService');
+const { describeToolCall } = require('../../core/nlp/tools');
+const { formatInTimeZone } = require('../../lib/time');
+const { requireLink, requireRole } = require('../middleware/auth');
+const { requestConfirmation } = require('../handlers/confirmationHandler');
+const { replyInChunks } = require('../utils/reply');
+const { parseAssignments } = require('../utils/eventArgs');
+
+const USAGE = '/coupon create [EVENT_ID] CODE 50%|$10|10EUR [max=USES] [until=YYYY-MM-DD] | /coupon list [EVENT_ID] | /coupon disable [EVENT_ID] CODE';
+
+// Positional arguments each sub-command takes after the optional EVENT_ID
+const ARG_COUNTS = { create: 2, list: 0, disable: 1 };
+
+/**
+ * Splits positional arguments into the event ID and the rest. The event ID is only there when
+ * there is one argument more than the sub-command takes, since codes look like event IDs.
+ */
+const splitCouponArgs = (ctx, subcommand, words) => {
+  const count = ARG_COUNTS[subcommand];
+  if (words.length === count + 1) return { eventApiId: words[0], rest: words.slice(1) };
+  if (words.length === count) return { eventApiId: ctx.state.activeEventId || null, rest: words };
+  return { eventApiId: null, rest: words };
+};
+
+/**
+ * Reads the create options: max=USES and until=YYYY-MM-DD. The values are checked with the rest of the coupon.
+ * @returns {{ maxUses?: number, validUntil?: string, error?: string }}
+ */
+const parseCreateOptions = (assignments) => {
+  const options = {};
+  for (const [key, value] of Object.entries(assignments)) {
+    if (key === 'max' && /^\d{1,6}$/.test(value)) {
+      options.maxUses = Number(value);
+    } else if (key === 'until') {
+      options.validUntil = value;
+    } else {
+      return { error: `Unknown option "${key}=${value}". Use max=USES (a whole number) and until=YYYY-MM-DD.` };
+    }
+  }
+  return options;
+};
+
+const describeCoupon = (coupon, timeZone) => {
+  const state = ticketService.couponState(coupon);
+  const uses = coupon.remaining_count === null || coupon.remaining_count === undefined
+    ? 'unlimited uses'
+    : `${coupon.remaining_count} use(s) left`;
+  const until = state === 'active' && coupon.valid_end_at ? `, until ${formatInTimeZone(new Date(coupon.valid_end_at), timeZone)}` : '';
+  return `• ${coupon.code}: ${ticketService.describeDiscount(coupon)} (${state === 'active' ? `${uses}${until}` : state})`;
+};
+
+const createCoupon = async (ctx, eventApiId, [codeArg, discountArg], assignments) => {
+  const { org } = ctx.state;
+  const options = parseCreateOptions(assignments);
+  if (options.error) return ctx.reply(options.error);
+  const plan = await ticketService.planCoupon(org, eventApiId, { code: codeArg, discount: discountArg, ...options });
+  if (plan.error) return ctx.reply(plan.error);
+
+  const params = {
+    event_id: eventApiId,
+    code: plan.coupon.code,
+    discount: discountArg,
+    ...(options.maxUses ? { max_uses: options.maxUses } : {}),
+    ...(options.validUntil ? { valid_until: options.validUntil } : {}),
+  };
+  const summary = await describeToolCall('createCoupon', params, { events: [{ api_id: eventApiId, name: plan.event.name }] });
+  await requestConfirmation(ctx, 'createCoupon', params, summary);
+};
+
+const listCoupons = async (ctx, eventApiId) => {
+  const { org } = ctx.state;
+  const [event, coupons] = await Promise.all([ticketService.couponEvent(org, eventApiId), ticketService.listCoupons(org, eventApiId)]);
+  if (coupons.length === 0) return ctx.reply(`"${event.name}" has no coupons.`);
+  await replyInChunks(ctx, [`Coupons for "${event.name}":`, ...coupons.map((coupon) => describeCoupon(coupon, event.timeZone))]);
+};
+
+const disableCoupon = async (ctx, eventApiId, [codeArg]) => {
+  const plan = await ticketService.planDisableCoupon(ctx.state.org, eventApiId, codeArg);
+  if (plan.error) return ctx.reply(plan.error);
+
+  const params = { event_id: eventApiId, code: plan.coupon.code };
+  const summary = await describeToolCall('disableCoupon', params, { events: [{ api_id: eventApiId, name: plan.event.name }] });
+  await requestConfirmation(ctx, 'disableCoupon', params, summary);
+};
+
+const couponCommandHandler = async (ctx) => {
+  const { words, assignments } = parseAssignments(ctx.message.text.replace(/^\/\S+/, ''));
+  const subcommand = (words[0] || '').toLowerCase();
+  if (ARG_COUNTS[subcommand] === undefined) return ctx.reply(`Usage: ${USAGE}`);
+  if (subcommand !== 'create' && Object.keys(assignments).length > 0) return ctx.reply(`Usage: ${USAGE}`);
+
+  const { eventApiId, rest } = splitCouponArgs(ctx, subcommand, words.slice(1));
+  if (!eventApiId) {
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
+  }
+  if (subcommand === 'create') return createCoupon(ctx, eventApiId, rest, assignments);
+  if (subcommand === 'disable') return disableCoupon(ctx, eventApiId, rest);
+  return listCoupons(ctx, eventApiId);
+};
+
+module.exports = {
+  command: 'coupon',
+  description: 'Create, list or disable discount codes for an event',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: couponCommandHandler,
+};
@@ -0,0 +1,24 @@
+const { requireLink } = require('../middleware/auth');
+const eventContextService = require('../../core/services/eventContextService');
+
+const currentCommandHandler = async (ctx) => {
+  const { org, activeEventId } = ctx.state;
+
+  if (!activeEventId) {
+    return ctx.reply('No current event is set. Pick one with /use <event name>.');
+  }
+
+  const event = await eventContextService.getActiveEvent(org, activeEventId);
+  if (!event) {
+    return ctx.reply(`The current event (${activeEventId}) could not be loaded from Luma. Pick another with /use <event name>.`);
+  }
+  await ctx.reply(`Current event: ${eventContextService.describeEvent(event)}`);
+};
+
+module.exports = {
+  command: 'current',
+  description: 'Show the current event for this chat',
+  usage: '/current',
+  middleware: [requireLink],
+  handler: currentCommandHandler,
+};
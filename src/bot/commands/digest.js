@@ -0,0 +1,96 @@
+const prisma = require('../../core/db/prisma');
+const { requireLink, requireRole } = require('../middleware/auth');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const { getJob } = require('../../core/scheduler');
+const { syncDigestJob, digestJobKey, buildDigest } = require('../jobs/dailyDigest');
+const { isValidTimeZone, parseTimeOfDay, formatInTimeZone } = require('../../lib/time');
+const { replyInChunks } = require('../utils/reply');
+
+const USAGE = '/digest [status | on | off | time HH:MM | timezone Area/City | days N | preview]';
+const MAX_DIGEST_DAYS = 60;
+
+/**
+ * Parses a /digest sub-command into the Group fields it changes.
+ * @param {string[]} args - Words after /digest.
+ * @returns {{ changes: object }|{ error: string }|null} - null for status/preview.
+ */
+function parseSettingChange(args) {
+  const [setting, value] = args;
+  switch ((setting || '').toLowerCase()) {
+    case 'on':
+      return { changes: { digestEnabled: true } };
+    case 'off':
+      return { changes: { digestEnabled: false } };
+    case 'time': {
+      const time = parseTimeOfDay(value);
+      if (!time) return { error: 'Give the time as HH:MM (24h), e.g. /digest time 08:30' };
+      return { changes: { digestTime: `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}` } };
+    }
+    case 'timezone':
+    case 'tz':
+      if (!isValidTimeZone(value)) return { error: 'Give an IANA timezone, e.g. /digest timezone Europe/Vienna' };
+      return { changes: { digestTimezone: new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone } };
+    case 'days': {
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_DIGEST_DAYS) return { error: `Give a number of days from 1 to ${MAX_DIGEST_DAYS}, e.g. /digest days 14` };
+      return { changes: { digestDays: days } };
+    }
+    default:
+      return { error: `Usage: ${USAGE}` };
+  }
+}
+
+const describeSettings = (group, nextRunAt) => [
+  `Daily digest: ${group.digestEnabled ? 'on' : 'off'}`,
+  `Time: ${group.digestTime} (${group.digestTimezone})`,
+  `Covers events in the next ${group.digestDays} day${group.digestDays === 1 ? '' : 's'}`,
+  ...(group.digestEnabled && nextRunAt ? [`Next digest: ${formatInTimeZone(nextRunAt, group.digestTimezone)}`] : []),
+  ...(group.lastDigestAt ? [`Last digest: ${formatInTimeZone(group.lastDigestAt, group.digestTimezone)}`] : []),
+].join('\n');
+
+const digestCommandHandler = async (ctx) => {
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('Digests are posted to groups. Run /digest in a linked group.');
+  }
+
+  const { org } = ctx.state;
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const group = await prisma.group.findUnique({ where: { id: BigInt(ctx.chat.id) } });
+  const subcommand = (args[0] || 'status').toLowerCase();
+
+  if (subcommand === 'status') {
+    const job = group.digestEnabled ? await getJob(digestJobKey(group.id)) : null;
+    return ctx.reply(describeSettings(group, job?.runAt));
+  }
+
+  if (subcommand === 'preview' || subcommand === 'now') {
+    await ctx.reply('Building the digest...');
+    const lines = await buildDigest(org, {
+      days: group.digestDays,
+      since: group.lastDigestAt || new Date(Date.now() - 24 * 60 * 60 * 1000),
+      timeZone: group.digestTimezone,
+      title: 'Digest preview',
+    });
+    return replyInChunks(ctx, lines);
+  }
+
+  const parsed = parseSettingChange(args);
+  if (parsed.error) {
+    return ctx.reply(parsed.error);
+  }
+
+  const updated = await prisma.group.update({ where: { id: group.id }, data: parsed.changes });
+  const nextRunAt = await syncDigestJob(updated);
+  await logAudit(auditContextFromCtx(ctx), 'digest_settings_changed', { ...parsed.changes, telegramUserId: ctx.from.id });
+  console.log(`Digest settings for group ${group.id} changed by user ${ctx.from.id}:`, parsed.changes);
+
+  await ctx.reply(`Digest settings updated.\n\n${describeSettings(updated, nextRunAt)}`);
+};
+
+module.exports = {
+  command: 'digest',
+  description: 'Configure the daily digest for this group',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: digestCommandHandler,
+};
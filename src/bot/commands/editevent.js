@@ -0,0 +1,44 @@
+const lumaClient = require('../../core/luma/client');
+const eventFieldService = require('../../core/services/eventFieldService');
+const { requireLink, requireRole } = require('../middleware/auth');
+const { requestConfirmation } = require('../handlers/confirmationHandler');
+const { parseAssignments } = require('../utils/eventArgs');
+
+const USAGE = '/editevent [EVENT_ID] field=value ... (quote values with spaces, e.g. location="Main Hall")';
+
+const editEventCommandHandler = async (ctx) => {
+  const { org } = ctx.state;
+  const { words, assignments } = parseAssignments(ctx.message.text.replace(/^\/\S+/, ''));
+  const eventApiId = words[0] || ctx.state.activeEventId;
+  if (!eventApiId || words.length > 1 || Object.keys(assignments).length === 0) {
+    return ctx.reply([
+      `Usage: ${USAGE}`,
+      `Fields: ${eventFieldService.EVENT_FIELDS.join(', ')}. Times are YYYY-MM-DD HH:MM in the event's timezone.`,
+      'Tip: pick a current event with /use <event name> to leave out EVENT_ID.',
+    ].join('\n'));
+  }
+
+  // Compare with the event as Luma has it now, not a cached copy
+  const event = await lumaClient.getEvent(org.lumaApiKeyEncrypted, eventApiId);
+  if (!event) return ctx.reply(`Event ${eventApiId} was not found.`);
+  const current = eventFieldService.currentFields(event);
+  const { fields, errors } = eventFieldService.parseFields(assignments, current.timezone || 'UTC');
+  if (errors.length > 0) return ctx.reply(errors.join('\n'));
+
+  const diff = eventFieldService.diffFields(current, fields);
+  if (diff.length === 0) return ctx.reply(`Nothing to change: "${current.name}" already has those details.`);
+  const changed = Object.fromEntries(diff.map(({ field }) => [field, fields[field]]));
+  const problems = eventFieldService.validateEvent({ ...current, ...changed }, { checkStart: 'start' in changed });
+  if (problems.length > 0) return ctx.reply(problems.join('\n'));
+
+  const params = { event_id: eventApiId, ...eventFieldService.toFieldParams(changed) };
+  await requestConfirmation(ctx, 'updateEvent', params, eventFieldService.describeDiff(current.name || eventApiId, diff));
+};
+
+module.exports = {
+  command: 'editevent',
+  description: 'Change an event\'s name, times, location, capacity, approval or description, with a preview',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: editEventCommandHandler,
+};
@@ -1,24 +1,37 @@
 // const lumaClient = require('../../core/luma/client'); // No longer needed directly
-import { requireLink } from '../middleware/auth.js';
-import { eventService } from '../../core/services/eventService.js';
+const { requireLink } = require('../middleware/auth');
+const eventService = require('../../core/services/eventService');
+const { replyInChunks } = require('../utils/reply');
 
 const eventsCommandHandler = async (ctx) => {
   const { encryptedApiKey } = ctx.state; // Org name is handled by the service now
 
-  try {
-    await ctx.reply('Fetching events from Luma...');
+  await ctx.reply('Fetching events from Luma...');
 
-    const options = {}; // TODO: Add options parsing from command text
-    const replyMessage = await eventService.listOrgEvents(encryptedApiKey, options);
-
-    await ctx.replyWithMarkdownV2(replyMessage);
+  // Failures propagate to the error middleware, which replies and audits
+  const options = {}; // TODO: Add options parsing from command text
+  const result = await eventService.listOrgEvents(encryptedApiKey, options);
+  if (!result) {
+    return ctx.reply('No events found for this Luma account.');
+  }
 
-  } catch (error) {
-    console.error('Error in /events command:', error);
-    // TODO: Escape error message for MarkdownV2?
-    await ctx.reply(`Failed to fetch events. Error: ${error.message}`);
+  const lines = [`Found ${result.entries.length} event(s):`, ''];
+  result.entries.forEach((entry, index) => {
+    const event = entry.event || entry;
+    const startTime = event.start_at ? new Date(event.start_at).toLocaleString() : 'N/A';
+    lines.push(`${index + 1}. ${event.name || 'Unnamed Event'} (ID: ${event.api_id || entry.api_id})`);
+    lines.push(`   Starts: ${startTime}`);
+  });
+  if (result.has_more) {
+    lines.push('', 'List truncated at the pagination cap - more events exist.');
   }
+  await replyInChunks(ctx, lines);
 };
 
-export const command = 'events';
-export const handler = [requireLink, eventsCommandHandler]; 
\ No newline at end of file
+module.exports = {
+  command: 'events',
+  description: 'List the events on the linked Luma calendar',
+  usage: '/events',
+  middleware: [requireLink],
+  handler: eventsCommandHandler,
+};
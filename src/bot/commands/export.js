@@ -0,0 +1,72 @@
+const lumaCache = require('../../core/luma/cachedClient');
+const exportService = require('../../core/services/exportService');
+const { requireLink, requireRole } = require('../middleware/auth');
+const { splitEventArg } = require('../utils/eventArgs');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+
+const USAGE = `/export [EVENT_ID] [status=status_value] [format=${exportService.EXPORT_FORMATS.join('|')}]`;
+
+/**
+ * Parses the optional key=value arguments after the event ID.
+ * @param {string[]} args
+ * @returns {{ status: string|null, format: string, error: string|null }}
+ */
+const parseExportOptions = (args) => {
+  const options = { status: null, format: 'csv', error: null };
+  for (const arg of args) {
+    const [key, value] = arg.split('=');
+    if (key === 'status' && value) {
+      options.status = value;
+    } else if (key === 'format' && exportService.EXPORT_FORMATS.includes((value || '').toLowerCase())) {
+      options.format = value.toLowerCase();
+    } else {
+      options.error = `Unknown option "${arg}". Usage: ${USAGE}`;
+    }
+  }
+  return options;
+};
+
+const exportCommandHandler = async (ctx) => {
+  const { org } = ctx.state;
+
+  // EVENT_ID defaults to the chat's /use event
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const { eventApiId, rest } = splitEventArg(ctx, args);
+  if (!eventApiId) {
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
+  }
+
+  const { status, format, error } = parseExportOptions(rest);
+  if (error) {
+    return ctx.reply(error);
+  }
+
+  await ctx.reply('Preparing export...');
+  const { name: eventName } = await lumaCache.getEventSummary(org, eventApiId);
+  const { buffer, filename, count, truncated } = await exportService.exportGuests(org, eventApiId, { status, format, eventName });
+  if (count === 0) {
+    return ctx.reply(`No guests found for ${eventName}${status ? ` with status "${status}"` : ''}.`);
+  }
+
+  // Logged before sending, so an export is recorded even if the upload fails part-way
+  await logAudit(auditContextFromCtx(ctx), 'guests_exported', {
+    eventApiId,
+    status,
+    format,
+    count,
+    telegramUserId: ctx.from.id,
+  });
+  console.log(`Exported ${count} guests of event ${eventApiId} as ${format} for user ${ctx.from.id}`);
+  await ctx.replyWithDocument(
+    { source: buffer, filename },
+    { caption: `${count} guests of ${eventName}${status ? ` with status "${status}"` : ''}${truncated ? ' (truncated at the pagination cap - more guests exist)' : ''}` }
+  );
+};
+
+module.exports = {
+  command: 'export',
+  description: 'Send an event\'s guest list as a CSV, XLSX or JSON file',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')], // Guest lists hold personal data
+  handler: exportCommandHandler,
+};
@@ -0,0 +1,17 @@
+const { requireLink } = require('../middleware/auth');
+const { getChatConversation } = require('../../core/services/conversationService');
+
+const forgetCommandHandler = async (ctx) => {
+  const { org } = ctx.state;
+  await getChatConversation(ctx.chat.id, org.id).clear();
+  console.log(`Conversation history of chat ${ctx.chat.id} cleared by user ${ctx.from.id}`);
+  await ctx.reply('Done: I have forgotten our conversation in this chat. The current event (/current) is kept.');
+};
+
+module.exports = {
+  command: 'forget',
+  description: 'Forget the conversation so far in this chat',
+  usage: '/forget',
+  middleware: [requireLink],
+  handler: forgetCommandHandler,
+};
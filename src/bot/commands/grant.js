@@ -0,0 +1,50 @@
+const { requireLink, requireRole } = require('../middleware/auth');
+const permissionService = require('../../core/services/permissionService');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const { resolveTargetUser, displayName } = require('../utils/targetUser');
+
+const USAGE = `/grant <@username|USER_ID> <${permissionService.ROLES.join('|')}> (or reply to someone's message with /grant <role>)`;
+
+const grantCommandHandler = async (ctx) => {
+  const { org, role: actorRole } = ctx.state;
+
+  // Parse arguments: /grant <@username|USER_ID> <ROLE>, or /grant <ROLE> as a reply
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const newRole = args[args.length - 1];
+  const userToken = args.length > 1 ? args[0] : undefined;
+
+  if (!newRole || !permissionService.ROLES.includes(newRole)) {
+    return ctx.reply(`Usage: ${USAGE}`);
+  }
+
+  const target = await resolveTargetUser(ctx, org.id, userToken);
+  if (!target) {
+    return ctx.reply(`I couldn't tell who you mean. Reply to one of their messages, or use their Telegram user ID.\nUsage: ${USAGE}`);
+  }
+
+  const currentRole = await permissionService.getUserRole(org.id, target.id);
+  if (!permissionService.canAssignRole(actorRole, currentRole, newRole)) {
+    await permissionService.logDenial(auditContextFromCtx(ctx), {
+      telegramUserId: ctx.from.id, role: actorRole, requiredRole: 'owner', command: '/grant', targetUserId: target.id, newRole,
+    });
+    return ctx.reply('Only owners can grant or change the admin and owner roles.');
+  }
+
+  const result = await permissionService.setUserRole(org.id, target, newRole);
+  if (!result.ok) {
+    return ctx.reply(result.reason);
+  }
+
+  await logAudit(auditContextFromCtx(ctx), 'grant_role', {
+    telegramUserId: ctx.from.id, targetUserId: target.id, previousRole: result.previousRole, newRole,
+  });
+  await ctx.reply(`${displayName(target)} is now ${newRole} (was ${result.previousRole}).`);
+};
+
+module.exports = {
+  command: 'grant',
+  description: 'Give a user a role (admins and owners)',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: grantCommandHandler,
+};
@@ -1,39 +1,95 @@
 // const lumaClient = require('../../core/luma/client'); // No longer needed
 const { requireLink } = require('../middleware/auth');
 const guestService = require('../../core/services/guestService'); // Import service
+const vipScoringService = require('../../core/services/vipScoringService');
+const { replyInChunks } = require('../utils/reply');
+const { splitEventArg } = require('../utils/eventArgs');
+
+const USAGE = '/guests [EVENT_ID] [status=status_value] [sort=score] [min_score=0-100] [vip]';
+
+/**
+ * Parses the optional key=value arguments after the event ID.
+ * @param {string[]} args
+ * @returns {{ statusFilter: string|null, sortByScore: boolean, minScore: number|null, vipOnly: boolean, error: string|null }}
+ */
+const parseGuestOptions = (args) => {
+  const options = { statusFilter: null, sortByScore: false, minScore: null, vipOnly: false, error: null };
+  for (const arg of args) {
+    const [key, value] = arg.split('=');
+    if (key === 'status' && value) {
+      options.statusFilter = value;
+    } else if (key === 'sort' && value === 'score') {
+      options.sortByScore = true;
+    } else if (key === 'min_score' && /^\d{1,3}$/.test(value || '') && Number(value) <= 100) {
+      options.minScore = Number(value);
+    } else if (key === 'vip' && value === undefined) {
+      options.vipOnly = true;
+    } else {
+      options.error = `Unknown option "${arg}". Usage: ${USAGE}`;
+    }
+  }
+  return options;
+};
 
 const guestsCommandHandler = async (ctx) => {
-  const { encryptedApiKey } = ctx.state;
+  const { encryptedApiKey, org } = ctx.state;
 
-  // Parse arguments: /guests <EVENT_ID> [status=approved|pending_approval|...]
-  const args = ctx.message.text.split(' ').slice(1);
-  const eventApiId = args[0];
-  let statusFilter = null;
+  // Parse arguments: /guests [EVENT_ID] [status=approved|pending_approval|...] [sort=score] [min_score=N] [vip]
+  // EVENT_ID defaults to the chat's /use event
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const { eventApiId, rest } = splitEventArg(ctx, args, { bareFlags: ['vip'] });
 
   if (!eventApiId) {
-    return ctx.reply('Usage: /guests <EVENT_ID> [status=status_value]');
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
   }
 
-  if (args[1] && args[1].startsWith('status=')) {
-    statusFilter = args[1].split('=')[1];
+  const { statusFilter, sortByScore, minScore, vipOnly, error } = parseGuestOptions(rest);
+  if (error) {
+    return ctx.reply(error);
   }
+  const useScores = sortByScore || minScore !== null || vipOnly;
 
-  try {
-    await ctx.reply('Fetching guests...'); // Simplified message
-    const options = {};
-    if (statusFilter) {
-      options.approval_status = statusFilter;
+  await ctx.reply(useScores ? 'Fetching and scoring guests...' : 'Fetching guests...');
+  const options = {};
+  if (statusFilter) {
+    options.approval_status = statusFilter;
+  }
+  const result = await guestService.getEventGuests(encryptedApiKey, eventApiId, options);
+  if (!result) {
+    return ctx.reply(`No guests found for event ${eventApiId}${statusFilter ? ` with status "${statusFilter}"` : ''}.`);
+  }
+
+  let rows = result.entries.map((entry) => ({ guest: entry.guest || entry }));
+  if (useScores) {
+    rows = await vipScoringService.scoreGuests(org, eventApiId, result.entries);
+    if (vipOnly) rows = rows.filter((row) => row.vip);
+    if (minScore !== null) rows = rows.filter((row) => row.score >= minScore);
+    if (sortByScore) rows = [...rows].sort((a, b) => b.score - a.score);
+  }
+
+  if (rows.length === 0) {
+    return ctx.reply(`None of the ${result.entries.length} guests for event ${eventApiId} meet that score filter.`);
+  }
+
+  const lines = [`Found ${rows.length} guests for event ${eventApiId}${statusFilter ? ` with status "${statusFilter}"` : ''}:`];
+  rows.forEach(({ guest, score, vip, breakdown }, index) => {
+    let line = `${index + 1}. ${guest.name || 'N/A'} (${guest.email || 'N/A'}) - Status: ${guest.approval_status || 'N/A'}`;
+    if (score !== undefined) {
+      const reasons = vipScoringService.summariseBreakdown(breakdown);
+      line += ` - Score: ${score}${vip ? ' ⭐' : ''}${reasons ? ` (${reasons})` : ''}`;
     }
-    const replyMessage = await guestService.getEventGuests(encryptedApiKey, eventApiId, options);
-    await ctx.replyWithMarkdownV2(replyMessage);
-  } catch (error) {
-    console.error(`Error in /guests command for event ${eventApiId}:`, error);
-    // TODO: Escape error message for MarkdownV2?
-    await ctx.reply(`Failed to fetch guests. Error: ${error.message}`);
+    lines.push(line);
+  });
+  if (result.has_more) {
+    lines.push('', 'List truncated at the pagination cap - more guests exist.');
   }
+  await replyInChunks(ctx, lines);
 };
 
 module.exports = {
   command: 'guests',
-  handler: [requireLink, guestsCommandHandler],
-}; 
\ No newline at end of file
+  description: 'List the guests of an event, optionally sorted or filtered by VIP score',
+  usage: USAGE,
+  middleware: [requireLink],
+  handler: guestsCommandHandler,
+};
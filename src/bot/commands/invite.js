@@ -0,0 +1,67 @@
+const inviteService = require('../../core/services/inviteService');
+const ticketService = require('../../core/services/ticketService');
+const { requireLink, requireRole } = require('../middleware/auth');
+const { previewInvite, startInvitePaste } = require('../handlers/inviteHandler');
+const { parseAssignments, splitEventArg } = require('../utils/eventArgs');
+
+const USAGE = `/invite [EVENT_ID] [emails...] [ticket="TICKET NAME"] [status=${inviteService.INVITE_STATUSES.join('|')}]`;
+
+/**
+ * Parses the key=value options.
+ * @param {object} assignments - From parseAssignments.
+ * @returns {{ approvalStatus: string, ticket: string|null, error: string|null }}
+ */
+const parseInviteOptions = (assignments) => {
+  const options = { approvalStatus: 'approved', ticket: null, error: null };
+  for (const [key, value] of Object.entries(assignments)) {
+    if (key === 'status' && inviteService.INVITE_STATUSES.includes(value)) {
+      options.approvalStatus = value;
+    } else if (key === 'ticket' && value) {
+      options.ticket = value;
+    } else {
+      options.error = `Unknown option "${key}=${value}". Usage: ${USAGE}`;
+    }
+  }
+  return options;
+};
+
+const inviteCommandHandler = async (ctx) => {
+  const { org } = ctx.state;
+  // Options and the event ID go on the first line; addresses may follow anywhere, in any format
+  const [firstLine, ...moreLines] = ctx.message.text.replace(/^\/\S+/, '').split('\n');
+  const { words, assignments } = parseAssignments(firstLine);
+  const { eventApiId, rest } = splitEventArg(ctx, words);
+  if (!eventApiId) {
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
+  }
+  const options = parseInviteOptions(assignments);
+  if (options.error) return ctx.reply(options.error);
+
+  let ticketType = null;
+  if (options.ticket) {
+    if (options.approvalStatus === 'invited') {
+      return ctx.reply('Ticket types only apply to guests added directly; people invited with status=invited pick their own ticket.');
+    }
+    const ticketTypes = await ticketService.listTicketTypes(org, eventApiId);
+    ticketType = ticketService.findTicketType(ticketTypes, options.ticket);
+    if (!ticketType) {
+      return ctx.reply(`No ticket type "${options.ticket}" on this event. Ticket types: ${ticketTypes.map((type) => type.name).join(', ') || 'none'}.`);
+    }
+  }
+
+  // Replying /invite to a message (e.g. a forwarded list) takes the addresses from it too
+  const text = [rest.join(' '), ...moreLines, ctx.message.reply_to_message?.text || ''].join('\n');
+  const candidates = inviteService.extractEmails(text);
+  if (candidates.emails.length === 0 && candidates.invalid.length === 0) {
+    return startInvitePaste(ctx, eventApiId, { approvalStatus: options.approvalStatus, ticketType });
+  }
+  await previewInvite(ctx, eventApiId, candidates, { approvalStatus: options.approvalStatus, ticketType });
+};
+
+module.exports = {
+  command: 'invite',
+  description: 'Add guests (e.g. speakers or sponsors) or send Luma invitations by email; paste a list in any format',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('approver')],
+  handler: inviteCommandHandler,
+};
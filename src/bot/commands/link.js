@@ -1,6 +1,27 @@
 const { encrypt } = require('../../lib/crypto');
 const lumaClient = require('../../core/luma/client');
 const prisma = require('../../core/db/prisma');
+const { logAudit } = require('../../core/services/auditService');
+const permissionService = require('../../core/services/permissionService');
+
+/**
+ * Only admins of the org a group is already linked to may re-link it, so a group member
+ * cannot point the group at a different Luma account. Private chats belong to their user.
+ * @returns {Promise<boolean>} - True if the caller may (re-)link this chat.
+ */
+const mayRelinkChat = async (ctx) => {
+  if (ctx.chat.type === 'private') return true;
+  const group = await prisma.group.findUnique({ where: { id: BigInt(ctx.chat.id) } });
+  if (!group) return true;
+
+  const role = await permissionService.getUserRole(group.orgId, ctx.from.id);
+  if (permissionService.hasRole(role, 'admin')) return true;
+
+  await permissionService.logDenial({ orgId: group.orgId, groupId: ctx.chat.id }, {
+    telegramUserId: ctx.from.id, role, requiredRole: 'admin', command: '/link',
+  });
+  return false;
+};
 
 const linkCommandHandler = async (ctx) => {
   // Extract API key from the command text (e.g., /link myapikey)
@@ -10,6 +31,10 @@ const linkCommandHandler = async (ctx) => {
   }
   const apiKey = parts[1].trim();
 
+  if (!(await mayRelinkChat(ctx))) {
+    return ctx.reply('This group is already linked. Only an admin of the linked account can re-link it.');
+  }
+
   await ctx.reply('Validating your Luma API key...');
 
   let encryptedKeyForValidation; // Need to encrypt just for the validation call
@@ -60,20 +85,19 @@ const linkCommandHandler = async (ctx) => {
         create: orgData,
       });
 
-      // 2. Upsert User or Group record and link to Org
+      // 2. Whoever proves they hold the org's Luma key owns it in the bot, also when linking
+      // a group. This creates their private-chat link if they have none; linking a group
+      // doesn't move an existing one to another account.
+      await permissionService.setUserRole(org.id, ctx.from, 'owner', tx);
       if (chatType === 'private') {
-        await tx.user.upsert({
+        await tx.user.update({
           where: { id: BigInt(userId) }, // Use BigInt for IDs
-          update: { orgId: org.id, firstName: userFirstName, username: username },
-          create: {
-            id: BigInt(userId),
-            orgId: org.id,
-            firstName: userFirstName,
-            username: username,
-          },
+          data: { orgId: org.id, firstName: userFirstName, username: username },
         });
         console.log(`Linked/Updated User ${userId} with Org ${org.id}`);
-      } else { // Group chat
+      }
+
+      if (chatType !== 'private') { // Group chat
         await tx.group.upsert({
           where: { id: BigInt(chatId) }, // Use BigInt for IDs
           update: { orgId: org.id, name: groupName },
@@ -105,22 +129,25 @@ const linkCommandHandler = async (ctx) => {
     console.error("Error during /link command:", error);
     // Create Audit Log entry for failure
     // Note: We might not have an orgId if validation failed early
-    try {
-      await prisma.auditLog.create({
-        data: {
-          orgId: 'UNKNOWN', // Or try to get orgId if possible
-          userId: chatType === 'private' ? BigInt(userId) : null,
-          groupId: chatType !== 'private' ? BigInt(chatId) : null,
-          actionType: 'link_api_key_failed',
-          details: { error: error.message || 'Validation/Storage Failed' }
-        }
-      });
-    } catch (logError) {
-      console.error("Failed to create failure audit log:", logError);
-    }
+    await logAudit(
+      {
+        orgId: 'UNKNOWN', // Or try to get orgId if possible
+        userId: ctx.chat.type === 'private' ? ctx.from?.id : null,
+        groupId: ctx.chat.type !== 'private' ? ctx.chat.id : null,
+      },
+      'link_api_key_failed',
+      { error: error.message || 'Validation/Storage Failed' }
+    );
 
-    await ctx.reply(`Failed to link API key. Error: ${error.message}`);
+    // Let the error middleware describe the failure to the user
+    throw error;
   }
 };
 
-module.exports = { linkCommandHandler }; 
\ No newline at end of file
+module.exports = {
+  command: 'link',
+  description: 'Link this chat to a Luma account',
+  usage: '/link <YOUR_LUMA_API_KEY>',
+  middleware: [],
+  handler: linkCommandHandler,
+};
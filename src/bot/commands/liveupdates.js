@@ -0,0 +1,66 @@
+const prisma = require('../../core/db/prisma');
+const { requireLink, requireRole } = require('../middleware/auth');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const lumaWebhookService = require('../../core/services/lumaWebhookService');
+
+const USAGE = '/liveupdates [status | on | off] | /liveupdates secret <LUMA_WEBHOOK_SIGNING_SECRET> (private chat)';
+
+/**
+ * Stores the org's Luma webhook signing secret. Only taken in private chats, so the secret
+ * isn't shown to a whole group; a secret sent to a group is deleted where the bot can.
+ */
+const setSecret = async (ctx, secret) => {
+  if (ctx.chat.type !== 'private') {
+    await ctx.deleteMessage().catch(() => {});
+    return ctx.reply('Send the signing secret to me in a private chat, not in a group. If your message is still visible, generate a new secret in Luma.');
+  }
+  if (!secret) return ctx.reply(`Usage: ${USAGE}`);
+
+  const { org } = ctx.state;
+  await lumaWebhookService.setSigningSecret(org.id, secret);
+  await logAudit(auditContextFromCtx(ctx), 'luma_webhook_secret_changed', { telegramUserId: ctx.from.id });
+  console.log(`Luma webhook secret for org ${org.id} set by user ${ctx.from.id}`);
+  await ctx.reply(`Signing secret saved. Luma deliveries to <bot host>/webhooks/luma/${org.id} are now accepted; turn updates on with /liveupdates on in a linked group.`);
+};
+
+const liveUpdatesCommandHandler = async (ctx) => {
+  const [, subcommand = 'status', secret] = ctx.message.text.trim().split(/\s+/);
+  const setting = subcommand.toLowerCase();
+  if (setting === 'secret') return setSecret(ctx, secret);
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('Live updates are posted to groups. Run /liveupdates in a linked group.');
+  }
+
+  const group = await prisma.group.findUnique({ where: { id: BigInt(ctx.chat.id) } });
+
+  if (setting === 'status') {
+    const lines = [`Live updates from Luma: ${group.liveUpdatesEnabled ? 'on' : 'off'}`];
+    if (!ctx.state.org.lumaWebhookSecretEncrypted) {
+      lines.push('No Luma webhook signing secret is set for this account yet, so nothing will be posted. Send /liveupdates secret <SECRET> to me in a private chat.');
+    } else {
+      lines.push(`Webhook URL for Luma: <bot host>/webhooks/luma/${group.orgId}`);
+    }
+    return ctx.reply(lines.join('\n'));
+  }
+
+  if (setting !== 'on' && setting !== 'off') {
+    return ctx.reply(`Usage: ${USAGE}`);
+  }
+
+  const liveUpdatesEnabled = setting === 'on';
+  await prisma.group.update({ where: { id: group.id }, data: { liveUpdatesEnabled } });
+  await logAudit(auditContextFromCtx(ctx), 'live_updates_changed', { liveUpdatesEnabled, telegramUserId: ctx.from.id });
+  console.log(`Live updates for group ${group.id} turned ${setting} by user ${ctx.from.id}`);
+  await ctx.reply(liveUpdatesEnabled
+    ? 'Live updates on: new registrations, guest status changes and event edits from Luma will be posted here.'
+    : 'Live updates off.');
+};
+
+module.exports = {
+  command: 'liveupdates',
+  description: 'Post Luma registrations and changes to this group as they happen',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: liveUpdatesCommandHandler,
+};
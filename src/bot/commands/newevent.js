@@ -0,0 +1,24 @@
+const { requireLink, requireRole } = require('../middleware/auth');
+const { startEventWizard, cancelEventWizard } = require('../handlers/eventWizardHandler');
+
+const USAGE = '/newevent | /newevent cancel';
+
+const newEventCommandHandler = async (ctx) => {
+  const subcommand = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+  if (subcommand === 'cancel') {
+    return cancelEventWizard(ctx);
+  }
+  if (subcommand) {
+    return ctx.reply(`Usage: ${USAGE}`);
+  }
+  // Asks for name, times, location, capacity, approval and description, then for confirmation
+  await startEventWizard(ctx);
+};
+
+module.exports = {
+  command: 'newevent',
+  description: 'Create a Luma event step by step',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: newEventCommandHandler,
+};
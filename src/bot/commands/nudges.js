@@ -0,0 +1,71 @@
+const prisma = require('../../core/db/prisma');
+const { requireLink, requireRole } = require('../middleware/auth');
+const nudgeService = require('../../core/services/nudgeService');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+
+const USAGE = '/nudges [status | on | off | pending N | age HOURS | soon HOURS] (0 turns a check off)';
+const MAX_THRESHOLD = 10000;
+
+// Sub-command -> Group column it sets
+const THRESHOLD_SETTINGS = {
+  pending: 'nudgeMaxPending',
+  age: 'nudgeMaxPendingHours',
+  soon: 'nudgeEventWithinHours',
+};
+
+const describeSettings = (group, openAlertCount) => {
+  const check = (value, text) => (value > 0 ? text : 'off');
+  return [
+    `Pending-approval nudges: ${group.nudgesEnabled ? 'on' : 'off'}`,
+    `Queue size: ${check(group.nudgeMaxPending, `alert above ${group.nudgeMaxPending} pending`)}`,
+    `Waiting time: ${check(group.nudgeMaxPendingHours, `alert when someone is pending over ${group.nudgeMaxPendingHours}h`)}`,
+    `Event approaching: ${check(group.nudgeEventWithinHours, `alert ${group.nudgeEventWithinHours}h before an event with pending guests`)}`,
+    ...(openAlertCount > 0 ? [`Open alerts: ${openAlertCount} (not repeated until they clear)`] : []),
+  ].join('\n');
+};
+
+const nudgesCommandHandler = async (ctx) => {
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('Nudges are posted to groups. Run /nudges in a linked group.');
+  }
+
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const group = await prisma.group.findUnique({ where: { id: BigInt(ctx.chat.id) } });
+  const [setting = 'status', value] = args.map((arg) => arg.toLowerCase());
+
+  if (setting === 'status') {
+    const openAlerts = await nudgeService.getOpenAlerts(group.id);
+    return ctx.reply(describeSettings(group, openAlerts.size));
+  }
+
+  let changes;
+  if (setting === 'on' || setting === 'off') {
+    changes = { nudgesEnabled: setting === 'on' };
+  } else if (THRESHOLD_SETTINGS[setting]) {
+    const threshold = Number(value);
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_THRESHOLD) {
+      return ctx.reply(`Give a whole number from 0 to ${MAX_THRESHOLD}, e.g. /nudges ${setting} 24`);
+    }
+    changes = { [THRESHOLD_SETTINGS[setting]]: threshold };
+  } else {
+    return ctx.reply(`Usage: ${USAGE}`);
+  }
+
+  const updated = await prisma.group.update({ where: { id: group.id }, data: changes });
+  if (changes.nudgesEnabled === false) {
+    // Start fresh when turned back on: conditions that still hold are announced again
+    await nudgeService.resolveClearedAlerts(group.id, new Set());
+  }
+  await logAudit(auditContextFromCtx(ctx), 'nudge_settings_changed', { ...changes, telegramUserId: ctx.from.id });
+  console.log(`Nudge settings for group ${group.id} changed by user ${ctx.from.id}:`, changes);
+
+  await ctx.reply(`Nudge settings updated. Changes apply from the next check.\n\n${describeSettings(updated, 0)}`);
+};
+
+module.exports = {
+  command: 'nudges',
+  description: 'Configure pending-approval alerts for this group',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: nudgesCommandHandler,
+};
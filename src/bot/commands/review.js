@@ -0,0 +1,25 @@
+const { requireLink, requireRole } = require('../middleware/auth');
+const { startReview } = require('../handlers/reviewHandler');
+const { splitEventArg } = require('../utils/eventArgs');
+
+const USAGE = '/review [EVENT_ID]';
+
+const reviewCommandHandler = async (ctx) => {
+  // Parse arguments: /review [EVENT_ID]; EVENT_ID defaults to the /use event
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const { eventApiId } = splitEventArg(ctx, args);
+
+  if (!eventApiId) {
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
+  }
+
+  await startReview(ctx, eventApiId);
+};
+
+module.exports = {
+  command: 'review',
+  description: 'Review pending guests one at a time with buttons',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('approver')],
+  handler: reviewCommandHandler,
+};
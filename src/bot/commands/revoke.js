@@ -0,0 +1,46 @@
+const { requireLink, requireRole } = require('../middleware/auth');
+const permissionService = require('../../core/services/permissionService');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const { resolveTargetUser, displayName } = require('../utils/targetUser');
+
+const USAGE = '/revoke <@username|USER_ID> (or reply to someone\'s message with /revoke)';
+
+const revokeCommandHandler = async (ctx) => {
+  const { org, role: actorRole } = ctx.state;
+
+  // Parse arguments: /revoke <@username|USER_ID>, or /revoke as a reply
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const target = await resolveTargetUser(ctx, org.id, args[0]);
+  if (!target) {
+    return ctx.reply(`Usage: ${USAGE}`);
+  }
+
+  const currentRole = await permissionService.getUserRole(org.id, target.id);
+  if (currentRole === 'viewer') {
+    return ctx.reply(`${displayName(target)} is already a viewer.`);
+  }
+  if (!permissionService.canAssignRole(actorRole, currentRole, 'viewer')) {
+    await permissionService.logDenial(auditContextFromCtx(ctx), {
+      telegramUserId: ctx.from.id, role: actorRole, requiredRole: 'owner', command: '/revoke', targetUserId: target.id,
+    });
+    return ctx.reply('Only owners can revoke the admin and owner roles.');
+  }
+
+  const result = await permissionService.setUserRole(org.id, target, 'viewer');
+  if (!result.ok) {
+    return ctx.reply(result.reason);
+  }
+
+  await logAudit(auditContextFromCtx(ctx), 'revoke_role', {
+    telegramUserId: ctx.from.id, targetUserId: target.id, previousRole: result.previousRole, newRole: 'viewer',
+  });
+  await ctx.reply(`${displayName(target)} is now a viewer (was ${result.previousRole}).`);
+};
+
+module.exports = {
+  command: 'revoke',
+  description: 'Reset a user to the viewer role (admins and owners)',
+  usage: USAGE,
+  middleware: [requireLink, requireRole('admin')],
+  handler: revokeCommandHandler,
+};
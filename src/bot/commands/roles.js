@@ -0,0 +1,33 @@
+const { requireLink } = require('../middleware/auth');
+const prisma = require('../../core/db/prisma');
+const permissionService = require('../../core/services/permissionService');
+const { replyInChunks } = require('../utils/reply');
+
+const rolesCommandHandler = async (ctx) => {
+  const { org, role } = ctx.state;
+
+  const orgRoles = await prisma.orgRole.findMany({ where: { orgId: org.id }, orderBy: { createdAt: 'asc' } });
+  const ranked = orgRoles
+    .map((orgRole) => ({ orgRole, role: permissionService.normalizeRole(orgRole.role) }))
+    .filter((entry) => entry.role !== 'viewer')
+    .sort((a, b) => permissionService.ROLES.indexOf(b.role) - permissionService.ROLES.indexOf(a.role));
+
+  const lines = [`Your role: ${role}`, '', 'People with roles on this account:'];
+  if (ranked.length === 0) {
+    lines.push('Nobody yet.');
+  }
+  ranked.forEach(({ orgRole, role: userRole }) => {
+    const name = orgRole.username ? `@${orgRole.username}` : orgRole.firstName || String(orgRole.userId);
+    lines.push(`- ${name} (${orgRole.userId}): ${userRole}`);
+  });
+  lines.push('', 'Everyone else in a linked chat is a viewer.');
+  await replyInChunks(ctx, lines);
+};
+
+module.exports = {
+  command: 'roles',
+  description: 'Show who has which role',
+  usage: '/roles',
+  middleware: [requireLink],
+  handler: rolesCommandHandler,
+};
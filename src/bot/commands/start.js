@@ -0,0 +1,15 @@
+const config = require('../../config/config.js');
+const geminiService = require('../../core/nlp/geminiService');
+
+const startCommandHandler = (ctx) => {
+  console.log('Start command received');
+  return ctx.reply(`Hello! I am Sonic Events Bot. I can help you manage your Luma events. LLM provider (${config.llm.provider}) initialized: ${geminiService.isInitialized()}`);
+};
+
+module.exports = {
+  command: 'start',
+  description: 'Start the bot',
+  usage: '/start',
+  middleware: [],
+  handler: startCommandHandler,
+};
@@ -0,0 +1,21 @@
+const config = require('../../config/config.js');
+const geminiService = require('../../core/nlp/geminiService');
+
+// Status command to check integrations
+const statusCommandHandler = (ctx) => {
+  console.log('Status command received');
+  return ctx.reply(
+    `Bot Status:\n` +
+    `- BOT_TOKEN: ${!!config.telegram.token ? '✅' : '❌'}\n` +
+    `- GEMINI_API_KEY: ${!!config.gemini.apiKey ? '✅' : '❌'}\n` +
+    `- LLM Provider (${config.llm.provider}): ${geminiService.isInitialized() ? '✅' : '❌'}`
+  );
+};
+
+module.exports = {
+  command: 'status',
+  description: 'Check bot status',
+  usage: '/status',
+  middleware: [],
+  handler: statusCommandHandler,
+};
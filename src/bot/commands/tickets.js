@@ -0,0 +1,56 @@
+const { requireLink } = require('../middleware/auth');
+const lumaCache = require('../../core/luma/cachedClient');
+const ticketService = require('../../core/services/ticketService');
+const { replyInChunks } = require('../utils/reply');
+const { splitEventArg } = require('../utils/eventArgs');
+
+const USAGE = '/tickets [EVENT_ID]';
+
+const describeTier = ({ ticketType, sold, capacity, remaining }) => {
+  const flags = [ticketService.formatPrice(ticketType), ...(ticketType.is_hidden ? ['hidden'] : [])];
+  const sales = capacity === null
+    ? `${sold} sold, no limit`
+    : `${sold}/${capacity} sold (${remaining === 0 ? 'sold out' : `${remaining} left`})`;
+  return `• ${ticketType.name || ticketType.api_id} (${flags.join(', ')}): ${sales}`;
+};
+
+const ticketsCommandHandler = async (ctx) => {
+  const { org } = ctx.state;
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const { eventApiId } = splitEventArg(ctx, args);
+  if (!eventApiId) {
+    return ctx.reply(`Usage: ${USAGE}\nTip: pick a current event with /use <event name> to leave out EVENT_ID.`);
+  }
+
+  const [details, ticketTypes, guests] = await Promise.all([
+    lumaCache.getEvent(org, eventApiId),
+    ticketService.listTicketTypes(org, eventApiId),
+    lumaCache.getAllGuests(org, eventApiId),
+  ]);
+  const eventName = (details?.event || details)?.name || eventApiId;
+  if (ticketTypes.length === 0) {
+    return ctx.reply(`"${eventName}" has no ticket types.`);
+  }
+
+  const { tiers, unassigned } = ticketService.summariseTiers(ticketTypes, (guests?.entries || []).map((entry) => entry.guest || entry));
+  const totalSold = tiers.reduce((sum, tier) => sum + tier.sold, 0);
+  const limited = tiers.every((tier) => tier.capacity !== null);
+  const totalCapacity = tiers.reduce((sum, tier) => sum + (tier.capacity || 0), 0);
+
+  const lines = [
+    `🎟 Ticket tiers for "${eventName}":`,
+    ...tiers.map(describeTier),
+    '',
+    `Total: ${totalSold}${limited ? `/${totalCapacity}` : ''} sold`,
+    ...(unassigned > 0 ? [`${unassigned} approved guest(s) have no ticket type (e.g. added before tiers existed).`] : []),
+  ];
+  await replyInChunks(ctx, lines);
+};
+
+module.exports = {
+  command: 'tickets',
+  description: 'Show ticket tiers with price and sold vs capacity',
+  usage: USAGE,
+  middleware: [requireLink],
+  handler: ticketsCommandHandler,
+};
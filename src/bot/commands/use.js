@@ -0,0 +1,48 @@
+const { requireLink } = require('../middleware/auth');
+const eventContextService = require('../../core/services/eventContextService');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+
+const USAGE = '/use <EVENT_NAME or EVENT_ID> (or /use none to clear)';
+// Other matches mentioned after the chosen event
+const MAX_OTHER_MATCHES = 3;
+
+const useCommandHandler = async (ctx) => {
+  const { org } = ctx.state;
+  const query = ctx.message.text.split(' ').slice(1).join(' ').trim();
+  const chatScope = { chatType: ctx.chat.type, chatId: ctx.chat.id, userId: ctx.from.id };
+
+  if (!query) {
+    return ctx.reply(`Usage: ${USAGE}`);
+  }
+
+  if (['none', 'clear', 'off'].includes(query.toLowerCase())) {
+    await eventContextService.setActiveEvent(chatScope, null);
+    await logAudit(auditContextFromCtx(ctx), 'set_active_event', { eventApiId: null, telegramUserId: ctx.from.id });
+    return ctx.reply('Cleared the current event. Commands will need an event ID again.');
+  }
+
+  const matches = await eventContextService.findEvents(org, query);
+  if (matches.length === 0) {
+    return ctx.reply(`No event matches "${query}". Use /events to see them all.`);
+  }
+
+  const [event, ...others] = matches;
+  await eventContextService.setActiveEvent(chatScope, event.api_id);
+  await logAudit(auditContextFromCtx(ctx), 'set_active_event', { eventApiId: event.api_id, query, telegramUserId: ctx.from.id });
+
+  const scope = ctx.chat.type === 'private' ? 'your private chat' : 'this group';
+  const lines = [`Current event for ${scope}: ${eventContextService.describeEvent(event)}`];
+  if (others.length > 0) {
+    lines.push('', `Also matched: ${others.slice(0, MAX_OTHER_MATCHES).map(eventContextService.describeEvent).join(', ')}${others.length > MAX_OTHER_MATCHES ? ', ...' : ''}`);
+    lines.push('Use a more specific name or the event ID if that was the wrong one.');
+  }
+  await ctx.reply(lines.join('\n'));
+};
+
+module.exports = {
+  command: 'use',
+  description: 'Set the current event for this chat',
+  usage: USAGE,
+  middleware: [requireLink],
+  handler: useCommandHandler,
+};
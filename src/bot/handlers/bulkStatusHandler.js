@@ -0,0 +1,110 @@
+const config = require('../../config/config.js');
+const guestService = require('../../core/services/guestService');
+const { describeToolCall } = require('../../core/nlp/tools');
+const { requestConfirmation } = require('./confirmationHandler');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Emails listed in the preview before the rest are summarised as a count
+const MAX_PREVIEW_EMAILS = 10;
+
+// The first few emails of a list, so replies stay within Telegram's message limit
+const previewEmails = (emails) => emails.slice(0, MAX_PREVIEW_EMAILS).join(', ')
+  + (emails.length > MAX_PREVIEW_EMAILS ? `, ...and ${emails.length - MAX_PREVIEW_EMAILS} more` : '');
+
+/**
+ * Parses bulk arguments for /approve and /reject (everything after the event ID).
+ * Accepts any number of emails, or --all-pending, --status=<status>, --domain=<domain>
+ * and --registered-before=<YYYY-MM-DD> filters.
+ * @param {string[]} args - Arguments after the event ID.
+ * @returns {{ selector: object|null, errors: string[] }} - selector is null when nothing was selected.
+ */
+function parseBulkArgs(args) {
+  const selector = { emails: [] };
+  const errors = [];
+  let hasFilter = false;
+
+  for (const arg of args) {
+    const [flag, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (flag === '--all-pending') {
+      selector.status = 'pending_approval';
+      hasFilter = true;
+    } else if (flag === '--status' && value) {
+      selector.status = value;
+      hasFilter = true;
+    } else if (flag === '--domain' && value) {
+      selector.domain = value;
+      hasFilter = true;
+    } else if (flag === '--registered-before' && DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime())) {
+      selector.registeredBefore = new Date(value);
+      hasFilter = true;
+    } else if (arg.startsWith('--')) {
+      errors.push(`Unknown or incomplete option: ${arg}`);
+    } else if (EMAIL_PATTERN.test(arg)) {
+      selector.emails.push(arg);
+    } else {
+      errors.push(`Invalid email address: ${arg}`);
+    }
+  }
+
+  if (!hasFilter && selector.emails.length === 0) return { selector: null, errors };
+  return { selector, errors };
+}
+
+/**
+ * Whether /approve or /reject arguments ask for bulk mode rather than a single email.
+ * @param {string[]} args - Arguments after the event ID.
+ * @returns {boolean}
+ */
+const isBulkRequest = (args) => args.length > 1 || args.some((arg) => arg.startsWith('--'));
+
+/**
+ * Resolves a bulk selection against the event's guest list, previews the count and
+ * asks the requester to confirm. The update itself runs from the confirmation callback.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {string[]} args - Arguments after the event ID.
+ * @param {string} newStatus - 'approved' or 'declined'.
+ * @returns {Promise<void>}
+ */
+async function handleBulkStatusCommand(ctx, eventApiId, args, newStatus) {
+  const { encryptedApiKey } = ctx.state;
+  const { selector, errors } = parseBulkArgs(args);
+
+  if (errors.length > 0) {
+    return ctx.reply(errors.join('\n'));
+  }
+  if (!selector) {
+    return ctx.reply('Tell me which guests: list their emails, or use --all-pending, --domain=example.com or --registered-before=YYYY-MM-DD.');
+  }
+
+  await ctx.reply('Looking up matching guests...');
+  const result = await guestService.getEventGuests(encryptedApiKey, eventApiId);
+  const { guests, notFound, alreadyInStatus } = guestService.selectGuests(result?.entries || [], selector, newStatus);
+
+  const notes = [];
+  if (notFound.length > 0) notes.push(`Not registered for this event (${notFound.length}): ${previewEmails(notFound)}`);
+  if (alreadyInStatus.length > 0) notes.push(`Already ${newStatus} (${alreadyInStatus.length}), skipped.`);
+  if (result?.has_more) notes.push('The guest list was truncated at the pagination cap, so some guests may be missing.');
+
+  if (guests.length === 0) {
+    return ctx.reply(['No guests match that selection.', ...notes].join('\n'));
+  }
+  if (guests.length > config.bulk.maxGuests) {
+    return ctx.reply(`That selection matches ${guests.length} guests, more than the limit of ${config.bulk.maxGuests} per bulk action. Narrow it down with --domain or --registered-before.`);
+  }
+
+  const emails = guests.map((guest) => guest.email);
+  if (notes.length > 0) await ctx.reply(notes.join('\n'));
+
+  const params = { event_id: eventApiId, guest_emails: emails, new_status: newStatus };
+  const summary = `${await describeToolCall('bulkUpdateGuestStatus', params)} (${previewEmails(emails)})`;
+  await requestConfirmation(ctx, 'bulkUpdateGuestStatus', params, summary);
+}
+
+module.exports = {
+  parseBulkArgs,
+  isBulkRequest,
+  handleBulkStatusCommand,
+};
@@ -0,0 +1,297 @@
+const axios = require('axios');
+const { Markup } = require('telegraf');
+const prisma = require('../../core/db/prisma');
+const lumaClient = require('../../core/luma/client');
+const lumaCache = require('../../core/luma/cachedClient');
+const checkinService = require('../../core/services/checkinService');
+const guestSnapshotService = require('../../core/services/guestSnapshotService');
+const vipScoringService = require('../../core/services/vipScoringService');
+const permissionService = require('../../core/services/permissionService');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const { isLumaUnreachable } = require('../../core/luma/errors');
+const { userMessageForError } = require('../middleware/errorHandler');
+const { decodeQrFromJpeg } = require('../../lib/qr');
+const { formatInTimeZone } = require('../../lib/time');
+
+// Callback data: 'checkin:<sessionId>:<guestApiId>'
+const CHECKIN_ACTION_PATTERN = /^checkin:([^:]+):(.+)$/;
+// Candidates offered as buttons when a partial name matches several guests
+const MAX_CANDIDATES = 8;
+const REQUIRED_ROLE = 'approver';
+
+/**
+ * Loads the event's guests from Luma, or from the local snapshot when Luma can't be reached.
+ * Check-ins still queued for Luma show as checked in either way.
+ * @param {object} org
+ * @param {string} eventApiId
+ * @returns {Promise<{ guests: object[], offline: boolean, syncedAt: Date|null, scores: Map|null, queued: number }>}
+ *   scores (offline only): guest API ID -> { score, vip } as stored with the snapshot.
+ */
+async function loadGuests(org, eventApiId) {
+  const queued = await checkinService.getQueuedCheckins({ orgId: org.id, eventApiId });
+  try {
+    const result = await lumaCache.getAllGuests(org, eventApiId);
+    const guests = (result?.entries || []).map((entry) => entry.guest || entry);
+    return { guests: checkinService.applyQueuedCheckins(guests, queued), offline: false, syncedAt: null, scores: null, queued: queued.length };
+  } catch (error) {
+    if (!isLumaUnreachable(error)) throw error;
+    const snapshot = await guestSnapshotService.loadSnapshot(org.id, eventApiId);
+    if (!snapshot.syncedAt) throw error;
+    console.warn(`Luma unreachable (${error.message}); using the guest snapshot of event ${eventApiId} from ${snapshot.syncedAt.toISOString()}`);
+    return { ...snapshot, guests: checkinService.applyQueuedCheckins(snapshot.guests, queued), offline: true, queued: queued.length };
+  }
+}
+
+const renderCounter = (eventName, lookup, timeZone) => {
+  const { arrived, approved } = checkinService.countAttendance(lookup.guests);
+  const percent = approved > 0 ? Math.round((arrived / approved) * 100) : 0;
+  const lines = [
+    `🚪 Door check-in: ${eventName}`,
+    `Arrived: ${arrived} / ${approved} approved (${percent}%)`,
+  ];
+  if (lookup.offline) lines.push(`📴 Luma unreachable - using the guest list saved ${formatInTimeZone(lookup.syncedAt, timeZone)}`);
+  if (lookup.queued > 0) lines.push(`⏳ ${lookup.queued} check-in${lookup.queued === 1 ? '' : 's'} waiting to sync to Luma`);
+  lines.push(`Updated ${formatInTimeZone(new Date(), timeZone)}`);
+  return lines.join('\n');
+};
+
+/**
+ * Rewrites the pinned counter.
+ * @param {import('telegraf').Telegram} telegram
+ * @param {object} session - The CheckinSession row.
+ * @param {object} lookup - From loadGuests.
+ * @param {{ name: string, timeZone: string }} event
+ * @returns {Promise<void>}
+ */
+async function refreshCounter(telegram, session, lookup, event) {
+  if (!session.counterMessageId) return;
+  try {
+    await telegram.editMessageText(session.chatId.toString(), session.counterMessageId, undefined,
+      renderCounter(event.name, lookup, event.timeZone));
+  } catch (error) {
+    if (!/message is not modified/i.test(error.description || error.message)) {
+      console.warn(`Check-in ${session.id}: could not update the attendance counter:`, error.message);
+    }
+  }
+}
+
+/**
+ * Starts door mode in the current chat, saves the guest list for offline use and posts
+ * (and pins) the attendance counter.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @param {string} eventApiId - The event to check guests in to.
+ * @returns {Promise<void>}
+ */
+async function startCheckin(ctx, eventApiId) {
+  if (!lumaClient.CHECKIN_SUPPORTED) return ctx.reply(lumaClient.CHECKIN_UNSUPPORTED_MESSAGE);
+  const { org } = ctx.state;
+  const [lookup, event] = await Promise.all([loadGuests(org, eventApiId), lumaCache.getEventSummary(org, eventApiId)]);
+  if (!lookup.offline) await guestSnapshotService.syncSnapshot(org, eventApiId, lookup.guests);
+  const session = await checkinService.startSession({ orgId: org.id, chatId: ctx.chat.id, startedBy: ctx.from.id, eventApiId });
+
+  const counter = await ctx.reply(renderCounter(event.name, lookup, event.timeZone));
+  await checkinService.setCounterMessage(session.id, counter.message_id);
+  try {
+    await ctx.pinChatMessage(counter.message_id, { disable_notification: true });
+  } catch (error) {
+    console.warn(`Check-in ${session.id}: could not pin the counter:`, error.message);
+    await ctx.reply('Tip: make me a group admin so I can pin the counter and read messages that don\'t mention me.');
+  }
+
+  await ctx.reply([
+    `Door mode is on for "${event.name}".`,
+    'Send a photo of a guest\'s QR code, their email or part of their name to check them in.',
+    lookup.offline
+      ? 'Luma can\'t be reached right now: check-ins are saved here and synced once it is back.'
+      : `The guest list (${lookup.guests.length}) is saved here too, so check-in keeps working if Luma can't be reached.`,
+    'Run /checkin stop when the doors close.',
+  ].join('\n'));
+  await logAudit(auditContextFromCtx(ctx), 'checkin_started', { eventApiId, offline: lookup.offline, telegramUserId: ctx.from.id });
+  console.log(`Check-in ${session.id} started for event ${eventApiId} by user ${ctx.from.id}`);
+}
+
+/**
+ * Saves a fresh offline snapshot of an event's guest list ahead of the event.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @param {string} eventApiId
+ * @returns {Promise<void>}
+ */
+async function syncCheckin(ctx, eventApiId) {
+  if (!lumaClient.CHECKIN_SUPPORTED) return ctx.reply(lumaClient.CHECKIN_UNSUPPORTED_MESSAGE);
+  const { org } = ctx.state;
+  await ctx.reply('Saving the guest list for offline check-in...');
+  const result = await lumaCache.getAllGuests(org, eventApiId);
+  const guests = (result?.entries || []).map((entry) => entry.guest || entry);
+  const queued = await checkinService.getQueuedCheckins({ orgId: org.id, eventApiId });
+  const count = await guestSnapshotService.syncSnapshot(org, eventApiId, checkinService.applyQueuedCheckins(guests, queued));
+  const { name } = await lumaCache.getEventSummary(org, eventApiId);
+  return ctx.reply(`Saved ${count} guests of "${name}" for offline check-in.${result?.has_more ? ' The list hit the pagination cap, so some guests are missing.' : ''}`);
+}
+
+/**
+ * Ends door mode in the current chat and unpins the counter.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @returns {Promise<void>}
+ */
+async function stopCheckin(ctx) {
+  const session = await checkinService.getActiveSession(ctx.chat.id);
+  if (!session) return ctx.reply('Door mode is not on in this chat.');
+
+  await checkinService.finishSession(session.id);
+  const [lookup, event] = await Promise.all([loadGuests(ctx.state.org, session.eventApiId), lumaCache.getEventSummary(ctx.state.org, session.eventApiId)]);
+  await refreshCounter(ctx.telegram, session, lookup, event);
+  if (session.counterMessageId) {
+    await ctx.unpinChatMessage(session.counterMessageId).catch((error) => console.warn(`Check-in ${session.id}: could not unpin the counter:`, error.message));
+  }
+  const { arrived, approved } = checkinService.countAttendance(lookup.guests);
+  await logAudit(auditContextFromCtx(ctx), 'checkin_stopped', { eventApiId: session.eventApiId, arrived, approved, telegramUserId: ctx.from.id });
+  const pending = lookup.queued > 0 ? ` ${lookup.queued} offline check-in(s) will still be synced to Luma.` : '';
+  return ctx.reply(`Door mode is off for "${event.name}". ${arrived} of ${approved} approved guests arrived.${pending}`);
+}
+
+/**
+ * Checks one guest in, unless they are not approved or already in, and says which.
+ * When Luma can't be reached the check-in is queued and marked in the snapshot.
+ * @param {import('telegraf').Context} ctx
+ * @param {object} org
+ * @param {object} session - The CheckinSession row.
+ * @param {object} guest - The resolved guest.
+ * @param {object} lookup - From loadGuests.
+ * @param {{ name: string, timeZone: string }} event
+ * @returns {Promise<string>} - The reply for door staff.
+ */
+async function checkInResolvedGuest(ctx, org, session, guest, lookup, event) {
+  const [scoring] = lookup.offline
+    ? [lookup.scores.get(guest.api_id) || { vip: false }]
+    : await vipScoringService.scoreGuests(org, session.eventApiId, [guest]);
+  const who = `${scoring.vip ? '⭐ VIP ' : ''}${guest.name || 'N/A'} (${guest.email || 'no email'})`;
+
+  if (checkinService.isCheckedIn(guest)) {
+    return `⚠️ ${who} is already checked in (${formatInTimeZone(guest.checked_in_at, event.timeZone)}).`;
+  }
+  if (guest.approval_status !== 'approved') {
+    return `⛔ ${who} is ${guest.approval_status || 'not approved'}. Not checked in.`;
+  }
+
+  let offline = lookup.offline;
+  if (!offline) {
+    try {
+      await lumaCache.checkInGuest(org, session.eventApiId, guest.api_id);
+    } catch (error) {
+      if (!isLumaUnreachable(error)) {
+        console.error(`Check-in ${session.id}: check-in failed for ${guest.email}:`, error);
+        return `❌ Could not check in ${who}: ${userMessageForError(error)}`;
+      }
+      console.warn(`Check-in ${session.id}: Luma unreachable, queueing check-in of ${guest.email}:`, error.message);
+      offline = true;
+    }
+  }
+  const checkedInAt = new Date();
+  if (offline) {
+    await checkinService.queueCheckin({ orgId: org.id, eventApiId: session.eventApiId, guest, chatId: ctx.chat.id, checkedInBy: ctx.from });
+    await guestSnapshotService.markCheckedIn(org.id, session.eventApiId, guest.api_id, checkedInAt);
+  }
+  await logAudit(auditContextFromCtx(ctx), 'guest_checked_in', {
+    eventApiId: session.eventApiId,
+    guestEmail: guest.email,
+    vip: scoring.vip,
+    offline,
+    telegramUserId: ctx.from.id,
+  });
+
+  // Count this guest as arrived without waiting for Luma to list the check-in
+  const guests = lookup.guests.map((entry) => (entry.api_id === guest.api_id ? { ...entry, checked_in_at: checkedInAt.toISOString() } : entry));
+  await refreshCounter(ctx.telegram, session, { ...lookup, guests, queued: lookup.queued + (offline ? 1 : 0) }, event);
+  return [
+    `✅ ${who} checked in.${scoring.vip ? ' VIP - let the host know!' : ''}`,
+    offline ? '📴 Luma is unreachable: saved here and will sync when it is back.' : null,
+  ].filter(Boolean).join('\n');
+}
+
+// Loads the org and checks the role for door input. Denials are audit-logged unless quiet
+// (plain chat messages, which are just passed on)
+const authorise = async (ctx, session, action, { quiet = false } = {}) => {
+  const org = await prisma.org.findUnique({ where: { id: session.orgId } });
+  if (!org) return null;
+  ctx.state.org = org;
+  ctx.state.encryptedApiKey = org.lumaApiKeyEncrypted;
+
+  const role = await permissionService.getUserRole(org.id, ctx.from?.id);
+  if (!permissionService.hasRole(role, REQUIRED_ROLE)) {
+    if (!quiet) await permissionService.logDenial(auditContextFromCtx(ctx), { telegramUserId: ctx.from?.id, role, requiredRole: REQUIRED_ROLE, command: action });
+    return { org, denied: `Checking guests in needs the ${REQUIRED_ROLE} role; you are ${role}. Ask an admin to /grant you access.` };
+  }
+  return { org, denied: null };
+};
+
+const downloadPhoto = async (ctx) => {
+  const photo = ctx.message.photo[ctx.message.photo.length - 1]; // Largest size
+  const link = await ctx.telegram.getFileLink(photo.file_id);
+  const response = await axios.get(link.href, { responseType: 'arraybuffer', timeout: 15000 });
+  return Buffer.from(response.data);
+};
+
+/**
+ * While door mode is on in a chat, treats photos (QR codes) and plain text (email or
+ * partial name) from approvers as check-in lookups. Passes everything else on, e.g. to
+ * the NLP handler, including messages from other members of the chat.
+ */
+const doorModeHandler = async (ctx, next) => {
+  const text = ctx.message?.text;
+  if (text?.startsWith('/') || (!text && !ctx.message?.photo)) return next();
+  const session = await checkinService.getActiveSession(ctx.chat.id);
+  if (!session) return next();
+
+  const access = await authorise(ctx, session, 'checkin:lookup', { quiet: true });
+  if (!access || access.denied) return next();
+  const { org } = access;
+
+  let query = text && ctx.botInfo ? text.replace(`@${ctx.botInfo.username}`, '').trim() : text;
+  if (!text) {
+    query = decodeQrFromJpeg(await downloadPhoto(ctx));
+    if (!query) return ctx.reply('I could not read a QR code in that photo. Try again closer, or send the guest\'s email or name.');
+  }
+
+  const [lookup, event] = await Promise.all([loadGuests(org, session.eventApiId), lumaCache.getEventSummary(org, session.eventApiId)]);
+  const matches = text ? checkinService.findGuests(lookup.guests, query) : [checkinService.findGuestByQr(lookup.guests, query)].filter(Boolean);
+
+  if (matches.length === 0) {
+    return ctx.reply(text ? `No guest of "${event.name}" matches "${query}".` : `That QR code doesn't belong to a guest of "${event.name}".`);
+  }
+  if (matches.length > 1) {
+    const buttons = matches.slice(0, MAX_CANDIDATES).map((guest) => [
+      Markup.button.callback(`${guest.name || guest.email} (${guest.approval_status || '?'})`, `checkin:${session.id}:${guest.api_id}`),
+    ]);
+    const more = matches.length > MAX_CANDIDATES ? ` Showing the first ${MAX_CANDIDATES}; type more of the name to narrow it down.` : '';
+    return ctx.reply(`${matches.length} guests match "${query}". Who is it?${more}`, Markup.inlineKeyboard(buttons));
+  }
+  return ctx.reply(await checkInResolvedGuest(ctx, org, session, matches[0], lookup, event));
+};
+
+/**
+ * Handles a tap on one of the candidates offered for an ambiguous name.
+ */
+const checkinCallbackHandler = async (ctx) => {
+  const [, id, guestApiId] = ctx.match;
+  const session = await checkinService.getSession(id);
+  if (!session || session.status !== 'active') return ctx.answerCbQuery('Door mode has ended for this event.');
+
+  const access = await authorise(ctx, session, 'checkin:pick');
+  if (!access) return ctx.answerCbQuery('Door mode has ended for this event.');
+  if (access.denied) return ctx.answerCbQuery(access.denied, { show_alert: true });
+  await ctx.answerCbQuery('Checking in...');
+
+  const [lookup, event] = await Promise.all([loadGuests(access.org, session.eventApiId), lumaCache.getEventSummary(access.org, session.eventApiId)]);
+  const guest = lookup.guests.find((entry) => entry.api_id === guestApiId);
+  if (!guest) return ctx.editMessageText('That guest is no longer on the list.');
+  return ctx.editMessageText(await checkInResolvedGuest(ctx, access.org, session, guest, lookup, event));
+};
+
+module.exports = {
+  CHECKIN_ACTION_PATTERN,
+  startCheckin,
+  syncCheckin,
+  stopCheckin,
+  doorModeHandler,
+  checkinCallbackHandler,
+};
@@ -0,0 +1,124 @@
+const { Markup } = require('telegraf');
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const toolRegistry = require('../../core/nlp/tools');
+const confirmationService = require('../../core/services/confirmationService');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const { userMessageForError } = require('../middleware/errorHandler');
+const permissionService = require('../../core/services/permissionService');
+
+// Callback data: 'confirm:<id>' or 'cancel:<id>'
+const CONFIRMATION_ACTION_PATTERN = /^(confirm|cancel):(.+)$/;
+
+/**
+ * Posts a Confirm/Cancel prompt for a mutating tool call instead of running it.
+ * The call is persisted, so the buttons keep working across restarts until they expire.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (ctx.state.org must be set).
+ * @param {string} toolName - Registered tool to run on confirmation.
+ * @param {object} params - Validated tool arguments.
+ * @param {string} summary - Human-readable description of the action.
+ * @returns {Promise<void>}
+ */
+async function requestConfirmation(ctx, toolName, params, summary) {
+  const confirmation = await confirmationService.createConfirmation({
+    orgId: ctx.state.org.id,
+    chatId: ctx.chat.id,
+    userId: ctx.from.id,
+    toolName,
+    params,
+    summary,
+  });
+
+  const minutes = Math.round(config.confirmations.timeoutSeconds / 60);
+  const message = await ctx.reply(
+    `Please confirm: ${summary}\n\nOnly ${ctx.from.first_name || 'the requester'} can confirm. This expires in ${minutes} minute(s).`,
+    Markup.inlineKeyboard([
+      Markup.button.callback('✅ Confirm', `confirm:${confirmation.id}`),
+      Markup.button.callback('✖️ Cancel', `cancel:${confirmation.id}`),
+    ])
+  );
+  await confirmationService.attachMessage(confirmation.id, message.message_id);
+  console.log(`Confirmation ${confirmation.id} requested for ${toolName} by user ${ctx.from.id}`);
+}
+
+/**
+ * Builds a progress callback for long-running tools that edits the confirmation prompt in place.
+ * Edits are throttled to config.bulk.progressIntervalMs to stay clear of Telegram's edit limits.
+ * @param {import('telegraf').Context} ctx - The callback-query context of the confirmed prompt.
+ * @param {string} summary - The confirmed action, repeated above the progress line.
+ * @returns {function({ done: number, total: number, succeeded: number, failed: number }): Promise<void>}
+ */
+function progressReporter(ctx, summary) {
+  let lastEditAt = 0;
+  return async ({ done, total, succeeded, failed }) => {
+    const now = Date.now();
+    // The final outcome replaces the prompt anyway, so only intermediate progress is shown
+    if (done >= total || now - lastEditAt < config.bulk.progressIntervalMs) return;
+    lastEditAt = now;
+    await ctx.editMessageText(`Confirmed: ${summary}\nProgress: ${done}/${total} (${succeeded} done, ${failed} failed)`);
+  };
+}
+
+/**
+ * Handles taps on Confirm/Cancel buttons. Runs the stored tool call only when the
+ * requesting user confirms before expiry, then edits the prompt with the outcome.
+ */
+const confirmationCallbackHandler = async (ctx) => {
+  const [, action, id] = ctx.match;
+  const newStatus = action === 'confirm' ? 'confirmed' : 'cancelled';
+  const { outcome, confirmation } = await confirmationService.resolveConfirmation(id, ctx.from.id, newStatus);
+
+  switch (outcome) {
+    case 'not_found':
+      return ctx.answerCbQuery('This request no longer exists.');
+    case 'wrong_user':
+      return ctx.answerCbQuery('Only the person who asked for this action can confirm or cancel it.', { show_alert: true });
+    case 'already_handled':
+      return ctx.answerCbQuery('This request was already handled.');
+    case 'expired':
+      await ctx.answerCbQuery('This request has expired.');
+      return ctx.editMessageText(`Expired: ${confirmation.summary}\nAsk me again if you still want this done.`);
+    default:
+      break;
+  }
+
+  const org = await prisma.org.findUnique({ where: { id: confirmation.orgId } });
+  ctx.state.org = org;
+  ctx.state.encryptedApiKey = org?.lumaApiKeyEncrypted;
+  const auditContext = auditContextFromCtx(ctx);
+
+  if (newStatus === 'cancelled') {
+    await ctx.answerCbQuery('Cancelled.');
+    await logAudit(auditContext, 'confirmation_cancelled', { confirmationId: id, toolName: confirmation.toolName, params: confirmation.params });
+    return ctx.editMessageText(`Cancelled: ${confirmation.summary}`);
+  }
+
+  await ctx.answerCbQuery('Working on it...');
+  await ctx.editMessageText(`Confirmed: ${confirmation.summary}\nWorking on it...`);
+  await logAudit(auditContext, 'confirmation_confirmed', { confirmationId: id, toolName: confirmation.toolName, params: confirmation.params });
+
+  try {
+    if (!org) throw new Error(`Org ${confirmation.orgId} no longer exists.`);
+    // Re-resolve the role at confirmation time: it may have been revoked since the request
+    const role = await permissionService.getUserRole(org.id, ctx.from.id);
+    const requiredRole = toolRegistry.getTool(confirmation.toolName)?.requiredRole;
+    if (requiredRole && !permissionService.hasRole(role, requiredRole)) {
+      await permissionService.logDenial(auditContext, { telegramUserId: ctx.from.id, role, requiredRole, toolName: confirmation.toolName });
+      throw new permissionService.PermissionDeniedError(requiredRole, role);
+    }
+    const reportProgress = progressReporter(ctx, confirmation.summary);
+    const result = await toolRegistry.executeTool(confirmation.toolName, confirmation.params, { org, ctx, auditContext, role, reportProgress });
+    return ctx.editMessageText(`${result?.partialFailure ? '⚠️' : '✅'} ${result?.message || `Done: ${confirmation.summary}`}`);
+  } catch (error) {
+    console.error(`Confirmed action ${id} (${confirmation.toolName}) failed:`, error);
+    await confirmationService.markFailed(id);
+    await logAudit(auditContext, 'confirmation_failed', { confirmationId: id, toolName: confirmation.toolName, error: error.message });
+    return ctx.editMessageText(`❌ Could not complete: ${confirmation.summary}\n${userMessageForError(error)}`);
+  }
+};
+
+module.exports = {
+  CONFIRMATION_ACTION_PATTERN,
+  requestConfirmation,
+  confirmationCallbackHandler,
+};
@@ -0,0 +1,132 @@
+const { Markup } = require('telegraf');
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const toolRegistry = require('../../core/nlp/tools');
+const eventDraftService = require('../../core/services/eventDraftService');
+const eventFieldService = require('../../core/services/eventFieldService');
+const { requestConfirmation } = require('./confirmationHandler');
+
+const SKIP_WORDS = ['skip', '-'];
+const CANCEL_WORDS = ['cancel', 'stop'];
+
+// Questions in the order they are asked; optional ones accept "skip"
+const STEPS = [
+  { field: 'name', question: () => 'What is the event called?' },
+  {
+    field: 'timezone',
+    optional: true,
+    question: (fields, defaultZone) => `Which timezone is it in? Reply with a name like Europe/London, or "skip" for ${defaultZone}.`,
+  },
+  { field: 'start', question: (fields) => `When does it start? Reply with YYYY-MM-DD HH:MM (${fields.timezone}).` },
+  {
+    field: 'end',
+    optional: true,
+    question: (fields) => `When does it end? Reply with YYYY-MM-DD HH:MM (${fields.timezone}), or "skip" for two hours after the start.`,
+  },
+  { field: 'location', optional: true, question: () => 'Where is it? Reply with the address, or "skip" if it is online or not decided yet.' },
+  { field: 'capacity', optional: true, question: () => 'How many guests can come? Reply with a number, or "skip" for no limit.' },
+  { field: 'require_approval', question: () => 'Should registrations need approval by a host? Reply yes or no.' },
+  { field: 'description', optional: true, question: () => 'Last one: a description (Markdown is fine), or "skip".' },
+];
+
+// Sends a forced reply, so the answer reaches the bot even with group privacy mode on
+const prompt = (ctx, text) => ctx.reply(text, {
+  ...Markup.forceReply().selective(),
+  reply_parameters: { message_id: ctx.message.message_id, allow_sending_without_reply: true },
+});
+
+const ask = (ctx, index, fields, defaultZone) => prompt(ctx, `(${index + 1}/${STEPS.length}) ${STEPS[index].question(fields, defaultZone)}`);
+
+/**
+ * Starts the /newevent wizard for the requesting user in the current chat.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @returns {Promise<void>}
+ */
+async function startEventWizard(ctx) {
+  const { org } = ctx.state;
+  await ctx.reply(`Let's create an event. Reply to each question; reply "cancel" at any point to stop. Unanswered, this closes after ${config.eventWizard.timeoutMinutes} minutes.`);
+  const question = await ask(ctx, 0, {}, await eventFieldService.defaultTimeZoneForChat(ctx.chat.id));
+  const draft = await eventDraftService.startDraft({
+    orgId: org.id, chatId: ctx.chat.id, userId: ctx.from.id, step: STEPS[0].field, promptMessageId: question.message_id,
+  });
+  console.log(`Event draft ${draft.id} started by user ${ctx.from.id} in chat ${ctx.chat.id}`);
+}
+
+/**
+ * Drops the requesting user's open wizard in the current chat.
+ * @param {import('telegraf').Context} ctx
+ * @returns {Promise<void>}
+ */
+async function cancelEventWizard(ctx) {
+  const draft = await eventDraftService.getActiveDraft(ctx.chat.id, ctx.from.id, config.eventWizard.timeoutMinutes);
+  if (!draft) return ctx.reply('You have no /newevent in progress here.');
+  await eventDraftService.finishDraft(draft.id, 'cancelled');
+  return ctx.reply('Okay, the new event was discarded.');
+}
+
+/**
+ * Takes a reply to the latest question of a /newevent wizard (see promptReplyHandler), and
+ * posts the finished event for confirmation.
+ * @param {import('telegraf').Context} ctx
+ * @param {object} draft - The EventDraft row whose question was answered.
+ * @param {Function} next - Called when the draft's org is gone.
+ * @returns {Promise<void>}
+ */
+const answerEventWizard = async (ctx, draft, next) => {
+  const text = ctx.message.text;
+  const answer = (ctx.botInfo ? text.replace(`@${ctx.botInfo.username}`, '') : text).trim();
+  const word = answer.toLowerCase();
+  if (CANCEL_WORDS.includes(word)) {
+    await eventDraftService.finishDraft(draft.id, 'cancelled');
+    return ctx.reply('Okay, the new event was discarded.');
+  }
+
+  const org = await prisma.org.findUnique({ where: { id: draft.orgId } });
+  if (!org) {
+    await eventDraftService.finishDraft(draft.id, 'cancelled');
+    return next();
+  }
+  ctx.state.org = org;
+  ctx.state.encryptedApiKey = org.lumaApiKeyEncrypted;
+
+  const index = Math.max(STEPS.findIndex((step) => step.field === draft.step), 0);
+  const step = STEPS[index];
+  const fields = { ...draft.fields };
+  const defaultZone = await eventFieldService.defaultTimeZoneForChat(ctx.chat.id);
+  // Asks the same question again; the answer must reply to this new message
+  const askAgain = async (problem) => {
+    const question = await prompt(ctx, problem);
+    await eventDraftService.setPrompt(draft.id, question.message_id);
+  };
+
+  if (SKIP_WORDS.includes(word)) {
+    if (!step.optional) return askAgain(`This one can't be skipped. ${step.question(fields, defaultZone)}`);
+    if (step.field === 'timezone') fields.timezone = defaultZone;
+    else if (step.field !== 'end') fields[step.field] = null; // A missing end is filled in on submit
+  } else {
+    const parsed = eventFieldService.parseFieldValue(step.field, answer, fields.timezone || defaultZone);
+    if (parsed.error) return askAgain(`${parsed.error} Try again, or reply "cancel" to stop.`);
+    if (step.field === 'start' || step.field === 'end') {
+      const problems = eventFieldService.validateEvent({ ...fields, [step.field]: parsed.value }, { checkStart: step.field === 'start' });
+      if (problems.length > 0) return askAgain(`${problems.join(' ')} Try again, or reply "cancel" to stop.`);
+    }
+    fields[step.field] = parsed.value;
+  }
+
+  if (index + 1 < STEPS.length) {
+    const question = await ask(ctx, index + 1, fields, defaultZone);
+    await eventDraftService.saveAnswer(draft.id, fields, STEPS[index + 1].field, question.message_id);
+    return;
+  }
+
+  await eventDraftService.finishDraft(draft.id, 'submitted');
+  const params = eventFieldService.toFieldParams(eventFieldService.withCreateDefaults(fields));
+  const summary = await toolRegistry.describeToolCall('createEvent', params);
+  return requestConfirmation(ctx, 'createEvent', params, summary);
+};
+
+module.exports = {
+  startEventWizard,
+  cancelEventWizard,
+  answerEventWizard,
+};
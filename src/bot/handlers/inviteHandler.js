@@ -0,0 +1,119 @@
+const { Markup } = require('telegraf');
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const lumaCache = require('../../core/luma/cachedClient');
+const inviteService = require('../../core/services/inviteService');
+const { describeToolCall } = require('../../core/nlp/tools');
+const { requestConfirmation } = require('./confirmationHandler');
+
+const CANCEL_WORDS = ['cancel', 'stop'];
+// Addresses listed in the preview before the rest are summarised as a count
+const MAX_PREVIEW_EMAILS = 10;
+
+const preview = (items) => items.slice(0, MAX_PREVIEW_EMAILS).join(', ')
+  + (items.length > MAX_PREVIEW_EMAILS ? `, ...and ${items.length - MAX_PREVIEW_EMAILS} more` : '');
+
+/**
+ * Checks the addresses against the event's guest list, reports the ones that are invalid or
+ * already registered, and asks the requester to confirm adding the rest.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (ctx.state.org must be set).
+ * @param {string} eventApiId
+ * @param {{ emails: string[], invalid: string[] }} candidates - From inviteService.extractEmails.
+ * @param {object} options
+ * @param {string} options.approvalStatus - One of inviteService.INVITE_STATUSES.
+ * @param {object|null} [options.ticketType] - Resolved ticket type, if one was chosen.
+ * @returns {Promise<void>}
+ */
+async function previewInvite(ctx, eventApiId, { emails, invalid }, { approvalStatus, ticketType = null }) {
+  const { org } = ctx.state;
+  const plan = await inviteService.planInvite(org, eventApiId, [...emails, ...invalid]);
+  const notes = [];
+  if (plan.alreadyRegistered.length > 0) {
+    notes.push(`Already registered, skipped (${plan.alreadyRegistered.length}): ${preview(plan.alreadyRegistered.map(({ email, status }) => `${email} (${status})`))}`);
+  }
+  if (plan.invalid.length > 0) notes.push(`Invalid addresses, skipped (${plan.invalid.length}): ${preview(plan.invalid)}`);
+
+  if (plan.toAdd.length === 0) {
+    return ctx.reply(['Nobody new to add.', ...notes].join('\n'));
+  }
+  if (plan.toAdd.length > config.bulk.maxGuests) {
+    return ctx.reply(`That is ${plan.toAdd.length} new guests, more than the limit of ${config.bulk.maxGuests} per action. Split the list up.`);
+  }
+  if (notes.length > 0) await ctx.reply(notes.join('\n'));
+
+  const params = {
+    event_id: eventApiId,
+    guest_emails: plan.toAdd,
+    approval_status: approvalStatus,
+    ...(ticketType && { ticket_type: ticketType.api_id }),
+  };
+  const { name } = await lumaCache.getEventSummary(org, eventApiId);
+  const events = [{ api_id: eventApiId, name }];
+  const summary = (await describeToolCall('inviteGuests', { ...params, ticket_type: ticketType?.name }, { events }))
+    + ` (${preview(plan.toAdd)})`;
+  await requestConfirmation(ctx, 'inviteGuests', params, summary);
+}
+
+// Sends a forced reply, so the list reaches the bot even with group privacy mode on
+const askForList = (ctx, text) => ctx.reply(text, {
+  ...Markup.forceReply().selective(),
+  reply_parameters: { message_id: ctx.message.message_id, allow_sending_without_reply: true },
+});
+
+/**
+ * Asks the requester to paste the guest list in a reply.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @param {string} eventApiId
+ * @param {{ approvalStatus: string, ticketType?: object|null }} options
+ * @returns {Promise<void>}
+ */
+async function startInvitePaste(ctx, eventApiId, { approvalStatus, ticketType = null }) {
+  const { org } = ctx.state;
+  const { name } = await lumaCache.getEventSummary(org, eventApiId);
+  const request = await askForList(ctx, `Paste the guest list for "${name}" in a reply to this message. Any text works: I'll pick out the email addresses. Reply "cancel" to stop.`);
+  await inviteService.startPaste({
+    orgId: org.id,
+    chatId: ctx.chat.id,
+    userId: ctx.from.id,
+    eventApiId,
+    approvalStatus,
+    ticketType,
+    promptMessageId: request.message_id,
+  });
+}
+
+/**
+ * Takes a guest list pasted in reply to an /invite request (see promptReplyHandler), and
+ * previews the invite.
+ * @param {import('telegraf').Context} ctx
+ * @param {object} paste - The InvitePaste row whose request was answered.
+ * @param {Function} next - Called when the paste's org is gone.
+ * @returns {Promise<void>}
+ */
+const answerInvitePaste = async (ctx, paste, next) => {
+  const text = ctx.message.text;
+  if (CANCEL_WORDS.includes(text.trim().toLowerCase())) {
+    await inviteService.finishPaste(paste.id, 'cancelled');
+    return ctx.reply('Okay, nobody was invited.');
+  }
+  const candidates = inviteService.extractEmails(text);
+  if (candidates.emails.length === 0 && candidates.invalid.length === 0) {
+    const request = await askForList(ctx, 'I couldn\'t find any email addresses in that. Paste the list again in a reply to this message, or reply "cancel".');
+    return inviteService.setPastePrompt(paste.id, request.message_id);
+  }
+
+  await inviteService.finishPaste(paste.id, 'used');
+  const org = await prisma.org.findUnique({ where: { id: paste.orgId } });
+  if (!org) return next();
+  ctx.state.org = org;
+  ctx.state.encryptedApiKey = org.lumaApiKeyEncrypted;
+
+  const ticketType = paste.ticketTypeId ? { api_id: paste.ticketTypeId, name: paste.ticketTypeName || paste.ticketTypeId } : null;
+  await previewInvite(ctx, paste.eventApiId, candidates, { approvalStatus: paste.approvalStatus, ticketType });
+};
+
+module.exports = {
+  previewInvite,
+  startInvitePaste,
+  answerInvitePaste,
+};
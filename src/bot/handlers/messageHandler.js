@@ -1,8 +1,14 @@
 const { resolveQuery, formatDataWithGemini, postProcessResponse } = require('../../core/nlp/geminiService');
-const lumaClient = require('../../core/luma/client');
+const lumaCache = require('../../core/luma/cachedClient');
 const { requireLink } = require('../middleware/auth');
 const prisma = require('../../core/db/prisma');
 const { escapeMarkdownV2 } = require('../../core/services/escapeUtil');
+const { userMessageForError } = require('../middleware/errorHandler');
+const toolRegistry = require('../../core/nlp/tools');
+const { requestConfirmation } = require('./confirmationHandler');
+const { getChatConversation } = require('../../core/services/conversationService');
+const { auditContextFromCtx } = require('../../core/services/auditService');
+const { hasRole, logDenial } = require('../../core/services/permissionService');
 
 /**
  * Middleware to check if the bot should respond to a message.
@@ -30,30 +36,30 @@ const shouldRespond = async (ctx, next) => {
 };
 
 const messageHandler = async (ctx) => {
-  const { encryptedApiKey, org } = ctx.state;
+  const { org } = ctx.state;
   const userText = ctx.message.text;
   const chatId = ctx.chat.id;
 
   await ctx.replyWithChatAction('typing');
 
   try {
-    // 1. Fetch event context (IDs and then details - unchanged)
+    // 1. Fetch event context (IDs and then details), served from the per-org cache when fresh
     let eventContext = [];
     let eventIds = [];
     try {
-      const eventsResult = await lumaClient.listEvents(encryptedApiKey, {});
+      const eventsResult = await lumaCache.listAllEvents(org, {});
       if (eventsResult?.entries) {
         eventIds = eventsResult.entries.map(e => e.api_id).filter(id => !!id);
       }
       console.log(`Fetched ${eventIds.length} event IDs.`);
     } catch (eventListError) {
       console.error("Failed to fetch event ID list:", eventListError);
-      return ctx.replyWithMarkdownV2(escapeMarkdownV2('Sorry, I couldn\'t fetch the list of events needed to understand your request.'));
+      throw eventListError; // The error middleware explains the Luma failure to the user
     }
     if (eventIds.length > 0) {
       console.log(`Fetching details for ${eventIds.length} events...`);
       const eventDetailPromises = eventIds.map(id =>
-        lumaClient.getEvent(encryptedApiKey, id).catch(err => {
+        lumaCache.getEvent(org, id).catch(err => {
           console.error(`Failed to fetch details for event ${id}:`, err);
           return null;
         })
@@ -70,11 +76,16 @@ const messageHandler = async (ctx) => {
     } else {
       console.log("No event IDs found to fetch details for.");
     }
-    console.log('Context being passed to Gemini service:', JSON.stringify({ events: eventContext }, null, 2));
+    console.log('Context being passed to the NLP service:', JSON.stringify({ events: eventContext }, null, 2));
     console.log("User text being passed to resolveQuery:", userText);
 
-    // 2. Call the primary resolver function
-    const resolveResult = await resolveQuery(userText, { events: eventContext });
+    // 2. Call the primary resolver function, with this chat's recent history and current event (/use) for follow-ups
+    const conversation = getChatConversation(chatId, org.id);
+    const { turns, toolResults } = await conversation.getHistory();
+    const { activeEventId } = ctx.state;
+    const activeEvent = activeEventId ? (eventContext.find(event => event.api_id === activeEventId) || { api_id: activeEventId }) : null;
+    const resolveResult = await resolveQuery(userText, { events: eventContext, history: turns, toolResults, org, activeEvent });
+    await conversation.addMessage(userText, 'user', ctx.from?.id);
 
     let rawResponseText = ""; // Text before post-processing
 
@@ -83,49 +94,47 @@ const messageHandler = async (ctx) => {
         console.log("Handler: Received TOOL_CALL instruction:", resolveResult);
         await ctx.replyWithChatAction('typing');
         const { tool, params } = resolveResult;
+        const toolDefinition = toolRegistry.getTool(tool);
+        const role = ctx.state.role || 'viewer';
+
+        // Check the requester's role before asking for confirmation or touching Luma
+        if (toolDefinition && !hasRole(role, toolDefinition.requiredRole)) {
+            await logDenial(auditContextFromCtx(ctx), {
+                telegramUserId: ctx.from?.id, role, requiredRole: toolDefinition.requiredRole, toolName: tool,
+            });
+            const replyText = `Sorry, that needs the ${toolDefinition.requiredRole} role and you are ${role}. Ask an admin to /grant you access.`;
+            await conversation.addMessage(replyText, 'bot');
+            return ctx.reply(replyText);
+        }
 
-        try {
-            let rawData = null;
-            let actionResultText = null;
-
-            switch (tool) {
-                case 'getGuests':
-                    if (!params.event_id) throw new Error('Missing event_id for getGuests tool call.');
-                    console.log(`Tool Call: Executing getGuests for event ${params.event_id} with filter ${params.status_filter}`);
-                    rawData = await lumaClient.getGuests(encryptedApiKey, params.event_id, { approval_status: params.status_filter });
-                    break;
-                case 'getEvent':
-                    if (!params.event_id) throw new Error('Missing event_id for getEvent tool call.');
-                    console.log(`Tool Call: Executing getEvent for event ${params.event_id}`);
-                    rawData = await lumaClient.getEvent(encryptedApiKey, params.event_id);
-                    break;
-                case 'updateGuestStatus':
-                    if (!params.event_id || !params.guest_email || !params.new_status) throw new Error('Missing required parameters for updateGuestStatus');
-                    if (params.new_status !== 'approved' && params.new_status !== 'declined') throw new Error(`Invalid new_status '${params.new_status}'`);
-                    console.log(`Tool Call: Executing updateGuestStatus for event ${params.event_id}, guest ${params.guest_email} to ${params.new_status}`);
-                    const updateResult = await lumaClient.updateGuestStatus(encryptedApiKey, params.event_id, params.guest_email, params.new_status);
-                    console.log("updateGuestStatus API Result:", updateResult);
-                    // Create a simple success message - post-processing will refine tone
-                    actionResultText = `Okay, I've updated the status for guest ${params.guest_email} to ${params.new_status} for event ${params.event_id}.`;
-                    break;
-                default:
-                    console.warn(`Unknown tool requested by resolveQuery: ${tool}`);
-                    actionResultText = `Sorry, I received a request for an unknown action ('${tool}').`;
-                    break;
-            }
+        // Mutating actions never run straight from free text: ask the requester to confirm first
+        if (toolDefinition?.mutating) {
+            const summary = await toolRegistry.describeToolCall(tool, params, { events: eventContext, org, chatId: ctx.chat.id });
+            await conversation.addMessage(`Asked for confirmation: ${summary}`, 'bot');
+            return requestConfirmation(ctx, tool, params, summary);
+        }
 
-            // Format data if needed, otherwise use action result text
-            if (rawData !== null) {
-                 console.log(`Tool Call Result (${tool}):`, JSON.stringify(rawData, null, 2));
-                 rawResponseText = await formatDataWithGemini(rawData, userText); // Format the data from the tool call
-            } else if (actionResultText !== null) {
-                rawResponseText = actionResultText;
+        try {
+            const toolResult = await toolRegistry.executeTool(tool, params, {
+                org,
+                ctx,
+                auditContext: auditContextFromCtx(ctx),
+                role,
+            });
+
+            // Format data if needed, otherwise use the tool's ready-made message
+            if (toolResult.data !== undefined && toolResult.data !== null) {
+                 console.log(`Tool Call Result (${tool}): ${JSON.stringify(toolResult.data).length} chars of data`);
+                 await conversation.addToolResult(tool, params, toolResult.data);
+                 rawResponseText = await formatDataWithGemini(toolResult.data, userText, org); // Format the data from the tool call
+            } else if (toolResult.message) {
+                rawResponseText = toolResult.message;
             }
 
         } catch (toolError) {
             console.error(`Error executing tool ${tool}:`, toolError);
-            // Use a simple error message, let post-processing refine tone
-            rawResponseText = `Sorry, I encountered an error trying to ${tool}: ${toolError.message}`;
+            // Use the same friendly mapping as the error middleware, let post-processing refine tone
+            rawResponseText = `Sorry, I couldn't complete ${tool}. ${userMessageForError(toolError)}`;
         }
     } else if (typeof resolveResult === 'string') {
         // It's a direct answer from resolveQuery
@@ -140,15 +149,17 @@ const messageHandler = async (ctx) => {
     console.log("Response Text (Pre-Processing):", rawResponseText);
 
     // 4. Post-process the response for cleanup and natural tone
-    const finalResponseText = await postProcessResponse(rawResponseText);
+    const finalResponseText = await postProcessResponse(rawResponseText, org);
     console.log("Final Response Text (Post-Processing):", finalResponseText);
 
-    // 5. Reply with the final, processed response text
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2(finalResponseText || "Sorry, I couldn't generate a response."));
+    // 5. Remember the reply, then send the final, processed response text
+    const replyText = finalResponseText || "Sorry, I couldn't generate a response.";
+    await conversation.addMessage(replyText, 'bot');
+    return ctx.replyWithMarkdownV2(escapeMarkdownV2(replyText));
 
   } catch (error) {
     console.error('Error in messageHandler:', error);
-    return ctx.replyWithMarkdownV2(escapeMarkdownV2('Sorry, something went wrong while processing your request.'));
+    throw error; // Handled by the error middleware
   }
 };
 
@@ -0,0 +1,23 @@
+const pendingInputService = require('../../core/services/pendingInputService');
+const { repliedBotMessageId } = require('../utils/reply');
+const { answerEventWizard } = require('./eventWizardHandler');
+const { answerInvitePaste } = require('./inviteHandler');
+
+/**
+ * Hands replies to the bot's forced-reply prompts to what asked: the /newevent wizard or an
+ * /invite paste request. Anything that isn't such a reply is passed on without a lookup.
+ */
+const promptReplyHandler = async (ctx, next) => {
+  const text = ctx.message?.text;
+  const promptMessageId = repliedBotMessageId(ctx);
+  if (!text || text.startsWith('/') || !promptMessageId) return next();
+
+  const pending = await pendingInputService.findPendingInput(ctx.chat.id, ctx.from.id, promptMessageId);
+  if (pending?.draft) return answerEventWizard(ctx, pending.draft, next);
+  if (pending?.paste) return answerInvitePaste(ctx, pending.paste, next);
+  return next();
+};
+
+module.exports = {
+  promptReplyHandler,
+};
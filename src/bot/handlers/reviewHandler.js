@@ -0,0 +1,228 @@
+const { Markup } = require('telegraf');
+const prisma = require('../../core/db/prisma');
+const lumaCache = require('../../core/luma/cachedClient');
+const guestService = require('../../core/services/guestService');
+const vipScoringService = require('../../core/services/vipScoringService');
+const reviewService = require('../../core/services/reviewService');
+const permissionService = require('../../core/services/permissionService');
+const { auditContextFromCtx } = require('../../core/services/auditService');
+const { userMessageForError } = require('../middleware/errorHandler');
+const { MAX_MESSAGE_LENGTH } = require('../utils/reply');
+
+// Callback data: 'review:<action>:<sessionId>'
+const REVIEW_ACTION_PATTERN = /^review:(approve|decline|refund|skip):(.+)$/;
+// Registration answers shown on a card, and the longest answer shown in full
+const MAX_ANSWERS = 15;
+const MAX_ANSWER_LENGTH = 200;
+// Starts the line added to a card when moving on to the next guest failed
+const ERROR_MARKER = '⚠️';
+
+const DECISION_LABELS = {
+  approved: 'approved',
+  declined: 'declined',
+  declined_refunded: 'declined and refunded',
+  skipped: 'skipped',
+  failed: 'could not update',
+};
+
+const reviewKeyboard = (sessionId) => Markup.inlineKeyboard([
+  [
+    Markup.button.callback('✅ Approve', `review:approve:${sessionId}`),
+    Markup.button.callback('✖️ Decline', `review:decline:${sessionId}`),
+  ],
+  [
+    Markup.button.callback('⏭ Skip', `review:skip:${sessionId}`),
+    Markup.button.callback('💸 Decline + Refund', `review:refund:${sessionId}`),
+  ],
+]);
+
+/**
+ * Finds the next pending guest the session hasn't decided on or skipped, with its VIP score.
+ * @param {object} org - The Org record.
+ * @param {object} session - The ReviewSession row.
+ * @returns {Promise<{ guest: object, scoring: object, remaining: number }|null>} - null when the queue is empty.
+ */
+async function loadNextGuest(org, session) {
+  const [result, decided] = await Promise.all([
+    guestService.getEventGuests(org.lumaApiKeyEncrypted, session.eventApiId, { approval_status: 'pending_approval' }),
+    reviewService.decidedEmails(session.id),
+  ]);
+  const pending = (result?.entries || [])
+    .map((entry) => entry.guest || entry)
+    .filter((guest) => guest.email && !decided.has(guest.email));
+  if (pending.length === 0) return null;
+
+  const [scoring] = await vipScoringService.scoreGuests(org, session.eventApiId, [pending[0]]);
+  return { guest: pending[0], scoring, remaining: pending.length };
+}
+
+/**
+ * Builds the text of a guest card.
+ * @param {string} eventName
+ * @param {{ guest: object, scoring: object, remaining: number }} next - From loadNextGuest.
+ * @param {string|null} lastLine - What happened to the previous guest, if anything.
+ * @returns {string}
+ */
+function renderCard(eventName, { guest, scoring, remaining }, lastLine) {
+  const lines = [`Reviewing "${eventName}" - ${remaining} pending`, ''];
+  lines.push(`👤 ${guest.name || 'N/A'}`);
+  lines.push(`✉️ ${guest.email}`);
+  const registeredAt = guest.registered_at || guest.created_at;
+  if (registeredAt) lines.push(`🕒 Registered ${new Date(registeredAt).toUTCString()}`);
+  const reasons = vipScoringService.summariseBreakdown(scoring.breakdown);
+  lines.push(`${scoring.vip ? '⭐' : '☆'} VIP score: ${scoring.score}${reasons ? ` (${reasons})` : ''}`);
+
+  const answers = (guest.registration_answers || []).filter((answer) => (answer.answer ?? answer.value) !== undefined);
+  if (answers.length > 0) {
+    lines.push('', 'Registration answers:');
+    answers.slice(0, MAX_ANSWERS).forEach((answer) => {
+      const raw = answer.answer ?? answer.value;
+      const text = String(Array.isArray(raw) ? raw.join(', ') : raw);
+      lines.push(`- ${answer.label || answer.question || 'Question'}: ${text.length > MAX_ANSWER_LENGTH ? `${text.slice(0, MAX_ANSWER_LENGTH - 1)}…` : text}`);
+    });
+    if (answers.length > MAX_ANSWERS) lines.push(`...and ${answers.length - MAX_ANSWERS} more`);
+  }
+
+  if (lastLine) lines.push('', lastLine);
+  const card = lines.join('\n');
+  return card.length > MAX_MESSAGE_LENGTH ? `${card.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : card;
+}
+
+/**
+ * Builds the closing summary of a session.
+ * @param {string} eventName
+ * @param {string} sessionId
+ * @param {string|null} lastLine
+ * @returns {Promise<string>}
+ */
+async function renderSummary(eventName, sessionId, lastLine) {
+  const { counts, byPerson } = await reviewService.summarizeSession(sessionId);
+  const lines = [`Review of "${eventName}" finished.`];
+  if (lastLine) lines.push(lastLine);
+  const tally = Object.entries(counts).map(([decision, count]) => `${DECISION_LABELS[decision] || decision}: ${count}`);
+  lines.push('', tally.length > 0 ? tally.join(', ') : 'No decisions were made.');
+  const people = Object.entries(byPerson).map(([name, count]) => `${name} (${count})`);
+  if (people.length > 0) lines.push(`Decided by: ${people.join(', ')}`);
+  if (counts.skipped || counts.failed) lines.push('Skipped guests are still pending. Run /review again to revisit them.');
+  return lines.join('\n');
+}
+
+/**
+ * Starts a review in the current chat and posts the first card.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @param {string} eventApiId - The event to review.
+ * @returns {Promise<void>}
+ */
+async function startReview(ctx, eventApiId) {
+  const { org } = ctx.state;
+  const session = await reviewService.createSession({ orgId: org.id, chatId: ctx.chat.id, startedBy: ctx.from.id, eventApiId });
+  const [next, { name: eventName }] = await Promise.all([loadNextGuest(org, session), lumaCache.getEventSummary(org, eventApiId)]);
+
+  if (!next) {
+    await reviewService.finishSession(session.id);
+    return ctx.reply(`No pending guests to review for "${eventName}".`);
+  }
+
+  const message = await ctx.reply(renderCard(eventName, next, null), reviewKeyboard(session.id));
+  await reviewService.setCurrentGuest(session.id, next.guest.email, message.message_id);
+  console.log(`Review ${session.id} started for event ${eventApiId} by user ${ctx.from.id}`);
+}
+
+/**
+ * Handles the card's buttons: applies the decision to the guest on the card, records who
+ * made it, then edits the card to show the next pending guest (or the summary).
+ * Any approver in the chat may act; a guest can only be decided once.
+ */
+const reviewCallbackHandler = async (ctx) => {
+  const [, action, id] = ctx.match;
+  const session = await reviewService.getSession(id);
+  if (!session) return ctx.answerCbQuery('This review no longer exists.');
+  if (session.status !== 'active') return ctx.answerCbQuery('This review is already finished.');
+
+  const org = await prisma.org.findUnique({ where: { id: session.orgId } });
+  if (!org) return ctx.answerCbQuery('This review no longer exists.');
+  ctx.state.org = org;
+  ctx.state.encryptedApiKey = org.lumaApiKeyEncrypted;
+  const auditContext = auditContextFromCtx(ctx);
+
+  const role = await permissionService.getUserRole(org.id, ctx.from.id);
+  if (!permissionService.hasRole(role, 'approver')) {
+    await permissionService.logDenial(auditContext, { telegramUserId: ctx.from.id, role, requiredRole: 'approver', command: `review:${action}` });
+    return ctx.answerCbQuery(`Reviewing guests needs the approver role; you are ${role}.`, { show_alert: true });
+  }
+
+  const guestEmail = session.currentEmail;
+  if (!guestEmail || !(await reviewService.claimCurrentGuest(id, guestEmail))) {
+    return ctx.answerCbQuery('Someone else is already handling this guest.');
+  }
+  await ctx.answerCbQuery(action === 'skip' ? 'Skipped.' : 'Working on it...');
+
+  try {
+    await decideAndAdvance(ctx, org, session, action, guestEmail, auditContext);
+  } catch (error) {
+    // Hand the guest back so the card's buttons keep working; a guest already decided is
+    // just moved past on the next tap (see decideAndAdvance)
+    console.error(`Review ${id}: moving on from ${guestEmail} failed:`, error);
+    await reviewService.setCurrentGuest(id, guestEmail);
+    const card = (ctx.callbackQuery?.message?.text || '').split(`\n\n${ERROR_MARKER}`)[0];
+    await ctx.editMessageText(`${card}\n\n${ERROR_MARKER} ${userMessageForError(error)} Tap a button to try again.`, reviewKeyboard(id))
+      .catch((editError) => console.error(`Review ${id}: could not show the error on the card:`, editError.message));
+  }
+};
+
+/**
+ * Applies the decision to the claimed guest and records it (unless an earlier tap already
+ * did), then edits the card to show the next pending guest or the summary.
+ * @param {import('telegraf').Context} ctx
+ * @param {object} org - The Org record.
+ * @param {object} session - The ReviewSession row.
+ * @param {string} action - 'approve', 'decline', 'refund' or 'skip'.
+ * @param {string} guestEmail - The claimed guest.
+ * @param {object} auditContext
+ * @returns {Promise<void>}
+ */
+async function decideAndAdvance(ctx, org, session, action, guestEmail, auditContext) {
+  const { id } = session;
+  let lastLine;
+  if ((await reviewService.decidedEmails(id)).has(guestEmail)) {
+    lastLine = `Moved on from ${guestEmail}, which was already decided.`;
+  } else {
+    let decision;
+    try {
+      if (action === 'approve') {
+        await guestService.approveGuest(org.lumaApiKeyEncrypted, session.eventApiId, guestEmail, auditContext);
+        decision = 'approved';
+      } else if (action === 'decline' || action === 'refund') {
+        const shouldRefund = action === 'refund';
+        await guestService.rejectGuest(org.lumaApiKeyEncrypted, session.eventApiId, guestEmail, auditContext, { shouldRefund });
+        decision = shouldRefund ? 'declined_refunded' : 'declined';
+      } else {
+        decision = 'skipped';
+      }
+    } catch (error) {
+      console.error(`Review ${id}: ${action} failed for ${guestEmail}:`, error);
+      decision = 'failed';
+      lastLine = `Could not update ${guestEmail}: ${userMessageForError(error)}`;
+    }
+
+    const decidedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name || String(ctx.from.id);
+    await reviewService.recordDecision(session, guestEmail, decision, ctx.from);
+    lastLine = lastLine || `Last: ${decidedBy} ${DECISION_LABELS[decision]} ${guestEmail}`;
+  }
+
+  const [next, { name: eventName }] = await Promise.all([loadNextGuest(org, session), lumaCache.getEventSummary(org, session.eventApiId)]);
+  if (!next) {
+    await reviewService.finishSession(id);
+    await ctx.editMessageText(await renderSummary(eventName, id, lastLine));
+    return;
+  }
+
+  await reviewService.setCurrentGuest(id, next.guest.email);
+  await ctx.editMessageText(renderCard(eventName, next, lastLine), reviewKeyboard(id));
+}
+
+module.exports = {
+  REVIEW_ACTION_PATTERN,
+  startReview,
+  reviewCallbackHandler,
+};
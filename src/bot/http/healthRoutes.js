@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const { renderMetrics } = require('../../lib/metrics');
+const { inFlightUpdates } = require('../middleware/updateTracker');
+
+// A database check slower than this counts as down
+const DB_CHECK_TIMEOUT_MS = 2000;
+
+const checkDatabase = () => Promise.race([
+  prisma.$queryRaw`SELECT 1`.then(() => 'ok'),
+  new Promise((resolve) => setTimeout(() => resolve('timeout'), DB_CHECK_TIMEOUT_MS).unref()),
+]).catch(() => 'error');
+
+const bearerMatches = (header, token) => {
+  const received = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Adds GET /health (503 while draining or when the database is unreachable, for load
+ * balancer checks) and GET /metrics (Prometheus text) to the shared HTTP server.
+ * @param {ReturnType<import('../../lib/httpServer').createHttpServer>} httpServer
+ * @param {{ mode: string, isDraining: () => boolean }} options
+ */
+function registerHealthRoutes(httpServer, { mode, isDraining }) {
+  httpServer.route('GET', '/health', async () => {
+    const database = await checkDatabase();
+    const draining = isDraining();
+    const healthy = database === 'ok' && !draining;
+    return {
+      status: healthy ? 200 : 503,
+      body: {
+        status: healthy ? 'ok' : draining ? 'draining' : 'degraded',
+        mode,
+        database,
+        inFlightUpdates: inFlightUpdates(),
+        uptimeSeconds: Math.round(process.uptime()),
+      },
+    };
+  });
+
+  httpServer.route('GET', '/metrics', async ({ req }) => {
+    if (config.http.metricsToken && !bearerMatches(req.headers.authorization, config.http.metricsToken)) {
+      return { status: 401, body: 'Unauthorized' };
+    }
+    return { status: 200, body: renderMetrics(), headers: { 'Content-Type': 'text/plain; version=0.0.4' } };
+  });
+}
+
+module.exports = {
+  registerHealthRoutes,
+};
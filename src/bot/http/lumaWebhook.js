@@ -0,0 +1,142 @@
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const lumaCache = require('../../core/luma/cachedClient');
+const lumaWebhookService = require('../../core/services/lumaWebhookService');
+const metrics = require('../../lib/metrics');
+
+const deliveriesTotal = metrics.counter('luma_webhook_deliveries_total', 'Luma webhook deliveries, by outcome.');
+
+const STATUS_LABELS = {
+  approved: 'approved',
+  declined: 'declined',
+  pending_approval: 'pending approval',
+  waitlist: 'on the waitlist',
+  invited: 'invited',
+};
+
+const guestLabel = (guest) => (guest?.name && guest?.email ? `${guest.name} (${guest.email})` : guest?.email || guest?.name || 'A guest');
+
+const eventNameFor = async (org, delivery) => {
+  if (delivery.event?.name) return delivery.event.name;
+  if (!delivery.eventApiId) return 'an event';
+  return (await lumaCache.getEventSummary(org, delivery.eventApiId)).name;
+};
+
+/**
+ * Builds the group notification for a delivery.
+ * @param {object} org - The Org record.
+ * @param {ReturnType<typeof lumaWebhookService.normalizeDelivery>} delivery
+ * @returns {Promise<string|null>} - null for deliveries groups aren't told about.
+ */
+async function notificationFor(org, delivery) {
+  const { kind, guest } = delivery;
+  if (kind === 'other') return null;
+  const eventName = await eventNameFor(org, delivery);
+  const status = STATUS_LABELS[guest?.approval_status] || guest?.approval_status;
+
+  if (kind === 'guest_registered') {
+    return `🆕 New registration for "${eventName}": ${guestLabel(guest)}${status ? ` - ${status}` : ''}`;
+  }
+  if (kind === 'guest_updated') {
+    return status ? `🔄 ${guestLabel(guest)} is now ${status} for "${eventName}"` : `🔄 ${guestLabel(guest)} was updated for "${eventName}"`;
+  }
+  return `✏️ "${eventName}" was ${delivery.type.endsWith('created') ? 'created' : delivery.type.includes('cancel') ? 'cancelled' : 'updated'} on Luma`;
+}
+
+/**
+ * Posts a notification to the org's linked groups that have live updates on.
+ * One group failing doesn't stop the others.
+ * @param {import('telegraf').Telegram} telegram
+ * @param {string} orgId
+ * @param {string} text
+ * @returns {Promise<number>} - Groups notified.
+ */
+async function fanOut(telegram, orgId, text) {
+  const groups = await prisma.group.findMany({ where: { orgId, liveUpdatesEnabled: true } });
+  let sent = 0;
+  for (const group of groups) {
+    try {
+      await telegram.sendMessage(String(group.id), text);
+      sent++;
+    } catch (error) {
+      console.error(`Luma webhook: could not notify group ${group.id}:`, error.message);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Handles one Luma webhook delivery: verifies the signature with the org's signing secret, stores it once, invalidates
+ * cached Luma data and notifies the org's groups. Used by the HTTP route and the replay tool.
+ * @param {object} request
+ * @param {string} request.orgId - From the delivery URL.
+ * @param {Buffer} request.rawBody - Body exactly as received.
+ * @param {object} request.headers - Lower-cased request headers.
+ * @param {{ telegram: import('telegraf').Telegram }} context
+ * @returns {Promise<{ status: number, body: object|string }>}
+ */
+async function handleLumaDelivery({ orgId, rawBody, headers }, { telegram }) {
+  const org = await prisma.org.findUnique({ where: { id: orgId } });
+  if (!org) return { status: 404, body: 'Unknown org.' };
+  const secret = lumaWebhookService.signingSecretFor(org);
+  if (!secret) {
+    deliveriesTotal.inc({ result: 'not_configured' });
+    return { status: 503, body: 'Luma webhooks are not configured for this org.' };
+  }
+  if (!lumaWebhookService.verifySignature(rawBody, headers[config.lumaWebhooks.signatureHeader], secret)) {
+    console.warn(`Luma webhook for org ${orgId} rejected: bad or missing signature.`);
+    deliveriesTotal.inc({ result: 'bad_signature' });
+    return { status: 401, body: 'Invalid signature.' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return { status: 400, body: 'Body is not valid JSON.' };
+  }
+
+  const delivery = lumaWebhookService.normalizeDelivery(payload);
+  const deliveryId = lumaWebhookService.deliveryIdFor(payload, headers['x-luma-delivery-id'] || headers['webhook-id'], rawBody);
+  const { record, duplicate } = await lumaWebhookService.recordDelivery({
+    orgId, deliveryId, type: delivery.type, eventApiId: delivery.eventApiId, payload,
+  });
+  if (duplicate) {
+    console.log(`Luma webhook ${deliveryId} already processed; ignoring.`);
+    deliveriesTotal.inc({ result: 'duplicate' });
+    return { status: 200, body: { ok: true, duplicate: true } };
+  }
+
+  try {
+    await lumaWebhookService.invalidateCacheFor(orgId, delivery);
+    const text = await notificationFor(org, delivery);
+    const notified = text ? await fanOut(telegram, orgId, text) : 0;
+    if (!(await lumaWebhookService.finishDelivery(record))) {
+      console.warn(`Luma webhook ${deliveryId} was taken again by a retry before it finished here.`);
+    }
+    console.log(`Luma webhook ${deliveryId} (${delivery.type}) for org ${orgId} processed, ${notified} group(s) notified.`);
+    deliveriesTotal.inc({ result: 'processed' });
+    return { status: 200, body: { ok: true } };
+  } catch (error) {
+    console.error(`Luma webhook ${deliveryId} failed:`, error);
+    await lumaWebhookService.finishDelivery(record, error);
+    deliveriesTotal.inc({ result: 'failed' });
+    // Non-2xx makes Luma retry; the stored delivery is taken again then
+    return { status: 500, body: 'Processing failed.' };
+  }
+}
+
+/**
+ * Adds the Luma webhook route to the shared HTTP server.
+ * @param {ReturnType<import('../../lib/httpServer').createHttpServer>} httpServer
+ * @param {{ telegram: import('telegraf').Telegram }} context
+ */
+function registerLumaWebhookRoute(httpServer, context) {
+  httpServer.route('POST', '/webhooks/luma/:orgId', ({ req, rawBody, params }) => handleLumaDelivery({ orgId: params.orgId, rawBody, headers: req.headers }, context));
+}
+
+module.exports = {
+  notificationFor,
+  handleLumaDelivery,
+  registerLumaWebhookRoute,
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const config = require('../../config/config.js');
+
+// Telegram only accepts these characters in a webhook secret token
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+const secretMatches = (received, expected) => {
+  const a = Buffer.from(String(received || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Checks the webhook settings before anything is started.
+ * @returns {string|null} - What is wrong, or null when webhook mode can start.
+ */
+function webhookConfigError() {
+  const { webhookUrl, webhookPath, webhookSecret } = config.telegram;
+  if (!webhookUrl || !/^https:\/\//.test(webhookUrl)) return 'TELEGRAM_WEBHOOK_URL must be set to the public https:// base URL of the bot.';
+  if (!webhookPath.startsWith('/')) return 'TELEGRAM_WEBHOOK_PATH must start with /.';
+  // Without a secret anyone who finds the URL could post forged updates
+  if (!webhookSecret) return 'TELEGRAM_WEBHOOK_SECRET must be set in webhook mode.';
+  if (!SECRET_TOKEN_PATTERN.test(webhookSecret)) return 'TELEGRAM_WEBHOOK_SECRET may only contain letters, digits, _ and - (up to 256 characters).';
+  return null;
+}
+
+/**
+ * Adds the route Telegram posts updates to. Updates without the secret token are refused
+ * with 401, and all updates with 503 while the bot is draining, so Telegram keeps them and redelivers to the next instance.
+ * @param {ReturnType<import('../../lib/httpServer').createHttpServer>} httpServer
+ * @param {import('telegraf').Telegraf} bot
+ * @param {{ isAccepting: () => boolean }} options
+ */
+function registerTelegramWebhookRoute(httpServer, bot, { isAccepting }) {
+  const { webhookPath, webhookSecret } = config.telegram;
+  httpServer.route('POST', webhookPath, async ({ req, rawBody }) => {
+    if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'], webhookSecret)) {
+      console.warn('Telegram webhook rejected: bad or missing secret token.');
+      return { status: 401, body: 'Invalid secret token.' };
+    }
+    if (!isAccepting()) {
+      return { status: 503, body: 'Shutting down.', headers: { 'Retry-After': '5' } };
+    }
+
+    let update;
+    try {
+      update = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return { status: 400, body: 'Body is not valid JSON.' };
+    }
+
+    try {
+      await bot.handleUpdate(update);
+    } catch (error) {
+      // bot.catch already replied and logged; a non-2xx would only make Telegram redeliver the same update
+      console.error(`Error handling webhook update ${update.update_id}:`, error);
+    }
+    return { status: 200, body: 'OK' };
+  });
+}
+
+/**
+ * Points Telegram at this instance's webhook URL.
+ * @param {import('telegraf').Telegraf} bot
+ * @returns {Promise<string>} - The webhook URL set.
+ */
+async function setTelegramWebhook(bot) {
+  const url = `${config.telegram.webhookUrl.replace(/\/$/, '')}${config.telegram.webhookPath}`;
+  await bot.telegram.setWebhook(url, { secret_token: config.telegram.webhookSecret });
+  console.log(`Telegram webhook set to ${url}`);
+  return url;
+}
+
+/**
+ * Removes the webhook (pending updates stay queued at Telegram). Failures are logged, not thrown,
+ * since this runs during shutdown.
+ * @param {import('telegraf').Telegraf} bot
+ * @returns {Promise<void>}
+ */
+async function deleteTelegramWebhook(bot) {
+  try {
+    await bot.telegram.deleteWebhook();
+    console.log('Telegram webhook deleted.');
+  } catch (error) {
+    console.error('Failed to delete Telegram webhook:', error.message);
+  }
+}
+
+module.exports = {
+  webhookConfigError,
+  registerTelegramWebhookRoute,
+  setTelegramWebhook,
+  deleteTelegramWebhook,
+};
@@ -2,13 +2,30 @@ const { Telegraf } = require('telegraf');
 const config = require('../config/config.js');
 const geminiService = require('../core/nlp/geminiService');
 const axios = require('axios');
-const lumaService = require('../services/lumaService.js');
+const { errorHandler } = require('./middleware/errorHandler');
+const { requireLink } = require('./middleware/auth');
+const { messageHandler, shouldRespond } = require('./handlers/messageHandler');
+const { CONFIRMATION_ACTION_PATTERN, confirmationCallbackHandler } = require('./handlers/confirmationHandler');
+const { REVIEW_ACTION_PATTERN, reviewCallbackHandler } = require('./handlers/reviewHandler');
+const { CHECKIN_ACTION_PATTERN, doorModeHandler, checkinCallbackHandler } = require('./handlers/checkinHandler');
+const { promptReplyHandler } = require('./handlers/promptReplyHandler');
+const { loadCommands, registerCommands, publishCommands } = require('./commandLoader');
+const { startScheduler, stopScheduler } = require('../core/scheduler');
+// Registers the scheduled job handlers
+require('./jobs/dailyDigest');
+const { ensurePendingNudgesJob } = require('./jobs/pendingNudges');
+const { ensureCheckinReconcileJob } = require('./jobs/checkinReconcile');
+const { createHttpServer } = require('../lib/httpServer');
+const { registerLumaWebhookRoute } = require('./http/lumaWebhook');
+const { registerHealthRoutes } = require('./http/healthRoutes');
+const { webhookConfigError, registerTelegramWebhookRoute, setTelegramWebhook, deleteTelegramWebhook } = require('./http/telegramWebhook');
+const { updateTracker, inFlightUpdates, waitForIdle } = require('./middleware/updateTracker');
 
 console.log('=== Bot Initialization ===');
 console.log('Starting with configuration:');
 console.log('- BOT_TOKEN exists:', !!config.telegram.token);
 console.log('- GEMINI_API_KEY exists:', !!config.gemini.apiKey);
-console.log('- Gemini service initialized:', geminiService.isInitialized());
+console.log(`- LLM provider (${config.llm.provider}) initialized:`, geminiService.isInitialized());
 
 // Test token directly with Telegram API
 async function verifyBotToken(token) {
@@ -28,10 +45,21 @@ if (!config.telegram.token) {
   console.error('Error: BOT_TOKEN is not defined in environment variables.');
   process.exit(1);
 }
+const webhookMode = config.telegram.mode === 'webhook';
+if (webhookMode && webhookConfigError()) {
+  console.error(`Error: ${webhookConfigError()}`);
+  process.exit(1);
+}
 
 // Initialize the bot
 const bot = new Telegraf(config.telegram.token);
 
+// Count and time updates, and track those in progress so shutdown can drain them
+bot.use(updateTracker);
+
+// Map thrown errors to friendly, escaped replies and audit entries (must run before the handlers)
+bot.use(errorHandler);
+
 // Middleware for basic logging
 bot.use(async (ctx, next) => {
   const startTime = Date.now();
@@ -41,113 +69,100 @@ bot.use(async (ctx, next) => {
   console.log(`Response time for ${ctx.updateType}: ${ms}ms`);
 });
 
-// Basic commands
-bot.start((ctx) => {
-  console.log('Start command received');
-  return ctx.reply(`Hello! I am Sonic Events Bot. I can help you manage your Luma events. Gemini service initialized: ${geminiService.isInitialized()}`);
-});
+// Slash commands: discovered from src/bot/commands, each with its declared middleware, plus a generated /help
+const commands = loadCommands();
+registerCommands(bot, commands);
 
-bot.help((ctx) => {
-  console.log('Help command received');
-  return ctx.reply(
-    'I can help you manage Luma events.\n\n' +
-    'Use these commands:\n' +
-    '/start - Start the bot\n' +
-    '/help - Show this help message\n' +
-    `/status - Check bot status`
-  );
-});
+// Replies to the bot's forced-reply prompts: /newevent answers and /invite guest lists
+bot.on('text', promptReplyHandler);
 
-// Status command to check integrations
-bot.command('status', (ctx) => {
-  console.log('Status command received');
-  return ctx.reply(
-    `Bot Status:\n` +
-    `- BOT_TOKEN: ${!!config.telegram.token ? '✅' : '❌'}\n` +
-    `- GEMINI_API_KEY: ${!!config.gemini.apiKey ? '✅' : '❌'}\n` +
-    `- Gemini Service: ${geminiService.isInitialized() ? '✅' : '❌'}`
-  );
-});
+// Door mode (/checkin): QR photos, emails and names sent in the chat check guests in
+bot.on(['text', 'photo'], doorModeHandler);
 
-// Simple text response using Gemini
-bot.on('text', async (ctx) => {
-  console.log('Text message received:', ctx.message.text);
-  try {
-    await ctx.reply('Thinking...');
-    
-    if (!geminiService.isInitialized()) {
-      return ctx.reply('⚠️ Gemini service is not initialized. Check API key configuration.');
-    }
+// Natural-language requests: resolve intent with the LLM, call Luma tools, format the reply
+bot.on('text', shouldRespond, requireLink, messageHandler);
 
-    // Check if the message is about pending guests
-    if (ctx.message.text.toLowerCase().includes('pending') && ctx.message.text.toLowerCase().includes('list')) {
-      const eventName = ctx.message.text.match(/for\s+(.*?)(?:\s+event)?$/i)?.[1];
-      if (eventName) {
-        try {
-          const { event, count } = await lumaService.getPendingGuests(eventName);
-          return ctx.reply(`There are ${count} pending guests for ${event.name}.`);
-        } catch (error) {
-          console.error('Error getting pending guests:', error);
-          return ctx.reply(`Sorry, I couldn't get the pending guest list: ${error.message}`);
-        }
-      }
-    }
+// Confirm/Cancel buttons for mutating actions requested in natural language
+bot.action(CONFIRMATION_ACTION_PATTERN, confirmationCallbackHandler);
 
-    // Check if the message is about approved guests
-    if (ctx.message.text.toLowerCase().includes('approved') && ctx.message.text.toLowerCase().includes('list')) {
-      const eventName = ctx.message.text.match(/for\s+(.*?)(?:\s+event)?$/i)?.[1];
-      if (eventName) {
-        try {
-          const { event, count } = await lumaService.getApprovedGuests(eventName);
-          return ctx.reply(`There are ${count} approved guests for ${event.name}.`);
-        } catch (error) {
-          console.error('Error getting approved guests:', error);
-          return ctx.reply(`Sorry, I couldn't get the approved guest list: ${error.message}`);
-        }
-      }
-    }
-    
-    // For other queries, use Gemini
-    const prompt = `You are a helpful assistant for a Telegram bot. The user sent this message: "${ctx.message.text}". Respond in a friendly and concise way.`;
-    const response = await geminiService.generateResponse(prompt);
-    return ctx.reply(response);
-  } catch (error) {
-    console.error('Error processing message:', error);
-    return ctx.reply(`Sorry, I encountered an error processing your message: ${error.message}`);
-  }
-});
+// Approve/Decline/Skip/Refund buttons on /review guest cards
+bot.action(REVIEW_ACTION_PATTERN, reviewCallbackHandler);
 
-// Generic error handler
+// Guest picked from the candidates for an ambiguous name in door mode
+bot.action(CHECKIN_ACTION_PATTERN, checkinCallbackHandler);
+
+// Last-resort error handler for anything the error middleware could not handle
 bot.catch((err, ctx) => {
   console.error(`Error processing update ${ctx.update.update_id}:`, err);
   return ctx.reply('Sorry, an error occurred. Please try again later.');
 });
 
+// Set once shutdown starts: webhook updates are refused and /health reports draining
+let draining = false;
+
+// HTTP endpoints (health, metrics, Luma webhooks and, in webhook mode, Telegram updates)
+const httpPort = config.http.port || (webhookMode ? 3000 : null);
+const httpServer = httpPort ? createHttpServer({ maxBodyBytes: config.http.maxBodyBytes }) : null;
+if (httpServer) {
+  registerHealthRoutes(httpServer, { mode: config.telegram.mode, isDraining: () => draining });
+  registerLumaWebhookRoute(httpServer, { telegram: bot.telegram });
+  if (webhookMode) registerTelegramWebhookRoute(httpServer, bot, { isAccepting: () => !draining });
+  httpServer.listen(httpPort)
+    .then(() => console.log(`HTTP server listening on port ${httpPort}`))
+    .catch(err => {
+      console.error('Failed to start HTTP server:', err);
+      process.exit(1);
+    });
+}
+
 // Start the bot
-console.log('Starting bot...');
+console.log(`Starting bot in ${config.telegram.mode} mode...`);
 verifyBotToken(config.telegram.token)
   .then(isValid => {
     if (!isValid) {
       console.error('Bot token verification failed. Please check your token.');
       process.exit(1);
     }
-    return bot.launch();
-  })
-  .then(() => {
-    console.log('Bot is running!');
+    // Publish the command menu before launch: bot.launch() only resolves once polling stops
+    return publishCommands(bot, commands)
+      .catch(err => console.error('Failed to publish commands to Telegram:', err.message))
+      .then(async () => {
+        if (startScheduler({ telegram: bot.telegram })) {
+          ensurePendingNudgesJob().catch(err => console.error('Failed to schedule pending-approval nudges:', err.message));
+          ensureCheckinReconcileJob().catch(err => console.error('Failed to schedule offline check-in sync:', err.message));
+        }
+        if (webhookMode) {
+          // bot.launch() would do this in polling mode; the bot's username is needed to match /command@bot in groups
+          bot.botInfo = await bot.telegram.getMe();
+          await setTelegramWebhook(bot);
+          console.log('Bot is running!');
+          return;
+        }
+        console.log('Bot is running!');
+        return bot.launch();
+      });
   })
   .catch(err => {
     console.error('Failed to start bot:', err);
     process.exit(1);
   });
 
-// Enable graceful stop
-process.once('SIGINT', () => {
-  console.log('SIGINT received, stopping bot...');
-  bot.stop('SIGINT');
-});
+// Graceful stop: stop taking updates, let those in progress finish, then stop jobs and the HTTP server
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping bot...`);
+  draining = true;
+  if (webhookMode) {
+    if (config.telegram.deleteWebhookOnStop) await deleteTelegramWebhook(bot);
+  } else {
+    bot.stop(signal);
+  }
+  if (!(await waitForIdle(config.telegram.drainTimeoutMs))) {
+    console.warn(`Stopping with ${inFlightUpdates()} update(s) still in progress after ${config.telegram.drainTimeoutMs}ms.`);
+  }
+  await stopScheduler();
+  if (httpServer) await httpServer.close();
+  console.log('Bot stopped.');
+};
 
-process.once('SIGTERM', () => {
-  console.log('SIGTERM received, stopping bot...');
-  bot.stop('SIGTERM');
-}); 
\ No newline at end of file
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
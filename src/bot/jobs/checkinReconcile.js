@@ -0,0 +1,199 @@
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const lumaCache = require('../../core/luma/cachedClient');
+const checkinService = require('../../core/services/checkinService');
+const guestSnapshotService = require('../../core/services/guestSnapshotService');
+const { isLumaUnreachable, LumaUnsupportedError } = require('../../core/luma/errors');
+const { registerJobHandler, ensureJob } = require('../../core/scheduler');
+const { formatInTimeZone } = require('../../lib/time');
+const { chunkLines } = require('../utils/reply');
+
+const CHECKIN_RECONCILE_JOB = 'checkin_reconcile';
+
+const freshGuests = async (org, eventApiId) => {
+  await lumaCache.invalidateGuests(org.id, eventApiId);
+  const result = await lumaCache.getAllGuests(org, eventApiId);
+  return (result?.entries || []).map((entry) => entry.guest || entry);
+};
+
+/**
+ * Pushes one event's queued check-ins to Luma, oldest first, skipping conflicts.
+ * Stops at the first sign that Luma is unreachable again; the rest stay queued.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {object[]} queued - The event's QueuedCheckin rows, oldest first.
+ * @returns {Promise<Array<{ queued: object, status: string, detail?: string }>|null>} - Outcomes, or null if Luma was unreachable.
+ */
+async function reconcileEvent(org, eventApiId, queued) {
+  let guests;
+  try {
+    guests = await freshGuests(org, eventApiId);
+  } catch (error) {
+    if (isLumaUnreachable(error)) return null;
+    const outcomes = [];
+    for (const row of queued) {
+      if (await checkinService.recordSyncFailure(row, error, config.checkin.maxSyncAttempts)) {
+        outcomes.push({ queued: row, status: 'failed', detail: error.message });
+      }
+    }
+    return outcomes;
+  }
+
+  const guestsById = new Map(guests.map((guest) => [guest.api_id, guest]));
+  const pushed = new Set();
+  const outcomes = [];
+  for (const row of queued) {
+    const conflict = checkinService.findConflict(row, guestsById.get(row.guestApiId), pushed);
+    if (conflict) {
+      await checkinService.resolveQueuedCheckin(row.id, 'conflict', conflict);
+      outcomes.push({ queued: row, status: 'conflict', detail: conflict.detail });
+      continue;
+    }
+    try {
+      await lumaCache.checkInGuest(org, eventApiId, row.guestApiId);
+    } catch (error) {
+      if (isLumaUnreachable(error)) break;
+      // Retrying can't help when Luma has no way to take the check-in at all
+      if (error instanceof LumaUnsupportedError) {
+        await checkinService.resolveQueuedCheckin(row.id, 'failed', { detail: error.message });
+        outcomes.push({ queued: row, status: 'failed', detail: error.message });
+        continue;
+      }
+      if (await checkinService.recordSyncFailure(row, error, config.checkin.maxSyncAttempts)) {
+        outcomes.push({ queued: row, status: 'failed', detail: error.message });
+      }
+      continue;
+    }
+    await checkinService.resolveQueuedCheckin(row.id, 'synced');
+    pushed.add(row.guestApiId);
+    outcomes.push({ queued: row, status: 'synced' });
+  }
+
+  // Keep the offline copy in step with what Luma now knows
+  const remaining = await checkinService.getQueuedCheckins({ orgId: org.id, eventApiId });
+  const checkedIn = guests.map((guest) => (pushed.has(guest.api_id) && !guest.checked_in_at ? { ...guest, checked_in_at: new Date().toISOString() } : guest));
+  await guestSnapshotService.syncSnapshot(org, eventApiId, checkinService.applyQueuedCheckins(checkedIn, remaining));
+  return outcomes;
+}
+
+/**
+ * Builds the report for one door chat.
+ * @param {{ name: string, timeZone: string }} event
+ * @param {Array<{ queued: object, status: string, detail?: string }>} outcomes - This chat's outcomes.
+ * @returns {string[]} - Lines, empty when there is nothing to report.
+ */
+function describeOutcomes(event, outcomes) {
+  const synced = outcomes.filter(({ status }) => status === 'synced').length;
+  const problems = outcomes.filter(({ status }) => status !== 'synced');
+  if (synced === 0 && problems.length === 0) return [];
+
+  const lines = [`🔄 "${event.name}": offline check-ins`];
+  if (synced > 0) lines.push(`✅ ${synced} synced to Luma.`);
+  if (problems.length > 0) {
+    lines.push(`⚠️ ${problems.length} need${problems.length === 1 ? 's' : ''} a look:`);
+    problems.forEach(({ queued, status, detail }) => {
+      const who = `${queued.guestName || 'N/A'} (${queued.guestEmail || queued.guestApiId})`;
+      const by = `checked in offline ${formatInTimeZone(queued.checkedInAt, event.timeZone)}${queued.checkedInByName ? ` by ${queued.checkedInByName}` : ''}`;
+      lines.push(`• ${who} ${status === 'failed' ? `could not be synced: ${detail}` : detail} - ${by}`);
+    });
+  }
+  return lines;
+}
+
+/**
+ * Re-saves the offline guest lists of events in door mode once they are older than
+ * config.checkin.snapshotRefreshMs, so late registrations and approvals are included.
+ * @param {Set<string>} skip - '<orgId>:<eventApiId>' already refreshed in this run.
+ * @returns {Promise<void>}
+ */
+async function refreshDoorSnapshots(skip) {
+  const sessions = await prisma.checkinSession.findMany({ where: { status: 'active' }, include: { org: true } });
+  const cutoff = new Date(Date.now() - config.checkin.snapshotRefreshMs);
+  for (const session of sessions) {
+    const key = `${session.orgId}:${session.eventApiId}`;
+    if (skip.has(key)) continue;
+    skip.add(key);
+    const syncedAt = await guestSnapshotService.snapshotSyncedAt(session.orgId, session.eventApiId);
+    if (syncedAt && syncedAt > cutoff) continue;
+    try {
+      const guests = await freshGuests(session.org, session.eventApiId);
+      const queued = await checkinService.getQueuedCheckins({ orgId: session.orgId, eventApiId: session.eventApiId });
+      await guestSnapshotService.syncSnapshot(session.org, session.eventApiId, checkinService.applyQueuedCheckins(guests, queued));
+    } catch (error) {
+      if (!isLumaUnreachable(error)) console.error(`Check-in: could not refresh the snapshot of event ${session.eventApiId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Job handler: pushes check-ins taken offline to Luma, reports conflicts to the door chats
+ * they came from, and keeps door-mode snapshots fresh.
+ * @param {object} job - The ScheduledJob row.
+ * @param {{ telegram: import('telegraf').Telegram }} context
+ * @returns {Promise<{ nextRunAt: Date }>}
+ */
+async function runCheckinReconcile(job, { telegram }) {
+  const queued = await checkinService.getQueuedCheckins();
+  const byEvent = new Map();
+  queued.forEach((row) => {
+    const key = `${row.orgId}:${row.eventApiId}`;
+    byEvent.set(key, [...(byEvent.get(key) || []), row]);
+  });
+
+  const refreshed = new Set();
+  for (const [key, rows] of byEvent) {
+    const { orgId, eventApiId } = rows[0];
+    const org = await prisma.org.findUnique({ where: { id: orgId } });
+    if (!org) continue;
+
+    let outcomes;
+    try {
+      outcomes = await reconcileEvent(org, eventApiId, rows);
+    } catch (error) {
+      console.error(`Check-in: reconciling event ${eventApiId} failed:`, error);
+      continue;
+    }
+    if (!outcomes) {
+      console.log(`Check-in: Luma still unreachable for org ${orgId}; ${rows.length} check-in(s) stay queued for event ${eventApiId}.`);
+      continue;
+    }
+    refreshed.add(key);
+
+    const event = await lumaCache.getEventSummary(org, eventApiId);
+    const byChat = new Map();
+    outcomes.forEach((outcome) => {
+      const chatId = outcome.queued.chatId.toString();
+      byChat.set(chatId, [...(byChat.get(chatId) || []), outcome]);
+    });
+    for (const [chatId, chatOutcomes] of byChat) {
+      const lines = describeOutcomes(event, chatOutcomes);
+      try {
+        for (const chunk of chunkLines(lines)) {
+          await telegram.sendMessage(chatId, chunk);
+        }
+      } catch (error) {
+        console.warn(`Check-in: could not report to chat ${chatId}:`, error.message);
+      }
+    }
+    console.log(`Check-in: reconciled ${outcomes.length} of ${rows.length} queued check-in(s) for event ${eventApiId}.`);
+  }
+
+  await refreshDoorSnapshots(refreshed);
+  return { nextRunAt: new Date(Date.now() + config.checkin.reconcileIntervalMs) };
+}
+
+/**
+ * Makes sure the recurring reconciliation is scheduled (once, however many workers start).
+ * @returns {Promise<void>}
+ */
+async function ensureCheckinReconcileJob() {
+  await ensureJob({ type: CHECKIN_RECONCILE_JOB, key: CHECKIN_RECONCILE_JOB, runAt: new Date() });
+}
+
+registerJobHandler(CHECKIN_RECONCILE_JOB, runCheckinReconcile);
+
+module.exports = {
+  CHECKIN_RECONCILE_JOB,
+  describeOutcomes,
+  ensureCheckinReconcileJob,
+};
@@ -0,0 +1,131 @@
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const lumaCache = require('../../core/luma/cachedClient');
+const { registerJobHandler, scheduleJob, cancelJob } = require('../../core/scheduler');
+const { nextDailyRun, formatInTimeZone } = require('../../lib/time');
+const { mapWithConcurrency } = require('../../lib/concurrency');
+const { chunkLines, isBotBlocked } = require('../utils/reply');
+
+const DAILY_DIGEST_JOB = 'daily_digest';
+// Without a previous digest, "new registrations" covers the last day
+const FIRST_DIGEST_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const digestJobKey = (groupId) => `${DAILY_DIGEST_JOB}:${groupId}`;
+
+const capacityOf = (event) => event.capacity ?? event.max_capacity ?? event.guest_limit ?? null;
+
+/**
+ * Builds the digest text for an org's upcoming events.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {object} options
+ * @param {number} options.days - Upcoming-events window.
+ * @param {Date} options.since - Registrations after this count as new.
+ * @param {string} options.timeZone - Timezone for displayed times.
+ * @param {string} [options.title] - First line.
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<string[]>} - Lines of the digest.
+ */
+async function buildDigest(org, { days, since, timeZone, title = 'Daily digest', now = new Date() }) {
+  const windowEnd = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const result = await lumaCache.listAllEvents(org);
+  const events = (result?.entries || [])
+    .map((entry) => entry.event || entry)
+    .filter((event) => event.start_at && new Date(event.start_at) >= now && new Date(event.start_at) <= windowEnd)
+    .sort((a, b) => a.start_at.localeCompare(b.start_at));
+
+  const lines = [`📊 ${title} - ${formatInTimeZone(now, timeZone)}`, ''];
+  if (events.length === 0) {
+    lines.push(`No events in the next ${days} day${days === 1 ? '' : 's'}.`);
+    return lines;
+  }
+
+  const stats = await mapWithConcurrency(events, 2, async (event) => {
+    const guests = await lumaCache.getAllGuests(org, event.api_id);
+    const entries = (guests?.entries || []).map((entry) => entry.guest || entry);
+    const count = (status) => entries.filter((guest) => guest.approval_status === status).length;
+    const newRegistrations = entries.filter((guest) => {
+      const registeredAt = new Date(guest.registered_at || guest.created_at);
+      return !Number.isNaN(registeredAt.getTime()) && registeredAt > since;
+    }).length;
+    return { event, approved: count('approved'), pending: count('pending_approval'), newRegistrations, total: entries.length };
+  });
+
+  const totalNew = stats.reduce((sum, stat) => sum + stat.newRegistrations, 0);
+  const totalPending = stats.reduce((sum, stat) => sum + stat.pending, 0);
+  lines.push(`Next ${days} day${days === 1 ? '' : 's'}: ${events.length} event${events.length === 1 ? '' : 's'}, ${totalNew} new registration${totalNew === 1 ? '' : 's'}, ${totalPending} pending approval.`);
+
+  for (const { event, approved, pending, newRegistrations, total } of stats) {
+    const capacity = capacityOf(event);
+    const fill = capacity ? `${approved}/${capacity} approved (${Math.round((approved / capacity) * 100)}% full)` : `${approved} approved, no capacity set`;
+    lines.push('', `• ${event.name || event.api_id} - ${formatInTimeZone(event.start_at, timeZone)}`);
+    lines.push(`  ${fill} · ${pending} pending · ${newRegistrations} new · ${total} registered`);
+  }
+  return lines;
+}
+
+/**
+ * Creates, moves or removes a group's digest job to match its settings.
+ * @param {object} group - The Group record (digestEnabled, digestTime, digestTimezone).
+ * @returns {Promise<Date|null>} - The next run, or null when digests are off.
+ */
+async function syncDigestJob(group) {
+  const key = digestJobKey(group.id);
+  if (!group.digestEnabled) {
+    await cancelJob(key);
+    return null;
+  }
+  const runAt = nextDailyRun(group.digestTime, group.digestTimezone);
+  await scheduleJob({ type: DAILY_DIGEST_JOB, key, runAt, payload: { groupId: String(group.id) } });
+  return runAt;
+}
+
+/**
+ * Job handler: posts the digest to one group and schedules the next one.
+ * @param {object} job - The ScheduledJob row (payload.groupId).
+ * @param {{ telegram: import('telegraf').Telegram }} context
+ * @returns {Promise<{ nextRunAt?: Date }>}
+ */
+async function runDailyDigest(job, { telegram }) {
+  const group = await prisma.group.findUnique({ where: { id: BigInt(job.payload.groupId) }, include: { org: true } });
+  if (!group || !group.digestEnabled) {
+    console.log(`Digest for group ${job.payload.groupId} is off or the group is gone; dropping the job.`);
+    return {};
+  }
+  const nextRunAt = nextDailyRun(group.digestTime, group.digestTimezone);
+  const now = new Date();
+
+  try {
+    const lines = await buildDigest(group.org, {
+      days: group.digestDays,
+      since: group.lastDigestAt || new Date(now.getTime() - FIRST_DIGEST_LOOKBACK_MS),
+      timeZone: group.digestTimezone,
+      title: `Daily digest${group.name ? ` for ${group.name}` : ''}`,
+      now,
+    });
+    for (const chunk of chunkLines(lines)) {
+      await telegram.sendMessage(String(group.id), chunk);
+    }
+  } catch (error) {
+    if (isBotBlocked(error)) {
+      console.warn(`Bot can no longer post to group ${group.id}; turning its digest off.`);
+      await prisma.group.update({ where: { id: group.id }, data: { digestEnabled: false } });
+      return {};
+    }
+    // Retry through the scheduler, but a daily job must not be parked for good: on the last attempt skip to tomorrow
+    if (job.attempts + 1 < config.scheduler.maxAttempts) throw error;
+    console.error(`Giving up on today's digest for group ${group.id}:`, error);
+    return { nextRunAt };
+  }
+
+  await prisma.group.update({ where: { id: group.id }, data: { lastDigestAt: now } });
+  return { nextRunAt };
+}
+
+registerJobHandler(DAILY_DIGEST_JOB, runDailyDigest);
+
+module.exports = {
+  DAILY_DIGEST_JOB,
+  digestJobKey,
+  buildDigest,
+  syncDigestJob,
+};
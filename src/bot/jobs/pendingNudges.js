@@ -0,0 +1,147 @@
+const prisma = require('../../core/db/prisma');
+const config = require('../../config/config.js');
+const lumaCache = require('../../core/luma/cachedClient');
+const guestService = require('../../core/services/guestService');
+const nudgeService = require('../../core/services/nudgeService');
+const { registerJobHandler, ensureJob } = require('../../core/scheduler');
+const { formatInTimeZone } = require('../../lib/time');
+const { mapWithConcurrency } = require('../../lib/concurrency');
+const { chunkLines, isBotBlocked } = require('../utils/reply');
+
+const PENDING_NUDGES_JOB = 'pending_nudges';
+
+const formatHours = (hours) => (hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)} days`);
+const guestsWord = (count) => `${count} guest${count === 1 ? '' : 's'}`;
+
+/**
+ * Describes one crossed threshold for the alert message.
+ * @param {{ condition: string, value: number, threshold: number, hours?: number }} result
+ * @returns {string}
+ */
+function describeCondition({ condition, value, threshold, hours }) {
+  switch (condition) {
+    case 'queue_size':
+      return `• ${guestsWord(value)} waiting for approval (alert above ${threshold})`;
+    case 'stale_pending':
+      return `• ${guestsWord(value)} pending for over ${threshold}h, the longest for ${formatHours(hours)}`;
+    case 'event_soon':
+      return `• Starts in ${formatHours(hours)} with ${guestsWord(value)} still unreviewed`;
+    default:
+      return `• ${condition}: ${value}`;
+  }
+}
+
+/**
+ * Loads an org's upcoming events with their pending guests.
+ * @param {object} org - The Org record.
+ * @param {Date} now
+ * @returns {Promise<Array<{ event: object, pending: object[] }>>}
+ */
+async function loadPendingQueues(org, now) {
+  const result = await lumaCache.listAllEvents(org);
+  const events = (result?.entries || [])
+    .map((entry) => entry.event || entry)
+    .filter((event) => event.api_id && (!event.start_at || new Date(event.start_at) > now));
+  return mapWithConcurrency(events, 2, async (event) => {
+    const guests = await guestService.getEventGuests(org.lumaApiKeyEncrypted, event.api_id, { approval_status: 'pending_approval' });
+    return { event, pending: (guests?.entries || []).map((entry) => entry.guest || entry) };
+  });
+}
+
+/**
+ * Posts newly crossed thresholds to one group and resolves alerts that cleared.
+ * @param {import('telegraf').Telegram} telegram
+ * @param {object} group - The Group record.
+ * @param {Array<{ event: object, pending: object[] }>} queues - From loadPendingQueues.
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of new alerts posted.
+ */
+async function nudgeGroup(telegram, group, queues, now) {
+  const thresholds = nudgeService.thresholdsFor(group);
+  const openAlerts = await nudgeService.getOpenAlerts(group.id);
+  const activeKeys = new Set();
+  const fresh = [];
+  const lines = [];
+
+  for (const { event, pending } of queues) {
+    const crossed = nudgeService.evaluateConditions(event, pending, thresholds, now);
+    crossed.forEach(({ condition }) => activeKeys.add(nudgeService.alertKey(group.id, event.api_id, condition)));
+    const unannounced = crossed.filter(({ condition }) => !openAlerts.has(nudgeService.alertKey(group.id, event.api_id, condition)));
+    if (unannounced.length === 0) continue;
+
+    if (lines.length > 0) lines.push('');
+    const when = event.start_at ? ` (${formatInTimeZone(event.start_at, group.digestTimezone)})` : '';
+    lines.push(`⏳ "${event.name || event.api_id}"${when} needs attention:`);
+    unannounced.forEach((result) => lines.push(describeCondition(result)));
+    lines.push(`Review them with /review ${event.api_id}`);
+    fresh.push(...unannounced.map(({ condition, value }) => ({ eventApiId: event.api_id, condition, value })));
+  }
+
+  if (fresh.length > 0) {
+    for (const chunk of chunkLines(lines)) {
+      await telegram.sendMessage(String(group.id), chunk);
+    }
+    await nudgeService.openAlerts(group.id, fresh);
+  }
+  const resolved = await nudgeService.resolveClearedAlerts(group.id, activeKeys);
+  if (fresh.length > 0 || resolved > 0) {
+    console.log(`Nudges for group ${group.id}: ${fresh.length} posted, ${resolved} resolved`);
+  }
+  return fresh.length;
+}
+
+/**
+ * Job handler: checks every org's pending queues against the thresholds of its linked groups.
+ * Failures for one org or group are logged and retried on the next run.
+ * @param {object} job - The ScheduledJob row.
+ * @param {{ telegram: import('telegraf').Telegram }} context
+ * @returns {Promise<{ nextRunAt: Date }>}
+ */
+async function runPendingNudges(job, { telegram }) {
+  const now = new Date();
+  const groups = await prisma.group.findMany({ where: { nudgesEnabled: true }, include: { org: true } });
+  const groupsByOrg = new Map();
+  groups.forEach((group) => groupsByOrg.set(group.orgId, [...(groupsByOrg.get(group.orgId) || []), group]));
+
+  for (const orgGroups of groupsByOrg.values()) {
+    const { org } = orgGroups[0];
+    let queues;
+    try {
+      queues = await loadPendingQueues(org, now);
+    } catch (error) {
+      console.error(`Nudges: could not load pending guests for org ${org.id}:`, error.message);
+      continue;
+    }
+
+    for (const group of orgGroups) {
+      try {
+        await nudgeGroup(telegram, group, queues, now);
+      } catch (error) {
+        if (isBotBlocked(error)) {
+          console.warn(`Bot can no longer post to group ${group.id}; turning its nudges off.`);
+          await prisma.group.update({ where: { id: group.id }, data: { nudgesEnabled: false } });
+        } else {
+          console.error(`Nudges: failed for group ${group.id}:`, error);
+        }
+      }
+    }
+  }
+
+  return { nextRunAt: new Date(Date.now() + config.nudges.intervalMs) };
+}
+
+/**
+ * Makes sure the recurring nudge check is scheduled (once, however many workers start).
+ * @returns {Promise<void>}
+ */
+async function ensurePendingNudgesJob() {
+  await ensureJob({ type: PENDING_NUDGES_JOB, key: PENDING_NUDGES_JOB, runAt: new Date() });
+}
+
+registerJobHandler(PENDING_NUDGES_JOB, runPendingNudges);
+
+module.exports = {
+  PENDING_NUDGES_JOB,
+  describeCondition,
+  ensurePendingNudgesJob,
+};
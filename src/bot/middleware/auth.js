@@ -1,8 +1,12 @@
 const prisma = require('../../core/db/prisma');
+const permissionService = require('../../core/services/permissionService');
+const { auditContextFromCtx } = require('../../core/services/auditService');
 
 /**
  * Telegraf middleware to ensure the chat (group or private) is linked to an organization.
- * Fetches the Org record and attaches { org, encryptedApiKey } to ctx.state if linked.
+ * Fetches the Org record and attaches { org, encryptedApiKey, role, activeEventId } to ctx.state if linked.
+ * The role is always the acting Telegram user's, also in groups. activeEventId is the
+ * group's current event in groups and the user's own in private chats (see /use).
  * Replies with an error message and stops processing if not linked.
  */
 const requireLink = async (ctx, next) => {
@@ -11,6 +15,8 @@ const requireLink = async (ctx, next) => {
   const userId = ctx.from?.id;
 
   let orgData = null;
+  let role = 'viewer';
+  let activeEventId = null;
 
   try {
     if (chatType === 'private') {
@@ -21,6 +27,8 @@ const requireLink = async (ctx, next) => {
       });
       if (user?.org) {
         orgData = user.org;
+        role = await permissionService.getUserRole(user.org.id, userId);
+        activeEventId = user.activeEventContext || null;
       }
     } else { // group, supergroup, channel
       const group = await prisma.group.findUnique({
@@ -29,6 +37,8 @@ const requireLink = async (ctx, next) => {
       });
       if (group?.org) {
         orgData = group.org;
+        role = await permissionService.getUserRole(orgData.id, userId);
+        activeEventId = group.activeEventContext || null;
       }
     }
 
@@ -36,6 +46,8 @@ const requireLink = async (ctx, next) => {
       // Attach org data and the encrypted key to the context state
       ctx.state.org = orgData;
       ctx.state.encryptedApiKey = orgData.lumaApiKeyEncrypted;
+      ctx.state.role = role;
+      ctx.state.activeEventId = activeEventId;
       // Proceed to the next middleware or command handler
       return next();
     } else {
@@ -52,4 +64,25 @@ const requireLink = async (ctx, next) => {
   }
 };
 
-module.exports = { requireLink }; 
\ No newline at end of file
+/**
+ * Builds middleware that only lets users with at least `requiredRole` through.
+ * Must run after requireLink. Denials are answered and audit-logged.
+ * @param {string} requiredRole - One of permissionService.ROLES.
+ * @returns {Function} - Telegraf middleware.
+ */
+const requireRole = (requiredRole) => async (ctx, next) => {
+  const role = ctx.state.role || 'viewer';
+  if (permissionService.hasRole(role, requiredRole)) {
+    return next();
+  }
+
+  await permissionService.logDenial(auditContextFromCtx(ctx), {
+    telegramUserId: ctx.from?.id,
+    role,
+    requiredRole,
+    command: ctx.message?.text?.split(' ')[0] || null,
+  });
+  return ctx.reply(`Sorry, this needs the ${requiredRole} role and you are ${role}. Ask an admin to /grant you access.`);
+};
+
+module.exports = { requireLink, requireRole };
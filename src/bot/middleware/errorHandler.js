@@ -0,0 +1,93 @@
+const { escapeMarkdownV2 } = require('../../core/services/escapeUtil');
+const { logAudit, auditContextFromCtx } = require('../../core/services/auditService');
+const {
+  LumaApiError,
+  LumaAuthError,
+  LumaNotFoundError,
+  LumaRateLimitError,
+  LumaValidationError,
+  LumaUnsupportedError,
+} = require('../../core/luma/errors');
+const { DecryptionError } = require('../../lib/crypto');
+const { PermissionDeniedError } = require('../../core/services/permissionService');
+const metrics = require('../../lib/metrics');
+
+const updateErrorsTotal = metrics.counter('bot_update_errors_total', 'Telegram updates whose handling threw.');
+
+/**
+ * Maps an error to a friendly, unformatted message suitable for chat.
+ * Order matters: subclasses are checked before LumaApiError.
+ * @param {Error} error
+ * @returns {string}
+ */
+const userMessageForError = (error) => {
+  if (error instanceof LumaAuthError) {
+    return 'Luma rejected the API key linked to this chat. Please re-link it with /link <YOUR_LUMA_API_KEY>.';
+  }
+  if (error instanceof LumaNotFoundError) {
+    return 'Luma could not find that event or guest. Please double-check the ID or email.';
+  }
+  if (error instanceof LumaRateLimitError) {
+    const seconds = error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : null;
+    return `Luma is rate limiting requests right now. Please try again ${seconds ? `in ${seconds} seconds` : 'in a minute'}.`;
+  }
+  if (error instanceof LumaValidationError) {
+    const detail = error.data?.message;
+    return `Luma rejected the request${detail ? `: ${detail}` : '. Please check the values you sent.'}`;
+  }
+  if (error instanceof LumaUnsupportedError) {
+    return error.message;
+  }
+  if (error instanceof LumaApiError) {
+    return 'Luma is not responding properly right now. Please try again later.';
+  }
+  if (error instanceof PermissionDeniedError) {
+    return `You need the ${error.requiredRole} role for that (you are ${error.role}). Ask an admin to /grant you access.`;
+  }
+  if (error instanceof DecryptionError) {
+    return 'The Luma API key stored for this chat could not be read. Please re-link it with /link <YOUR_LUMA_API_KEY>.';
+  }
+  return 'Sorry, something went wrong while processing your request.';
+};
+
+/**
+ * Telegraf middleware that catches errors thrown further down the chain,
+ * replies with an escaped MarkdownV2 message and records an audit entry.
+ * Register it before every other middleware.
+ */
+const errorHandler = async (ctx, next) => {
+  try {
+    await next();
+  } catch (error) {
+    updateErrorsTotal.inc();
+    console.error(`Error handling ${ctx.updateType} update ${ctx.update?.update_id}:`, error);
+
+    const auditContext = auditContextFromCtx(ctx);
+    if (auditContext.orgId) {
+      await logAudit(auditContext, 'command_error', {
+        errorName: error.name,
+        message: error.message,
+        status: error.status ?? null,
+        lumaContext: error.context ?? null,
+        command: ctx.message?.text?.split(' ')[0] || null,
+        updateType: ctx.updateType,
+      });
+    }
+
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery().catch(() => {});
+    }
+    if (!ctx.chat) return;
+
+    try {
+      await ctx.replyWithMarkdownV2(escapeMarkdownV2(userMessageForError(error)));
+    } catch (replyError) {
+      console.error('Failed to send error reply:', replyError);
+    }
+  }
+};
+
+module.exports = {
+  errorHandler,
+  userMessageForError,
+};
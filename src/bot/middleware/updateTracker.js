@@ -0,0 +1,68 @@
+const metrics = require('../../lib/metrics');
+
+const updatesTotal = metrics.counter('bot_updates_total', 'Telegram updates handled, by update type.');
+const updateSecondsSum = metrics.counter('bot_update_duration_seconds_sum', 'Total time spent handling updates.');
+const updateSecondsCount = metrics.counter('bot_update_duration_seconds_count', 'Updates timed.');
+const inFlightGauge = metrics.gauge('bot_updates_in_flight', 'Updates currently being handled.');
+
+let inFlight = 0;
+let idleWaiters = [];
+
+const settle = () => {
+  if (inFlight > 0) return;
+  idleWaiters.forEach((resolve) => resolve(true));
+  idleWaiters = [];
+};
+
+/**
+ * Counts and times every update, and tracks the ones in progress so shutdown can wait for them.
+ * Errors are counted by errorHandler, which catches them before they get here.
+ * Register it before any other middleware.
+ */
+const updateTracker = async (ctx, next) => {
+  const startedAt = process.hrtime.bigint();
+  inFlight++;
+  inFlightGauge.set(inFlight);
+  try {
+    await next();
+  } finally {
+    inFlight--;
+    inFlightGauge.set(inFlight);
+    updatesTotal.inc({ type: ctx.updateType });
+    updateSecondsSum.inc(undefined, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    updateSecondsCount.inc();
+    settle();
+  }
+};
+
+/**
+ * Number of updates being handled right now.
+ * @returns {number}
+ */
+const inFlightUpdates = () => inFlight;
+
+/**
+ * Waits until no update is being handled, or the timeout passes.
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} - False if updates were still running at the timeout.
+ */
+function waitForIdle(timeoutMs) {
+  if (inFlight === 0) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      idleWaiters = idleWaiters.filter((waiter) => waiter !== done);
+      resolve(false);
+    }, timeoutMs);
+    const done = (idle) => {
+      clearTimeout(timer);
+      resolve(idle);
+    };
+    idleWaiters.push(done);
+  });
+}
+
+module.exports = {
+  updateTracker,
+  inFlightUpdates,
+  waitForIdle,
+};
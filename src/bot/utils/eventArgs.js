@@ -0,0 +1,44 @@
+// key=value, key="quoted value" (straight or curly quotes, as phone keyboards send) or a bare word
+const ASSIGNMENT_PATTERN = /([\w-]+)=(?:"([^"]*)"|“([^”]*)”|'([^']*)'|(\S+))|(\S+)/g;
+
+/**
+ * Splits command text into bare words and key=value assignments, where quoted values may contain spaces.
+ * @param {string} text - Message text after the command.
+ * @returns {{ words: string[], assignments: object }}
+ */
+function parseAssignments(text) {
+  const words = [];
+  const assignments = {};
+  for (const match of text.matchAll(ASSIGNMENT_PATTERN)) {
+    const [, key, ...values] = match;
+    const bare = values.pop();
+    if (key) assignments[key] = values.find((value) => value !== undefined);
+    else words.push(bare);
+  }
+  return { words, assignments };
+}
+
+/**
+ * Splits command arguments into the event ID and the rest, falling back to the chat's
+ * active event (set with /use) when the first argument is clearly not an event ID:
+ * an email, a --flag, a key=value option or one of the command's bare flags.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (requireLink has run).
+ * @param {string[]} args - Arguments after the command.
+ * @param {object} [options]
+ * @param {string[]} [options.bareFlags=[]] - Single-word options the command accepts (e.g. 'vip').
+ * @returns {{ eventApiId: string|null, rest: string[], fromContext: boolean }}
+ */
+function splitEventArg(ctx, args, { bareFlags = [] } = {}) {
+  const first = args[0];
+  const isOption = (arg) => arg.includes('@') || arg.startsWith('--') || arg.includes('=') || bareFlags.includes(arg);
+
+  if (first && !isOption(first)) {
+    return { eventApiId: first, rest: args.slice(1), fromContext: false };
+  }
+  return { eventApiId: ctx.state.activeEventId || null, rest: args, fromContext: true };
+}
+
+module.exports = {
+  parseAssignments,
+  splitEventArg,
+};
@@ -0,0 +1,63 @@
+// Telegram rejects messages longer than 4096 characters; leave some headroom.
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Splits a list of lines into message-sized chunks without breaking lines apart.
+ * @param {string[]} lines - The lines to send.
+ * @param {number} [maxLength=MAX_MESSAGE_LENGTH] - Maximum length of each chunk.
+ * @returns {string[]} - The chunks, each joined with newlines.
+ */
+const chunkLines = (lines, maxLength = MAX_MESSAGE_LENGTH) => {
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    const safeLine = line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+    if (current && current.length + safeLine.length + 1 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${safeLine}` : safeLine;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Replies with a long plain-text list, split over as many messages as needed.
+ * @param {import('telegraf').Context} ctx - The Telegraf context.
+ * @param {string[]} lines - The lines to send.
+ * @returns {Promise<void>}
+ */
+const replyInChunks = async (ctx, lines) => {
+  for (const chunk of chunkLines(lines)) {
+    await ctx.reply(chunk);
+  }
+};
+
+/**
+ * Whether a Telegram send failed because the bot can no longer post to the chat: it was
+ * removed or blocked (403), or the chat is gone (400 "chat not found"). Retrying won't help.
+ * @param {Error} error - A Telegraf TelegramError.
+ * @returns {boolean}
+ */
+const isBotBlocked = (error) => error.response?.error_code === 403
+  || (error.response?.error_code === 400 && /chat not found/i.test(error.response?.description || error.description || ''));
+
+/**
+ * The ID of the bot message the current message replies to, e.g. a forced-reply question.
+ * @param {import('telegraf').Context} ctx
+ * @returns {number|null} - null when the message isn't a reply to this bot.
+ */
+const repliedBotMessageId = (ctx) => {
+  const repliedTo = ctx.message?.reply_to_message;
+  if (!repliedTo || !ctx.botInfo || repliedTo.from?.id !== ctx.botInfo.id) return null;
+  return repliedTo.message_id;
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  isBotBlocked,
+  repliedBotMessageId,
+  chunkLines,
+  replyInChunks,
+};
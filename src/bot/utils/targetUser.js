@@ -0,0 +1,42 @@
+const prisma = require('../../core/db/prisma');
+
+/**
+ * Works out which Telegram user a role command is about: the author of the replied-to
+ * message, a numeric Telegram user ID, or an @username already known to the org.
+ * @param {import('telegraf').Context} ctx - The Telegraf context.
+ * @param {string} orgId - The org to look usernames up in.
+ * @param {string|undefined} token - The user argument, if any.
+ * @returns {Promise<{ id: number, first_name?: string, username?: string }|null>}
+ */
+async function resolveTargetUser(ctx, orgId, token) {
+  const repliedTo = ctx.message?.reply_to_message?.from;
+  if (repliedTo && !repliedTo.is_bot) {
+    return { id: repliedTo.id, first_name: repliedTo.first_name, username: repliedTo.username };
+  }
+  if (!token) return null;
+
+  if (/^\d+$/.test(token)) {
+    return { id: Number(token) };
+  }
+  if (token.startsWith('@')) {
+    // Telegram doesn't resolve usernames for bots, so only users the bot has seen can be named
+    const username = token.slice(1);
+    const orgRole = await prisma.orgRole.findFirst({ where: { orgId, username } });
+    if (orgRole) return { id: Number(orgRole.userId), first_name: orgRole.firstName, username: orgRole.username };
+    const user = await prisma.user.findFirst({ where: { orgId, username } });
+    return user ? { id: Number(user.id), first_name: user.firstName, username: user.username } : null;
+  }
+  return null;
+}
+
+/**
+ * Display name for a target user in replies.
+ * @param {{ id: number, first_name?: string, username?: string }} user
+ * @returns {string}
+ */
+const displayName = (user) => (user.username ? `@${user.username}` : user.first_name || String(user.id));
+
+module.exports = {
+  resolveTargetUser,
+  displayName,
+};
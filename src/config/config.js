@@ -8,18 +8,105 @@ console.log('LUMA_API_KEY length:', process.env.LUMA_API_KEY ? process.env.LUMA_
 // Clean up tokens by removing whitespace
 const cleanToken = (token) => token ? token.trim() : null;
 
+// Read a numeric env var, falling back only when it is unset or not a number (so 0 is honoured)
+const numberFromEnv = (name, fallback) => {
+    const value = Number.parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
 const config = {
     telegram: {
         token: cleanToken(process.env.BOT_TOKEN),
-        agentChannel: process.env.AGENT_CHANNEL
+        agentChannel: process.env.AGENT_CHANNEL,
+        mode: process.env.TELEGRAM_MODE === 'webhook' ? 'webhook' : 'polling', // 'webhook' needs TELEGRAM_WEBHOOK_URL and an HTTP port
+        webhookUrl: cleanToken(process.env.TELEGRAM_WEBHOOK_URL), // Public base URL Telegram posts to, e.g. https://bot.example.com
+        webhookPath: process.env.TELEGRAM_WEBHOOK_PATH || '/telegram/webhook',
+        webhookSecret: cleanToken(process.env.TELEGRAM_WEBHOOK_SECRET), // Required in webhook mode; sent back by Telegram in X-Telegram-Bot-Api-Secret-Token
+        deleteWebhookOnStop: process.env.TELEGRAM_DELETE_WEBHOOK_ON_STOP !== 'false', // Turn off for rolling deploys, where the new instance has already set it
+        drainTimeoutMs: numberFromEnv('TELEGRAM_DRAIN_TIMEOUT_MS', 20000) // How long shutdown waits for updates in progress
     },
     gemini: {
         apiKey: cleanToken(process.env.GEMINI_API_KEY),
         modelId: 'gemini-2.0-flash'
     },
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'gemini', // 'gemini', 'openai' (any OpenAI-compatible server) or 'fake'
+        model: process.env.LLM_MODEL, // Overrides the provider's default model
+        openai: {
+            apiKey: cleanToken(process.env.OPENAI_API_KEY),
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            trustedHosts: (process.env.OPENAI_TRUSTED_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean) // Hosts an org's baseUrl may point at and still use OPENAI_API_KEY
+        },
+        fakeScriptPath: process.env.LLM_FAKE_SCRIPT // JSON file of scripted responses for the fake provider
+    },
     luma: {
         apiKey: cleanToken(process.env.LUMA_API_KEY),
-        apiUrl: 'https://api.lu.ma/public/v1'
+        apiUrl: 'https://api.lu.ma/public/v1',
+        pageSize: numberFromEnv('LUMA_PAGE_SIZE', 50), // Entries requested per page when walking cursors
+        maxPaginatedItems: numberFromEnv('LUMA_MAX_PAGINATED_ITEMS', 5000), // Hard cap per paginated list
+        requestsPerSecond: numberFromEnv('LUMA_REQUESTS_PER_SECOND', 5), // Throttle per org API key
+        maxRetries: numberFromEnv('LUMA_MAX_RETRIES', 3), // Retries for idempotent GETs on 429/5xx/network errors
+        retryBaseDelayMs: numberFromEnv('LUMA_RETRY_BASE_DELAY_MS', 500),
+        retryMaxDelayMs: numberFromEnv('LUMA_RETRY_MAX_DELAY_MS', 10000)
+    },
+    cache: {
+        store: process.env.CACHE_STORE || 'memory', // 'memory' or 'redis' (needs ioredis)
+        redisUrl: process.env.CACHE_REDIS_URL,
+        ttlSeconds: {
+            events: numberFromEnv('CACHE_TTL_EVENTS', 300),
+            eventDetails: numberFromEnv('CACHE_TTL_EVENT_DETAILS', 600),
+            guests: numberFromEnv('CACHE_TTL_GUESTS', 60)
+        }
+    },
+    conversation: {
+        maxTurns: numberFromEnv('CONVERSATION_MAX_TURNS', 20), // Turns (messages and tool results) kept per chat
+        maxToolResults: numberFromEnv('CONVERSATION_MAX_TOOL_RESULTS', 3), // Recent tool results fed into resolution
+        maxAgeMinutes: numberFromEnv('CONVERSATION_MAX_AGE_MINUTES', 60) // Older turns are ignored
+    },
+    confirmations: {
+        timeoutSeconds: numberFromEnv('CONFIRMATION_TIMEOUT_SECONDS', 300) // How long Confirm/Cancel buttons stay valid
+    },
+    bulk: {
+        concurrency: numberFromEnv('BULK_CONCURRENCY', 3), // Guest updates in flight at once (still subject to the Luma rate limit)
+        maxGuests: numberFromEnv('BULK_MAX_GUESTS', 1000), // Largest selection a single bulk action may touch
+        progressIntervalMs: numberFromEnv('BULK_PROGRESS_INTERVAL_MS', 2000) // Minimum gap between progress message edits
+    },
+    scheduler: {
+        enabled: process.env.SCHEDULER_ENABLED !== 'false', // Set to 'false' on extra dynos that shouldn't run jobs
+        pollIntervalMs: numberFromEnv('SCHEDULER_POLL_INTERVAL_MS', 30000), // How often due jobs are looked for
+        batchSize: numberFromEnv('SCHEDULER_BATCH_SIZE', 10), // Jobs claimed per poll
+        lockTimeoutMs: numberFromEnv('SCHEDULER_LOCK_TIMEOUT_MS', 600000), // Running jobs older than this are assumed dead (dyno restart) and retried
+        maxAttempts: numberFromEnv('SCHEDULER_MAX_ATTEMPTS', 5), // Failed runs before a job is parked as 'failed'
+        retryBaseDelayMs: numberFromEnv('SCHEDULER_RETRY_BASE_DELAY_MS', 60000) // Doubles with each failed attempt
+    },
+    nudges: {
+        intervalMs: numberFromEnv('NUDGE_INTERVAL_MS', 900000) // How often pending queues are checked against each group's thresholds
+    },
+    checkin: {
+        reconcileIntervalMs: numberFromEnv('CHECKIN_RECONCILE_INTERVAL_MS', 60000), // How often check-ins taken offline are pushed to Luma
+        snapshotRefreshMs: numberFromEnv('CHECKIN_SNAPSHOT_REFRESH_MS', 600000), // Offline guest lists of events in door mode are re-saved when older than this
+        maxSyncAttempts: numberFromEnv('CHECKIN_MAX_SYNC_ATTEMPTS', 5), // Rejected pushes of one check-in before it is reported as failed
+        doorModeCacheSeconds: numberFromEnv('CHECKIN_DOOR_MODE_CACHE_SECONDS', 60) // How long a chat without door mode skips the session lookup; other instances on the memory cache store see /checkin this late
+    },
+    eventWizard: {
+        timeoutMinutes: numberFromEnv('EVENT_WIZARD_TIMEOUT_MINUTES', 30) // A /newevent wizard left unanswered this long is dropped
+    },
+    invites: {
+        pasteTimeoutMinutes: numberFromEnv('INVITE_PASTE_TIMEOUT_MINUTES', 15), // How long /invite waits for a pasted guest list
+        batchSize: numberFromEnv('INVITE_BATCH_SIZE', 50) // Guests sent to Luma per add/invite request
+    },
+    http: {
+        port: numberFromEnv('PORT', null), // HTTP server for webhooks, /health and /metrics; not started when unset (Heroku sets PORT on web dynos). Webhook mode defaults to 3000
+        maxBodyBytes: numberFromEnv('HTTP_MAX_BODY_BYTES', 1048576), // Larger request bodies are refused
+        metricsToken: cleanToken(process.env.METRICS_TOKEN) // When set, /metrics needs 'Authorization: Bearer <token>'
+    },
+    lumaWebhooks: {
+        signatureHeader: (process.env.LUMA_WEBHOOK_SIGNATURE_HEADER || 'x-luma-signature').toLowerCase(), // Header carrying the HMAC-SHA256 of the body
+        processingTimeoutSeconds: numberFromEnv('LUMA_WEBHOOK_PROCESSING_TIMEOUT_SECONDS', 300) // A delivery still unprocessed after this is taken again on Luma's retry
+    },
+    security: {
+        encryptionKey: cleanToken(process.env.ENCRYPTION_KEY)
     },
     bot: {
         name: 'Sonic Events Bot',
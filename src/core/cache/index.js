@@ -0,0 +1,46 @@
+const config = require('../../config/config.js');
+const { MemoryStore } = require('./memoryStore');
+const { RedisStore } = require('./redisStore');
+
+let store = null;
+
+/**
+ * Creates the store selected by config.cache.store ('memory' or 'redis').
+ * The Redis store needs the optional `ioredis` package and CACHE_REDIS_URL.
+ * @returns {MemoryStore|RedisStore}
+ */
+function createConfiguredStore() {
+  if (config.cache.store === 'redis') {
+    if (!config.cache.redisUrl) {
+      throw new Error('CACHE_STORE=redis requires CACHE_REDIS_URL to be set.');
+    }
+    const Redis = require('ioredis'); // Optional dependency, only loaded when configured
+    console.log('Using Redis cache store.');
+    return new RedisStore(new Redis(config.cache.redisUrl));
+  }
+  return new MemoryStore();
+}
+
+/**
+ * Returns the process-wide cache store, creating it on first use.
+ * @returns {MemoryStore|RedisStore}
+ */
+function getCacheStore() {
+  if (!store) {
+    store = createConfiguredStore();
+  }
+  return store;
+}
+
+/**
+ * Replaces the process-wide cache store (any object implementing get/set/del/delByPrefix).
+ * @param {object} newStore
+ */
+function setCacheStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  getCacheStore,
+  setCacheStore,
+};
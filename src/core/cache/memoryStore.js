@@ -0,0 +1,51 @@
+/**
+ * In-process cache store with per-entry TTLs.
+ * Implements the cache store interface used by src/core/cache:
+ *   get(key) -> value|null, set(key, value, ttlSeconds), del(key), delByPrefix(prefix)
+ * All methods are async so it can be swapped for a networked store.
+ */
+class MemoryStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sweepIntervalMs=60000] - How often expired entries are purged.
+   */
+  constructor({ sweepIntervalMs = 60000 } = {}) {
+    this.entries = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref(); // Never keep the process alive just for cache housekeeping
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async delByPrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  /** Removes expired entries. */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = { MemoryStore };
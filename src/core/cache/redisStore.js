@@ -0,0 +1,41 @@
+/**
+ * Cache store backed by a Redis-compatible client (ioredis API: get, set with 'EX', del, scan).
+ * Values are stored as JSON, so only plain data should be cached.
+ */
+class RedisStore {
+  /**
+   * @param {object} client - A connected ioredis-compatible client.
+   * @param {object} [options]
+   * @param {string} [options.namespace='sonic:'] - Prefix applied to every key.
+   */
+  constructor(client, { namespace = 'sonic:' } = {}) {
+    this.client = client;
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.namespace + key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.namespace + key, JSON.stringify(value), 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+  }
+
+  async del(key) {
+    await this.client.del(this.namespace + key);
+  }
+
+  async delByPrefix(prefix) {
+    // SCAN rather than KEYS so large keyspaces don't block the server
+    const pattern = `${this.namespace}${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      if (keys.length > 0) await this.client.del(...keys);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,111 @@
+const { validate } = require('../nlp/schemaValidator');
+
+/**
+ * @typedef {object} LLMMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {object} LLMToolDeclaration
+ * @property {string} name
+ * @property {string} description
+ * @property {object} parameters - JSON schema for the arguments.
+ */
+
+/**
+ * Error thrown when a model's structured output is missing, unparsable or fails schema validation.
+ */
+class StructuredOutputError extends Error {
+  constructor(message, { raw = null, errors = [] } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.raw = raw;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Interface every LLM backend implements. Subclasses override generateText,
+ * generateJson and generateWithTools; generateStructured adds parsing and
+ * schema validation on top of generateJson so every provider validates the same way.
+ */
+class LLMProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.model] - Model identifier for this provider.
+   */
+  constructor({ model } = {}) {
+    this.model = model;
+    this.name = 'abstract';
+  }
+
+  /** @returns {boolean} - Whether the provider is configured and can be called. */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Plain text generation.
+   * @param {object} request
+   * @param {string} [request.system] - System instruction.
+   * @param {LLMMessage[]} request.messages - Conversation, oldest first; the last one is the prompt.
+   * @param {number} [request.temperature] - Sampling temperature.
+   * @param {number} [request.maxTokens] - Maximum tokens to generate.
+   * @returns {Promise<string>}
+   */
+  async generateText(request) {
+    throw new Error(`${this.constructor.name} does not implement generateText.`);
+  }
+
+  /**
+   * JSON-mode generation. Returns the raw JSON text for generateStructured to parse.
+   * @param {object} request
+   * @param {string} [request.system] - System instruction.
+   * @param {LLMMessage[]} request.messages - Conversation, oldest first.
+   * @param {object} request.schema - JSON schema the output must satisfy.
+   * @returns {Promise<string>}
+   */
+  async generateJson(request) {
+    throw new Error(`${this.constructor.name} does not implement generateJson.`);
+  }
+
+  /**
+   * Generation with function calling.
+   * @param {object} request
+   * @param {string} [request.system] - System instruction.
+   * @param {LLMMessage[]} request.messages - Conversation, oldest first.
+   * @param {LLMToolDeclaration[]} request.tools - Callable tools.
+   * @returns {Promise<{ text: string|null, toolCalls: Array<{name: string, args: object}> }>}
+   */
+  async generateWithTools(request) {
+    throw new Error(`${this.constructor.name} does not implement generateWithTools.`);
+  }
+
+  /**
+   * Structured output: JSON generation, parsing and schema validation.
+   * @param {object} request - Same as generateJson.
+   * @returns {Promise<object>} - The validated, parsed JSON.
+   * @throws {StructuredOutputError} - If the output is not valid JSON or fails validation.
+   */
+  async generateStructured(request) {
+    const raw = await this.generateJson(request);
+    let parsed;
+    try {
+      parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (parseError) {
+      throw new StructuredOutputError(`${this.name} returned invalid JSON.`, { raw });
+    }
+
+    const errors = validate(parsed, request.schema);
+    if (errors.length > 0) {
+      throw new StructuredOutputError(`${this.name} output failed validation: ${errors.join('; ')}`, { raw, errors });
+    }
+    return parsed;
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  StructuredOutputError,
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { LLMProvider } = require('./LLMProvider');
+
+/**
+ * Deterministic, offline provider that replays a script of responses in order.
+ * Each script step is one of:
+ *   - a string: returned as text (or parsed as JSON for structured calls)
+ *   - an object: returned as structured output, or as { text, toolCalls } for tool calls
+ *     (e.g. { "toolCalls": [{ "name": "getGuests", "args": { "event_id": "evt-1" } }] })
+ *   - a function (request, method) => step, for steps that depend on the request
+ * Once the script runs out, text calls echo the last message and structured calls
+ * echo it in every required string field, so the bot keeps working offline.
+ */
+class FakeProvider extends LLMProvider {
+  /**
+   * @param {object} [options]
+   * @param {Array<string|object|Function>} [options.script=[]] - Responses, consumed in order.
+   * @param {string} [options.scriptPath] - JSON file holding the script (used when script is empty).
+   */
+  constructor({ script = [], scriptPath } = {}) {
+    super({ model: 'fake' });
+    this.name = 'fake';
+    this.script = script.length === 0 && scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : [...script];
+    this.calls = []; // Every request received, for assertions
+  }
+
+  /** Appends responses to the script. */
+  enqueue(...steps) {
+    this.script.push(...steps);
+  }
+
+  nextStep(request, method) {
+    this.calls.push({ method, request });
+    if (this.script.length === 0) return undefined;
+    const step = this.script.shift();
+    return typeof step === 'function' ? step(request, method) : step;
+  }
+
+  lastMessage(messages) {
+    return messages[messages.length - 1]?.content || '';
+  }
+
+  async generateText(request) {
+    const step = this.nextStep(request, 'generateText');
+    if (step === undefined) return `Fake response to: ${this.lastMessage(request.messages)}`;
+    return typeof step === 'string' ? step : step.text;
+  }
+
+  async generateJson(request) {
+    const step = this.nextStep(request, 'generateJson');
+    if (step === undefined) {
+      const echo = this.lastMessage(request.messages);
+      const fallback = Object.fromEntries((request.schema.required || []).map((key) => [key, echo]));
+      return JSON.stringify(fallback);
+    }
+    return typeof step === 'string' ? step : JSON.stringify(step);
+  }
+
+  async generateWithTools(request) {
+    const step = this.nextStep(request, 'generateWithTools');
+    if (step === undefined) return { text: `Fake response to: ${this.lastMessage(request.messages)}`, toolCalls: [] };
+    if (typeof step === 'string') return { text: step, toolCalls: [] };
+    return { text: step.text ?? null, toolCalls: step.toolCalls || [] };
+  }
+}
+
+module.exports = { FakeProvider };
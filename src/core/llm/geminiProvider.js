@@ -0,0 +1,102 @@
+const { GoogleGenAI } = require('@google/genai');
+const { LLMProvider } = require('./LLMProvider');
+const { toGeminiSchema } = require('../nlp/schemaValidator');
+
+/**
+ * Converts provider-neutral messages into Gemini contents.
+ * Gemini expects the conversation to open with a user turn, so leading assistant turns are dropped.
+ * @param {import('./LLMProvider').LLMMessage[]} messages
+ * @returns {Array<{role: string, parts: Array<{text: string}>}>}
+ */
+const toContents = (messages) => {
+  const firstUser = messages.findIndex((message) => message.role === 'user');
+  return (firstUser === -1 ? messages : messages.slice(firstUser)).map((message) => ({
+    role: message.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: message.content }],
+  }));
+};
+
+/**
+ * Google Gemini via the @google/genai package.
+ */
+class GeminiProvider extends LLMProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - Gemini API key.
+   * @param {string} [options.model='gemini-1.5-flash'] - Model ID.
+   */
+  constructor({ apiKey, model = 'gemini-1.5-flash' }) {
+    super({ model });
+    this.name = 'gemini';
+    this.initializationError = null;
+    this.client = null;
+    try {
+      if (!apiKey) {
+        throw new Error('Missing required environment variable: GEMINI_API_KEY');
+      }
+      this.client = new GoogleGenAI({ apiKey });
+      console.log(`Gemini provider initialized (model: ${model})`);
+    } catch (error) {
+      console.error('Gemini provider initialization error:', error.message);
+      this.initializationError = error;
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  ensureClient() {
+    if (!this.client) {
+      throw new Error(this.initializationError
+        ? `Gemini service failed to initialize: ${this.initializationError.message}`
+        : 'Gemini service is not initialized. Check logs for details.');
+    }
+  }
+
+  async generateText({ system, messages, temperature, maxTokens }) {
+    this.ensureClient();
+    const result = await this.client.models.generateContent({
+      model: this.model,
+      contents: toContents(messages),
+      config: { systemInstruction: system, temperature, maxOutputTokens: maxTokens },
+    });
+    return result.text;
+  }
+
+  async generateJson({ system, messages, schema }) {
+    this.ensureClient();
+    const result = await this.client.models.generateContent({
+      model: this.model,
+      contents: toContents(messages),
+      config: {
+        systemInstruction: system,
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(schema),
+      },
+    });
+    return result.text;
+  }
+
+  async generateWithTools({ system, messages, tools }) {
+    this.ensureClient();
+    const result = await this.client.models.generateContent({
+      model: this.model,
+      contents: toContents(messages),
+      config: {
+        systemInstruction: system,
+        tools: [{
+          functionDeclarations: tools.map((tool) => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: toGeminiSchema(tool.parameters),
+          })),
+        }],
+      },
+    });
+    const toolCalls = (result.functionCalls || []).map((call) => ({ name: call.name, args: call.args || {} }));
+    return { text: toolCalls.length > 0 ? null : result.text, toolCalls };
+  }
+}
+
+module.exports = { GeminiProvider };
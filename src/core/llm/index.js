@@ -0,0 +1,105 @@
+const config = require('../../config/config.js');
+const { decrypt } = require('../../lib/crypto');
+const { LLMProvider, StructuredOutputError } = require('./LLMProvider');
+const { GeminiProvider } = require('./geminiProvider');
+const { OpenAICompatibleProvider } = require('./openAIProvider');
+const { FakeProvider } = require('./fakeProvider');
+
+// One instance per distinct provider settings, so clients are reused across messages
+const providers = new Map();
+let overrideProvider = null;
+
+/**
+ * Builds a provider from settings.
+ * @param {object} settings
+ * @param {'gemini'|'openai'|'fake'} settings.provider
+ * @param {string} [settings.model]
+ * @param {string} [settings.baseUrl] - OpenAI-compatible base URL.
+ * @param {string} [settings.apiKey] - OpenAI-compatible API key; defaults to OPENAI_API_KEY.
+ * @returns {LLMProvider}
+ */
+function createProvider({ provider, model, baseUrl, apiKey }) {
+  switch (provider) {
+    case 'gemini':
+      return new GeminiProvider({ apiKey: config.gemini.apiKey, model: model || config.gemini.modelId });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: apiKey || config.llm.openai.apiKey,
+        baseUrl: baseUrl || config.llm.openai.baseUrl,
+        model: model || config.llm.openai.model,
+      });
+    case 'fake':
+      return new FakeProvider({ scriptPath: config.llm.fakeScriptPath });
+    default:
+      throw new Error(`Unknown LLM provider '${provider}'. Use 'gemini', 'openai' or 'fake'.`);
+  }
+}
+
+/**
+ * The API key to send to an org's OpenAI-compatible endpoint. OPENAI_API_KEY only goes to the
+ * global OPENAI_BASE_URL or a host listed in OPENAI_TRUSTED_HOSTS; any other baseUrl needs the
+ * org's own key, so an org admin cannot point the bot at their server and collect the global key.
+ * @param {object} orgSettings - Org.llmConfig.
+ * @returns {string|undefined} - The org's key, or undefined to use OPENAI_API_KEY.
+ * @throws {Error} - If the baseUrl is not trusted and the org has no key of its own.
+ */
+function orgOpenAIKey(orgSettings) {
+  if (orgSettings.apiKeyEncrypted) return decrypt(orgSettings.apiKeyEncrypted);
+  if (!orgSettings.baseUrl || orgSettings.baseUrl === config.llm.openai.baseUrl) return undefined;
+
+  let host;
+  try {
+    host = new URL(orgSettings.baseUrl).hostname.toLowerCase();
+  } catch (error) {
+    throw new Error(`The org's LLM baseUrl "${orgSettings.baseUrl}" is not a valid URL.`);
+  }
+  if (config.llm.openai.trustedHosts.includes(host)) return undefined;
+  throw new Error(`The org's LLM baseUrl points at ${host}, which is not in OPENAI_TRUSTED_HOSTS; set llmConfig.apiKeyEncrypted to use it.`);
+}
+
+/**
+ * Returns the provider for an org: Org.llmConfig ({ provider, model, baseUrl, apiKeyEncrypted })
+ * overrides the global LLM_PROVIDER/LLM_MODEL settings field by field.
+ * @param {object} [org] - The Org record, if the call is on behalf of an org.
+ * @returns {LLMProvider}
+ */
+function getLLMProvider(org) {
+  if (overrideProvider) return overrideProvider;
+
+  const orgSettings = org?.llmConfig || {};
+  const provider = orgSettings.provider || config.llm.provider;
+  const settings = {
+    provider,
+    // A global model only applies to the global provider
+    model: orgSettings.model || (provider === config.llm.provider ? config.llm.model : undefined),
+    baseUrl: orgSettings.baseUrl,
+  };
+
+  // Keyed without the decrypted key; the encrypted one tells orgs' keys apart
+  const key = JSON.stringify({ ...settings, apiKeyEncrypted: orgSettings.apiKeyEncrypted });
+  if (!providers.has(key)) {
+    const apiKey = provider === 'openai' ? orgOpenAIKey(orgSettings) : undefined;
+    providers.set(key, createProvider({ ...settings, apiKey }));
+  }
+  return providers.get(key);
+}
+
+/**
+ * Forces every caller onto one provider (e.g. a scripted FakeProvider in tests).
+ * Pass null to go back to configuration-based selection.
+ * @param {LLMProvider|null} provider
+ */
+function setLLMProvider(provider) {
+  overrideProvider = provider;
+}
+
+module.exports = {
+  getLLMProvider,
+  setLLMProvider,
+  createProvider,
+  LLMProvider,
+  StructuredOutputError,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  FakeProvider,
+};
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { LLMProvider } = require('./LLMProvider');
+
+/**
+ * Any OpenAI-compatible chat completions API: OpenAI itself, or local servers
+ * (Ollama, LM Studio, vLLM, llama.cpp) exposing /v1/chat/completions.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.apiKey] - Bearer token (optional for most local servers).
+   * @param {string} options.baseUrl - API base URL, e.g. 'https://api.openai.com/v1' or 'http://localhost:11434/v1'.
+   * @param {string} options.model - Model name.
+   * @param {number} [options.timeoutMs=60000] - Request timeout.
+   */
+  constructor({ apiKey, baseUrl, model, timeoutMs = 60000 }) {
+    super({ model });
+    this.name = 'openai';
+    this.http = axios.create({
+      baseURL: baseUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      timeout: timeoutMs,
+    });
+    this.baseUrl = baseUrl;
+  }
+
+  isAvailable() {
+    return !!this.baseUrl && !!this.model;
+  }
+
+  /**
+   * @param {string} [system]
+   * @param {import('./LLMProvider').LLMMessage[]} messages
+   * @returns {Array<{role: string, content: string}>}
+   */
+  toChatMessages(system, messages) {
+    return [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages.map((message) => ({ role: message.role, content: message.content })),
+    ];
+  }
+
+  async complete(body) {
+    const response = await this.http.post('/chat/completions', { model: this.model, ...body });
+    const message = response.data?.choices?.[0]?.message;
+    if (!message) {
+      throw new Error(`${this.name} returned no choices.`);
+    }
+    return message;
+  }
+
+  async generateText({ system, messages, temperature, maxTokens }) {
+    const message = await this.complete({
+      messages: this.toChatMessages(system, messages),
+      temperature,
+      max_tokens: maxTokens,
+    });
+    return message.content;
+  }
+
+  async generateJson({ system, messages, schema }) {
+    // json_object is supported far more widely than json_schema, so the schema goes in the prompt
+    const schemaInstruction = `Respond only with a JSON object matching this JSON schema:\n${JSON.stringify(schema)}`;
+    const message = await this.complete({
+      messages: this.toChatMessages([system, schemaInstruction].filter(Boolean).join('\n\n'), messages),
+      response_format: { type: 'json_object' },
+    });
+    return message.content;
+  }
+
+  async generateWithTools({ system, messages, tools }) {
+    const message = await this.complete({
+      messages: this.toChatMessages(system, messages),
+      tools: tools.map((tool) => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+      })),
+    });
+    const toolCalls = (message.tool_calls || []).map((call) => {
+      let args = {};
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (parseError) {
+        console.warn(`Could not parse arguments for tool call ${call.function.name}:`, call.function.arguments);
+      }
+      return { name: call.function.name, args };
+    });
+    return { text: toolCalls.length > 0 ? null : message.content, toolCalls };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,278 @@
+const config = require('../../config/config.js');
+const lumaClient = require('./client');
+const { getCacheStore } = require('../cache');
+
+// Concurrent loads of the same key share one Luma request
+const inFlight = new Map();
+// Bumped on every invalidation; invalidatedAt maps each invalidated key or prefix to the
+// generation it was last invalidated at, so loads that started earlier are not cached
+let generation = 0;
+const invalidatedAt = new Map();
+// Generations that running loads started at (generation -> count), including loads an invalidation
+// already dropped from inFlight. Invalidations at or before the oldest of them can't affect any load
+const runningSince = new Map();
+
+/**
+ * Serialises options into a stable cache-key fragment (sorted keys, undefined dropped).
+ * @param {object} [options]
+ * @returns {string}
+ */
+const optionsKey = (options = {}) => Object.keys(options)
+  .filter((key) => options[key] !== undefined && options[key] !== null)
+  .sort()
+  .map((key) => `${key}=${options[key]}`)
+  .join('&') || 'all';
+
+const orgPrefix = (orgId) => `luma:${orgId}:`;
+const eventsKey = (orgId, options) => `${orgPrefix(orgId)}events:${optionsKey(options)}`;
+const eventKey = (orgId, eventApiId) => `${orgPrefix(orgId)}event:${eventApiId}`;
+const guestsPrefix = (orgId, eventApiId) => `${orgPrefix(orgId)}guests:${eventApiId}:`;
+const guestsKey = (orgId, eventApiId, options) => `${guestsPrefix(orgId, eventApiId)}${optionsKey(options)}`;
+
+/**
+ * The generation a key was last invalidated at (directly or through a prefix), 0 if never.
+ * @param {string} key
+ * @returns {number}
+ */
+function lastInvalidation(key) {
+  let latest = 0;
+  invalidatedAt.forEach((invalidated, prefix) => {
+    if (key.startsWith(prefix) && invalidated > latest) latest = invalidated;
+  });
+  return latest;
+}
+
+/**
+ * Forgets invalidations no running load started before, so invalidatedAt stays as small as the
+ * loads in flight need it.
+ */
+function pruneInvalidations() {
+  const oldest = runningSince.size > 0 ? Math.min(...runningSince.keys()) : generation;
+  invalidatedAt.forEach((invalidated, prefix) => {
+    if (invalidated <= oldest) invalidatedAt.delete(prefix);
+  });
+}
+
+/**
+ * Records an invalidation of every key starting with prefix. Loads already running for those
+ * keys still resolve for their callers, but are neither shared with new callers nor cached.
+ * @param {string} prefix - A full key or a key prefix.
+ */
+function markInvalidated(prefix) {
+  generation += 1;
+  invalidatedAt.set(prefix, generation);
+  [...inFlight.keys()].filter((key) => key.startsWith(prefix)).forEach((key) => inFlight.delete(key));
+  pruneInvalidations();
+}
+
+/**
+ * Returns the cached value for a key, or loads, caches and returns it.
+ * Empty (null/undefined) results are not cached, nor are results of loads that an
+ * invalidation overtook (they may predate the write that caused it).
+ * @param {string} key - Cache key.
+ * @param {number} ttlSeconds - TTL for a freshly loaded value.
+ * @param {() => Promise<*>} loader - Fetches the value from Luma.
+ * @returns {Promise<*>}
+ */
+async function getOrLoad(key, ttlSeconds, loader) {
+  const store = getCacheStore();
+  const cached = await store.get(key);
+  if (cached !== null) return cached;
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const startedAt = generation;
+  runningSince.set(startedAt, (runningSince.get(startedAt) || 0) + 1);
+  const load = (async () => {
+    try {
+      const value = await loader();
+      if (value !== null && value !== undefined && ttlSeconds > 0 && lastInvalidation(key) <= startedAt) {
+        await store.set(key, value, ttlSeconds);
+      }
+      return value;
+    } finally {
+      if (inFlight.get(key) === load) inFlight.delete(key);
+      const running = runningSince.get(startedAt) - 1;
+      if (running > 0) runningSince.set(startedAt, running);
+      else runningSince.delete(startedAt);
+      pruneInvalidations();
+    }
+  })();
+  inFlight.set(key, load);
+  return load;
+}
+
+/**
+ * Lists all events for an org, served from cache when fresh.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {object} [options] - Same as lumaClient.listAllEvents.
+ * @returns {Promise<object>} - { entries: [...], has_more: bool }
+ */
+function listAllEvents(org, options = {}) {
+  return getOrLoad(eventsKey(org.id, options), config.cache.ttlSeconds.events,
+    () => lumaClient.listAllEvents(org.lumaApiKeyEncrypted, options));
+}
+
+/**
+ * Gets details for one event, served from cache when fresh.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @returns {Promise<object>} - The event details from Luma API.
+ */
+function getEvent(org, eventApiId) {
+  return getOrLoad(eventKey(org.id, eventApiId), config.cache.ttlSeconds.eventDetails,
+    () => lumaClient.getEvent(org.lumaApiKeyEncrypted, eventApiId));
+}
+
+/**
+ * The name and timezone of an event, for messages. Never throws: when Luma can't say,
+ * the event ID stands in for the name and the timezone is UTC.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @returns {Promise<{ name: string, timeZone: string }>}
+ */
+async function getEventSummary(org, eventApiId) {
+  try {
+    const details = await getEvent(org, eventApiId);
+    const event = details?.event || details || {};
+    return { name: event.name || eventApiId, timeZone: event.timezone || 'UTC' };
+  } catch (error) {
+    console.warn(`Could not load event ${eventApiId} for its name:`, error.message);
+    return { name: eventApiId, timeZone: 'UTC' };
+  }
+}
+
+/**
+ * Gets the complete guest list for an event, served from cache when fresh.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} [options] - Same as lumaClient.getAllGuests.
+ * @returns {Promise<object>} - { entries: [...], has_more: bool }
+ */
+function getAllGuests(org, eventApiId, options = {}) {
+  return getOrLoad(guestsKey(org.id, eventApiId, options), config.cache.ttlSeconds.guests,
+    () => lumaClient.getAllGuests(org.lumaApiKeyEncrypted, eventApiId, options));
+}
+
+/**
+ * Drops every cached guest list (all filters) for an event.
+ * @param {string} orgId - The org whose cache to invalidate.
+ * @param {string} eventApiId - The API ID of the event.
+ * @returns {Promise<void>}
+ */
+async function invalidateGuests(orgId, eventApiId) {
+  markInvalidated(guestsPrefix(orgId, eventApiId));
+  await getCacheStore().delByPrefix(guestsPrefix(orgId, eventApiId));
+}
+
+/**
+ * Drops cached event lists and, if given, one event's details.
+ * @param {string} orgId - The org whose cache to invalidate.
+ * @param {string} [eventApiId] - The API ID of an event whose details changed.
+ * @returns {Promise<void>}
+ */
+async function invalidateEvents(orgId, eventApiId) {
+  const store = getCacheStore();
+  markInvalidated(`${orgPrefix(orgId)}events:`);
+  await store.delByPrefix(`${orgPrefix(orgId)}events:`);
+  if (eventApiId) {
+    markInvalidated(eventKey(orgId, eventApiId));
+    await store.del(eventKey(orgId, eventApiId));
+  }
+}
+
+/**
+ * Updates a guest's status and invalidates that event's cached guest lists on success.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {string} guestEmail - The email address of the guest to update.
+ * @param {'approved' | 'declined'} newStatus - The new status for the guest.
+ * @param {boolean} [shouldRefund=false] - Whether to refund if declining a paid guest.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function updateGuestStatus(org, eventApiId, guestEmail, newStatus, shouldRefund = false) {
+  const result = await lumaClient.updateGuestStatus(org.lumaApiKeyEncrypted, eventApiId, guestEmail, newStatus, shouldRefund);
+  await invalidateGuests(org.id, eventApiId);
+  return result;
+}
+
+/**
+ * Checks a guest in and invalidates that event's cached guest lists on success.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {string} guestApiId - The API ID of the guest.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function checkInGuest(org, eventApiId, guestApiId) {
+  const result = await lumaClient.checkInGuest(org.lumaApiKeyEncrypted, eventApiId, guestApiId);
+  await invalidateGuests(org.id, eventApiId);
+  return result;
+}
+
+/**
+ * Adds guests to an event and invalidates that event's cached guest lists on success.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {Array<{ email: string, name?: string }>} guests - Guests to add.
+ * @param {object} [options] - approvalStatus and ticketTypeId, as for the client's addGuests.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function addGuests(org, eventApiId, guests, options) {
+  const result = await lumaClient.addGuests(org.lumaApiKeyEncrypted, eventApiId, guests, options);
+  await invalidateGuests(org.id, eventApiId);
+  return result;
+}
+
+/**
+ * Sends invitations and invalidates that event's cached guest lists on success (invitees are listed as 'invited').
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {Array<{ email: string, name?: string }>} guests - People to invite.
+ * @param {object} [options] - message, as for the client's sendInvites.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function sendInvites(org, eventApiId, guests, options) {
+  const result = await lumaClient.sendInvites(org.lumaApiKeyEncrypted, eventApiId, guests, options);
+  await invalidateGuests(org.id, eventApiId);
+  return result;
+}
+
+/**
+ * Creates an event and invalidates the org's cached event lists on success.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {object} eventData - Luma event fields.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function createEvent(org, eventData) {
+  const result = await lumaClient.createEvent(org.lumaApiKeyEncrypted, eventData);
+  await invalidateEvents(org.id);
+  return result;
+}
+
+/**
+ * Updates an event and invalidates its cached details and the org's event lists on success.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} changes - Luma event fields to change.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function updateEvent(org, eventApiId, changes) {
+  const result = await lumaClient.updateEvent(org.lumaApiKeyEncrypted, eventApiId, changes);
+  await invalidateEvents(org.id, eventApiId);
+  return result;
+}
+
+module.exports = {
+  listAllEvents,
+  getEvent,
+  getEventSummary,
+  getAllGuests,
+  updateGuestStatus,
+  checkInGuest,
+  addGuests,
+  sendInvites,
+  createEvent,
+  updateEvent,
+  invalidateGuests,
+  invalidateEvents,
+};
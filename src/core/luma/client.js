@@ -1,11 +1,21 @@
 const axios = require('axios');
 const config = require('../../config/config.js'); // Adjust path as needed
-const { decrypt } = require('../../lib/crypto');
+const { decrypt, DecryptionError } = require('../../lib/crypto');
+const { attachRequestLayer, limiterKeyFor, parseRetryAfter } = require('./requestLayer');
+const {
+  LumaAuthError,
+  LumaNotFoundError,
+  LumaRateLimitError,
+  LumaValidationError,
+  LumaUnsupportedError,
+  errorClassForStatus,
+} = require('./errors');
 
 const LUMA_API_BASE_URL = 'https://api.lu.ma/public/v1';
 
 /**
  * Creates an Axios instance configured for Luma API calls.
+ * Requests are throttled per API key and idempotent GETs are retried (see requestLayer).
  * @param {string} encryptedApiKey - The encrypted Luma API key for the organization.
  * @returns {import('axios').AxiosInstance}
  */
@@ -15,14 +25,14 @@ const createLumaApiClient = (encryptedApiKey) => {
     apiKey = decrypt(encryptedApiKey); // Decrypt the key before use
   } catch (error) {
     console.error("Failed to decrypt Luma API key:", error);
-    throw new Error('Invalid Luma API key configuration for organization.');
+    throw new DecryptionError('Invalid Luma API key configuration for organization.', { cause: error });
   }
 
   if (!apiKey) {
-    throw new Error('Decrypted Luma API key is missing.');
+    throw new DecryptionError('Decrypted Luma API key is missing.');
   }
 
-  return axios.create({
+  const instance = axios.create({
     baseURL: LUMA_API_BASE_URL,
     headers: {
       'Accept': 'application/json',
@@ -31,31 +41,55 @@ const createLumaApiClient = (encryptedApiKey) => {
     },
     timeout: 15000, // 15 second timeout
   });
+
+  return attachRequestLayer(instance, limiterKeyFor(apiKey));
 };
 
 /**
- * Handles Luma API errors, logging and potentially re-throwing.
+ * Handles Luma API errors, logging and re-throwing them as typed LumaApiError subclasses.
  * @param {Error} error - The error object from Axios or Luma.
  * @param {string} context - Description of the operation being attempted.
+ * @throws {LumaApiError} - Always for Axios errors, carrying the last status code and attempt count.
  */
 const handleApiError = (error, context) => {
   if (axios.isAxiosError(error)) {
+    const status = error.response?.status ?? null;
+    const details = {
+      status,
+      context,
+      attempts: error.config?.lumaAttempt || 1,
+      retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after']),
+      data: error.response?.data ?? null,
+      cause: error,
+    };
     console.error(
-      `Luma API Error (${context}): ${error.response?.status} ${error.response?.statusText}`,
+      `Luma API Error (${context}): ${status} ${error.response?.statusText} after ${details.attempts} attempt(s)`,
       {
         url: error.config?.url,
         data: error.response?.data,
       }
     );
-    // Potentially throw a more specific error based on status code
-    if (error.response?.status === 401) {
-      throw new Error(`Luma API Authentication Failed (${context}). Check API Key.`);
-    }
-    if (error.response?.status === 404) {
-      throw new Error(`Luma API Not Found (${context}). Check IDs.`);
+
+    const ErrorClass = errorClassForStatus(status);
+    const lumaMessage = error.response?.data?.message;
+    let message;
+    switch (ErrorClass) {
+      case LumaAuthError:
+        message = `Luma API Authentication Failed (${context}). Check API Key.`;
+        break;
+      case LumaNotFoundError:
+        message = `Luma API Not Found (${context}). Check IDs.`;
+        break;
+      case LumaRateLimitError:
+        message = `Luma API rate limit exceeded (${context}). Try again shortly.`;
+        break;
+      case LumaValidationError:
+        message = `Luma API rejected the request (${context})${lumaMessage ? `: ${lumaMessage}` : '.'}`;
+        break;
+      default:
+        message = `Luma API request failed (${context}): ${error.message}`;
     }
-    // Add more specific error handling as needed
-    throw new Error(`Luma API request failed (${context}): ${error.message}`);
+    throw new ErrorClass(message, details);
   } else {
     console.error(`Error during Luma API call (${context}):`, error);
     throw error; // Re-throw unexpected errors
@@ -174,6 +208,238 @@ async function updateGuestStatus(encryptedApiKey, eventApiId, guestEmail, newSta
   }
 }
 
+// Luma's public API can approve or decline guests but has no way to record that they arrived.
+// Door mode stays off until it does (see checkInGuest)
+const CHECKIN_SUPPORTED = false;
+const CHECKIN_UNSUPPORTED_MESSAGE = "Luma's API has no check-in endpoint, so the bot can't mark guests as checked in. Use Luma's own check-in scanner at the door.";
+
+/**
+ * Would mark a guest as checked in at the door. Luma's public API has no check-in endpoint and
+ * /event/update-guest-status only sets the approval status, so this refuses without calling Luma.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {string} guestApiId - The API ID of the guest (guest.api_id).
+ * @returns {Promise<never>}
+ * @throws {LumaUnsupportedError}
+ */
+async function checkInGuest(encryptedApiKey, eventApiId, guestApiId) {
+  console.warn(`checkInGuest: not checking in guest ${guestApiId} for event ${eventApiId}; Luma has no check-in endpoint.`);
+  throw new LumaUnsupportedError(CHECKIN_UNSUPPORTED_MESSAGE, { context: 'checkInGuest' });
+}
+
+/**
+ * Adds guests to an event directly, without them registering.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {Array<{ email: string, name?: string }>} guests - Guests to add.
+ * @param {object} [options]
+ * @param {'approved' | 'pending_approval'} [options.approvalStatus='approved'] - Status the guests are added with.
+ * @param {string} [options.ticketTypeId] - Ticket type to give them (event_ticket_type api_id); Luma's default otherwise.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function addGuests(encryptedApiKey, eventApiId, guests, { approvalStatus = 'approved', ticketTypeId } = {}) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'addGuests';
+  try {
+    const requestBody = {
+      event_api_id: eventApiId,
+      guests,
+      approval_status: approvalStatus,
+    };
+    if (ticketTypeId) {
+      requestBody.ticket = { event_ticket_type_id: ticketTypeId };
+    }
+
+    const response = await apiClient.post('/event/add-guests', requestBody);
+    console.info(`Luma API Success (${context}) - Added ${guests.length} guests to event ${eventApiId} as ${approvalStatus}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Failed ${context} details:`, { eventApiId, count: guests.length, approvalStatus, ticketTypeId });
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Sends Luma invitations to an event; invitees register themselves from the email.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {Array<{ email: string, name?: string }>} guests - People to invite.
+ * @param {object} [options]
+ * @param {string} [options.message] - Personal note included in the invitation.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function sendInvites(encryptedApiKey, eventApiId, guests, { message } = {}) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'sendInvites';
+  try {
+    const requestBody = {
+      event_api_id: eventApiId,
+      guests,
+    };
+    if (message) {
+      requestBody.message = message;
+    }
+
+    const response = await apiClient.post('/event/send-invites', requestBody);
+    console.info(`Luma API Success (${context}) - Invited ${guests.length} people to event ${eventApiId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Failed ${context} details:`, { eventApiId, count: guests.length });
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Lists an event's ticket types.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @returns {Promise<object[]>} - Ticket types ({ api_id, name, type, cents, currency, max_capacity, is_hidden, ... }).
+ */
+async function listTicketTypes(encryptedApiKey, eventApiId) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'listTicketTypes';
+  try {
+    const params = { event_api_id: eventApiId };
+    const response = await apiClient.get('/event/ticket-types/list', { params });
+    console.info(`Luma API Success (${context}) - Found ${response.data?.ticket_types?.length || 0} ticket types for event ${eventApiId}`);
+    return response.data?.ticket_types || [];
+  } catch (error) {
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Lists an event's coupon codes.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} [options] - Optional query parameters.
+ * @param {string} [options.pagination_cursor] - Cursor for pagination.
+ * @param {number} [options.pagination_limit] - Limit number of results.
+ * @returns {Promise<object>} - { entries: [...coupons], has_more, next_cursor } from Luma.
+ */
+async function listCoupons(encryptedApiKey, eventApiId, options = {}) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'listCoupons';
+  try {
+    const params = { event_api_id: eventApiId };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) {
+        params[key] = value;
+      }
+    });
+
+    const response = await apiClient.get('/event/coupons', { params });
+    console.info(`Luma API Success (${context}) - Found ${response.data?.entries?.length || 0} coupons for event ${eventApiId}`);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Creates a coupon code for an event.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} coupon
+ * @param {string} coupon.code - The code guests enter at checkout.
+ * @param {object} coupon.discount - { discount_type: 'percent', percent_off } or { discount_type: 'cents', cents_off, currency }.
+ * @param {number|null} [coupon.remainingCount] - How many times it can be used; unlimited when null.
+ * @param {string|null} [coupon.validEndAt] - ISO 8601 datetime after which it stops working.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function createCoupon(encryptedApiKey, eventApiId, { code, discount, remainingCount = null, validEndAt = null }) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'createCoupon';
+  try {
+    const requestBody = {
+      event_api_id: eventApiId,
+      code,
+      discount,
+      remaining_count: remainingCount,
+      valid_end_at: validEndAt,
+    };
+
+    const response = await apiClient.post('/event/create-coupon', requestBody);
+    console.info(`Luma API Success (${context}) - Created coupon ${code} for event ${eventApiId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Failed ${context} details:`, { eventApiId, code });
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Disables a coupon code by ending its validity now. Guests can no longer use it;
+ * past redemptions are unaffected.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {string} code - The coupon code.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function disableCoupon(encryptedApiKey, eventApiId, code) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'disableCoupon';
+  try {
+    const requestBody = {
+      event_api_id: eventApiId,
+      code,
+      valid_end_at: new Date().toISOString(),
+    };
+
+    const response = await apiClient.post('/event/update-coupon', requestBody);
+    console.info(`Luma API Success (${context}) - Disabled coupon ${code} for event ${eventApiId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Failed ${context} details:`, { eventApiId, code });
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Creates an event on the calendar the API key belongs to.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {object} eventData - Luma event fields (name, start_at, end_at, timezone, geo_address_json,
+ *   max_capacity, require_rsvp_approval, description_md); see eventFieldService.toLumaFields.
+ * @returns {Promise<object>} - The response data from Luma API (includes the new event's api_id).
+ */
+async function createEvent(encryptedApiKey, eventData) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'createEvent';
+  try {
+    const response = await apiClient.post('/event/create', eventData);
+    console.info(`Luma API Success (${context}) - Created event "${eventData.name}" (${response.data?.api_id || 'no api_id returned'})`);
+    return response.data;
+  } catch (error) {
+    console.error(`Failed ${context} details:`, { name: eventData.name, startAt: eventData.start_at });
+    handleApiError(error, context);
+  }
+}
+
+/**
+ * Updates fields of an existing event. Only the fields given are changed.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} changes - Luma event fields to change (same names as createEvent).
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function updateEvent(encryptedApiKey, eventApiId, changes) {
+  const apiClient = createLumaApiClient(encryptedApiKey);
+  const context = 'updateEvent';
+  try {
+    const requestBody = {
+      event_api_id: eventApiId,
+      ...changes,
+    };
+
+    const response = await apiClient.post('/event/update', requestBody);
+    console.info(`Luma API Success (${context}) - Updated ${Object.keys(changes).join(', ')} of event ${eventApiId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Failed ${context} details:`, { eventApiId, fields: Object.keys(changes) });
+    handleApiError(error, context);
+  }
+}
+
 /**
  * Gets details for a specific event.
  * @param {string} encryptedApiKey - The encrypted Luma API key.
@@ -193,6 +459,131 @@ async function getEvent(encryptedApiKey, eventApiId) {
   }
 }
 
+// --- Pagination helpers ---
+
+/**
+ * Walks a cursor-paginated Luma list endpoint page by page.
+ * Stops when Luma reports `has_more: false`, when no further cursor is returned,
+ * or when a cursor repeats (defensive guard against an endless loop).
+ * @param {(pageParams: { pagination_cursor?: string, pagination_limit: number }) => Promise<object>} fetchPage - Fetches a single page.
+ * @param {object} [options]
+ * @param {number} [options.pageSize] - Entries requested per page (defaults to config.luma.pageSize).
+ * @returns {AsyncGenerator<object>} - Yields raw page responses ({ entries, has_more, next_cursor }).
+ */
+async function* paginatePages(fetchPage, { pageSize = config.luma.pageSize } = {}) {
+  const seenCursors = new Set();
+  let cursor;
+
+  while (true) {
+    const page = await fetchPage({ pagination_cursor: cursor, pagination_limit: pageSize });
+    if (!page) return;
+    yield page;
+
+    if (!page.has_more || !page.next_cursor || seenCursors.has(page.next_cursor)) return;
+    seenCursors.add(page.next_cursor);
+    cursor = page.next_cursor;
+  }
+}
+
+/**
+ * Iterates every entry of a cursor-paginated Luma list endpoint, up to a hard cap.
+ * @param {(pageParams: object) => Promise<object>} fetchPage - Fetches a single page.
+ * @param {object} [options]
+ * @param {number} [options.pageSize] - Entries requested per page.
+ * @param {number} [options.maxItems] - Hard cap on entries yielded (defaults to config.luma.maxPaginatedItems).
+ * @returns {AsyncGenerator<object>} - Yields individual entries.
+ */
+async function* paginate(fetchPage, { pageSize, maxItems = config.luma.maxPaginatedItems } = {}) {
+  let yielded = 0;
+  for await (const page of paginatePages(fetchPage, { pageSize })) {
+    for (const entry of page.entries || []) {
+      if (yielded >= maxItems) return;
+      yield entry;
+      yielded++;
+    }
+  }
+}
+
+/**
+ * Collects every entry of a cursor-paginated Luma list endpoint, up to a hard cap.
+ * @param {(pageParams: object) => Promise<object>} fetchPage - Fetches a single page.
+ * @param {object} [options]
+ * @param {number} [options.pageSize] - Entries requested per page.
+ * @param {number} [options.maxItems] - Hard cap on entries collected.
+ * @returns {Promise<object>} - { entries: [...], has_more: bool } where has_more is true only if the cap cut the list short.
+ */
+async function collectAll(fetchPage, { pageSize, maxItems = config.luma.maxPaginatedItems } = {}) {
+  const entries = [];
+  for await (const page of paginatePages(fetchPage, { pageSize })) {
+    const pageEntries = page.entries || [];
+    const room = maxItems - entries.length;
+    entries.push(...pageEntries.slice(0, room));
+
+    if (pageEntries.length > room || (entries.length >= maxItems && page.has_more)) {
+      console.warn(`Luma pagination cap of ${maxItems} entries reached; list truncated.`);
+      return { entries, has_more: true };
+    }
+  }
+  return { entries, has_more: false };
+}
+
+/**
+ * Iterates over all events of the calendar, following `next_cursor` across pages.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {object} [options] - Same filters as listEvents (after, before), plus:
+ * @param {number} [options.pageSize] - Entries requested per page.
+ * @param {number} [options.maxItems] - Hard cap on entries yielded.
+ * @returns {AsyncGenerator<object>} - Yields event entries as returned by listEvents.
+ */
+function iterateEvents(encryptedApiKey, { pageSize, maxItems, ...filters } = {}) {
+  return paginate((pageParams) => listEvents(encryptedApiKey, { ...filters, ...pageParams }), { pageSize, maxItems });
+}
+
+/**
+ * Iterates over all guests of an event, following `next_cursor` across pages.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} [options] - Same filters as getGuests (approval_status), plus:
+ * @param {number} [options.pageSize] - Entries requested per page.
+ * @param {number} [options.maxItems] - Hard cap on entries yielded.
+ * @returns {AsyncGenerator<object>} - Yields guest entries as returned by getGuests.
+ */
+function iterateGuests(encryptedApiKey, eventApiId, { pageSize, maxItems, ...filters } = {}) {
+  return paginate((pageParams) => getGuests(encryptedApiKey, eventApiId, { ...filters, ...pageParams }), { pageSize, maxItems });
+}
+
+/**
+ * Fetches every event of the calendar across all pages.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {object} [options] - Same as iterateEvents.
+ * @returns {Promise<object>} - { entries: [...], has_more: bool } (has_more only if the hard cap was hit).
+ */
+function listAllEvents(encryptedApiKey, { pageSize, maxItems, ...filters } = {}) {
+  return collectAll((pageParams) => listEvents(encryptedApiKey, { ...filters, ...pageParams }), { pageSize, maxItems });
+}
+
+/**
+ * Fetches every guest of an event across all pages.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} [options] - Same as iterateGuests.
+ * @returns {Promise<object>} - { entries: [...], has_more: bool } (has_more only if the hard cap was hit).
+ */
+function getAllGuests(encryptedApiKey, eventApiId, { pageSize, maxItems, ...filters } = {}) {
+  return collectAll((pageParams) => getGuests(encryptedApiKey, eventApiId, { ...filters, ...pageParams }), { pageSize, maxItems });
+}
+
+/**
+ * Fetches every coupon of an event across all pages.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {object} [options] - Pagination limits (pageSize, maxItems).
+ * @returns {Promise<object>} - { entries: [...], has_more: bool } (has_more only if the hard cap was hit).
+ */
+function getAllCoupons(encryptedApiKey, eventApiId, { pageSize, maxItems } = {}) {
+  return collectAll((pageParams) => listCoupons(encryptedApiKey, eventApiId, pageParams), { pageSize, maxItems });
+}
+
 module.exports = {
   createLumaApiClient,
   handleApiError,
@@ -201,5 +592,22 @@ module.exports = {
   getGuests,
   getEvent,
   updateGuestStatus,
+  CHECKIN_SUPPORTED,
+  CHECKIN_UNSUPPORTED_MESSAGE,
+  checkInGuest,
+  addGuests,
+  sendInvites,
+  listTicketTypes,
+  listCoupons,
+  createCoupon,
+  disableCoupon,
+  createEvent,
+  updateEvent,
+  paginate,
+  iterateEvents,
+  iterateGuests,
+  listAllEvents,
+  getAllGuests,
+  getAllCoupons,
   // Export other API functions once defined
 }; 
\ No newline at end of file
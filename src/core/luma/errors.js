@@ -0,0 +1,78 @@
+/**
+ * Error thrown when a Luma API call fails.
+ * Carries the last HTTP status seen (null for network failures/timeouts)
+ * and how many attempts were made before giving up.
+ */
+class LumaApiError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the failure.
+   * @param {object} [details]
+   * @param {number|null} [details.status] - Last HTTP status code returned by Luma.
+   * @param {string} [details.context] - The client operation that failed (e.g. 'getGuests').
+   * @param {number} [details.attempts] - Number of attempts made, including retries.
+   * @param {number|null} [details.retryAfterMs] - Delay Luma asked for via Retry-After, if any.
+   * @param {*} [details.data] - Response body returned by Luma, if any.
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor(message, { status = null, context = null, attempts = 1, retryAfterMs = null, data = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.context = context;
+    this.attempts = attempts;
+    this.retryAfterMs = retryAfterMs;
+    this.data = data;
+  }
+}
+
+/** Luma rejected the API key (401/403). The org usually needs to re-link. */
+class LumaAuthError extends LumaApiError {}
+
+/** The requested event or guest does not exist for this API key (404). */
+class LumaNotFoundError extends LumaApiError {}
+
+/** Luma kept rate limiting us (429) even after retries. */
+class LumaRateLimitError extends LumaApiError {}
+
+/** Luma rejected the request body or parameters (400/422). */
+class LumaValidationError extends LumaApiError {}
+
+/** Luma's public API has no endpoint for the operation, so it was not attempted. */
+class LumaUnsupportedError extends LumaApiError {}
+
+/**
+ * Picks the most specific LumaApiError subclass for an HTTP status.
+ * @param {number|null} status - HTTP status code returned by Luma.
+ * @returns {typeof LumaApiError}
+ */
+const errorClassForStatus = (status) => {
+  if (status === 401 || status === 403) return LumaAuthError;
+  if (status === 404) return LumaNotFoundError;
+  if (status === 429) return LumaRateLimitError;
+  if (status === 400 || status === 422) return LumaValidationError;
+  return LumaApiError;
+};
+
+/**
+ * Whether an error means Luma could not be reached (network failure, timeout, 5xx or
+ * rate limiting) rather than Luma refusing the request. Such calls can be retried later.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isLumaUnreachable = (error) => {
+  if (error instanceof LumaUnsupportedError) return false;
+  if (error instanceof LumaRateLimitError) return true;
+  if (error instanceof LumaApiError) return error.status === null || error.status >= 500;
+  return ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED'].includes(error?.code);
+};
+
+module.exports = {
+  LumaApiError,
+  LumaAuthError,
+  LumaNotFoundError,
+  LumaRateLimitError,
+  LumaValidationError,
+  LumaUnsupportedError,
+  errorClassForStatus,
+  isLumaUnreachable,
+};
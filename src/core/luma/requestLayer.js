@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const config = require('../../config/config.js');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+// Per-API-key throttle state: the earliest time the next request may be sent.
+// Keyed by a hash so plaintext keys are never held as map keys.
+const nextSlotByKey = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Derives a stable, non-reversible identifier for an API key.
+ * @param {string} apiKey - The decrypted Luma API key.
+ * @returns {string}
+ */
+const limiterKeyFor = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+
+/**
+ * Waits until the given key is allowed to send another request.
+ * Requests are spaced evenly so a key never exceeds config.luma.requestsPerSecond.
+ * @param {string} limiterKey - Identifier returned by limiterKeyFor.
+ * @returns {Promise<void>}
+ */
+async function acquireSlot(limiterKey) {
+  const rps = config.luma.requestsPerSecond;
+  if (!rps || rps <= 0) return;
+
+  const interval = 1000 / rps;
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotByKey.get(limiterKey) || 0);
+  nextSlotByKey.set(limiterKey, slot + interval);
+
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @param {string|undefined} headerValue
+ * @returns {number|null}
+ */
+function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(headerValue);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+/**
+ * Whether a failed request is worth retrying: network errors, timeouts, 429 and 5xx.
+ * Only idempotent methods are retried so mutations are never sent twice.
+ * @param {import('axios').AxiosError} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const method = (error.config?.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method)) return false;
+  const status = error.response?.status;
+  if (!status) return true; // Network failure or timeout
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Computes the delay before the next attempt: the full Retry-After when Luma sends one,
+ * otherwise exponential backoff with full jitter.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {number|null} retryAfterMs - Parsed Retry-After value.
+ * @returns {number|null} - null when Retry-After is longer than config.luma.retryMaxDelayMs:
+ *   retrying sooner would only be rejected again, so the caller gives up instead.
+ */
+function backoffDelay(attempt, retryAfterMs) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.luma;
+  if (retryAfterMs !== null) return retryAfterMs <= retryMaxDelayMs ? retryAfterMs : null;
+  const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Installs throttling and retry interceptors on a Luma Axios instance.
+ * The attempt count is recorded on `error.config.lumaAttempt` for handleApiError.
+ * @param {import('axios').AxiosInstance} instance - The Axios instance to decorate.
+ * @param {string} limiterKey - Identifier of the API key the instance uses.
+ * @returns {import('axios').AxiosInstance} - The same instance, for chaining.
+ */
+function attachRequestLayer(instance, limiterKey) {
+  instance.interceptors.request.use(async (requestConfig) => {
+    requestConfig.lumaAttempt = (requestConfig.lumaAttempt || 0) + 1;
+    await acquireSlot(limiterKey);
+    return requestConfig;
+  });
+
+  instance.interceptors.response.use(undefined, async (error) => {
+    const requestConfig = error.config;
+    if (!requestConfig) throw error;
+
+    const attempt = requestConfig.lumaAttempt || 1;
+    if (!isRetryable(error) || attempt > config.luma.maxRetries) throw error;
+
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+    const delay = backoffDelay(attempt, retryAfterMs);
+    if (delay === null) {
+      console.warn(`Luma API not retrying ${requestConfig.url}: Retry-After of ${retryAfterMs}ms is over the ${config.luma.retryMaxDelayMs}ms limit`);
+      throw error;
+    }
+    console.warn(`Luma API retry ${attempt}/${config.luma.maxRetries} for ${requestConfig.url} in ${delay}ms (status: ${error.response?.status || error.code})`);
+    await sleep(delay);
+    return instance.request(requestConfig);
+  });
+
+  return instance;
+}
+
+module.exports = {
+  attachRequestLayer,
+  limiterKeyFor,
+  parseRetryAfter,
+};
@@ -1,79 +1,221 @@
-// Original geminiService.js code - Using latest @google/genai package
-
-console.log('=== Starting Gemini Service Debug ===');
-console.log('Node version:', process.version);
-console.log('Current working directory:', process.cwd());
-
-const { GoogleGenAI } = require('@google/genai');
-console.log('=== Package Debug ===');
-console.log('Package type:', typeof GoogleGenAI);
-console.log('Package keys:', Object.keys(GoogleGenAI));
+// NLP pipeline for the Luma assistant. Historically Gemini-only; model calls now go
+// through the LLM provider abstraction (src/core/llm), so any configured provider works.
 
 const config = require('../../config/config.js');
+const { getLLMProvider, StructuredOutputError } = require('../llm');
+const toolRegistry = require('./tools');
 
-console.log('=== Config Debug ===');
-console.log('Config loaded:', {
-  hasApiKey: !!config.gemini.apiKey,
-  apiKeyLength: config.gemini.apiKey ? config.gemini.apiKey.length : 0,
-  modelId: config.gemini.modelId
-});
-
-// Initialize Gemini client
-let genAI = null;
-let initializationError = null;
-
-try {
-  console.log('=== Initialization Attempt ===');
-  console.log('Loading @google/genai module...');
-  console.log('@google/genai module loaded successfully');
-  
-  if (!config.gemini.apiKey) {
-    console.error('Missing GEMINI_API_KEY in config');
-    throw new Error('Missing required environment variable: GEMINI_API_KEY');
-  }
-  
-  console.log('Initializing GoogleGenAI instance with API key...');
-  genAI = new GoogleGenAI({ apiKey: config.gemini.apiKey });
-  console.log('Gemini client instantiated successfully');
-} catch (error) {
-  console.error('=== Initialization Error ===');
-  console.error('Error name:', error.name);
-  console.error('Error message:', error.message);
-  console.error('Error stack:', error.stack);
-  initializationError = error;
-}
+console.log('=== NLP Service ===');
+console.log('LLM provider configured:', config.llm.provider);
 
 /**
- * Simple function to generate response via Gemini
+ * Simple function to generate a free-text response
+ * @param {string} prompt - The prompt text.
+ * @param {object} [org] - The Org record, to honour per-org provider settings.
+ * @returns {Promise<string>}
  */
-async function generateResponse(prompt) {
-  if (!genAI) {
-    const errorMessage = initializationError 
-      ? `Gemini service failed to initialize: ${initializationError.message}`
-      : "Gemini service is not initialized. Check logs for details.";
+async function generateResponse(prompt, org) {
+  const provider = getLLMProvider(org);
+  if (!provider.isAvailable()) {
+    const errorMessage = `The ${provider.name} LLM provider is not initialized. Check logs for details.`;
     console.error(errorMessage);
     return `⚠️ ${errorMessage}`;
   }
-  
+
   try {
     console.log(`Generating response for: "${prompt.substring(0, 50)}..."`);
-    const result = await genAI.models.generateContent({
-      model: config.gemini.modelId || "gemini-1.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }]
-    });
-    console.log('Content generated, extracting response...');
-    const responseText = result.text;
+    const responseText = await provider.generateText({ messages: [{ role: 'user', content: prompt }] });
     console.log('Response extracted successfully');
-    return responseText || "⚠️ No response text received from Gemini.";
+    return responseText || `⚠️ No response text received from ${provider.name}.`;
   } catch (error) {
     console.error('Error generating response:', error);
     return `⚠️ Error generating response: ${error.message}`;
   }
 }
 
-console.log('Gemini service module loaded. Initialized:', !!genAI);
+// --- NLP pipeline: resolve (function calling) -> tool call -> format -> post-process ---
+
+// Maximum characters of tool data embedded in a formatting prompt
+const MAX_PROMPT_DATA_CHARS = 30000;
+// Guest entries listed individually before the rest are only counted
+const MAX_PROMPT_GUEST_ENTRIES = 150;
+
+const FORMAT_SCHEMA = {
+  type: 'object',
+  properties: {
+    reply: { type: 'string', minLength: 1 },
+  },
+  required: ['reply'],
+};
+
+const POST_PROCESS_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1 },
+  },
+  required: ['text'],
+};
+
+/**
+ * Shrinks tool results before they are embedded in a prompt. Guest lists keep exact
+ * per-status counts but only list the first entries, so large events still fit.
+ * @param {*} rawData - Data returned by a Luma tool call.
+ * @returns {string} - JSON text, truncated to MAX_PROMPT_DATA_CHARS.
+ */
+function summariseForPrompt(rawData) {
+  let data = rawData;
+  if (Array.isArray(rawData?.entries)) {
+    const counts = rawData.entries.reduce((acc, entry) => {
+      const status = entry.approval_status || entry.guest?.approval_status || 'unknown';
+      acc[status] = (acc[status] || 0) + 1;
+      return acc;
+    }, {});
+    data = {
+      total: rawData.entries.length,
+      counts_by_status: counts,
+      truncated_by_cap: !!rawData.has_more,
+      entries: rawData.entries.slice(0, MAX_PROMPT_GUEST_ENTRIES),
+      entries_omitted: Math.max(0, rawData.entries.length - MAX_PROMPT_GUEST_ENTRIES),
+    };
+  }
+  const json = JSON.stringify(data);
+  return json.length > MAX_PROMPT_DATA_CHARS ? `${json.slice(0, MAX_PROMPT_DATA_CHARS)}... [truncated]` : json;
+}
+
+/**
+ * Works out what the user wants: either a direct answer or a tool call with validated params.
+ * Uses the provider's function calling with the declarations from the tool registry.
+ * @param {string} userText - The user's message.
+ * @param {object} context - Context for resolution.
+ * @param {Array<{api_id: string, name: string, start_at: string}>} context.events - Known events.
+ * @param {Array<{role: 'user'|'bot', content: string}>} [context.history] - Earlier turns, oldest first.
+ * @param {Array<{tool: string, call: string, data: *}>} [context.toolResults] - Recent tool results, oldest first.
+ * @param {object} [context.org] - The Org record, to honour per-org provider settings.
+ * @param {{api_id: string, name: string}|null} [context.activeEvent] - The chat's current event (/use), if set.
+ * @returns {Promise<string|{action: 'TOOL_CALL', tool: string, params: object}>}
+ *   A direct answer string, or a TOOL_CALL instruction for the handler to execute.
+ */
+async function resolveQuery(userText, context = {}) {
+  const provider = getLLMProvider(context.org);
+  if (!provider.isAvailable()) {
+    const errorMessage = `The ${provider.name} LLM provider is not initialized. Check logs for details.`;
+    console.error(errorMessage);
+    return `⚠️ ${errorMessage}`;
+  }
+
+  const system = [
+    'You are the assistant of a Telegram bot that manages Luma events for an events team.',
+    `Today is ${new Date().toISOString()}.`,
+    'Answer directly from the event list when you can; otherwise call exactly one of the available functions.',
+    'Always use the api_id from the event list as event_id; match event names loosely.',
+    'If required information is missing or ambiguous, ask a short clarifying question instead of calling a function.',
+    'Never invent event IDs or email addresses.',
+    'Use the earlier conversation and recent tool results to resolve follow-ups such as "the second one" or "what about the pending ones?".',
+  ].join('\n');
+
+  const toolResults = (context.toolResults || [])
+    .map((result) => `${result.call} -> ${JSON.stringify(result.data)}`)
+    .join('\n');
+  const prompt = [
+    `Events:\n${JSON.stringify(context.events || [])}`,
+    context.activeEvent ? `Current event for this chat (use it whenever the user doesn't name an event):\n${JSON.stringify(context.activeEvent)}` : null,
+    toolResults ? `Recent tool results (oldest first):\n${toolResults}` : null,
+    `User message:\n${userText}`,
+  ].filter(Boolean).join('\n\n');
+
+  // Earlier turns become real chat history so the model sees who said what
+  const messages = [
+    ...(context.history || []).map((turn) => ({
+      role: turn.role === 'bot' ? 'assistant' : 'user',
+      content: turn.content,
+    })),
+    { role: 'user', content: prompt },
+  ];
+
+  const { text, toolCalls } = await provider.generateWithTools({
+    system,
+    messages,
+    tools: toolRegistry.toToolDeclarations(),
+  });
+
+  const toolCall = toolCalls[0];
+  if (!toolCall) {
+    return text || "Sorry, I'm not sure how to help with that.";
+  }
+  console.log('resolveQuery tool call:', JSON.stringify(toolCall));
+
+  const { valid, errors, params } = toolRegistry.validateToolArgs(toolCall.name, toolCall.args);
+  if (!valid) {
+    console.warn(`resolveQuery: invalid call to ${toolCall.name}:`, errors);
+    return `I couldn't work out all the details needed for that (${errors.join('; ')}). Could you rephrase with the event and guest email?`;
+  }
+
+  return { action: 'TOOL_CALL', tool: toolCall.name, params };
+}
+
+/**
+ * Turns raw Luma data into a short prose answer to the user's question.
+ * @param {*} rawData - Data returned by a tool call.
+ * @param {string} userText - The user's original message.
+ * @param {object} [org] - The Org record, to honour per-org provider settings.
+ * @returns {Promise<string>} - The formatted answer (plain text).
+ */
+async function formatDataWithGemini(rawData, userText, org) {
+  const system = [
+    'You turn raw Luma event data into a concise answer for a Telegram chat.',
+    'Answer the question asked using only the data given. Prefer counts and short lists.',
+    'If the data has counts_by_status, use those counts rather than counting entries yourself.',
+    'Plain text only: no Markdown, no code blocks.',
+  ].join('\n');
+  const prompt = `User question:\n${userText}\n\nData (JSON):\n${summariseForPrompt(rawData)}`;
+
+  const result = await getLLMProvider(org).generateStructured({
+    system,
+    messages: [{ role: 'user', content: prompt }],
+    schema: FORMAT_SCHEMA,
+  });
+  return result.reply;
+}
+
+/**
+ * Final tone and cleanup pass. Falls back to the input text if the model fails,
+ * so a cosmetic step never loses an otherwise good answer.
+ * @param {string} text - The response text before post-processing.
+ * @param {object} [org] - The Org record, to honour per-org provider settings.
+ * @returns {Promise<string>} - The cleaned-up text.
+ */
+async function postProcessResponse(text, org) {
+  if (!text) return text;
+
+  const system = [
+    'You polish replies from an events assistant before they are sent to Telegram.',
+    'The user message is the reply to polish.',
+    'Keep every fact, name, email, ID, number and date exactly as given.',
+    'Make the tone friendly, natural and brief. Remove filler, apologies repeated twice and internal jargon such as tool names.',
+    'Plain text only: no Markdown formatting characters.',
+  ].join('\n');
+
+  try {
+    // Inside the try: resolving the org's provider throws on a bad or undecryptable LLM config
+    const provider = getLLMProvider(org);
+    if (!provider.isAvailable()) return text;
+    const result = await provider.generateStructured({
+      system,
+      messages: [{ role: 'user', content: text }],
+      schema: POST_PROCESS_SCHEMA,
+    });
+    return result.text;
+  } catch (error) {
+    console.error('postProcessResponse failed, using unprocessed text:', error);
+    return text;
+  }
+}
 
 module.exports = {
   generateResponse,
-  isInitialized: () => !!genAI
-};
\ No newline at end of file
+  resolveQuery,
+  formatDataWithGemini,
+  postProcessResponse,
+  StructuredOutputError,
+  isInitialized: () => getLLMProvider().isAvailable()
+};
@@ -0,0 +1,118 @@
+/**
+ * Minimal JSON-schema validator for model output and tool arguments.
+ * Supports: type (incl. arrays of types), enum, properties, required,
+ * additionalProperties: false, items, maxItems, minLength, minimum, maximum, pattern, format: 'email'.
+ * Type names are case-insensitive so Gemini-style 'STRING' schemas validate too.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const expected = type.toLowerCase();
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value - The value to check.
+ * @param {object} schema - The JSON schema.
+ * @param {string} [path='$'] - Path used in error messages.
+ * @returns {string[]} - Human-readable validation errors (empty when valid).
+ */
+function validate(value, schema, path = '$') {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const allowsNull = schema.nullable === true;
+    if (!(allowsNull && value === null) && !types.some((type) => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ').toLowerCase()}, got ${typeOf(value)}`];
+    }
+  }
+  if (value === null || value === undefined) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push(`${path} should be an email address`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${path} should have at most ${schema.maxItems} items, got ${value.length}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propSchema, `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      const allowed = Object.keys(schema.properties || {});
+      Object.keys(value)
+        .filter((key) => !allowed.includes(key))
+        .forEach((key) => errors.push(`${path}.${key} is not allowed`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Converts a JSON schema into the OpenAPI subset Gemini accepts for responseSchema
+ * and function declarations (upper-case types, no additionalProperties/format/pattern/maxItems).
+ * @param {object} schema
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+  const { type, properties, items, additionalProperties, pattern, format, minLength, maxItems, ...rest } = schema;
+  const converted = { ...rest };
+  if (type) converted.type = (Array.isArray(type) ? type[0] : type).toUpperCase();
+  if (format === 'date-time') converted.format = format; // The only string format Gemini honours
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (items) converted.items = toGeminiSchema(items);
+  return converted;
+}
+
+module.exports = {
+  validate,
+  toGeminiSchema,
+};
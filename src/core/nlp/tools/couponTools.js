@@ -0,0 +1,72 @@
+const { registerTool } = require('./registry');
+const ticketService = require('../../services/ticketService');
+const { formatInTimeZone } = require('../../../lib/time');
+
+const eventNameFrom = (events, eventApiId) => events.find((event) => event.api_id === eventApiId)?.name || eventApiId;
+
+registerTool({
+  name: 'createCoupon',
+  description: "Create a discount code for an event: a percentage or a fixed amount in the event's ticket currency, optionally limited in uses and end date.",
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      code: { type: 'string', minLength: 3, description: 'The code guests enter: 3-40 letters, digits, dashes or underscores.' },
+      discount: { type: 'string', minLength: 1, description: "A percentage like '50%' or an amount like '$10' or '10EUR'." },
+      max_uses: { type: 'integer', minimum: 1, description: 'How many times the code can be used. Unlimited when left out.' },
+      valid_until: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: "Last day the code works (YYYY-MM-DD, in the event's timezone)." },
+    },
+    required: ['event_id', 'code', 'discount'],
+  },
+  requiredRole: 'admin',
+  mutating: true,
+  describe: (params, { events = [] } = {}) => {
+    const discount = ticketService.parseDiscount(params.discount);
+    const limits = [
+      params.max_uses ? `${params.max_uses} use(s)` : 'unlimited uses',
+      ...(params.valid_until ? [`until ${params.valid_until}`] : []),
+    ];
+    return `Create coupon ${String(params.code).toUpperCase()} for "${eventNameFrom(events, params.event_id)}": `
+      + `${discount.error ? params.discount : ticketService.describeDiscount(discount.discount)}, ${limits.join(', ')}`;
+  },
+  execute: async (params, { org, auditContext }) => {
+    // Checked again on confirmation: the code may have been taken or the tickets changed since the request
+    const plan = await ticketService.planCoupon(org, params.event_id, {
+      code: params.code, discount: params.discount, maxUses: params.max_uses, validUntil: params.valid_until,
+    });
+    if (plan.error) return { message: plan.error, partialFailure: true };
+
+    const { coupon, event } = plan;
+    await ticketService.createCoupon(org, params.event_id, coupon, auditContext);
+    return {
+      message: [
+        `Coupon ${coupon.code} created for "${event.name}": ${ticketService.describeDiscount(coupon.discount)}`,
+        coupon.maxUses ? `Uses: ${coupon.maxUses}` : 'Uses: unlimited',
+        ...(coupon.validUntil ? [`Valid until: ${formatInTimeZone(coupon.validUntil, event.timeZone)}`] : []),
+      ].join('\n'),
+    };
+  },
+});
+
+registerTool({
+  name: 'disableCoupon',
+  description: 'Disable an active discount code of an event so it can no longer be used.',
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      code: { type: 'string', minLength: 1, description: 'The coupon code.' },
+    },
+    required: ['event_id', 'code'],
+  },
+  requiredRole: 'admin',
+  mutating: true,
+  describe: (params, { events = [] } = {}) => `Disable coupon ${String(params.code).toUpperCase()} for "${eventNameFrom(events, params.event_id)}"`,
+  execute: async (params, { org, auditContext }) => {
+    const plan = await ticketService.planDisableCoupon(org, params.event_id, params.code);
+    if (plan.error) return { message: plan.error, partialFailure: true };
+
+    await ticketService.disableCoupon(org, params.event_id, plan.coupon.code, auditContext);
+    return { message: `Coupon ${plan.coupon.code} for "${plan.event.name}" is disabled.` };
+  },
+});
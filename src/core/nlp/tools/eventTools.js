@@ -0,0 +1,146 @@
+const { registerTool } = require('./registry');
+const lumaClient = require('../../luma/client');
+const lumaCache = require('../../luma/cachedClient');
+const { logAudit } = require('../../services/auditService');
+const eventFieldService = require('../../services/eventFieldService');
+
+// Event fields shared by createEvent and updateEvent, in the formats parseFields accepts
+const EVENT_FIELD_PROPERTIES = {
+  name: { type: 'string', minLength: 1, description: 'Event name.' },
+  timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/London.' },
+  start: { type: 'string', description: 'Start as YYYY-MM-DD HH:MM in the event timezone, or ISO 8601 with an offset.' },
+  end: { type: 'string', description: 'End as YYYY-MM-DD HH:MM in the event timezone, or ISO 8601 with an offset.' },
+  location: { type: 'string', description: "Venue address, or 'none' for an online/TBA event." },
+  capacity: { type: 'integer', minimum: 0, description: 'Maximum number of guests; 0 removes the limit.' },
+  require_approval: { type: 'boolean', description: 'Whether registrations need approval by a host.' },
+  description: { type: 'string', description: "Event description (Markdown), or 'none' to clear it." },
+};
+
+/**
+ * Parses tool arguments into normalised event fields.
+ * @param {object} params - Tool arguments without event_id.
+ * @param {string} timeZone - Timezone for wall-clock times when params don't set one.
+ * @returns {object}
+ * @throws {Error} - If a value is invalid.
+ */
+function parseOrThrow(params, timeZone) {
+  const { fields, errors } = eventFieldService.parseFields(params, timeZone);
+  if (errors.length > 0) throw new Error(errors.join(' '));
+  return fields;
+}
+
+/**
+ * Parses createEvent arguments with the creation defaults. Without a timezone, wall-clock times are read in
+ * the chat's default timezone, as the /newevent wizard does.
+ * @param {object} params - Tool arguments.
+ * @param {number|string} [chatId] - Chat the event is created from.
+ * @returns {Promise<{ fields: object, errors: string[] }>}
+ */
+async function newEventFields(params, chatId) {
+  const timeZone = params.timezone || await eventFieldService.defaultTimeZoneForChat(chatId);
+  const { fields, errors } = eventFieldService.parseFields(params, timeZone);
+  return { fields: eventFieldService.withCreateDefaults({ timezone: timeZone, ...fields }), errors };
+}
+
+registerTool({
+  name: 'createEvent',
+  description: 'Create a new Luma event. Needs at least a name and a start time; ends two hours after the start unless an end is given.',
+  parameters: {
+    type: 'object',
+    properties: EVENT_FIELD_PROPERTIES,
+    required: ['name', 'start'],
+  },
+  requiredRole: 'admin',
+  mutating: true,
+  describe: async (params, { chatId } = {}) => {
+    const { fields, errors } = await newEventFields(params, chatId);
+    if (errors.length > 0) return `Create event "${params.name}" (${errors.join(' ')})`;
+    return eventFieldService.describeNewEvent(fields);
+  },
+  execute: async (params, { org, ctx, auditContext }) => {
+    const { fields, errors } = await newEventFields(params, ctx?.chat?.id);
+    if (errors.length > 0) throw new Error(errors.join(' '));
+    const problems = eventFieldService.validateEvent(fields);
+    if (problems.length > 0) throw new Error(problems.join(' '));
+
+    const result = await lumaCache.createEvent(org, eventFieldService.toLumaFields(fields));
+    const eventApiId = result?.api_id || result?.event?.api_id || null;
+    await logAudit(auditContext, 'event_created', { success: true, eventApiId, fields });
+
+    const lines = [`Created "${fields.name}".`];
+    if (eventApiId) lines.push(`Event ID: ${eventApiId}`, `Tip: /use ${eventApiId} to make it this chat's current event.`);
+    return { message: lines.join('\n') };
+  },
+});
+
+/**
+ * Loads an event fresh from Luma (not the cache), so edits are compared with its latest details.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @returns {Promise<object>}
+ * @throws {Error} - If the event does not exist.
+ */
+async function loadEvent(org, eventApiId) {
+  const event = await lumaClient.getEvent(org.lumaApiKeyEncrypted, eventApiId);
+  if (!event) throw new Error(`Event ${eventApiId} was not found.`);
+  return event;
+}
+
+/**
+ * Works out what an edit changes, against the event's current details.
+ * @param {object} event - Event object from Luma.
+ * @param {object} params - Tool arguments without event_id.
+ * @returns {{ current: object, fields: object, diff: object[] }}
+ * @throws {Error} - If a value is invalid.
+ */
+function planEdit(event, params) {
+  const current = eventFieldService.currentFields(event);
+  const fields = parseOrThrow(params, current.timezone || 'UTC');
+  return { current, fields, diff: eventFieldService.diffFields(current, fields) };
+}
+
+registerTool({
+  name: 'updateEvent',
+  description: "Change details of an existing event: name, times, timezone, location, capacity, approval requirement or description. Only pass the fields that change.",
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      ...EVENT_FIELD_PROPERTIES,
+    },
+    required: ['event_id'],
+  },
+  requiredRole: 'admin',
+  mutating: true,
+  // Previews the edit as a diff against the event's current details
+  describe: async ({ event_id: eventApiId, ...changes }, { events = [], org } = {}) => {
+    const eventName = events.find((event) => event.api_id === eventApiId)?.name || eventApiId;
+    try {
+      const event = await loadEvent(org, eventApiId);
+      const { current, diff } = planEdit(event, changes);
+      return eventFieldService.describeDiff(current.name || eventName, diff);
+    } catch (error) {
+      console.warn(`updateEvent: could not preview the edit of ${eventApiId}:`, error.message);
+      return `Edit "${eventName}": set ${Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ')}`;
+    }
+  },
+  execute: async ({ event_id: eventApiId, ...changes }, { org, auditContext }) => {
+    const event = await loadEvent(org, eventApiId);
+    const { current, fields, diff } = planEdit(event, changes);
+    if (diff.length === 0) {
+      return { message: `Nothing to change: "${current.name}" already has those details.` };
+    }
+
+    const changed = Object.fromEntries(diff.map(({ field }) => [field, fields[field]]));
+    const problems = eventFieldService.validateEvent({ ...current, ...changed }, { checkStart: 'start' in changed });
+    if (problems.length > 0) throw new Error(problems.join(' '));
+
+    await lumaCache.updateEvent(org, eventApiId, eventFieldService.toLumaFields(changed));
+    await logAudit(auditContext, 'event_updated', {
+      success: true, eventApiId, changes: diff.map(({ field, before, after }) => ({ field, before, after })),
+    });
+    return {
+      message: [`Updated "${changed.name || current.name}":`, ...diff.map(({ label, before, after }) => `• ${label}: ${before} → ${after}`)].join('\n'),
+    };
+  },
+});
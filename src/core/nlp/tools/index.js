@@ -0,0 +1,6 @@
+// Loading a tool module registers its tools. Add new tool modules here.
+require('./lumaTools');
+require('./eventTools');
+require('./couponTools');
+
+module.exports = require('./registry');
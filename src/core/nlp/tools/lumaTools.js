@@ -0,0 +1,219 @@
+const config = require('../../../config/config.js');
+const { registerTool } = require('./registry');
+const lumaCache = require('../../luma/cachedClient');
+const { logAudit } = require('../../services/auditService');
+const guestService = require('../../services/guestService');
+const vipScoringService = require('../../services/vipScoringService');
+const inviteService = require('../../services/inviteService');
+const ticketService = require('../../services/ticketService');
+
+const GUEST_STATUSES = ['approved', 'pending_approval', 'declined', 'waitlist', 'invited'];
+
+registerTool({
+  name: 'getGuests',
+  description: 'List or count the guests of one event, optionally filtered by approval status. Can score guests (0-100 VIP score) to rank or filter them.',
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      status_filter: { type: 'string', enum: GUEST_STATUSES, description: 'Only return guests with this approval status.' },
+      sort_by_vip_score: { type: 'boolean', description: 'Score guests and return them highest VIP score first.' },
+      min_vip_score: { type: 'integer', minimum: 0, maximum: 100, description: 'Score guests and only return those scoring at least this much.' },
+    },
+    required: ['event_id'],
+  },
+  requiredRole: 'viewer',
+  mutating: false,
+  execute: async (params, { org }) => {
+    const result = await lumaCache.getAllGuests(org, params.event_id, { approval_status: params.status_filter });
+    if (!result || (!params.sort_by_vip_score && params.min_vip_score === undefined)) {
+      return { data: result };
+    }
+
+    let scored = await vipScoringService.scoreGuests(org, params.event_id, result.entries || []);
+    if (params.min_vip_score !== undefined) scored = scored.filter((row) => row.score >= params.min_vip_score);
+    if (params.sort_by_vip_score) scored = [...scored].sort((a, b) => b.score - a.score);
+    return {
+      data: {
+        entries: scored.map(({ guest, score, vip, breakdown }) => ({
+          ...guest, vip_score: score, vip, vip_reasons: vipScoringService.summariseBreakdown(breakdown),
+        })),
+        has_more: result.has_more,
+      },
+    };
+  },
+});
+
+registerTool({
+  name: 'getEvent',
+  description: 'Get the full details of one event (description, location, times, capacity).',
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+    },
+    required: ['event_id'],
+  },
+  requiredRole: 'viewer',
+  mutating: false,
+  execute: async (params, { org }) => ({
+    data: await lumaCache.getEvent(org, params.event_id),
+  }),
+});
+
+registerTool({
+  name: 'updateGuestStatus',
+  description: "Approve or decline one guest of an event, identified by email.",
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      guest_email: { type: 'string', format: 'email', description: 'Email address the guest registered with.' },
+      new_status: { type: 'string', enum: ['approved', 'declined'], description: 'The new approval status.' },
+    },
+    required: ['event_id', 'guest_email', 'new_status'],
+  },
+  requiredRole: 'approver',
+  mutating: true,
+  describe: (params, { events = [] } = {}) => {
+    const eventName = events.find((event) => event.api_id === params.event_id)?.name || params.event_id;
+    return `${params.new_status === 'approved' ? 'Approve' : 'Decline'} ${params.guest_email} for "${eventName}"`;
+  },
+  execute: async (params, { org, auditContext }) => {
+    const updateResult = await lumaCache.updateGuestStatus(org, params.event_id, params.guest_email, params.new_status);
+    console.log("updateGuestStatus API Result:", updateResult);
+    await logAudit(auditContext, params.new_status === 'approved' ? 'approve_guest' : 'reject_guest', {
+      success: true, eventApiId: params.event_id, guestEmail: params.guest_email, source: 'nlp',
+    });
+    // Create a simple success message - post-processing will refine tone
+    return {
+      message: `Okay, I've updated the status for guest ${params.guest_email} to ${params.new_status} for event ${params.event_id}.`,
+    };
+  },
+});
+
+// Failure lines listed in a bulk result before the rest are summarised as a count
+const MAX_LISTED_FAILURES = 20;
+
+registerTool({
+  name: 'bulkUpdateGuestStatus',
+  description: 'Approve or decline several guests of one event at once, identified by email.',
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      guest_emails: { type: 'array', items: { type: 'string', format: 'email' }, maxItems: config.bulk.maxGuests, description: `Email addresses the guests registered with, at most ${config.bulk.maxGuests}.` },
+      new_status: { type: 'string', enum: ['approved', 'declined'], description: 'The new approval status.' },
+    },
+    required: ['event_id', 'guest_emails', 'new_status'],
+  },
+  requiredRole: 'approver',
+  mutating: true,
+  describe: (params, { events = [] } = {}) => {
+    const eventName = events.find((event) => event.api_id === params.event_id)?.name || params.event_id;
+    const count = params.guest_emails.length;
+    return `${params.new_status === 'approved' ? 'Approve' : 'Decline'} ${count} guest${count === 1 ? '' : 's'} for "${eventName}"`;
+  },
+  execute: async (params, { org, auditContext, reportProgress }) => {
+    const { total, succeeded, failed } = await guestService.bulkUpdateGuestStatus(
+      org.lumaApiKeyEncrypted,
+      params.event_id,
+      params.guest_emails,
+      params.new_status,
+      auditContext,
+      { onProgress: reportProgress }
+    );
+
+    const verb = params.new_status === 'approved' ? 'Approved' : 'Declined';
+    const lines = [`${verb} ${succeeded.length} of ${total} guests for event ${params.event_id}.`];
+    if (failed.length > 0) {
+      lines.push('', `Failed (${failed.length}):`);
+      failed.slice(0, MAX_LISTED_FAILURES).forEach(({ email, error }) => lines.push(`- ${email}: ${error.message}`));
+      if (failed.length > MAX_LISTED_FAILURES) lines.push(`...and ${failed.length - MAX_LISTED_FAILURES} more (see the audit log).`);
+    }
+    return { message: lines.join('\n'), partialFailure: failed.length > 0 };
+  },
+});
+
+/**
+ * Builds the reply for an inviteGuests run.
+ * @param {string} eventApiId
+ * @param {object} result - From inviteService.inviteGuests.
+ * @param {string} approvalStatus
+ * @param {object|null} ticketType
+ * @returns {string}
+ */
+function describeInviteResult(eventApiId, { added, alreadyRegistered, invalid, failed }, approvalStatus, ticketType) {
+  const count = `${added.length} ${added.length === 1 ? 'guest' : 'guests'}`;
+  const lines = [approvalStatus === 'invited'
+    ? `Sent Luma invitations to ${count} for event ${eventApiId}.`
+    : `Added ${count} to event ${eventApiId} as ${approvalStatus}${ticketType ? ` with a "${ticketType.name}" ticket` : ''}.`];
+  const section = (title, items) => {
+    if (items.length === 0) return;
+    lines.push('', `${title} (${items.length}):`);
+    items.slice(0, MAX_LISTED_FAILURES).forEach((item) => lines.push(`- ${item}`));
+    if (items.length > MAX_LISTED_FAILURES) lines.push(`...and ${items.length - MAX_LISTED_FAILURES} more (see the audit log).`);
+  };
+  section('Already registered', alreadyRegistered.map(({ email, status }) => `${email} (${status})`));
+  section('Invalid addresses', invalid);
+  section('Failed', failed.map(({ email, error }) => `${email}: ${error.message}`));
+  return lines.join('\n');
+}
+
+registerTool({
+  name: 'inviteGuests',
+  description: "Add people to an event's guest list by email (e.g. speakers or sponsors), or send them Luma invitations. Addresses already on the guest list are skipped and reported.",
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: { type: 'string', minLength: 1, description: 'Luma event api_id, taken from the event list.' },
+      guest_emails: { type: 'array', items: { type: 'string' }, maxItems: config.bulk.maxGuests, description: `Email addresses to add, at most ${config.bulk.maxGuests}.` },
+      approval_status: {
+        type: 'string',
+        enum: inviteService.INVITE_STATUSES,
+        description: "Status the guests get (default approved); 'invited' sends a Luma invitation instead of adding them.",
+      },
+      ticket_type: { type: 'string', description: 'Ticket type name or api_id to give added guests. Not used for invitations.' },
+    },
+    required: ['event_id', 'guest_emails'],
+  },
+  requiredRole: 'approver',
+  mutating: true,
+  describe: (params, { events = [] } = {}) => {
+    const eventName = events.find((event) => event.api_id === params.event_id)?.name || params.event_id;
+    const count = params.guest_emails.length;
+    const people = `${count} ${count === 1 ? 'person' : 'people'}`;
+    if (params.approval_status === 'invited') return `Send Luma invitations to ${people} for "${eventName}"`;
+    return `Add ${people} to "${eventName}" as ${params.approval_status || 'approved'}${params.ticket_type ? ` with a "${params.ticket_type}" ticket` : ''}`;
+  },
+  execute: async (params, { org, auditContext }) => {
+    const approvalStatus = params.approval_status || 'approved';
+    let ticketType = null;
+    if (params.ticket_type) {
+      if (approvalStatus === 'invited') throw new Error('Ticket types only apply to guests added directly; invitees pick their own ticket.');
+      const ticketTypes = await ticketService.listTicketTypes(org, params.event_id);
+      ticketType = ticketService.findTicketType(ticketTypes, params.ticket_type);
+      if (!ticketType) {
+        throw new Error(`Event ${params.event_id} has no ticket type "${params.ticket_type}". Ticket types: ${ticketTypes.map((type) => type.name).join(', ') || 'none'}.`);
+      }
+    }
+
+    const result = await inviteService.inviteGuests(org, params.event_id, params.guest_emails, {
+      approvalStatus, ticketTypeId: ticketType?.api_id,
+    });
+    await logAudit(auditContext, 'guests_invited', {
+      success: result.failed.length === 0,
+      eventApiId: params.event_id,
+      approvalStatus,
+      ticketTypeId: ticketType?.api_id || null,
+      added: result.added,
+      alreadyRegistered: result.alreadyRegistered,
+      invalid: result.invalid,
+      failed: result.failed.map(({ email, error }) => ({ email, error: error.message })),
+    });
+    return {
+      message: describeInviteResult(params.event_id, result, approvalStatus, ticketType),
+      partialFailure: result.failed.length > 0 || result.added.length === 0,
+    };
+  },
+});
@@ -0,0 +1,131 @@
+const { validate } = require('../schemaValidator');
+const { hasRole, PermissionDeniedError } = require('../../services/permissionService');
+
+/**
+ * @typedef {object} ToolDefinition
+ * @property {string} name - Function name exposed to the model (e.g. 'getGuests').
+ * @property {string} description - What the tool does, written for the model.
+ * @property {object} parameters - JSON schema (type: 'object') for the tool's arguments.
+ * @property {'viewer'|'approver'|'admin'|'owner'} [requiredRole='viewer'] - Minimum role needed to run it.
+ * @property {boolean} [mutating=false] - True if the tool changes data in Luma (runs only after confirmation).
+ * @property {(params: object, context: object) => string|Promise<string>} [describe] - Human-readable summary
+ *   of a call, shown on the confirmation prompt. context carries { events } for resolving names,
+ *   { org } for tools that look up current values (e.g. to preview an edit) and { chatId } for chat defaults.
+ * @property {(params: object, scope: object) => Promise<{data?: *, message?: string}>} execute
+ *   Runs the tool. scope carries { org, ctx, auditContext, role }. Return `data` to have it
+ *   formatted for the user, or `message` for a ready-made reply.
+ */
+
+const tools = new Map();
+
+/**
+ * Registers a tool the NLP agent may call.
+ * @param {ToolDefinition} definition
+ * @returns {ToolDefinition} - The stored definition (with defaults applied).
+ */
+function registerTool(definition) {
+  const { name, description, parameters, execute } = definition;
+  if (!name || !description || !parameters || typeof execute !== 'function') {
+    throw new Error(`Tool definition '${name}' needs name, description, parameters and execute.`);
+  }
+  if (tools.has(name)) {
+    throw new Error(`Tool '${name}' is already registered.`);
+  }
+  const tool = { requiredRole: 'viewer', mutating: false, ...definition };
+  tools.set(name, tool);
+  return tool;
+}
+
+/**
+ * @param {string} name
+ * @returns {ToolDefinition|undefined}
+ */
+function getTool(name) {
+  return tools.get(name);
+}
+
+/** @returns {ToolDefinition[]} */
+function listTools() {
+  return [...tools.values()];
+}
+
+/**
+ * Builds the provider-neutral tool declarations (JSON-schema parameters) for every
+ * registered tool. Each LLM provider converts them to its own function-calling payload.
+ * @returns {Array<{name: string, description: string, parameters: object}>}
+ */
+function toToolDeclarations() {
+  return listTools().map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters,
+  }));
+}
+
+/**
+ * Validates model-supplied arguments for a tool. Empty strings and nulls, which
+ * models use for "not applicable", are dropped before validation.
+ * @param {string} name - Tool name.
+ * @param {object} args - Arguments from the model.
+ * @returns {{ valid: boolean, errors: string[], params: object }}
+ */
+function validateToolArgs(name, args = {}) {
+  const tool = tools.get(name);
+  if (!tool) {
+    return { valid: false, errors: [`unknown tool '${name}'`], params: {} };
+  }
+  const params = Object.fromEntries(
+    Object.entries(args || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+  const errors = validate(params, tool.parameters);
+  return { valid: errors.length === 0, errors, params };
+}
+
+/**
+ * Describes a tool call for humans, using the tool's describe() when it has one.
+ * @param {string} name - Tool name.
+ * @param {object} params - Validated arguments.
+ * @param {object} [context={}] - Extra context ({ events, org, chatId }) for resolving names, current values and chat defaults.
+ * @returns {Promise<string>}
+ */
+async function describeToolCall(name, params, context = {}) {
+  const tool = tools.get(name);
+  if (tool?.describe) return tool.describe(params, context);
+  return `${name} with ${Object.entries(params).map(([key, value]) => `${key}=${value}`).join(', ')}`;
+}
+
+/**
+ * Validates and runs a registered tool.
+ * @param {string} name - Tool name.
+ * @param {object} args - Arguments from the model (or a stored confirmation).
+ * @param {object} scope - Execution scope ({ org, ctx, auditContext, role, reportProgress? }).
+ * @returns {Promise<{data?: *, message?: string, partialFailure?: boolean}>}
+ * @throws {PermissionDeniedError} - If scope.role is below the tool's requiredRole (missing counts as viewer).
+ * @throws {Error} - If the tool is unknown or the arguments are invalid.
+ */
+async function executeTool(name, args, scope) {
+  const tool = tools.get(name);
+  if (!tool) {
+    throw new Error(`Unknown tool '${name}'.`);
+  }
+  const role = scope?.role || 'viewer';
+  if (!hasRole(role, tool.requiredRole)) {
+    throw new PermissionDeniedError(tool.requiredRole, role);
+  }
+  const { valid, errors, params } = validateToolArgs(name, args);
+  if (!valid) {
+    throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+  }
+  console.log(`Tool Call: Executing ${name} with`, JSON.stringify(params));
+  return tool.execute(params, scope);
+}
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  toToolDeclarations,
+  validateToolArgs,
+  describeToolCall,
+  executeTool,
+};
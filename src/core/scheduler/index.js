@@ -0,0 +1,237 @@
+const os = require('os');
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+const metrics = require('../../lib/metrics');
+
+/*
+ * Persistent job scheduler. Jobs live in the ScheduledJob table, so they survive restarts and
+ * Heroku dyno cycling. Each poll claims due jobs with a conditional update (safe with several
+ * workers), runs their handler, then either reschedules them (recurring jobs return nextRunAt),
+ * marks them done, or retries them with exponential backoff.
+ */
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}`;
+let pollTimer = null;
+let currentPoll = null;
+let stopping = false;
+let runContext = {};
+
+const jobRunsTotal = metrics.counter('scheduler_job_runs_total', 'Scheduled job runs, by job type and outcome.');
+
+/**
+ * Registers the handler for a job type.
+ * @param {string} type - Job type, e.g. 'daily_digest'.
+ * @param {(job: object, context: object) => Promise<{ nextRunAt?: Date }|void>} handler
+ *   Runs the job. context is whatever startScheduler was given (e.g. { telegram }).
+ *   Return { nextRunAt } to run again later; otherwise the job is marked done.
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Creates or replaces the job with this key. A job that is running is left alone: resetting
+ * it would let another worker start it again mid-run. Its handler decides what comes next.
+ * @param {object} job
+ * @param {string} job.type - Registered job type.
+ * @param {string} job.key - Dedupe key; an existing job with the same key is rescheduled.
+ * @param {Date} job.runAt - When it is due.
+ * @param {object} [job.payload={}] - Data for the handler.
+ * @returns {Promise<object>} - The ScheduledJob row.
+ */
+async function scheduleJob({ type, key, runAt, payload = {} }) {
+  const data = { type, payload, runAt, status: 'scheduled', attempts: 0, lastError: null, lockedAt: null, lockedBy: null };
+  const { count } = await prisma.scheduledJob.updateMany({ where: { key, status: { not: 'running' } }, data });
+  if (count === 0) {
+    const existing = await prisma.scheduledJob.findUnique({ where: { key } });
+    if (existing) {
+      console.log(`Job ${key} is running; not rescheduling it`);
+      return existing;
+    }
+    try {
+      await prisma.scheduledJob.create({ data: { key, ...data } });
+    } catch (error) {
+      // Created by someone else in the meantime: replace theirs as above
+      if (error.code !== 'P2002') throw error;
+      return scheduleJob({ type, key, runAt, payload });
+    }
+  }
+  console.log(`Scheduled job ${key} (${type}) for ${runAt.toISOString()}`);
+  return prisma.scheduledJob.findUnique({ where: { key } });
+}
+
+/**
+ * Schedules a job unless one with this key is already waiting or running, so a recurring
+ * job keeps its place across restarts. A job that is done or failed is started again.
+ * @param {object} job - Same shape as for scheduleJob.
+ * @returns {Promise<object>} - The existing or new ScheduledJob row.
+ */
+async function ensureJob({ type, key, runAt, payload = {} }) {
+  const existing = await prisma.scheduledJob.findUnique({ where: { key } });
+  if (existing && ['scheduled', 'running'].includes(existing.status)) return existing;
+  return scheduleJob({ type, key, runAt, payload });
+}
+
+/**
+ * Removes a job if it exists.
+ * @param {string} key - The job's dedupe key.
+ * @returns {Promise<void>}
+ */
+async function cancelJob(key) {
+  const { count } = await prisma.scheduledJob.deleteMany({ where: { key } });
+  if (count > 0) console.log(`Cancelled job ${key}`);
+}
+
+/**
+ * Loads a job by key.
+ * @param {string} key
+ * @returns {Promise<object|null>}
+ */
+async function getJob(key) {
+  return prisma.scheduledJob.findUnique({ where: { key } });
+}
+
+const retryDelayMs = (attempts) => config.scheduler.retryBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+
+/**
+ * Runs one claimed job and stores the outcome, unless the claim was lost meanwhile (the lock
+ * timed out and another run took the job over, or the job was rescheduled or cancelled).
+ * @param {object} job - The claimed ScheduledJob row.
+ * @param {Date} lockedAt - When this worker claimed it.
+ * @returns {Promise<void>}
+ */
+async function runJob(job, lockedAt) {
+  const claimed = { id: job.id, status: 'running', lockedBy: workerId, lockedAt };
+  const lostClaim = (count) => {
+    if (count === 0) console.warn(`Job ${job.key} was taken over or removed while it ran; not recording this run.`);
+  };
+  const handler = handlers.get(job.type);
+  const now = new Date();
+  try {
+    if (!handler) throw new Error(`No handler registered for job type '${job.type}'.`);
+    const result = await handler(job, runContext);
+    const nextRunAt = result?.nextRunAt;
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: claimed,
+      data: nextRunAt
+        ? { status: 'scheduled', runAt: nextRunAt, attempts: 0, lastError: null, lockedAt: null, lockedBy: null, lastRunAt: now }
+        : { status: 'done', attempts: 0, lastError: null, lockedAt: null, lockedBy: null, lastRunAt: now },
+    });
+    lostClaim(count);
+    if (count > 0) console.log(`Job ${job.key} finished${nextRunAt ? `, next run ${nextRunAt.toISOString()}` : ''}`);
+    jobRunsTotal.inc({ type: job.type, result: 'succeeded' });
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const giveUp = attempts >= config.scheduler.maxAttempts;
+    console.error(`Job ${job.key} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}):`, error);
+    jobRunsTotal.inc({ type: job.type, result: giveUp ? 'gave_up' : 'failed' });
+    await prisma.scheduledJob.updateMany({
+      where: claimed,
+      data: {
+        status: giveUp ? 'failed' : 'scheduled',
+        runAt: giveUp ? job.runAt : new Date(Date.now() + retryDelayMs(attempts)),
+        attempts,
+        lastError: String(error.message || error).slice(0, 1000),
+        lockedAt: null,
+        lockedBy: null,
+        lastRunAt: now,
+      },
+    }).then(({ count }) => lostClaim(count))
+      .catch((updateError) => console.error(`Could not record failure of job ${job.key}:`, updateError));
+  }
+}
+
+/**
+ * One scheduler tick: releases jobs stuck in 'running' (their worker died), then claims
+ * and runs due jobs one after another.
+ * @returns {Promise<number>} - Number of jobs run.
+ */
+async function pollOnce() {
+  const now = new Date();
+  const { count: released } = await prisma.scheduledJob.updateMany({
+    where: { status: 'running', lockedAt: { lt: new Date(now.getTime() - config.scheduler.lockTimeoutMs) } },
+    data: { status: 'scheduled', lockedAt: null, lockedBy: null },
+  });
+  if (released > 0) console.warn(`Scheduler released ${released} stale job(s).`);
+
+  const due = await prisma.scheduledJob.findMany({
+    where: { status: 'scheduled', runAt: { lte: now } },
+    orderBy: { runAt: 'asc' },
+    take: config.scheduler.batchSize,
+  });
+
+  let ran = 0;
+  for (const job of due) {
+    if (stopping) break;
+    // Conditional claim: only one worker can move the job to 'running'
+    const lockedAt = new Date();
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: { id: job.id, status: 'scheduled', runAt: job.runAt },
+      data: { status: 'running', lockedAt, lockedBy: workerId },
+    });
+    if (count === 0) continue;
+    await runJob(job, lockedAt);
+    ran++;
+  }
+  return ran;
+}
+
+const scheduleNextPoll = () => {
+  if (stopping) return;
+  pollTimer = setTimeout(() => {
+    currentPoll = pollOnce()
+      .catch((error) => console.error('Scheduler poll failed:', error))
+      .finally(() => {
+        currentPoll = null;
+        scheduleNextPoll();
+      });
+  }, config.scheduler.pollIntervalMs);
+};
+
+/**
+ * Starts polling for due jobs. No-op when config.scheduler.enabled is false.
+ * @param {object} [context={}] - Passed to every job handler (e.g. { telegram: bot.telegram }).
+ * @returns {boolean} - Whether the scheduler was started.
+ */
+function startScheduler(context = {}) {
+  if (!config.scheduler.enabled) {
+    console.log('Scheduler disabled (SCHEDULER_ENABLED=false).');
+    return false;
+  }
+  if (pollTimer || currentPoll) return true;
+  runContext = context;
+  stopping = false;
+  console.log(`Scheduler started as ${workerId}, polling every ${config.scheduler.pollIntervalMs}ms for: ${[...handlers.keys()].join(', ') || 'no job types'}`);
+  // Run a first poll straight away so jobs missed while the dyno was down catch up quickly
+  currentPoll = pollOnce()
+    .catch((error) => console.error('Scheduler poll failed:', error))
+    .finally(() => {
+      currentPoll = null;
+      scheduleNextPoll();
+    });
+  return true;
+}
+
+/**
+ * Stops polling and waits for the job in progress (if any) to finish.
+ * @returns {Promise<void>}
+ */
+async function stopScheduler() {
+  stopping = true;
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+  if (currentPoll) await currentPoll;
+  console.log('Scheduler stopped.');
+}
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  ensureJob,
+  cancelJob,
+  getJob,
+  pollOnce,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,46 @@
+const prisma = require('../db/prisma');
+
+/**
+ * Writes an AuditLog entry. Never throws: audit failures are logged and swallowed
+ * so they cannot mask the outcome of the action being audited.
+ * @param {object} auditContext - Context for audit logging ({ orgId, userId, groupId }).
+ * @param {string} actionType - e.g. 'approve_guest', 'command_error'.
+ * @param {object} [details={}] - Contextual details stored as JSON.
+ * @returns {Promise<object|null>} - The created AuditLog row, or null if writing failed.
+ */
+async function logAudit(auditContext = {}, actionType, details = {}) {
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        orgId: auditContext.orgId || 'UNKNOWN',
+        userId: auditContext.userId ? BigInt(auditContext.userId) : null,
+        groupId: auditContext.groupId ? BigInt(auditContext.groupId) : null,
+        actionType,
+        details,
+      }
+    });
+  } catch (logError) {
+    console.error(`Failed to create audit log (${actionType}):`, logError);
+    return null;
+  }
+}
+
+/**
+ * Builds the audit context for a Telegraf update.
+ * Mirrors the command handlers: user ID in private chats, group ID in groups.
+ * @param {import('telegraf').Context} ctx - The Telegraf context (ctx.state.org must be set for orgId).
+ * @returns {object} - { orgId, userId, groupId }
+ */
+function auditContextFromCtx(ctx) {
+  const chatType = ctx.chat?.type;
+  return {
+    orgId: ctx.state?.org?.id,
+    userId: chatType === 'private' ? ctx.from?.id : null,
+    groupId: chatType && chatType !== 'private' ? ctx.chat.id : null,
+  };
+}
+
+module.exports = {
+  logAudit,
+  auditContextFromCtx,
+};
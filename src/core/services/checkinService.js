@@ -0,0 +1,249 @@
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+const { getCacheStore } = require('../cache');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 'on' or 'off' per chat, so messages in chats without door mode don't each query the database
+const doorModeKey = (chatId) => `checkin:door:${chatId}`;
+
+/**
+ * Starts door mode for an event in a chat, ending any door session already running there.
+ * @param {object} input
+ * @param {string} input.orgId - Org the event belongs to.
+ * @param {number|bigint} input.chatId - The door-staff chat.
+ * @param {number|bigint} input.startedBy - Telegram user who ran /checkin.
+ * @param {string} input.eventApiId - The event guests are checked in to.
+ * @returns {Promise<object>} - The CheckinSession row.
+ */
+async function startSession({ orgId, chatId, startedBy, eventApiId }) {
+  await prisma.checkinSession.updateMany({
+    where: { chatId: BigInt(chatId), status: 'active' },
+    data: { status: 'finished' },
+  });
+  const session = await prisma.checkinSession.create({
+    data: {
+      orgId,
+      chatId: BigInt(chatId),
+      startedBy: BigInt(startedBy),
+      eventApiId,
+    }
+  });
+  await getCacheStore().del(doorModeKey(chatId));
+  return session;
+}
+
+/**
+ * The door session running in a chat, if any. A chat found without one is remembered for
+ * config.checkin.doorModeCacheSeconds; starting a session clears that.
+ * @param {number|bigint} chatId
+ * @returns {Promise<object|null>}
+ */
+async function getActiveSession(chatId) {
+  const store = getCacheStore();
+  if (await store.get(doorModeKey(chatId)) === 'off') return null;
+  const session = await prisma.checkinSession.findFirst({
+    where: { chatId: BigInt(chatId), status: 'active' },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!session) await store.set(doorModeKey(chatId), 'off', config.checkin.doorModeCacheSeconds);
+  return session;
+}
+
+/**
+ * Loads a session by ID.
+ * @param {string} id - CheckinSession ID.
+ * @returns {Promise<object|null>}
+ */
+async function getSession(id) {
+  return prisma.checkinSession.findUnique({ where: { id } });
+}
+
+/**
+ * Records the pinned attendance counter message.
+ * @param {string} id - CheckinSession ID.
+ * @param {number} messageId
+ * @returns {Promise<void>}
+ */
+async function setCounterMessage(id, messageId) {
+  await prisma.checkinSession.update({ where: { id }, data: { counterMessageId: messageId } });
+}
+
+/**
+ * Ends door mode.
+ * @param {string} id - CheckinSession ID.
+ * @returns {Promise<void>}
+ */
+async function finishSession(id) {
+  const session = await prisma.checkinSession.update({ where: { id }, data: { status: 'finished' } });
+  await getCacheStore().del(doorModeKey(session.chatId));
+}
+
+const isCheckedIn = (guest) => Boolean(guest.checked_in_at);
+
+/**
+ * Finds guests for what door staff typed: an exact email first, otherwise every guest
+ * whose name or email contains the text (case-insensitive).
+ * @param {object[]} guests - Guest objects (entry.guest).
+ * @param {string} query
+ * @returns {object[]}
+ */
+function findGuests(guests, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  if (EMAIL_PATTERN.test(needle)) {
+    const exact = guests.filter((guest) => (guest.email || '').toLowerCase() === needle);
+    if (exact.length > 0) return exact;
+  }
+  return guests.filter((guest) => (guest.name || '').toLowerCase().includes(needle)
+    || (guest.email || '').toLowerCase().includes(needle));
+}
+
+/**
+ * Finds the guest a scanned ticket QR code belongs to. Luma's code carries the guest's
+ * check-in URL (guest.check_in_qr_code), which includes their API ID.
+ * @param {object[]} guests - Guest objects (entry.guest).
+ * @param {string} qrText - Decoded QR payload.
+ * @returns {object|null}
+ */
+function findGuestByQr(guests, qrText) {
+  const text = qrText.trim();
+  return guests.find((guest) => guest.check_in_qr_code && guest.check_in_qr_code === text)
+    || guests.find((guest) => guest.api_id && text.includes(guest.api_id))
+    || (EMAIL_PATTERN.test(text) ? findGuests(guests, text)[0] || null : null);
+}
+
+/**
+ * Arrivals against approved guests.
+ * @param {object[]} guests - Guest objects (entry.guest).
+ * @returns {{ arrived: number, approved: number }}
+ */
+function countAttendance(guests) {
+  const approved = guests.filter((guest) => guest.approval_status === 'approved');
+  return { arrived: approved.filter(isCheckedIn).length, approved: approved.length };
+}
+
+/**
+ * Queues a check-in taken while Luma could not be reached; the checkin_reconcile job pushes it later.
+ * @param {object} input
+ * @param {string} input.orgId
+ * @param {string} input.eventApiId
+ * @param {object} input.guest - The guest checked in.
+ * @param {number|bigint} input.chatId - Door chat, where conflicts are reported.
+ * @param {{ id: number, first_name?: string, username?: string }} input.checkedInBy - Telegram user.
+ * @returns {Promise<object>} - The QueuedCheckin row.
+ */
+async function queueCheckin({ orgId, eventApiId, guest, chatId, checkedInBy }) {
+  return prisma.queuedCheckin.create({
+    data: {
+      orgId,
+      eventApiId,
+      guestApiId: guest.api_id,
+      guestEmail: guest.email || null,
+      guestName: guest.name || null,
+      chatId: BigInt(chatId),
+      checkedInBy: BigInt(checkedInBy.id),
+      checkedInByName: checkedInBy.username ? `@${checkedInBy.username}` : checkedInBy.first_name || null,
+    }
+  });
+}
+
+/**
+ * Check-ins still waiting to be pushed to Luma, oldest first.
+ * @param {object} [filter]
+ * @param {string} [filter.orgId]
+ * @param {string} [filter.eventApiId]
+ * @returns {Promise<object[]>}
+ */
+async function getQueuedCheckins({ orgId, eventApiId } = {}) {
+  return prisma.queuedCheckin.findMany({
+    where: { status: 'queued', ...(orgId && { orgId }), ...(eventApiId && { eventApiId }) },
+    orderBy: { checkedInAt: 'asc' },
+  });
+}
+
+/**
+ * Records the outcome of pushing a queued check-in.
+ * @param {string} id - QueuedCheckin ID.
+ * @param {'synced'|'conflict'|'failed'} status
+ * @param {object} [details]
+ * @param {string} [details.conflict] - 'not_approved', 'removed' or 'double_check_in' (see findConflict).
+ * @param {string} [details.detail] - Human-readable explanation for the report.
+ * @returns {Promise<void>}
+ */
+async function resolveQueuedCheckin(id, status, { conflict = null, detail = null } = {}) {
+  await prisma.queuedCheckin.update({
+    where: { id },
+    data: { status, conflict, detail, resolvedAt: new Date() },
+  });
+}
+
+/**
+ * Counts a failed push; the check-in stays queued until it has failed `maxAttempts` times.
+ * @param {object} queued - The QueuedCheckin row.
+ * @param {Error} error
+ * @param {number} maxAttempts
+ * @returns {Promise<boolean>} - True if it was given up on (status 'failed').
+ */
+async function recordSyncFailure(queued, error, maxAttempts) {
+  const attempts = queued.attempts + 1;
+  const giveUp = attempts >= maxAttempts;
+  await prisma.queuedCheckin.update({
+    where: { id: queued.id },
+    data: {
+      attempts,
+      lastError: String(error.message || error).slice(0, 1000),
+      ...(giveUp && { status: 'failed', detail: String(error.message || error).slice(0, 200), resolvedAt: new Date() }),
+    },
+  });
+  return giveUp;
+}
+
+/**
+ * Shows queued check-ins as checked in, since Luma doesn't know about them yet.
+ * @param {object[]} guests - Guest objects.
+ * @param {object[]} queued - QueuedCheckin rows for the event.
+ * @returns {object[]}
+ */
+function applyQueuedCheckins(guests, queued) {
+  if (queued.length === 0) return guests;
+  const checkedInAt = new Map(queued.map((row) => [row.guestApiId, row.checkedInAt]));
+  return guests.map((guest) => (!guest.checked_in_at && checkedInAt.has(guest.api_id)
+    ? { ...guest, checked_in_at: new Date(checkedInAt.get(guest.api_id)).toISOString() }
+    : guest));
+}
+
+/**
+ * Checks a queued check-in against Luma's current guest list before it is pushed.
+ * @param {object} queued - The QueuedCheckin row.
+ * @param {object|undefined} guest - The guest as Luma lists them now.
+ * @param {Set<string>} pushed - Guest API IDs already pushed in this run.
+ * @returns {{ conflict: string, detail: string }|null} - null when the check-in can be pushed.
+ */
+function findConflict(queued, guest, pushed) {
+  if (!guest) return { conflict: 'removed', detail: 'is no longer on the guest list' };
+  if (guest.approval_status !== 'approved') {
+    return { conflict: 'not_approved', detail: `was ${guest.approval_status || 'no longer approved'} after the guest list was saved` };
+  }
+  if (pushed.has(queued.guestApiId)) return { conflict: 'double_check_in', detail: 'was checked in more than once while offline' };
+  if (guest.checked_in_at) return { conflict: 'double_check_in', detail: 'was also checked in on Luma (another door or the Luma app)' };
+  return null;
+}
+
+module.exports = {
+  startSession,
+  getActiveSession,
+  getSession,
+  setCounterMessage,
+  finishSession,
+  isCheckedIn,
+  findGuests,
+  findGuestByQr,
+  countAttendance,
+  queueCheckin,
+  getQueuedCheckins,
+  resolveQueuedCheckin,
+  recordSyncFailure,
+  applyQueuedCheckins,
+  findConflict,
+};
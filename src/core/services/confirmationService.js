@@ -0,0 +1,81 @@
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+
+/**
+ * Stores a mutating action that must be confirmed before it runs.
+ * @param {object} input
+ * @param {string} input.orgId - Org the action belongs to.
+ * @param {number|bigint} input.chatId - Chat where the confirmation is posted.
+ * @param {number|bigint} input.userId - The only Telegram user allowed to confirm.
+ * @param {string} input.toolName - Registered tool to run on confirmation.
+ * @param {object} input.params - Validated tool arguments.
+ * @param {string} input.summary - Human-readable description of the action.
+ * @returns {Promise<object>} - The PendingConfirmation row.
+ */
+async function createConfirmation({ orgId, chatId, userId, toolName, params, summary }) {
+  return prisma.pendingConfirmation.create({
+    data: {
+      orgId,
+      chatId: BigInt(chatId),
+      userId: BigInt(userId),
+      toolName,
+      params,
+      summary,
+      expiresAt: new Date(Date.now() + config.confirmations.timeoutSeconds * 1000),
+    }
+  });
+}
+
+/**
+ * Records which message carries the Confirm/Cancel buttons.
+ * @param {string} id - PendingConfirmation ID.
+ * @param {number} messageId - Telegram message ID.
+ * @returns {Promise<object>}
+ */
+async function attachMessage(id, messageId) {
+  return prisma.pendingConfirmation.update({ where: { id }, data: { messageId } });
+}
+
+/**
+ * Atomically moves a pending confirmation to a final status on behalf of a user.
+ * Only the requesting user may resolve it, and only once, before it expires.
+ * @param {string} id - PendingConfirmation ID.
+ * @param {number|bigint} userId - Telegram user who tapped the button.
+ * @param {'confirmed'|'cancelled'} newStatus - Target status.
+ * @returns {Promise<{ outcome: 'ok'|'not_found'|'wrong_user'|'expired'|'already_handled', confirmation: object|null }>}
+ */
+async function resolveConfirmation(id, userId, newStatus) {
+  const confirmation = await prisma.pendingConfirmation.findUnique({ where: { id } });
+  if (!confirmation) return { outcome: 'not_found', confirmation: null };
+  if (confirmation.userId !== BigInt(userId)) return { outcome: 'wrong_user', confirmation };
+  if (confirmation.status !== 'pending') return { outcome: 'already_handled', confirmation };
+
+  if (confirmation.expiresAt <= new Date()) {
+    await prisma.pendingConfirmation.updateMany({ where: { id, status: 'pending' }, data: { status: 'expired' } });
+    return { outcome: 'expired', confirmation };
+  }
+
+  // Conditional update so a double tap (or two bot instances) can only win once
+  const { count } = await prisma.pendingConfirmation.updateMany({
+    where: { id, status: 'pending', expiresAt: { gt: new Date() } },
+    data: { status: newStatus },
+  });
+  if (count === 0) return { outcome: 'already_handled', confirmation };
+  return { outcome: 'ok', confirmation: { ...confirmation, status: newStatus } };
+}
+
+/**
+ * Marks a confirmed action whose execution failed.
+ * @param {string} id - PendingConfirmation ID.
+ * @returns {Promise<void>}
+ */
+async function markFailed(id) {
+  await prisma.pendingConfirmation.update({ where: { id }, data: { status: 'failed' } });
+}
+
+module.exports = {
+  createConfirmation,
+  attachMessage,
+  resolveConfirmation,
+  markFailed,
+};
@@ -0,0 +1,152 @@
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+
+// Guests kept per tool result; enough for "the second one" / "the pending ones"
+const MAX_STORED_TOOL_ENTRIES = 50;
+
+/**
+ * Reduces a tool result to what follow-up questions need, so stored turns stay small.
+ * @param {*} data - Raw tool data.
+ * @returns {*}
+ */
+function trimToolData(data) {
+  if (Array.isArray(data?.entries)) {
+    return {
+      total: data.entries.length,
+      entries: data.entries.slice(0, MAX_STORED_TOOL_ENTRIES).map((entry) => {
+        const guest = entry.guest || entry;
+        return { name: guest.name, email: guest.email, approval_status: guest.approval_status };
+      }),
+    };
+  }
+  if (data && typeof data === 'object') {
+    const { api_id, name, start_at, end_at, timezone, url } = data;
+    return { api_id, name, start_at, end_at, timezone, url };
+  }
+  return data;
+}
+
+/**
+ * Persistent, bounded conversation history for one chat and org.
+ * Modelled on the in-memory Conversation class (src/models/conversation.js),
+ * but every turn is stored through Prisma so context survives restarts.
+ * Turns are scoped to the org, so a chat re-linked to another org starts afresh.
+ */
+class ChatConversation {
+  /**
+   * @param {number|bigint} chatId - Telegram chat ID.
+   * @param {string} orgId - Org the chat is linked to.
+   */
+  constructor(chatId, orgId) {
+    this.chatId = BigInt(chatId);
+    this.orgId = orgId;
+  }
+
+  /**
+   * Add a message to the conversation
+   * @param {string} text - Message text
+   * @param {'user'|'bot'} role - Message role
+   * @param {number} [userId] - Telegram user ID (user messages)
+   * @returns {Promise<void>}
+   */
+  async addMessage(text, role = 'user', userId = null) {
+    await prisma.conversationTurn.create({
+      data: {
+        chatId: this.chatId,
+        orgId: this.orgId,
+        userId: userId ? BigInt(userId) : null,
+        role,
+        content: text,
+      }
+    });
+    await this.prune();
+  }
+
+  /**
+   * Record a tool result so follow-up questions can refer to it
+   * @param {string} toolName - The tool that ran
+   * @param {object} params - Its arguments
+   * @param {*} data - The raw result (trimmed before storing)
+   * @returns {Promise<void>}
+   */
+  async addToolResult(toolName, params, data) {
+    await prisma.conversationTurn.create({
+      data: {
+        chatId: this.chatId,
+        orgId: this.orgId,
+        role: 'tool',
+        content: `${toolName}(${JSON.stringify(params)})`,
+        toolName,
+        toolData: trimToolData(data) ?? null,
+      }
+    });
+    await this.prune();
+  }
+
+  /**
+   * Get the recent history, oldest first, within the configured window
+   * @returns {Promise<{ turns: Array<{role: string, content: string}>, toolResults: Array<{tool: string, call: string, data: *}> }>}
+   */
+  async getHistory() {
+    const { maxTurns, maxToolResults, maxAgeMinutes } = config.conversation;
+    const since = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+
+    const rows = await prisma.conversationTurn.findMany({
+      where: { chatId: this.chatId, orgId: this.orgId, createdAt: { gte: since } },
+      orderBy: { createdAt: 'desc' },
+      take: maxTurns,
+    });
+    rows.reverse();
+
+    const turns = rows
+      .filter((row) => row.role !== 'tool')
+      .map((row) => ({ role: row.role, content: row.content }));
+    const toolResults = rows
+      .filter((row) => row.role === 'tool')
+      .slice(-maxToolResults)
+      .map((row) => ({ tool: row.toolName, call: row.content, data: row.toolData }));
+
+    return { turns, toolResults };
+  }
+
+  /**
+   * Forget the whole conversation
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await prisma.conversationTurn.deleteMany({ where: { chatId: this.chatId, orgId: this.orgId } });
+  }
+
+  /**
+   * Delete turns that fall outside the window so the table stays bounded
+   * @private
+   */
+  async prune() {
+    const oldestKept = await prisma.conversationTurn.findFirst({
+      where: { chatId: this.chatId, orgId: this.orgId },
+      orderBy: { createdAt: 'desc' },
+      skip: config.conversation.maxTurns - 1,
+      select: { createdAt: true },
+    });
+    if (oldestKept) {
+      await prisma.conversationTurn.deleteMany({
+        where: { chatId: this.chatId, orgId: this.orgId, createdAt: { lt: oldestKept.createdAt } },
+      });
+    }
+  }
+}
+
+/**
+ * Get the conversation for a chat
+ * @param {number|bigint} chatId - Telegram chat ID
+ * @param {string} orgId - Org the chat is linked to
+ * @returns {ChatConversation}
+ */
+function getChatConversation(chatId, orgId) {
+  return new ChatConversation(chatId, orgId);
+}
+
+module.exports = {
+  ChatConversation,
+  getChatConversation,
+};
@@ -0,0 +1,90 @@
+const prisma = require('../db/prisma');
+const lumaCache = require('../luma/cachedClient');
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Finds the org's events matching a name or API ID, best matches first.
+ * Matching mirrors lumaService.getEventByName (case-insensitive substring), preferring
+ * an exact API ID or name, then names containing every word of the query.
+ * Within a tier, upcoming events come before past ones.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string} query - Event name, part of a name, or api_id.
+ * @returns {Promise<object[]>} - Matching events (may be empty).
+ */
+async function findEvents(org, query) {
+  const result = await lumaCache.listAllEvents(org);
+  const events = (result?.entries || []).map((entry) => entry.event || entry);
+  const search = normalise(query);
+  if (!search) return [];
+
+  const exactId = events.find((event) => normalise(event.api_id) === search);
+  if (exactId) return [exactId];
+
+  const exactName = events.filter((event) => normalise(event.name) === search);
+  if (exactName.length > 0) return sortByStart(exactName);
+
+  const substring = events.filter((event) => normalise(event.name).includes(search));
+  if (substring.length > 0) return sortByStart(substring);
+
+  const words = search.split(/\s+/);
+  return sortByStart(events.filter((event) => words.every((word) => normalise(event.name).includes(word))));
+}
+
+/**
+ * Upcoming events first (soonest first), then past events (most recent first).
+ * @param {object[]} events
+ * @returns {object[]}
+ */
+function sortByStart(events) {
+  const now = new Date().toISOString();
+  const upcoming = events.filter((event) => (event.start_at || '') >= now).sort((a, b) => a.start_at.localeCompare(b.start_at));
+  const past = events.filter((event) => (event.start_at || '') < now).sort((a, b) => (b.start_at || '').localeCompare(a.start_at || ''));
+  return [...upcoming, ...past];
+}
+
+/**
+ * Stores the active event for a chat: on the Group for group chats, on the User for private chats.
+ * @param {{ chatType: string, chatId: number, userId: number }} chatScope
+ * @param {string|null} eventApiId - The event to make current, or null to clear it.
+ * @returns {Promise<void>}
+ */
+async function setActiveEvent(chatScope, eventApiId) {
+  if (chatScope.chatType === 'private') {
+    await prisma.user.update({ where: { id: BigInt(chatScope.userId) }, data: { activeEventContext: eventApiId } });
+  } else {
+    await prisma.group.update({ where: { id: BigInt(chatScope.chatId) }, data: { activeEventContext: eventApiId } });
+  }
+  console.log(`Active event for ${chatScope.chatType} chat ${chatScope.chatId} set to ${eventApiId}`);
+}
+
+/**
+ * Loads the details of a chat's active event, or null if none is set or it no longer exists.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {string|null} eventApiId - The stored activeEventContext.
+ * @returns {Promise<object|null>}
+ */
+async function getActiveEvent(org, eventApiId) {
+  if (!eventApiId) return null;
+  try {
+    const details = await lumaCache.getEvent(org, eventApiId);
+    return details?.event || details || null;
+  } catch (error) {
+    console.warn(`Could not load active event ${eventApiId} for org ${org.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * One-line description of an event for chat replies: "Name" (api_id, start time).
+ * @param {object} event
+ * @returns {string}
+ */
+const describeEvent = (event) => `"${event.name || 'Unnamed Event'}" (${event.api_id}${event.start_at ? `, ${new Date(event.start_at).toUTCString()}` : ''})`;
+
+module.exports = {
+  findEvents,
+  describeEvent,
+  setActiveEvent,
+  getActiveEvent,
+};
@@ -0,0 +1,97 @@
+const prisma = require('../db/prisma');
+
+/**
+ * Starts a /newevent wizard for a user in a chat, dropping any draft they left open there.
+ * @param {object} input
+ * @param {string} input.orgId - Org the event will be created in.
+ * @param {number|bigint} input.chatId
+ * @param {number|bigint} input.userId - Telegram user answering the questions.
+ * @param {string} input.step - First field to ask for.
+ * @param {number} input.promptMessageId - The question sent for it.
+ * @returns {Promise<object>} - The EventDraft row.
+ */
+async function startDraft({ orgId, chatId, userId, step, promptMessageId }) {
+  await prisma.eventDraft.updateMany({
+    where: { chatId: BigInt(chatId), userId: BigInt(userId), status: 'active' },
+    data: { status: 'cancelled' },
+  });
+  return prisma.eventDraft.create({
+    data: {
+      orgId,
+      chatId: BigInt(chatId),
+      userId: BigInt(userId),
+      step,
+      promptMessageId,
+    }
+  });
+}
+
+/**
+ * Whether a draft went unanswered for longer than `timeoutMinutes`.
+ * @param {object} draft - The EventDraft row.
+ * @param {number} timeoutMinutes
+ * @returns {boolean}
+ */
+const isDraftExpired = (draft, timeoutMinutes) => draft.updatedAt < new Date(Date.now() - timeoutMinutes * 60 * 1000);
+
+/**
+ * The wizard a user has open in a chat, if any. Drafts not answered within
+ * `timeoutMinutes` are cancelled and not returned.
+ * @param {number|bigint} chatId
+ * @param {number|bigint} userId
+ * @param {number} timeoutMinutes
+ * @returns {Promise<object|null>}
+ */
+async function getActiveDraft(chatId, userId, timeoutMinutes) {
+  const draft = await prisma.eventDraft.findFirst({
+    where: { chatId: BigInt(chatId), userId: BigInt(userId), status: 'active' },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!draft) return null;
+  if (isDraftExpired(draft, timeoutMinutes)) {
+    await finishDraft(draft.id, 'cancelled');
+    return null;
+  }
+  return draft;
+}
+
+/**
+ * Stores an answer and moves the draft on to the next step.
+ * @param {string} id - EventDraft ID.
+ * @param {object} fields - All answers so far.
+ * @param {string} step - Next field to ask for.
+ * @param {number} promptMessageId - The question sent for it.
+ * @returns {Promise<object>} - The updated EventDraft row.
+ */
+async function saveAnswer(id, fields, step, promptMessageId) {
+  return prisma.eventDraft.update({ where: { id }, data: { fields, step, promptMessageId } });
+}
+
+/**
+ * Records a question asked again (after an invalid answer), which answers must now reply to.
+ * @param {string} id - EventDraft ID.
+ * @param {number} promptMessageId
+ * @returns {Promise<void>}
+ */
+async function setPrompt(id, promptMessageId) {
+  await prisma.eventDraft.update({ where: { id }, data: { promptMessageId } });
+}
+
+/**
+ * Closes a draft.
+ * @param {string} id - EventDraft ID.
+ * @param {'submitted'|'cancelled'} status
+ * @returns {Promise<void>}
+ */
+async function finishDraft(id, status) {
+  await prisma.eventDraft.update({ where: { id }, data: { status } });
+}
+
+module.exports = {
+  startDraft,
+  isDraftExpired,
+  getActiveDraft,
+  saveAnswer,
+  setPrompt,
+  finishDraft,
+};
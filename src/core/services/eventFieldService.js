@@ -0,0 +1,334 @@
+const prisma = require('../db/prisma');
+const { isValidTimeZone, parseLocalDateTime } = require('../../lib/time');
+
+/*
+ * The event fields the bot can set when creating or editing an event, shared by the
+ * /newevent wizard, /editevent and the createEvent/updateEvent tools. Values are kept in
+ * a normalised form (ISO strings for times, null for "not set") until toLumaFields maps
+ * them to Luma's field names.
+ */
+
+// Field keys in the order they are shown and asked for
+const EVENT_FIELDS = ['name', 'timezone', 'start', 'end', 'location', 'capacity', 'require_approval', 'description'];
+
+const FIELD_LABELS = {
+  name: 'Name',
+  timezone: 'Timezone',
+  start: 'Starts',
+  end: 'Ends',
+  location: 'Location',
+  capacity: 'Capacity',
+  require_approval: 'Approval required',
+  description: 'Description',
+};
+
+// Other names people use for the fields in /editevent key=value options
+const FIELD_ALIASES = {
+  title: 'name',
+  tz: 'timezone',
+  starts: 'start',
+  start_at: 'start',
+  ends: 'end',
+  end_at: 'end',
+  address: 'location',
+  venue: 'location',
+  max_capacity: 'capacity',
+  approval: 'require_approval',
+  requires_approval: 'require_approval',
+  desc: 'description',
+};
+
+// Length given to new events created without an end time
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+// Descriptions are cut to this many characters in previews
+const DESCRIPTION_PREVIEW_LENGTH = 80;
+
+const CLEAR_WORDS = ['none', 'clear', 'remove', '-'];
+const UNLIMITED_WORDS = ['unlimited', 'none', 'no limit', '0'];
+const YES_WORDS = ['yes', 'y', 'true', 'on', 'required'];
+const NO_WORDS = ['no', 'n', 'false', 'off', 'not required'];
+
+/**
+ * Maps a field name or alias to its field key.
+ * @param {string} name
+ * @returns {string|null} - null if it isn't an event field.
+ */
+function resolveFieldName(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/-/g, '_');
+  if (EVENT_FIELDS.includes(key)) return key;
+  return FIELD_ALIASES[key] || null;
+}
+
+/**
+ * Parses one field value.
+ * @param {string} field - Field key.
+ * @param {*} value - Typed text, or a boolean/number from a tool call.
+ * @param {string} timeZone - Timezone for wall-clock start/end times.
+ * @returns {{ value: * }|{ error: string }}
+ */
+function parseFieldValue(field, value, timeZone) {
+  const text = typeof value === 'string' ? value.trim() : value;
+  const word = typeof text === 'string' ? text.toLowerCase() : text;
+
+  switch (field) {
+    case 'name':
+      if (!text) return { error: 'Name cannot be empty.' };
+      if (text.length > MAX_NAME_LENGTH) return { error: `Name must be at most ${MAX_NAME_LENGTH} characters.` };
+      return { value: text };
+    case 'timezone':
+      return isValidTimeZone(text) ? { value: text } : { error: `Unknown timezone '${text}'. Use an IANA name such as Europe/London.` };
+    case 'start':
+    case 'end': {
+      const date = parseLocalDateTime(text, timeZone);
+      return date
+        ? { value: date.toISOString() }
+        : { error: `${FIELD_LABELS[field]}: '${text}' is not a date and time. Use YYYY-MM-DD HH:MM (in ${timeZone}).` };
+    }
+    case 'location':
+      return { value: !text || CLEAR_WORDS.includes(word) ? null : text };
+    case 'capacity': {
+      if (UNLIMITED_WORDS.includes(String(word))) return { value: null };
+      const capacity = Number(text);
+      return Number.isInteger(capacity) && capacity > 0
+        ? { value: capacity }
+        : { error: `Capacity must be a whole number, or 'unlimited'.` };
+    }
+    case 'require_approval':
+      if (typeof text === 'boolean') return { value: text };
+      if (YES_WORDS.includes(word)) return { value: true };
+      if (NO_WORDS.includes(word)) return { value: false };
+      return { error: `Approval required must be yes or no.` };
+    case 'description':
+      if (text && text.length > MAX_DESCRIPTION_LENGTH) return { error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters.` };
+      return { value: !text || CLEAR_WORDS.includes(word) ? null : text };
+    default:
+      return { error: `Unknown event field '${field}'.` };
+  }
+}
+
+/**
+ * Parses raw field values. Start and end are read in the timezone being set, if any,
+ * otherwise in `timeZone`.
+ * @param {object} raw - Field name (or alias) to raw value.
+ * @param {string} timeZone - The event's timezone.
+ * @returns {{ fields: object, errors: string[] }}
+ */
+function parseFields(raw, timeZone) {
+  const fields = {};
+  const errors = [];
+  const entries = Object.entries(raw || {}).map(([name, value]) => [name, resolveFieldName(name), value]);
+
+  const timeZoneEntry = entries.find(([, field]) => field === 'timezone');
+  let zone = timeZone;
+  if (timeZoneEntry) {
+    const parsed = parseFieldValue('timezone', timeZoneEntry[2], timeZone);
+    if (parsed.error) errors.push(parsed.error);
+    else zone = fields.timezone = parsed.value;
+  }
+
+  entries.forEach(([name, field, value]) => {
+    if (field === 'timezone') return;
+    if (!field) {
+      errors.push(`Unknown event field '${name}'. Fields: ${EVENT_FIELDS.join(', ')}.`);
+      return;
+    }
+    const parsed = parseFieldValue(field, value, zone);
+    if (parsed.error) errors.push(parsed.error);
+    else fields[field] = parsed.value;
+  });
+  return { fields, errors };
+}
+
+/**
+ * Reads the editable fields of a Luma event in the normalised form.
+ * @param {object} event - Event object from Luma.
+ * @returns {object}
+ */
+function currentFields(event) {
+  const address = event.geo_address_json;
+  return {
+    name: event.name || null,
+    timezone: event.timezone || null,
+    start: event.start_at ? new Date(event.start_at).toISOString() : null,
+    end: event.end_at ? new Date(event.end_at).toISOString() : null,
+    location: address?.full_address || address?.address || event.meeting_url || null,
+    capacity: event.max_capacity ?? null,
+    require_approval: typeof event.require_rsvp_approval === 'boolean' ? event.require_rsvp_approval : null,
+    description: event.description_md || event.description || null,
+  };
+}
+
+/**
+ * Checks that a set of fields describes a usable event: a name, a start that hasn't passed,
+ * and an end after the start.
+ * @param {object} fields - Normalised fields (for edits, the current fields with the changes applied).
+ * @param {object} [options]
+ * @param {boolean} [options.checkStart=true] - Whether a start in the past is a problem; edits that
+ *   leave the start alone pass false, so past events can still be corrected.
+ * @param {Date} [options.now=new Date()]
+ * @returns {string[]} - Problems, empty when the event is fine.
+ */
+function validateEvent(fields, { checkStart = true, now = new Date() } = {}) {
+  const errors = [];
+  if (!fields.name) errors.push('The event needs a name.');
+  if (!fields.start) errors.push('The event needs a start time.');
+  if (checkStart && fields.start && new Date(fields.start) <= now) errors.push('The start time is in the past.');
+  if (fields.start && fields.end && new Date(fields.end) <= new Date(fields.start)) {
+    errors.push('The end must be after the start.');
+  }
+  return errors;
+}
+
+/**
+ * Fills in what a new event may leave out: the timezone (UTC), the end (two hours after
+ * the start) and the approval requirement (off).
+ * @param {object} fields - Normalised fields.
+ * @returns {object} - A new fields object.
+ */
+function withCreateDefaults(fields) {
+  return {
+    ...fields,
+    timezone: fields.timezone || 'UTC',
+    require_approval: fields.require_approval ?? false,
+    end: fields.end || (fields.start ? new Date(new Date(fields.start).getTime() + DEFAULT_DURATION_MS).toISOString() : null),
+  };
+}
+
+/**
+ * The timezone for wall-clock times of an event created in a chat that doesn't name one: the chat's
+ * digest timezone, as the best guess for where its events happen, else UTC.
+ * @param {number|string|bigint} [chatId]
+ * @returns {Promise<string>}
+ */
+async function defaultTimeZoneForChat(chatId) {
+  if (chatId === undefined || chatId === null) return 'UTC';
+  const group = await prisma.group.findUnique({ where: { id: BigInt(chatId) } }).catch(() => null);
+  return group?.digestTimezone || 'UTC';
+}
+
+/**
+ * Turns normalised fields back into values parseFields accepts, as tool arguments.
+ * "Not set" becomes an explicit word or 0, since tool arguments drop nulls.
+ * @param {object} fields
+ * @returns {object}
+ */
+function toFieldParams(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => {
+    if (value !== null) return [field, value];
+    return [field, field === 'capacity' ? 0 : 'none'];
+  }));
+}
+
+/**
+ * Formats a normalised field value for chat.
+ * @param {string} field
+ * @param {*} value
+ * @param {string} [timeZone='UTC'] - Timezone for start/end.
+ * @returns {string}
+ */
+function formatFieldValue(field, value, timeZone = 'UTC') {
+  if (value === null || value === undefined) {
+    return { capacity: 'unlimited', location: 'none (online or TBA)' }[field] || 'not set';
+  }
+  switch (field) {
+    case 'start':
+    case 'end':
+      // With the year, unlike lib/time's formatInTimeZone, since events are planned well ahead
+      return new Intl.DateTimeFormat('en-GB', {
+        timeZone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+      }).format(new Date(value));
+    case 'require_approval':
+      return value ? 'yes' : 'no';
+    case 'description':
+      return value.length > DESCRIPTION_PREVIEW_LENGTH ? `"${value.slice(0, DESCRIPTION_PREVIEW_LENGTH)}..."` : `"${value}"`;
+    case 'name':
+      return `"${value}"`;
+    default:
+      return String(value);
+  }
+}
+
+const sameValue = (field, a, b) => (field === 'start' || field === 'end'
+  ? (a && b ? new Date(a).getTime() === new Date(b).getTime() : a === b)
+  : (a ?? null) === (b ?? null));
+
+/**
+ * Lists the fields an edit would actually change.
+ * @param {object} current - From currentFields.
+ * @param {object} changes - Parsed fields to set.
+ * @returns {Array<{ field: string, label: string, before: string, after: string }>}
+ *   Values formatted for chat; times in the event's timezone after the edit.
+ */
+function diffFields(current, changes) {
+  const timeZone = changes.timezone || current.timezone || 'UTC';
+  return EVENT_FIELDS
+    .filter((field) => field in changes && !sameValue(field, current[field], changes[field]))
+    .map((field) => ({
+      field,
+      label: FIELD_LABELS[field],
+      before: formatFieldValue(field, current[field], current.timezone || 'UTC'),
+      after: formatFieldValue(field, changes[field], timeZone),
+    }));
+}
+
+/**
+ * Describes an edit for the confirmation prompt.
+ * @param {string} eventName
+ * @param {Array<{ label: string, before: string, after: string }>} diff - From diffFields.
+ * @returns {string}
+ */
+function describeDiff(eventName, diff) {
+  if (diff.length === 0) return `Edit "${eventName}": nothing would change`;
+  return [`Edit "${eventName}":`, ...diff.map(({ label, before, after }) => `• ${label}: ${before} → ${after}`)].join('\n');
+}
+
+/**
+ * Describes a new event for the confirmation prompt.
+ * @param {object} fields - Normalised fields.
+ * @returns {string}
+ */
+function describeNewEvent(fields) {
+  const timeZone = fields.timezone || 'UTC';
+  const lines = EVENT_FIELDS
+    .filter((field) => field !== 'name' && field !== 'timezone')
+    .map((field) => `• ${FIELD_LABELS[field]}: ${formatFieldValue(field, fields[field], timeZone)}`);
+  return [`Create event "${fields.name}" (${timeZone}):`, ...lines].join('\n');
+}
+
+/**
+ * Maps normalised fields to Luma's event fields. Only the fields present are included.
+ * @param {object} fields
+ * @returns {object}
+ */
+function toLumaFields(fields) {
+  const luma = {};
+  if ('name' in fields) luma.name = fields.name;
+  if ('start' in fields) luma.start_at = fields.start;
+  if ('end' in fields) luma.end_at = fields.end;
+  if ('timezone' in fields) luma.timezone = fields.timezone;
+  if ('location' in fields) luma.geo_address_json = fields.location ? { type: 'manual', address: fields.location } : null;
+  if ('capacity' in fields) luma.max_capacity = fields.capacity;
+  if ('require_approval' in fields) luma.require_rsvp_approval = fields.require_approval;
+  if ('description' in fields) luma.description_md = fields.description;
+  return luma;
+}
+
+module.exports = {
+  EVENT_FIELDS,
+  FIELD_LABELS,
+  resolveFieldName,
+  parseFieldValue,
+  parseFields,
+  currentFields,
+  validateEvent,
+  withCreateDefaults,
+  defaultTimeZoneForChat,
+  toFieldParams,
+  formatFieldValue,
+  diffFields,
+  describeDiff,
+  describeNewEvent,
+  toLumaFields,
+};
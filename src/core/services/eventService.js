@@ -3,23 +3,23 @@ const lumaClient = require('../luma/client');
 // const { escapeMarkdownV2 } = require('./escapeUtil');
 
 /**
- * Fetches a list of events for an organization.
+ * Fetches the complete list of events for an organization, walking every page.
  * @param {string} encryptedApiKey - The encrypted Luma API key.
- * @param {object} [options] - Optional filtering/pagination options for the API call.
- * @returns {Promise<object>} - An object containing the list of event entries and pagination info { entries: [], has_more: boolean } or null if no events found.
+ * @param {object} [options] - Optional filters (after, before) and pagination limits (pageSize, maxItems).
+ * @returns {Promise<object>} - An object containing the list of event entries { entries: [], has_more: boolean } or null if no events found. has_more is only true if the pagination cap was hit.
  * @throws {Error} - If the API call fails.
  */
 async function listOrgEvents(encryptedApiKey, options = {}) {
   console.log("Attempting to list events via Luma API..."); // Log entry
   let result;
   try {
-    result = await lumaClient.listEvents(encryptedApiKey, options);
+    result = await lumaClient.listAllEvents(encryptedApiKey, options);
     // Log only essential parts for brevity unless debugging deeper
-    console.log(`Luma API Result (listEvents): Found ${result?.entries?.length || 0} events. Has More: ${result?.has_more}`);
+    console.log(`Luma API Result (listAllEvents): Found ${result?.entries?.length || 0} events. Truncated: ${result?.has_more}`);
   } catch (lumaError) {
-    console.error("Error calling lumaClient.listEvents:", lumaError);
-    // Throw the original error or a custom one
-    throw new Error(`Failed to fetch events from Luma API: ${lumaError.message}`);
+    console.error("Error calling lumaClient.listAllEvents:", lumaError);
+    // Re-throw the original (typed) error so the error middleware can describe it
+    throw lumaError;
   }
 
   if (!result || !result.entries || result.entries.length === 0) {
@@ -45,7 +45,7 @@ async function listOrgEvents(encryptedApiKey, options = {}) {
   });
 
   if (result.has_more) {
-    const noteContent = "More events available - pagination not yet implemented";
+    const noteContent = "Event list truncated at the pagination cap";
     rawReply += `\\n_${noteContent}_`;
   }
   return escapeMarkdownV2(rawReply);
@@ -0,0 +1,148 @@
+const guestService = require('./guestService');
+const vipScoringService = require('./vipScoringService');
+const { buildXlsx } = require('../../lib/xlsx');
+
+/*
+ * Org.exportConfig shape (all optional):
+ * {
+ *   "columns": ["name", "email", "approval_status", "answer:Company", "vip_score"],
+ *   "headers": { "approval_status": "Status", "answer:Company": "Company" }
+ * }
+ * "answers" expands to one column per registration question, in the order first seen;
+ * "answer:<question>" picks a single question. Unknown columns are ignored.
+ */
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Column key -> default header and how to read it from a scored guest row
+const COLUMNS = {
+  name: { header: 'Name', value: ({ guest }) => guest.name || '' },
+  first_name: { header: 'First name', value: ({ guest }) => guest.first_name || guest.user_first_name || '' },
+  last_name: { header: 'Last name', value: ({ guest }) => guest.last_name || guest.user_last_name || '' },
+  email: { header: 'Email', value: ({ guest }) => guest.email || '' },
+  phone_number: { header: 'Phone', value: ({ guest }) => guest.phone_number || '' },
+  approval_status: { header: 'Approval status', value: ({ guest }) => guest.approval_status || '' },
+  registered_at: { header: 'Registered at', value: ({ guest }) => guest.registered_at || guest.created_at || '' },
+  checked_in: { header: 'Checked in', value: ({ guest }) => (guest.checked_in_at ? 'yes' : 'no') },
+  checked_in_at: { header: 'Checked in at', value: ({ guest }) => guest.checked_in_at || '' },
+  ticket_type: { header: 'Ticket type', value: ({ guest }) => guest.event_ticket?.name || guest.ticket_type?.name || guest.ticket_name || '' },
+  vip_score: { header: 'VIP score', value: ({ score }) => score },
+  vip: { header: 'VIP', value: ({ vip }) => (vip ? 'yes' : 'no') },
+  guest_id: { header: 'Guest ID', value: ({ guest }) => guest.api_id || guest.id || '' },
+};
+
+const DEFAULT_EXPORT_CONFIG = {
+  columns: ['name', 'email', 'approval_status', 'registered_at', 'checked_in', 'checked_in_at', 'ticket_type', 'vip_score', 'vip', 'answers'],
+  headers: {},
+};
+
+const answerLabel = (answer) => answer.label || answer.question || answer.question_id || 'Question';
+const answerText = (answer) => {
+  const raw = answer.answer ?? answer.value ?? '';
+  return Array.isArray(raw) ? raw.join(', ') : String(raw);
+};
+
+/**
+ * Validates an org's export config, dropping (and logging) columns it doesn't know.
+ * @param {object|null} rawConfig - Org.exportConfig.
+ * @returns {{ columns: string[], headers: object }}
+ */
+function normalizeExportConfig(rawConfig) {
+  const source = rawConfig && Array.isArray(rawConfig.columns) && rawConfig.columns.length > 0 ? rawConfig : DEFAULT_EXPORT_CONFIG;
+  const columns = source.columns.filter((column) => {
+    const known = typeof column === 'string' && (COLUMNS[column] || column === 'answers' || /^answer:.+/.test(column));
+    if (!known) console.warn(`Ignoring unknown export column '${column}'.`);
+    return known;
+  });
+  const headers = rawConfig?.headers && typeof rawConfig.headers === 'object' ? rawConfig.headers : {};
+  return { columns: columns.length > 0 ? columns : DEFAULT_EXPORT_CONFIG.columns, headers };
+}
+
+/**
+ * Flattens scored guests into a header row and value rows, per the export config.
+ * @param {Array<{ guest: object, score: number, vip: boolean }>} scoredGuests - From vipScoringService.scoreGuests.
+ * @param {{ columns: string[], headers: object }} exportConfig - Normalised config.
+ * @returns {{ header: string[], rows: Array<Array<string|number>> }}
+ */
+function buildTable(scoredGuests, exportConfig) {
+  const questions = [];
+  scoredGuests.forEach(({ guest }) => (guest.registration_answers || []).forEach((answer) => {
+    const label = answerLabel(answer);
+    if (!questions.includes(label)) questions.push(label);
+  }));
+
+  // Expand "answers" into every question not already picked with "answer:<question>"
+  const picked = new Set(exportConfig.columns.filter((column) => column.startsWith('answer:')).map((column) => column.slice(7).toLowerCase()));
+  const columns = exportConfig.columns.flatMap((column) => (column === 'answers'
+    ? questions.filter((question) => !picked.has(question.toLowerCase())).map((question) => `answer:${question}`)
+    : [column]));
+
+  const header = columns.map((column) => exportConfig.headers[column] || COLUMNS[column]?.header || column.slice(7));
+  const rows = scoredGuests.map((row) => columns.map((column) => {
+    if (COLUMNS[column]) return COLUMNS[column].value(row);
+    const question = column.slice(7).toLowerCase();
+    const answer = (row.guest.registration_answers || []).find((entry) => answerLabel(entry).toLowerCase() === question);
+    return answer ? answerText(answer) : '';
+  }));
+  return { header, rows };
+}
+
+// Cells starting with these would run as formulas when the CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders a table in an export format.
+ * @param {'csv'|'xlsx'|'json'} format
+ * @param {{ header: string[], rows: Array<Array<string|number>> }} table
+ * @param {string} sheetName - Worksheet name for xlsx.
+ * @returns {Buffer}
+ */
+function renderTable(format, { header, rows }, sheetName) {
+  if (format === 'xlsx') return buildXlsx(sheetName, [header, ...rows]);
+  if (format === 'json') {
+    const records = rows.map((row) => Object.fromEntries(header.map((name, index) => [name, row[index]])));
+    return Buffer.from(JSON.stringify(records, null, 2));
+  }
+  // BOM so Excel reads the CSV as UTF-8
+  return Buffer.from(`\uFEFF${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`);
+}
+
+/**
+ * Exports all guests of an event (every page) with VIP scores, in the org's column layout.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted, vipScoringConfig, exportConfig }).
+ * @param {string} eventApiId - The event to export.
+ * @param {object} [options]
+ * @param {string} [options.status] - Only guests with this approval status.
+ * @param {'csv'|'xlsx'|'json'} [options.format='csv']
+ * @param {string} [options.eventName] - Used for the file and sheet name.
+ * @returns {Promise<{ buffer: Buffer, filename: string, count: number, truncated: boolean }>}
+ */
+async function exportGuests(org, eventApiId, { status, format = 'csv', eventName } = {}) {
+  const result = await guestService.getEventGuests(org.lumaApiKeyEncrypted, eventApiId, status ? { approval_status: status } : {});
+  const entries = result?.entries || [];
+  const scored = await vipScoringService.scoreGuests(org, eventApiId, entries);
+  const table = buildTable(scored, normalizeExportConfig(org.exportConfig));
+
+  const baseName = String(eventName || eventApiId).replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || eventApiId;
+  return {
+    buffer: renderTable(format, table, eventName || 'Guests'),
+    filename: `${baseName}-guests${status ? `-${status}` : ''}.${format}`,
+    count: entries.length,
+    truncated: Boolean(result?.has_more),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_CONFIG,
+  normalizeExportConfig,
+  buildTable,
+  renderTable,
+  exportGuests,
+};
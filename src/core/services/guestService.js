@@ -1,19 +1,22 @@
 const lumaClient = require('../luma/client');
-const prisma = require('../db/prisma'); // Need prisma for audit logging
+const { invalidateGuests } = require('../luma/cachedClient');
+const { logAudit } = require('./auditService');
+const { mapWithConcurrency } = require('../../lib/concurrency');
+const config = require('../../config/config.js');
 // Remove unused escapeMarkdownV2 import if no longer needed elsewhere in file
 // const { escapeMarkdownV2 } = require('./escapeUtil');
 
 /**
- * Fetches a list of guests for a specific event.
+ * Fetches the complete list of guests for a specific event, walking every page.
  * @param {string} encryptedApiKey - The encrypted Luma API key.
  * @param {string} eventApiId - The API ID of the event.
- * @param {object} [options] - Optional filtering/pagination options for the API call.
- * @returns {Promise<object>} - An object containing the list of guest entries and pagination info { entries: [], has_more: boolean, statusFilter: string|null } or null if no guests found.
+ * @param {object} [options] - Optional filters (approval_status) and pagination limits (pageSize, maxItems).
+ * @returns {Promise<object>} - An object containing the list of guest entries { entries: [], has_more: boolean, statusFilter: string|null } or null if no guests found. has_more is only true if the pagination cap was hit.
  * @throws {Error} - If the API call fails.
  */
 async function getEventGuests(encryptedApiKey, eventApiId, options = {}) {
-  const result = await lumaClient.getGuests(encryptedApiKey, eventApiId, options);
-  console.log(`Luma API Result (getGuests for ${eventApiId}):`, JSON.stringify(result, null, 2));
+  const result = await lumaClient.getAllGuests(encryptedApiKey, eventApiId, options);
+  console.log(`Luma API Result (getAllGuests for ${eventApiId}): ${result?.entries?.length || 0} guests. Truncated: ${result?.has_more}`);
 
   const statusFilter = options.approval_status || null;
 
@@ -46,7 +49,7 @@ async function getEventGuests(encryptedApiKey, eventApiId, options = {}) {
   });
 
   if (result.has_more) {
-      const noteContent = "More guests available - pagination not yet implemented";
+      const noteContent = "Guest list truncated at the pagination cap";
       rawReply += `\n_${noteContent}_`;
   }
   return escapeMarkdownV2(rawReply);
@@ -54,16 +57,16 @@ async function getEventGuests(encryptedApiKey, eventApiId, options = {}) {
 }
 
 /**
- * Fetches guests for an event and returns counts by approval status.
+ * Fetches all guests for an event and returns counts by approval status.
  * @param {string} encryptedApiKey - The encrypted Luma API key.
  * @param {string} eventApiId - The API ID of the event.
- * @param {object} [options] - Optional filtering options.
- * @returns {Promise<object>} - An object summarizing guest counts { totalGuests: number, counts: object, has_more: boolean, statusFilter: string|null } or null if no guests found.
+ * @param {object} [options] - Optional filters (approval_status) and pagination limits (pageSize, maxItems).
+ * @returns {Promise<object>} - An object summarizing guest counts { totalGuests: number, counts: object, has_more: boolean, statusFilter: string|null } or null if no guests found. has_more is only true if the pagination cap was hit.
  * @throws {Error} - If the API call fails.
  */
 async function getEventGuestCount(encryptedApiKey, eventApiId, options = {}) {
-  const result = await lumaClient.getGuests(encryptedApiKey, eventApiId, options);
-  console.log(`Luma API Result (getGuests for count for ${eventApiId}):`, JSON.stringify(result, null, 2));
+  const result = await lumaClient.getAllGuests(encryptedApiKey, eventApiId, options);
+  console.log(`Luma API Result (getAllGuests for count for ${eventApiId}): ${result?.entries?.length || 0} guests. Truncated: ${result?.has_more}`);
 
   const statusFilter = options.approval_status || null;
 
@@ -101,7 +104,7 @@ async function getEventGuestCount(encryptedApiKey, eventApiId, options = {}) {
   }
 
   if (result.has_more) {
-    const noteContent = "Note: Counts based on the first batch of guests retrieved. More guests exist.";
+    const noteContent = "Note: Guest list truncated at the pagination cap. More guests exist.";
     rawReply += `\n_${noteContent}_`;
   }
   return escapeMarkdownV2(rawReply);
@@ -115,41 +118,22 @@ async function getEventGuestCount(encryptedApiKey, eventApiId, options = {}) {
  * @param {string} guestEmail - The email address of the guest to approve.
  * @param {object} [auditContext={}] - Context for audit logging ({ orgId, userId, groupId }).
  * @returns {Promise<string>} - A simple success message (unformatted).
- * @throws {Error} - If the API call or audit logging fails (unformatted error message).
+ * @throws {Error} - The original Luma/decryption error if the update fails (audited as 'approve_guest_failed').
  */
 async function approveGuest(encryptedApiKey, eventApiId, guestEmail, auditContext = {}) {
   try {
     await lumaClient.updateGuestStatus(encryptedApiKey, eventApiId, guestEmail, 'approved');
-    await prisma.auditLog.create({
-      data: {
-        orgId: auditContext.orgId || 'UNKNOWN',
-        userId: auditContext.userId ? BigInt(auditContext.userId) : null,
-        groupId: auditContext.groupId ? BigInt(auditContext.groupId) : null,
-        actionType: 'approve_guest',
-        details: { success: true, eventApiId, guestEmail }
-      }
-    });
-    // Return simple, unformatted success message
-    return `Successfully approved ${guestEmail} for event ${eventApiId}.`;
-
   } catch (error) {
     console.error(`Error in approveGuest service for event ${eventApiId}, guest ${guestEmail}:`, error);
-    try {
-      await prisma.auditLog.create({
-        data: {
-          orgId: auditContext.orgId || 'UNKNOWN',
-          userId: auditContext.userId ? BigInt(auditContext.userId) : null,
-          groupId: auditContext.groupId ? BigInt(auditContext.groupId) : null,
-          actionType: 'approve_guest_failed',
-          details: { success: false, eventApiId, guestEmail, error: error.message }
-        }
-      });
-    } catch (logError) {
-      console.error("Failed to create failure audit log for approveGuest service:", logError);
-    }
-    // Re-throw simple, unformatted error message
-    throw new Error(`Failed to approve guest ${guestEmail}. Error: ${error.message}`);
+    await logAudit(auditContext, 'approve_guest_failed', { success: false, eventApiId, guestEmail, error: error.message });
+    // Re-throw the original (typed) error so the error middleware can describe it
+    throw error;
   }
+
+  if (auditContext.orgId) await invalidateGuests(auditContext.orgId, eventApiId);
+  await logAudit(auditContext, 'approve_guest', { success: true, eventApiId, guestEmail });
+  // Return simple, unformatted success message
+  return `Successfully approved ${guestEmail} for event ${eventApiId}.`;
 }
 
 /**
@@ -158,42 +142,113 @@ async function approveGuest(encryptedApiKey, eventApiId, guestEmail, auditContex
  * @param {string} eventApiId - The API ID of the event.
  * @param {string} guestEmail - The email address of the guest to reject.
  * @param {object} [auditContext={}] - Context for audit logging ({ orgId, userId, groupId }).
+ * @param {object} [options] - { shouldRefund: boolean } to refund a paid ticket while declining.
  * @returns {Promise<string>} - A simple success message (unformatted).
- * @throws {Error} - If the API call or audit logging fails (unformatted error message).
+ * @throws {Error} - The original Luma/decryption error if the update fails (audited as 'reject_guest_failed').
  */
-async function rejectGuest(encryptedApiKey, eventApiId, guestEmail, auditContext = {}) {
+async function rejectGuest(encryptedApiKey, eventApiId, guestEmail, auditContext = {}, options = {}) {
+  const shouldRefund = options.shouldRefund === true;
   try {
-    await lumaClient.updateGuestStatus(encryptedApiKey, eventApiId, guestEmail, 'declined');
-    await prisma.auditLog.create({
-      data: {
-        orgId: auditContext.orgId || 'UNKNOWN',
-        userId: auditContext.userId ? BigInt(auditContext.userId) : null,
-        groupId: auditContext.groupId ? BigInt(auditContext.groupId) : null,
-        actionType: 'reject_guest',
-        details: { success: true, eventApiId, guestEmail }
-      }
-    });
-    // Return simple, unformatted success message
-    return `Successfully rejected ${guestEmail} for event ${eventApiId}.`;
-
+    await lumaClient.updateGuestStatus(encryptedApiKey, eventApiId, guestEmail, 'declined', shouldRefund);
   } catch (error) {
     console.error(`Error in rejectGuest service for event ${eventApiId}, guest ${guestEmail}:`, error);
-    try {
-      await prisma.auditLog.create({
-        data: {
-          orgId: auditContext.orgId || 'UNKNOWN',
-          userId: auditContext.userId ? BigInt(auditContext.userId) : null,
-          groupId: auditContext.groupId ? BigInt(auditContext.groupId) : null,
-          actionType: 'reject_guest_failed',
-          details: { success: false, eventApiId, guestEmail, error: error.message }
-        }
-      });
-    } catch (logError) {
-      console.error("Failed to create failure audit log for rejectGuest service:", logError);
+    await logAudit(auditContext, 'reject_guest_failed', { success: false, eventApiId, guestEmail, shouldRefund, error: error.message });
+    // Re-throw the original (typed) error so the error middleware can describe it
+    throw error;
+  }
+
+  if (auditContext.orgId) await invalidateGuests(auditContext.orgId, eventApiId);
+  await logAudit(auditContext, 'reject_guest', { success: true, eventApiId, guestEmail, shouldRefund });
+  // Return simple, unformatted success message
+  return `Successfully rejected ${guestEmail}${shouldRefund ? ' (with refund)' : ''} for event ${eventApiId}.`;
+}
+
+/**
+ * Picks the guests a bulk action should touch from an event's guest list.
+ * Explicit emails are matched regardless of status; otherwise every guest with `status`
+ * (default pending_approval) is a candidate, narrowed by domain and registration date.
+ * Guests already in `targetStatus` are skipped.
+ * @param {object[]} entries - Guest entries from getEventGuests.
+ * @param {object} selector - { emails?: string[], status?: string, domain?: string, registeredBefore?: Date }
+ * @param {string} [targetStatus] - The status being applied ('approved' or 'declined').
+ * @returns {{ guests: object[], notFound: string[], alreadyInStatus: string[] }}
+ */
+function selectGuests(entries, selector, targetStatus) {
+  const guests = entries.map((entry) => entry.guest || entry);
+  const byEmail = new Map(guests.filter((guest) => guest.email).map((guest) => [guest.email.toLowerCase(), guest]));
+  const notFound = [];
+  let candidates;
+
+  if (selector.emails && selector.emails.length > 0) {
+    candidates = [];
+    for (const email of selector.emails) {
+      const guest = byEmail.get(email.toLowerCase());
+      if (guest) candidates.push(guest);
+      else notFound.push(email);
     }
-    // Re-throw simple, unformatted error message
-    throw new Error(`Failed to reject guest ${guestEmail}. Error: ${error.message}`);
+  } else {
+    const status = selector.status || 'pending_approval';
+    candidates = guests.filter((guest) => guest.approval_status === status);
+  }
+
+  if (selector.domain) {
+    const domain = selector.domain.toLowerCase().replace(/^@/, '');
+    candidates = candidates.filter((guest) => (guest.email || '').toLowerCase().endsWith(`@${domain}`));
   }
+  if (selector.registeredBefore) {
+    candidates = candidates.filter((guest) => {
+      const registeredAt = new Date(guest.registered_at || guest.created_at);
+      return !Number.isNaN(registeredAt.getTime()) && registeredAt < selector.registeredBefore;
+    });
+  }
+
+  const alreadyInStatus = [];
+  const selected = [];
+  const seen = new Set();
+  for (const guest of candidates) {
+    const key = guest.email.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (targetStatus && guest.approval_status === targetStatus) alreadyInStatus.push(guest.email);
+    else selected.push(guest);
+  }
+
+  return { guests: selected, notFound, alreadyInStatus };
+}
+
+/**
+ * Approves or declines many guests of one event with limited concurrency.
+ * Each guest goes through approveGuest/rejectGuest, so every guest gets its own audit entry;
+ * a failure for one guest is recorded and the rest carry on.
+ * @param {string} encryptedApiKey - The encrypted Luma API key.
+ * @param {string} eventApiId - The API ID of the event.
+ * @param {string[]} guestEmails - Emails of the guests to update.
+ * @param {string} newStatus - 'approved' or 'declined'.
+ * @param {object} [auditContext={}] - Context for audit logging ({ orgId, userId, groupId }).
+ * @param {object} [options] - { concurrency, onProgress({ done, total, succeeded, failed }) }
+ * @returns {Promise<{ total: number, succeeded: string[], failed: { email: string, error: Error }[] }>}
+ */
+async function bulkUpdateGuestStatus(encryptedApiKey, eventApiId, guestEmails, newStatus, auditContext = {}, options = {}) {
+  const update = newStatus === 'approved' ? approveGuest : rejectGuest;
+  const succeeded = [];
+  const failed = [];
+  const total = guestEmails.length;
+
+  await mapWithConcurrency(guestEmails, options.concurrency || config.bulk.concurrency, async (email) => {
+    try {
+      await update(encryptedApiKey, eventApiId, email, auditContext);
+      succeeded.push(email);
+    } catch (error) {
+      failed.push({ email, error });
+    }
+    if (options.onProgress) {
+      await Promise.resolve(options.onProgress({ done: succeeded.length + failed.length, total, succeeded: succeeded.length, failed: failed.length }))
+        .catch((progressError) => console.error('Bulk progress callback failed:', progressError.message));
+    }
+  });
+
+  console.log(`Bulk ${newStatus} for event ${eventApiId}: ${succeeded.length} succeeded, ${failed.length} failed.`);
+  return { total, succeeded, failed };
 }
 
 module.exports = {
@@ -201,4 +256,6 @@ module.exports = {
   getEventGuestCount,
   approveGuest,
   rejectGuest,
+  selectGuests,
+  bulkUpdateGuestStatus,
 }; 
\ No newline at end of file
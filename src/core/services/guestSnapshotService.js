@@ -0,0 +1,109 @@
+const prisma = require('../db/prisma');
+const vipScoringService = require('./vipScoringService');
+
+/*
+ * Local copy of an event's guest list, taken while Luma is reachable, so door mode can keep
+ * checking guests in when it isn't. Check-ins taken offline are marked here straight away and
+ * queued for Luma (see checkinService.queueCheckin and the checkin_reconcile job).
+ */
+
+/**
+ * Replaces an event's snapshot with the given guest list. VIP scores are stored too, since
+ * scoring needs Luma.
+ * @param {string} orgId
+ * @param {string} eventApiId
+ * @param {Array<{ guest: object, score: number|null, vip: boolean }>} scoredGuests - From vipScoringService.scoreGuests.
+ * @returns {Promise<number>} - Number of guests stored.
+ */
+async function saveSnapshot(orgId, eventApiId, scoredGuests) {
+  const syncedAt = new Date();
+  const rows = scoredGuests.filter(({ guest }) => guest.api_id).map(({ guest, score, vip }) => ({
+    orgId,
+    eventApiId,
+    guestApiId: guest.api_id,
+    email: guest.email || null,
+    name: guest.name || null,
+    approvalStatus: guest.approval_status || null,
+    checkedInAt: guest.checked_in_at ? new Date(guest.checked_in_at) : null,
+    vipScore: typeof score === 'number' ? score : null,
+    vip: Boolean(vip),
+    data: guest,
+    syncedAt,
+  }));
+  await prisma.$transaction([
+    prisma.guestSnapshot.deleteMany({ where: { orgId, eventApiId } }),
+    prisma.guestSnapshot.createMany({ data: rows }),
+  ]);
+  console.log(`Guest snapshot for event ${eventApiId} (org ${orgId}): ${rows.length} guests.`);
+  return rows.length;
+}
+
+/**
+ * Scores the guests and saves them as the event's snapshot. Saved without scores if scoring fails.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {object[]} guests - Guest objects.
+ * @returns {Promise<number>} - Number of guests saved.
+ */
+async function syncSnapshot(org, eventApiId, guests) {
+  const scored = await vipScoringService.scoreGuests(org, eventApiId, guests).catch((error) => {
+    console.warn(`Snapshot of event ${eventApiId} saved without VIP scores:`, error.message);
+    return guests.map((guest) => ({ guest, score: null, vip: false }));
+  });
+  return saveSnapshot(org.id, eventApiId, scored);
+}
+
+/**
+ * When an event's snapshot was last saved.
+ * @param {string} orgId
+ * @param {string} eventApiId
+ * @returns {Promise<Date|null>} - null when there is no snapshot.
+ */
+async function snapshotSyncedAt(orgId, eventApiId) {
+  const row = await prisma.guestSnapshot.findFirst({ where: { orgId, eventApiId }, select: { syncedAt: true } });
+  return row?.syncedAt || null;
+}
+
+/**
+ * Loads an event's snapshot as guest objects, with local check-ins applied.
+ * @param {string} orgId
+ * @param {string} eventApiId
+ * @returns {Promise<{ guests: object[], scores: Map<string, { score: number|null, vip: boolean }>, syncedAt: Date|null }>}
+ *   syncedAt is null when there is no snapshot.
+ */
+async function loadSnapshot(orgId, eventApiId) {
+  const rows = await prisma.guestSnapshot.findMany({ where: { orgId, eventApiId } });
+  if (rows.length === 0) return { guests: [], scores: new Map(), syncedAt: null };
+  return {
+    guests: rows.map((row) => ({
+      ...row.data,
+      approval_status: row.approvalStatus,
+      checked_in_at: row.checkedInAt ? row.checkedInAt.toISOString() : null,
+    })),
+    scores: new Map(rows.map((row) => [row.guestApiId, { score: row.vipScore, vip: row.vip }])),
+    syncedAt: rows[0].syncedAt,
+  };
+}
+
+/**
+ * Marks a guest as checked in within the snapshot, so a second offline scan is caught.
+ * @param {string} orgId
+ * @param {string} eventApiId
+ * @param {string} guestApiId
+ * @param {Date} checkedInAt
+ * @returns {Promise<void>}
+ */
+async function markCheckedIn(orgId, eventApiId, guestApiId, checkedInAt) {
+  await prisma.guestSnapshot.updateMany({
+    where: { orgId, eventApiId, guestApiId },
+    data: { checkedInAt },
+  });
+}
+
+module.exports = {
+  saveSnapshot,
+  syncSnapshot,
+  snapshotSyncedAt,
+  loadSnapshot,
+  markCheckedIn,
+};
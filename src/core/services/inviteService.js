@@ -0,0 +1,162 @@
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+const lumaCache = require('../luma/cachedClient');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Approval statuses guests can be given: added directly, or sent a Luma invitation ('invited')
+const INVITE_STATUSES = ['approved', 'pending_approval', 'invited'];
+// What separates addresses in pasted text: whitespace, commas, semicolons, brackets and quotes
+const SEPARATOR_PATTERN = /[\s,;<>()[\]{}"'“”‘’]+/;
+
+/**
+ * Picks the email addresses out of free text, such as a pasted spreadsheet column or a list
+ * like "Ada Lovelace <ada@example.com>, grace@example.com". Words that contain an @ but are
+ * not valid addresses are reported as invalid; Telegram @mentions are ignored.
+ * @param {string} text
+ * @returns {{ emails: string[], invalid: string[] }} - Lower-cased, de-duplicated, in order of appearance.
+ */
+function extractEmails(text) {
+  const emails = [];
+  const invalid = [];
+  String(text || '').split(SEPARATOR_PATTERN).forEach((word) => {
+    const candidate = word.replace(/^mailto:/i, '').replace(/[.:!?]+$/, '').toLowerCase();
+    if (!candidate.includes('@') || candidate.startsWith('@')) return;
+    const list = EMAIL_PATTERN.test(candidate) ? emails : invalid;
+    if (!list.includes(candidate)) list.push(candidate);
+  });
+  return { emails, invalid };
+}
+
+/**
+ * Splits addresses into those to add and those already on the event's guest list,
+ * checked against a fresh copy of the list.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {string[]} emails - Candidate addresses (valid or not).
+ * @returns {Promise<{ toAdd: string[], alreadyRegistered: Array<{ email: string, status: string }>, invalid: string[] }>}
+ */
+async function planInvite(org, eventApiId, emails) {
+  const valid = [];
+  const invalid = [];
+  emails.map((email) => String(email).trim().toLowerCase()).forEach((email) => {
+    const list = EMAIL_PATTERN.test(email) ? valid : invalid;
+    if (!list.includes(email)) list.push(email);
+  });
+  await lumaCache.invalidateGuests(org.id, eventApiId);
+  const result = await lumaCache.getAllGuests(org, eventApiId);
+  const statuses = new Map((result?.entries || [])
+    .map((entry) => entry.guest || entry)
+    .filter((guest) => guest.email)
+    .map((guest) => [guest.email.toLowerCase(), guest.approval_status || 'registered']));
+
+  const toAdd = [];
+  const alreadyRegistered = [];
+  valid.forEach((email) => {
+    if (statuses.has(email)) alreadyRegistered.push({ email, status: statuses.get(email) });
+    else toAdd.push(email);
+  });
+  return { toAdd, alreadyRegistered, invalid };
+}
+
+/**
+ * Adds guests to an event (or sends them Luma invitations when approvalStatus is 'invited'),
+ * skipping invalid addresses and people already on the guest list. Sent in batches of
+ * config.invites.batchSize; a failed batch is reported and the rest still go out.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {string[]} emails
+ * @param {object} [options]
+ * @param {'approved'|'pending_approval'|'invited'} [options.approvalStatus='approved']
+ * @param {string} [options.ticketTypeId] - Ticket type for added guests (not used for invitations).
+ * @returns {Promise<{ added: string[], alreadyRegistered: Array<{ email: string, status: string }>, invalid: string[], failed: Array<{ email: string, error: Error }> }>}
+ */
+async function inviteGuests(org, eventApiId, emails, { approvalStatus = 'approved', ticketTypeId } = {}) {
+  const { toAdd, alreadyRegistered, invalid } = await planInvite(org, eventApiId, emails);
+  const added = [];
+  const failed = [];
+  for (let start = 0; start < toAdd.length; start += config.invites.batchSize) {
+    const batch = toAdd.slice(start, start + config.invites.batchSize);
+    const guests = batch.map((email) => ({ email }));
+    try {
+      if (approvalStatus === 'invited') {
+        await lumaCache.sendInvites(org, eventApiId, guests);
+      } else {
+        await lumaCache.addGuests(org, eventApiId, guests, { approvalStatus, ticketTypeId });
+      }
+      added.push(...batch);
+    } catch (error) {
+      console.error(`Invite: batch of ${batch.length} for event ${eventApiId} failed:`, error.message);
+      failed.push(...batch.map((email) => ({ email, error })));
+    }
+  }
+  return { added, alreadyRegistered, invalid, failed };
+}
+
+/**
+ * Waits for the user to paste a guest list in the chat, replacing any list they were asked for before.
+ * @param {object} input
+ * @param {string} input.orgId
+ * @param {number|bigint} input.chatId
+ * @param {number|bigint} input.userId - Telegram user who ran /invite.
+ * @param {string} input.eventApiId
+ * @param {string} input.approvalStatus
+ * @param {{ api_id: string, name: string }|null} [input.ticketType]
+ * @param {number} input.promptMessageId - The forced-reply request sent for the list.
+ * @returns {Promise<object>} - The InvitePaste row.
+ */
+async function startPaste({ orgId, chatId, userId, eventApiId, approvalStatus, ticketType = null, promptMessageId }) {
+  await prisma.invitePaste.updateMany({
+    where: { chatId: BigInt(chatId), userId: BigInt(userId), status: 'waiting' },
+    data: { status: 'cancelled' },
+  });
+  return prisma.invitePaste.create({
+    data: {
+      orgId,
+      chatId: BigInt(chatId),
+      userId: BigInt(userId),
+      eventApiId,
+      approvalStatus,
+      ticketTypeId: ticketType?.api_id || null,
+      ticketTypeName: ticketType?.name || null,
+      promptMessageId,
+    }
+  });
+}
+
+/**
+ * Whether a paste request is older than config.invites.pasteTimeoutMinutes.
+ * @param {object} paste - The InvitePaste row.
+ * @returns {boolean}
+ */
+const isPasteExpired = (paste) => paste.createdAt < new Date(Date.now() - config.invites.pasteTimeoutMinutes * 60 * 1000);
+
+/**
+ * Records a request sent again (after a message without addresses), which the list must now reply to.
+ * @param {string} id - InvitePaste ID.
+ * @param {number} promptMessageId
+ * @returns {Promise<void>}
+ */
+async function setPastePrompt(id, promptMessageId) {
+  await prisma.invitePaste.update({ where: { id }, data: { promptMessageId } });
+}
+
+/**
+ * Closes a paste request.
+ * @param {string} id - InvitePaste ID.
+ * @param {'used'|'cancelled'} status
+ * @returns {Promise<void>}
+ */
+async function finishPaste(id, status) {
+  await prisma.invitePaste.update({ where: { id }, data: { status } });
+}
+
+module.exports = {
+  INVITE_STATUSES,
+  extractEmails,
+  planInvite,
+  inviteGuests,
+  startPaste,
+  isPasteExpired,
+  setPastePrompt,
+  finishPaste,
+};
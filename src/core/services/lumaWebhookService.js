@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+const { encrypt, decrypt } = require('../../lib/crypto');
+const lumaCache = require('../luma/cachedClient');
+
+// Luma delivery types grouped by what the bot does with them
+const GUEST_REGISTERED_TYPES = ['guest.registered', 'guest.created', 'event.guest_registered'];
+const GUEST_UPDATED_TYPES = ['guest.updated', 'guest.status_changed', 'guest.approval_status_changed', 'event.guest_updated'];
+const EVENT_UPDATED_TYPES = ['event.updated', 'event.created', 'event.canceled', 'event.cancelled'];
+
+/**
+ * Checks a delivery's HMAC-SHA256 signature in constant time.
+ * @param {Buffer|string} rawBody - The body exactly as received.
+ * @param {string} signature - Header value: hex digest, optionally prefixed 'sha256='.
+ * @param {string} secret - The webhook signing secret.
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(signature).trim().replace(/^sha256=/i, ''), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * An org's webhook signing secret, or null when it hasn't set one.
+ * @param {object} org - The Org record.
+ * @returns {string|null}
+ * @throws {import('../../lib/crypto').DecryptionError}
+ */
+function signingSecretFor(org) {
+  return org?.lumaWebhookSecretEncrypted ? decrypt(org.lumaWebhookSecretEncrypted) : null;
+}
+
+/**
+ * Stores the signing secret Luma shows for the org's webhook.
+ * @param {string} orgId
+ * @param {string} secret
+ * @returns {Promise<void>}
+ */
+async function setSigningSecret(orgId, secret) {
+  await prisma.org.update({ where: { id: orgId }, data: { lumaWebhookSecretEncrypted: encrypt(secret) } });
+}
+
+/**
+ * Signs a body the way verifySignature expects (used by the replay tool).
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @returns {string} - 'sha256=<hex>'.
+ */
+function signPayload(rawBody, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+/**
+ * Pulls what the bot needs out of a delivery, whatever nesting Luma uses for it.
+ * @param {object} payload - Parsed delivery body ({ type, data }).
+ * @returns {{ type: string, kind: 'guest_registered'|'guest_updated'|'event_updated'|'other', eventApiId: string|null, event: object|null, guest: object|null }}
+ */
+function normalizeDelivery(payload) {
+  const type = String(payload.type || payload.event_type || payload.action || 'unknown').toLowerCase();
+  const data = payload.data || payload.payload || {};
+  const guest = data.guest || (type.startsWith('guest.') ? data : null);
+  const event = data.event || (type.startsWith('event.') && !data.guest ? data : null);
+  const eventApiId = event?.api_id || data.event_api_id || guest?.event_api_id || null;
+
+  let kind = 'other';
+  if (GUEST_REGISTERED_TYPES.includes(type)) kind = 'guest_registered';
+  else if (GUEST_UPDATED_TYPES.includes(type)) kind = 'guest_updated';
+  else if (EVENT_UPDATED_TYPES.includes(type)) kind = 'event_updated';
+
+  return { type, kind, eventApiId, event, guest };
+}
+
+/**
+ * The ID a delivery is deduplicated on: Luma's own ID when present, otherwise a hash of the body.
+ * @param {object} payload - Parsed delivery body.
+ * @param {string} [headerId] - Delivery ID header, if Luma sent one.
+ * @param {Buffer|string} rawBody
+ * @returns {string}
+ */
+function deliveryIdFor(payload, headerId, rawBody) {
+  return String(headerId || payload.id || payload.delivery_id || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`);
+}
+
+/**
+ * Stores a delivery unless the org already processed it. Failed deliveries, and ones whose
+ * processing stalled past lumaWebhooks.processingTimeoutSeconds (e.g. the bot restarted
+ * mid-way), are taken again, so Luma's retries can succeed.
+ * @param {object} input
+ * @param {string} input.orgId
+ * @param {string} input.deliveryId
+ * @param {string} input.type
+ * @param {string|null} input.eventApiId
+ * @param {object} input.payload
+ * @returns {Promise<{ record: object|null, duplicate: boolean }>} - record is null for duplicates.
+ */
+async function recordDelivery({ orgId, deliveryId, type, eventApiId, payload }) {
+  try {
+    const record = await prisma.lumaWebhookEvent.create({ data: { orgId, deliveryId, type, eventApiId, payload } });
+    return { record, duplicate: false };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+  // Seen before: retake it only if the earlier attempt failed or stalled (conditional, so concurrent retries process it once)
+  const staleBefore = new Date(Date.now() - config.lumaWebhooks.processingTimeoutSeconds * 1000);
+  const { count } = await prisma.lumaWebhookEvent.updateMany({
+    where: { orgId, deliveryId, OR: [{ status: 'failed' }, { status: 'received', claimedAt: { lt: staleBefore } }] },
+    data: { status: 'received', error: null, claimedAt: new Date() },
+  });
+  if (count === 0) return { record: null, duplicate: true };
+  return { record: await prisma.lumaWebhookEvent.findUnique({ where: { orgId_deliveryId: { orgId, deliveryId } } }), duplicate: false };
+}
+
+/**
+ * Records the outcome of processing a delivery, unless a retry has taken it since.
+ * @param {object} record - The LumaWebhookEvent returned by recordDelivery.
+ * @param {Error} [error] - Set when processing failed.
+ * @returns {Promise<boolean>} - False when the delivery was taken again in the meantime.
+ */
+async function finishDelivery(record, error) {
+  const { count } = await prisma.lumaWebhookEvent.updateMany({
+    where: { id: record.id, status: 'received', claimedAt: record.claimedAt },
+    data: error
+      ? { status: 'failed', error: String(error.message || error).slice(0, 1000) }
+      : { status: 'processed', processedAt: new Date() },
+  });
+  return count > 0;
+}
+
+/**
+ * Drops cached Luma data a delivery makes stale.
+ * @param {string} orgId
+ * @param {ReturnType<typeof normalizeDelivery>} delivery
+ * @returns {Promise<void>}
+ */
+async function invalidateCacheFor(orgId, { kind, eventApiId }) {
+  if ((kind === 'guest_registered' || kind === 'guest_updated') && eventApiId) {
+    await lumaCache.invalidateGuests(orgId, eventApiId);
+  } else if (kind === 'event_updated') {
+    await lumaCache.invalidateEvents(orgId, eventApiId);
+  }
+}
+
+module.exports = {
+  verifySignature,
+  signingSecretFor,
+  setSigningSecret,
+  signPayload,
+  normalizeDelivery,
+  deliveryIdFor,
+  recordDelivery,
+  finishDelivery,
+  invalidateCacheFor,
+};
@@ -0,0 +1,108 @@
+const prisma = require('../db/prisma');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reads a group's nudge thresholds. A threshold of 0 turns that check off.
+ * @param {object} group - The Group record.
+ * @returns {{ maxPending: number, maxPendingHours: number, eventWithinHours: number }}
+ */
+const thresholdsFor = (group) => ({
+  maxPending: group.nudgeMaxPending,
+  maxPendingHours: group.nudgeMaxPendingHours,
+  eventWithinHours: group.nudgeEventWithinHours,
+});
+
+/**
+ * Checks an event's pending queue against a group's thresholds.
+ * @param {object} event - Luma event ({ api_id, start_at }).
+ * @param {object[]} pendingGuests - Guests with approval_status 'pending_approval'.
+ * @param {{ maxPending: number, maxPendingHours: number, eventWithinHours: number }} thresholds
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{ condition: string, value: number, threshold: number, hours?: number }>}
+ *   One entry per crossed threshold: 'queue_size' (value = pending count), 'stale_pending'
+ *   (value = guests over the age limit, hours = age of the oldest) and 'event_soon'
+ *   (value = pending count, hours = hours until the event starts).
+ */
+function evaluateConditions(event, pendingGuests, thresholds, now = new Date()) {
+  const conditions = [];
+  const pending = pendingGuests.length;
+  if (pending === 0) return conditions;
+
+  if (thresholds.maxPending > 0 && pending > thresholds.maxPending) {
+    conditions.push({ condition: 'queue_size', value: pending, threshold: thresholds.maxPending });
+  }
+
+  if (thresholds.maxPendingHours > 0) {
+    const ages = pendingGuests
+      .map((guest) => now - new Date(guest.registered_at || guest.created_at))
+      .filter((age) => !Number.isNaN(age));
+    const stale = ages.filter((age) => age > thresholds.maxPendingHours * HOUR_MS);
+    if (stale.length > 0) {
+      conditions.push({ condition: 'stale_pending', value: stale.length, threshold: thresholds.maxPendingHours, hours: Math.floor(Math.max(...stale) / HOUR_MS) });
+    }
+  }
+
+  const startsIn = event.start_at ? new Date(event.start_at) - now : NaN;
+  if (thresholds.eventWithinHours > 0 && startsIn > 0 && startsIn <= thresholds.eventWithinHours * HOUR_MS) {
+    conditions.push({ condition: 'event_soon', value: pending, threshold: thresholds.eventWithinHours, hours: Math.floor(startsIn / HOUR_MS) });
+  }
+
+  return conditions;
+}
+
+const alertKey = (groupId, eventApiId, condition) => `${groupId}:${eventApiId}:${condition}`;
+
+/**
+ * Alerts currently open for a group, keyed by openKey.
+ * @param {bigint} groupId
+ * @returns {Promise<Map<string, object>>}
+ */
+async function getOpenAlerts(groupId) {
+  const alerts = await prisma.nudgeAlert.findMany({ where: { groupId: BigInt(groupId), resolvedAt: null } });
+  return new Map(alerts.map((alert) => [alert.openKey, alert]));
+}
+
+/**
+ * Records alerts that were just posted, so they are not posted again while their condition holds.
+ * @param {bigint} groupId
+ * @param {Array<{ eventApiId: string, condition: string, value: number }>} alerts
+ * @returns {Promise<void>}
+ */
+async function openAlerts(groupId, alerts) {
+  if (alerts.length === 0) return;
+  await prisma.nudgeAlert.createMany({
+    data: alerts.map(({ eventApiId, condition, value }) => ({
+      groupId: BigInt(groupId),
+      eventApiId,
+      condition,
+      value,
+      openKey: alertKey(groupId, eventApiId, condition),
+    })),
+    skipDuplicates: true,
+  });
+}
+
+/**
+ * Resolves a group's open alerts whose condition no longer holds, so they can fire again
+ * if it comes back.
+ * @param {bigint} groupId
+ * @param {Set<string>} activeKeys - openKeys of conditions that still hold (empty to resolve all).
+ * @returns {Promise<number>} - Number of alerts resolved.
+ */
+async function resolveClearedAlerts(groupId, activeKeys) {
+  const { count } = await prisma.nudgeAlert.updateMany({
+    where: { groupId: BigInt(groupId), resolvedAt: null, openKey: { notIn: [...activeKeys] } },
+    data: { resolvedAt: new Date(), openKey: null },
+  });
+  return count;
+}
+
+module.exports = {
+  thresholdsFor,
+  evaluateConditions,
+  alertKey,
+  getOpenAlerts,
+  openAlerts,
+  resolveClearedAlerts,
+};
@@ -0,0 +1,35 @@
+const prisma = require('../db/prisma');
+const config = require('../../config/config.js');
+const eventDraftService = require('./eventDraftService');
+const inviteService = require('./inviteService');
+
+/**
+ * Finds what a reply to one of the bot's forced-reply prompts answers: a /newevent wizard
+ * question or an /invite paste request, looked up together in one round trip. Expired ones
+ * are cancelled and not returned.
+ * @param {number|bigint} chatId
+ * @param {number|bigint} userId - The Telegram user replying.
+ * @param {number} promptMessageId - The bot message they replied to.
+ * @returns {Promise<{ draft: object }|{ paste: object }|null>}
+ */
+async function findPendingInput(chatId, userId, promptMessageId) {
+  const where = { chatId: BigInt(chatId), userId: BigInt(userId), promptMessageId };
+  const [draft, paste] = await prisma.$transaction([
+    prisma.eventDraft.findFirst({ where: { ...where, status: 'active' } }),
+    prisma.invitePaste.findFirst({ where: { ...where, status: 'waiting' } }),
+  ]);
+
+  if (draft) {
+    if (!eventDraftService.isDraftExpired(draft, config.eventWizard.timeoutMinutes)) return { draft };
+    await eventDraftService.finishDraft(draft.id, 'cancelled');
+  }
+  if (paste) {
+    if (!inviteService.isPasteExpired(paste)) return { paste };
+    await inviteService.finishPaste(paste.id, 'cancelled');
+  }
+  return null;
+}
+
+module.exports = {
+  findPendingInput,
+};
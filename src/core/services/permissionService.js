@@ -0,0 +1,136 @@
+const prisma = require('../db/prisma');
+const { logAudit } = require('./auditService');
+
+// Lowest to highest. Each role can do everything the roles before it can.
+const ROLES = ['viewer', 'approver', 'admin', 'owner'];
+
+// Roles stored before RBAC existed, mapped onto the current model
+const LEGACY_ROLES = { member: 'approver' };
+
+/**
+ * Thrown when the acting Telegram user lacks the role an action needs.
+ */
+class PermissionDeniedError extends Error {
+  /**
+   * @param {string} requiredRole - The minimum role the action needs.
+   * @param {string} role - The role the user actually has.
+   */
+  constructor(requiredRole, role) {
+    super(`This needs the ${requiredRole} role; you are ${role}.`);
+    this.name = 'PermissionDeniedError';
+    this.requiredRole = requiredRole;
+    this.role = role;
+  }
+}
+
+/**
+ * Maps a stored role onto ROLES. Unknown or missing roles become 'viewer'.
+ * @param {string|null|undefined} role
+ * @returns {string}
+ */
+function normalizeRole(role) {
+  const mapped = LEGACY_ROLES[role] || role;
+  return ROLES.includes(mapped) ? mapped : 'viewer';
+}
+
+/**
+ * Whether `role` is at least `requiredRole`.
+ * @param {string} role
+ * @param {string} requiredRole
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(normalizeRole(requiredRole));
+}
+
+/**
+ * Resolves the role of a Telegram user within an org. Users without an OrgRole row in
+ * that org (e.g. group members who never linked or were granted a role) are viewers.
+ * @param {string} orgId
+ * @param {number|bigint|null} telegramUserId
+ * @returns {Promise<string>}
+ */
+async function getUserRole(orgId, telegramUserId) {
+  if (!orgId || !telegramUserId) return 'viewer';
+  return getUserRoleWith(prisma, orgId, telegramUserId);
+}
+
+// getUserRole on a given client, so it can run inside a transaction
+async function getUserRoleWith(db, orgId, telegramUserId) {
+  const orgRole = await db.orgRole.findUnique({
+    where: { orgId_userId: { orgId, userId: BigInt(telegramUserId) } },
+  });
+  return normalizeRole(orgRole?.role);
+}
+
+/**
+ * Whether an actor may change a user's role from `currentRole` to `newRole`.
+ * Owners can do anything; admins can only manage approvers and viewers.
+ * @param {string} actorRole
+ * @param {string} currentRole - The target's current role.
+ * @param {string} newRole
+ * @returns {boolean}
+ */
+function canAssignRole(actorRole, currentRole, newRole) {
+  const actor = normalizeRole(actorRole);
+  if (actor === 'owner') return true;
+  if (actor !== 'admin') return false;
+  return !hasRole(currentRole, 'admin') && !hasRole(newRole, 'admin');
+}
+
+/**
+ * Sets a user's role in an org. Users with no private-chat link yet are linked to the org
+ * too, so they can use their role in a DM with the bot. Refuses to demote the org's last owner.
+ * @param {string} orgId
+ * @param {{ id: number, first_name?: string, username?: string }} telegramUser - Target Telegram user.
+ * @param {string} newRole - One of ROLES.
+ * @param {object} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{ ok: boolean, previousRole?: string, reason?: string }>}
+ */
+async function setUserRole(orgId, telegramUser, newRole, db = prisma) {
+  const userId = BigInt(telegramUser.id);
+  const previousRole = await getUserRoleWith(db, orgId, userId);
+  if (previousRole === 'owner' && newRole !== 'owner') {
+    const owners = await db.orgRole.count({ where: { orgId, role: 'owner' } });
+    if (owners <= 1) {
+      return { ok: false, reason: 'That user is the last owner. Make someone else an owner first.' };
+    }
+  }
+
+  const names = { firstName: telegramUser.first_name || null, username: telegramUser.username || null };
+  await db.orgRole.upsert({
+    where: { orgId_userId: { orgId, userId } },
+    update: { role: newRole, ...(telegramUser.first_name || telegramUser.username ? names : {}) },
+    create: { orgId, userId, role: newRole, ...names },
+  });
+  await db.user.upsert({
+    where: { id: userId },
+    update: {},
+    create: { id: userId, orgId, ...names },
+  });
+  console.log(`Role for user ${telegramUser.id} in org ${orgId}: ${previousRole} -> ${newRole}`);
+  return { ok: true, previousRole };
+}
+
+/**
+ * Records a permission denial. The Telegram user ID goes in the details because
+ * group audit entries carry the group, not the user.
+ * @param {object} auditContext - Context for audit logging ({ orgId, userId, groupId }).
+ * @param {object} details - { telegramUserId, role, requiredRole, command?, toolName? }
+ * @returns {Promise<void>}
+ */
+async function logDenial(auditContext, details) {
+  console.warn(`Permission denied for user ${details.telegramUserId} (${details.role}, needs ${details.requiredRole}): ${details.command || details.toolName}`);
+  await logAudit(auditContext, 'permission_denied', details);
+}
+
+module.exports = {
+  ROLES,
+  PermissionDeniedError,
+  normalizeRole,
+  hasRole,
+  getUserRole,
+  canAssignRole,
+  setUserRole,
+  logDenial,
+};
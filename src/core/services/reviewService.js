@@ -0,0 +1,128 @@
+const prisma = require('../db/prisma');
+
+/**
+ * Starts a /review session for an event in a chat.
+ * @param {object} input
+ * @param {string} input.orgId - Org the event belongs to.
+ * @param {number|bigint} input.chatId - Chat where the card is posted.
+ * @param {number|bigint} input.startedBy - Telegram user who ran /review.
+ * @param {string} input.eventApiId - The event being reviewed.
+ * @returns {Promise<object>} - The ReviewSession row.
+ */
+async function createSession({ orgId, chatId, startedBy, eventApiId }) {
+  return prisma.reviewSession.create({
+    data: {
+      orgId,
+      chatId: BigInt(chatId),
+      startedBy: BigInt(startedBy),
+      eventApiId,
+    }
+  });
+}
+
+/**
+ * Loads a session by ID.
+ * @param {string} id - ReviewSession ID.
+ * @returns {Promise<object|null>}
+ */
+async function getSession(id) {
+  return prisma.reviewSession.findUnique({ where: { id } });
+}
+
+/**
+ * Shows a guest on the card (and records the card's message once known).
+ * @param {string} id - ReviewSession ID.
+ * @param {string} guestEmail - The guest now on the card.
+ * @param {number} [messageId] - Telegram message carrying the card.
+ * @returns {Promise<void>}
+ */
+async function setCurrentGuest(id, guestEmail, messageId) {
+  const data = { currentEmail: guestEmail };
+  if (messageId !== undefined) data.messageId = messageId;
+  await prisma.reviewSession.update({ where: { id }, data });
+}
+
+/**
+ * Atomically takes the guest shown on the card so only one tap acts on them,
+ * even when several approvers press buttons at once.
+ * @param {string} id - ReviewSession ID.
+ * @param {string} guestEmail - The guest the tapper saw.
+ * @returns {Promise<boolean>} - False if someone else already handled this guest.
+ */
+async function claimCurrentGuest(id, guestEmail) {
+  const { count } = await prisma.reviewSession.updateMany({
+    where: { id, status: 'active', currentEmail: guestEmail },
+    data: { currentEmail: null },
+  });
+  return count === 1;
+}
+
+/**
+ * Records a decision on a guest.
+ * @param {object} session - The ReviewSession row.
+ * @param {string} guestEmail
+ * @param {'approved'|'declined'|'declined_refunded'|'skipped'|'failed'} decision
+ * @param {{ id: number, first_name?: string, username?: string }} decidedBy - Telegram user.
+ * @returns {Promise<void>}
+ */
+async function recordDecision(session, guestEmail, decision, decidedBy) {
+  await prisma.reviewDecision.create({
+    data: {
+      sessionId: session.id,
+      guestEmail,
+      decision,
+      decidedBy: BigInt(decidedBy.id),
+      decidedByName: decidedBy.username ? `@${decidedBy.username}` : decidedBy.first_name || null,
+    }
+  });
+}
+
+/**
+ * Emails already decided (or skipped) in a session. The queue moves past them even if
+ * Luma still lists them as pending, e.g. right after an update or when an update failed.
+ * @param {string} id - ReviewSession ID.
+ * @returns {Promise<Set<string>>}
+ */
+async function decidedEmails(id) {
+  const decisions = await prisma.reviewDecision.findMany({ where: { sessionId: id } });
+  return new Set(decisions.map((decision) => decision.guestEmail));
+}
+
+/**
+ * Closes a session once no pending guests are left.
+ * @param {string} id - ReviewSession ID.
+ * @returns {Promise<void>}
+ */
+async function finishSession(id) {
+  await prisma.reviewSession.update({ where: { id }, data: { status: 'finished', currentEmail: null } });
+}
+
+/**
+ * Tallies a session's decisions, overall and per person.
+ * @param {string} id - ReviewSession ID.
+ * @returns {Promise<{ counts: object, byPerson: object, last: object|null }>}
+ *   counts: decision -> number; byPerson: name -> number of decisions; last: the latest decision row.
+ */
+async function summarizeSession(id) {
+  const decisions = await prisma.reviewDecision.findMany({ where: { sessionId: id }, orderBy: { createdAt: 'asc' } });
+  const counts = {};
+  const byPerson = {};
+  for (const decision of decisions) {
+    counts[decision.decision] = (counts[decision.decision] || 0) + 1;
+    if (decision.decision === 'skipped') continue;
+    const name = decision.decidedByName || String(decision.decidedBy);
+    byPerson[name] = (byPerson[name] || 0) + 1;
+  }
+  return { counts, byPerson, last: decisions[decisions.length - 1] || null };
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  setCurrentGuest,
+  claimCurrentGuest,
+  recordDecision,
+  decidedEmails,
+  finishSession,
+  summarizeSession,
+};
@@ -0,0 +1,335 @@
+const prisma = require('../db/prisma');
+const lumaClient = require('../luma/client');
+const lumaCache = require('../luma/cachedClient');
+const { logAudit } = require('./auditService');
+const { parseLocalDateTime } = require('../../lib/time');
+
+// Currency symbols accepted in coupon amounts, e.g. '$10'
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const PERCENT_PATTERN = /^(\d{1,3}(?:\.\d+)?)%$/;
+const SYMBOL_AMOUNT_PATTERN = /^([$€£])(\d+(?:\.\d{1,2})?)$/;
+const CODE_AMOUNT_PATTERN = /^(\d+(?:\.\d{1,2})?)([a-z]{3})$/i;
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Lists an event's ticket types.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @returns {Promise<object[]>}
+ */
+async function listTicketTypes(org, eventApiId) {
+  return lumaClient.listTicketTypes(org.lumaApiKeyEncrypted, eventApiId);
+}
+
+/**
+ * Finds a ticket type by API ID or name (case-insensitive).
+ * @param {object[]} ticketTypes - From listTicketTypes.
+ * @param {string} query
+ * @returns {object|null}
+ */
+function findTicketType(ticketTypes, query) {
+  const needle = String(query || '').trim().toLowerCase();
+  return ticketTypes.find((ticketType) => ticketType.api_id === query)
+    || ticketTypes.find((ticketType) => (ticketType.name || '').toLowerCase() === needle)
+    || null;
+}
+
+/**
+ * Formats an amount in minor units, e.g. 2500 USD -> '25.00 USD'.
+ * @param {number} cents
+ * @param {string} [currency]
+ * @returns {string}
+ */
+const formatMoney = (cents, currency) => `${(cents / 100).toFixed(2)}${currency ? ` ${currency.toUpperCase()}` : ''}`;
+
+/**
+ * A ticket type's price for chat, e.g. 'free' or '25.00 USD'.
+ * @param {object} ticketType
+ * @returns {string}
+ */
+function formatPrice(ticketType) {
+  if (ticketType.type === 'free' || !ticketType.cents) return 'free';
+  return formatMoney(ticketType.cents, ticketType.currency);
+}
+
+// The ticket type a guest holds; Luma nests it under event_ticket
+const ticketTypeIdOf = (guest) => guest.event_ticket?.event_ticket_type_id || guest.event_ticket_type_id || null;
+
+/**
+ * Counts tickets sold per tier: approved guests holding that ticket type.
+ * @param {object[]} ticketTypes - From listTicketTypes.
+ * @param {object[]} guests - Guest objects (entry.guest).
+ * @returns {{ tiers: Array<{ ticketType: object, sold: number, capacity: number|null, remaining: number|null }>, unassigned: number }}
+ *   capacity and remaining are null for tiers without a limit; unassigned counts approved guests without a known ticket type.
+ */
+function summariseTiers(ticketTypes, guests) {
+  const sold = new Map();
+  let unassigned = 0;
+  guests.filter((guest) => guest.approval_status === 'approved').forEach((guest) => {
+    const id = ticketTypeIdOf(guest);
+    if (id && ticketTypes.some((ticketType) => ticketType.api_id === id)) sold.set(id, (sold.get(id) || 0) + 1);
+    else unassigned += 1;
+  });
+  return {
+    tiers: ticketTypes.map((ticketType) => {
+      const count = sold.get(ticketType.api_id) || 0;
+      const capacity = Number.isInteger(ticketType.max_capacity) ? ticketType.max_capacity : null;
+      return { ticketType, sold: count, capacity, remaining: capacity === null ? null : Math.max(capacity - count, 0) };
+    }),
+    unassigned,
+  };
+}
+
+/**
+ * Parses a coupon discount: a percentage ('50%') or a fixed amount ('$10', '10EUR').
+ * @param {string} text
+ * @returns {{ discount: object }|{ error: string }} - discount in Luma's form.
+ */
+function parseDiscount(text) {
+  const value = String(text || '').trim();
+  const percent = PERCENT_PATTERN.exec(value);
+  if (percent) {
+    const percentOff = Number(percent[1]);
+    if (percentOff <= 0 || percentOff > 100) return { error: 'A percentage discount must be between 0 and 100%.' };
+    return { discount: { discount_type: 'percent', percent_off: percentOff } };
+  }
+  const symbolAmount = SYMBOL_AMOUNT_PATTERN.exec(value);
+  const codeAmount = CODE_AMOUNT_PATTERN.exec(value);
+  if (symbolAmount || codeAmount) {
+    const amount = Number(symbolAmount ? symbolAmount[2] : codeAmount[1]);
+    const currency = symbolAmount ? CURRENCY_SYMBOLS[symbolAmount[1]] : codeAmount[2].toUpperCase();
+    if (amount <= 0) return { error: 'The discount must be more than zero.' };
+    return { discount: { discount_type: 'cents', cents_off: Math.round(amount * 100), currency } };
+  }
+  return { error: `"${value}" is not a discount. Use a percentage like 50% or an amount like $10 or 10EUR.` };
+}
+
+/**
+ * Describes a discount for chat, e.g. '50% off' or '10.00 USD off'.
+ * @param {object} discount - Luma's discount object (or a coupon carrying its fields).
+ * @returns {string}
+ */
+function describeDiscount(discount = {}) {
+  if (discount.percent_off !== undefined && discount.percent_off !== null) return `${discount.percent_off}% off`;
+  if (discount.cents_off !== undefined && discount.cents_off !== null) return `${formatMoney(discount.cents_off, discount.currency)} off`;
+  return 'discount';
+}
+
+/**
+ * Normalises a coupon code to upper case.
+ * @param {string} code
+ * @returns {{ code: string }|{ error: string }}
+ */
+function parseCouponCode(code) {
+  const normalised = String(code || '').trim().toUpperCase();
+  return COUPON_CODE_PATTERN.test(normalised)
+    ? { code: normalised }
+    : { error: `"${code}" is not a valid code: use 3-40 letters, digits, dashes or underscores.` };
+}
+
+/**
+ * Whether a coupon can still be used.
+ * @param {object} coupon - Coupon object from listCoupons.
+ * @param {Date} [now=new Date()]
+ * @returns {'active'|'disabled'|'expired'|'used up'} - 'disabled' only for coupons disabled through the bot.
+ */
+function couponState(coupon, now = new Date()) {
+  if (coupon.disabled) return 'disabled';
+  if (coupon.valid_end_at && new Date(coupon.valid_end_at) <= now) return 'expired';
+  if (coupon.remaining_count === 0) return 'used up';
+  return 'active';
+}
+
+// Luma disables a coupon by ending it, so the audit log is what tells disabled coupons apart from expired ones
+async function disabledCouponCodes(orgId, eventApiId) {
+  const rows = await prisma.auditLog.findMany({
+    where: { orgId, actionType: 'coupon_disabled', details: { path: ['eventApiId'], equals: eventApiId } },
+    select: { details: true },
+  });
+  return new Set(rows.map((row) => String(row.details?.code || '').toUpperCase()));
+}
+
+/**
+ * Lists an event's coupons.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @returns {Promise<object[]>} - Coupon objects, with disabled: true on those disabled through the bot.
+ */
+async function listCoupons(org, eventApiId) {
+  const [result, disabledCodes] = await Promise.all([
+    lumaClient.getAllCoupons(org.lumaApiKeyEncrypted, eventApiId),
+    disabledCouponCodes(org.id, eventApiId),
+  ]);
+  return (result?.entries || []).map((entry) => {
+    const coupon = entry.coupon || entry;
+    return { ...coupon, disabled: disabledCodes.has(String(coupon.code || '').toUpperCase()) };
+  });
+}
+
+/**
+ * Finds an event's coupon by code (case-insensitive).
+ * @param {object[]} coupons - From listCoupons.
+ * @param {string} code
+ * @returns {object|null}
+ */
+function findCoupon(coupons, code) {
+  const needle = String(code || '').trim().toUpperCase();
+  return coupons.find((coupon) => String(coupon.code || '').toUpperCase() === needle) || null;
+}
+
+/**
+ * Looks up the event's name and timezone. Unlike lumaCache.getEventSummary this throws when Luma can't be
+ * reached, since coupon end dates depend on the timezone.
+ */
+async function couponEvent(org, eventApiId) {
+  const details = await lumaCache.getEvent(org, eventApiId);
+  const event = details?.event || details || {};
+  return { name: event.name || eventApiId, timeZone: event.timezone || 'UTC' };
+}
+
+/**
+ * Checks a fixed-amount discount against the currency the event's paid tickets are sold in.
+ * @param {object[]} ticketTypes - From listTicketTypes.
+ * @param {object} discount - From parseDiscount.
+ * @param {string} eventName
+ * @returns {string|null} - The problem, or null when the discount fits.
+ */
+function currencyProblem(ticketTypes, discount, eventName) {
+  if (discount.discount_type !== 'cents') return null;
+  const currencies = [...new Set(ticketTypes
+    .filter((ticketType) => ticketType.type !== 'free' && ticketType.cents)
+    .map((ticketType) => String(ticketType.currency || '').toUpperCase()))];
+  if (currencies.length === 0) return `"${eventName}" has no paid tickets, so a ${discount.currency} discount would not apply. Use a percentage instead.`;
+  if (!currencies.includes(discount.currency)) return `"${eventName}" sells tickets in ${currencies.join('/')}, not ${discount.currency}.`;
+  return null;
+}
+
+/**
+ * Validates a new coupon against the event: the code is free, a fixed amount is in the event's ticket currency
+ * and the end date (the end of that day in the event's timezone) is still ahead.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {object} request
+ * @param {string} request.code
+ * @param {string} request.discount - e.g. '50%', '$10' or '10EUR'.
+ * @param {number} [request.maxUses]
+ * @param {string} [request.validUntil] - YYYY-MM-DD.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ error: string }|{ coupon: object, event: { name: string, timeZone: string } }>}
+ *   coupon is ready for createCoupon.
+ */
+async function planCoupon(org, eventApiId, { code, discount, maxUses, validUntil }, now = new Date()) {
+  const parsedCode = parseCouponCode(code);
+  if (parsedCode.error) return { error: parsedCode.error };
+  const parsedDiscount = parseDiscount(discount);
+  if (parsedDiscount.error) return { error: parsedDiscount.error };
+  if (maxUses !== undefined && maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+    return { error: 'The use limit must be a whole number above zero.' };
+  }
+
+  const [event, ticketTypes, coupons] = await Promise.all([
+    couponEvent(org, eventApiId),
+    parsedDiscount.discount.discount_type === 'cents' ? listTicketTypes(org, eventApiId) : [],
+    listCoupons(org, eventApiId),
+  ]);
+  let validUntilDate = null;
+  if (validUntil) {
+    validUntilDate = DATE_PATTERN.test(validUntil) ? parseLocalDateTime(`${validUntil} 23:59`, event.timeZone) : null;
+    if (!validUntilDate) return { error: `"${validUntil}" is not a date. Use YYYY-MM-DD.` };
+    if (validUntilDate <= now) return { error: 'The until date has already passed.' };
+  }
+  const problem = currencyProblem(ticketTypes, parsedDiscount.discount, event.name);
+  if (problem) return { error: problem };
+  if (findCoupon(coupons, parsedCode.code)) {
+    return { error: `"${event.name}" already has a coupon ${parsedCode.code}. Pick another code.` };
+  }
+
+  return {
+    coupon: { code: parsedCode.code, discount: parsedDiscount.discount, maxUses: maxUses || null, validUntil: validUntilDate },
+    event,
+  };
+}
+
+/**
+ * Finds a coupon that can still be disabled.
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {string} code
+ * @returns {Promise<{ error: string }|{ coupon: object, event: { name: string, timeZone: string } }>}
+ */
+async function planDisableCoupon(org, eventApiId, code) {
+  const [event, coupons] = await Promise.all([couponEvent(org, eventApiId), listCoupons(org, eventApiId)]);
+  const coupon = findCoupon(coupons, code);
+  if (!coupon) return { error: `"${event.name}" has no coupon ${String(code).toUpperCase()}.` };
+  const state = couponState(coupon);
+  if (state === 'disabled' || state === 'expired') return { error: `Coupon ${coupon.code} is already ${state}.` };
+  return { coupon, event };
+}
+
+/**
+ * Creates a coupon and records it in the audit log (failures too).
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {object} coupon
+ * @param {string} coupon.code - Normalised code (see parseCouponCode).
+ * @param {object} coupon.discount - From parseDiscount.
+ * @param {number|null} [coupon.maxUses] - Unlimited when null.
+ * @param {Date|null} [coupon.validUntil]
+ * @param {object} auditContext - From auditContextFromCtx.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function createCoupon(org, eventApiId, { code, discount, maxUses = null, validUntil = null }, auditContext) {
+  const details = { eventApiId, code, discount, maxUses, validUntil: validUntil ? validUntil.toISOString() : null };
+  let result;
+  try {
+    result = await lumaClient.createCoupon(org.lumaApiKeyEncrypted, eventApiId, {
+      code, discount, remainingCount: maxUses, validEndAt: details.validUntil,
+    });
+  } catch (error) {
+    await logAudit(auditContext, 'coupon_create_failed', { success: false, ...details, error: error.message });
+    // Re-throw the original (typed) error so the error middleware can describe it
+    throw error;
+  }
+  await logAudit(auditContext, 'coupon_created', { success: true, ...details });
+  return result;
+}
+
+/**
+ * Disables a coupon and records it in the audit log (failures too).
+ * @param {object} org - The Org record.
+ * @param {string} eventApiId
+ * @param {string} code
+ * @param {object} auditContext - From auditContextFromCtx.
+ * @returns {Promise<object>} - The response data from Luma API.
+ */
+async function disableCoupon(org, eventApiId, code, auditContext) {
+  let result;
+  try {
+    result = await lumaClient.disableCoupon(org.lumaApiKeyEncrypted, eventApiId, code);
+  } catch (error) {
+    await logAudit(auditContext, 'coupon_disable_failed', { success: false, eventApiId, code, error: error.message });
+    throw error;
+  }
+  await logAudit(auditContext, 'coupon_disabled', { success: true, eventApiId, code });
+  return result;
+}
+
+module.exports = {
+  listTicketTypes,
+  findTicketType,
+  formatMoney,
+  formatPrice,
+  summariseTiers,
+  parseDiscount,
+  describeDiscount,
+  parseCouponCode,
+  couponState,
+  listCoupons,
+  findCoupon,
+  couponEvent,
+  planCoupon,
+  planDisableCoupon,
+  createCoupon,
+  disableCoupon,
+};
@@ -0,0 +1,304 @@
+const vm = require('vm');
+const lumaCache = require('../luma/cachedClient');
+const { validate } = require('../nlp/schemaValidator');
+const { mapWithConcurrency } = require('../../lib/concurrency');
+
+/*
+ * Org.vipScoringConfig shape:
+ * {
+ *   "vipThreshold": 70,
+ *   "rules": [
+ *     { "type": "emailDomain", "weight": 30, "domains": ["a16z.com", "sequoiacap.com"] },
+ *     { "type": "registrationAnswer", "weight": 20, "question": "company size", "answers": ["500+"] },
+ *     { "type": "registrationAnswer", "weight": 10, "question": "role", "pattern": "founder|ceo" },
+ *     { "type": "priorAttendance", "weight": 25, "fullScoreAt": 3, "lookbackEvents": 10 },
+ *     { "type": "ticketType", "weight": 15, "ticketTypes": ["VIP", "Speaker"] },
+ *     { "type": "socialHandle", "weight": 10, "networks": ["twitter", "linkedin"] }
+ *   ]
+ * }
+ * Each rule earns a fraction (0-1) of its weight; the score is earned / total weight, scaled to 0-100.
+ */
+
+const SOCIAL_NETWORKS = ['twitter', 'linkedin', 'instagram', 'youtube', 'tiktok', 'github', 'website'];
+
+const RULE_SCHEMAS = {
+  emailDomain: {
+    type: 'object',
+    properties: { domains: { type: 'array', items: { type: 'string', minLength: 1 } } },
+    required: ['domains'],
+  },
+  registrationAnswer: {
+    type: 'object',
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      answers: { type: 'array', items: { type: 'string' } },
+      pattern: { type: 'string', minLength: 1 },
+    },
+    required: ['question'],
+  },
+  priorAttendance: {
+    type: 'object',
+    properties: {
+      fullScoreAt: { type: 'integer', minimum: 1 },
+      lookbackEvents: { type: 'integer', minimum: 1, maximum: 50 },
+      countApproved: { type: 'boolean' },
+    },
+  },
+  ticketType: {
+    type: 'object',
+    properties: { ticketTypes: { type: 'array', items: { type: 'string', minLength: 1 } } },
+    required: ['ticketTypes'],
+  },
+  socialHandle: {
+    type: 'object',
+    properties: { networks: { type: 'array', items: { type: 'string', enum: SOCIAL_NETWORKS } } },
+  },
+};
+
+// Used when an org has not configured vipScoringConfig
+const DEFAULT_VIP_SCORING_CONFIG = {
+  vipThreshold: 70,
+  rules: [
+    { type: 'priorAttendance', weight: 50, fullScoreAt: 3, lookbackEvents: 10 },
+    { type: 'ticketType', weight: 30, ticketTypes: ['VIP', 'Speaker', 'Sponsor'] },
+    { type: 'socialHandle', weight: 20, networks: ['twitter', 'linkedin'] },
+  ],
+};
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase();
+
+// Limits that keep registrationAnswer patterns from stalling the event loop
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCHED_ANSWER_LENGTH = 500;
+const PATTERN_TIMEOUT_MS = 50;
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*x)*: prone to catastrophic backtracking
+const NESTED_QUANTIFIER_PATTERN = /\([^)]*[+*}][^)]*\)[+*{]/;
+
+// Patterns run in a vm context so a match can be cut off after PATTERN_TIMEOUT_MS. No static check catches
+// every backtracking shape, e.g. (a|a)* or .*.*.*x
+const patternContext = vm.createContext({});
+const PATTERN_SCRIPT = new vm.Script('regex.test(text)');
+
+/**
+ * Tests a compiled registrationAnswer pattern with a time limit. A pattern that runs out of time is
+ * marked on the rule and counts as no match for the rest of the scoring run.
+ * @param {object} rule - registrationAnswer rule with `regex`.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function matchesPattern(rule, text) {
+  if (rule.regexTimedOut) return false;
+  patternContext.regex = rule.regex;
+  patternContext.text = text.slice(0, MAX_MATCHED_ANSWER_LENGTH);
+  try {
+    return PATTERN_SCRIPT.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    console.warn(`VIP scoring: pattern ${rule.regex} took over ${PATTERN_TIMEOUT_MS}ms; skipping it for the remaining guests.`);
+    rule.regexTimedOut = true;
+    return false;
+  } finally {
+    patternContext.regex = null;
+    patternContext.text = null;
+  }
+}
+
+/**
+ * Compiles a registrationAnswer pattern, rejecting ones that are invalid, too long or
+ * obviously prone to catastrophic backtracking. Matching is time-limited as well (see matchesPattern).
+ * @param {string} pattern
+ * @param {string} path - Where the pattern is in the config, for error messages.
+ * @returns {{ regex: RegExp }|{ error: string }}
+ */
+function compilePattern(pattern, path) {
+  if (pattern.length > MAX_PATTERN_LENGTH) return { error: `${path} is longer than ${MAX_PATTERN_LENGTH} characters` };
+  if (NESTED_QUANTIFIER_PATTERN.test(pattern)) return { error: `${path} has a repeated group containing a repeat, which can hang matching` };
+  try {
+    return { regex: new RegExp(pattern, 'i') };
+  } catch (error) {
+    return { error: `${path} is not a valid regular expression (${error.message})` };
+  }
+}
+
+/**
+ * Validates an org's scoring config, dropping (and logging) rules that don't parse.
+ * registrationAnswer patterns are compiled here, once, onto the rule as `regex`.
+ * @param {object|null} rawConfig - Org.vipScoringConfig.
+ * @returns {{ vipThreshold: number, rules: object[] }}
+ */
+function normalizeScoringConfig(rawConfig) {
+  const source = rawConfig && Array.isArray(rawConfig.rules) ? rawConfig : DEFAULT_VIP_SCORING_CONFIG;
+  const rules = [];
+  source.rules.forEach((rule, index) => {
+    const schema = RULE_SCHEMAS[rule?.type];
+    const errors = schema ? validate(rule, schema, `rules[${index}]`) : [`rules[${index}].type '${rule?.type}' is not a known rule type`];
+    if (!(typeof rule?.weight === 'number' && rule.weight > 0)) errors.push(`rules[${index}].weight should be a positive number`);
+    if (rule?.type === 'registrationAnswer' && !rule.answers && !rule.pattern) errors.push(`rules[${index}] needs answers or pattern`);
+    const compiled = errors.length === 0 && rule.type === 'registrationAnswer' && rule.pattern
+      ? compilePattern(rule.pattern, `rules[${index}].pattern`)
+      : {};
+    if (compiled.error) errors.push(compiled.error);
+    if (errors.length > 0) {
+      console.warn(`Ignoring invalid VIP scoring rule: ${errors.join('; ')}`);
+      return;
+    }
+    rules.push(compiled.regex ? { ...rule, regex: compiled.regex } : rule);
+  });
+  const vipThreshold = typeof source.vipThreshold === 'number' ? source.vipThreshold : DEFAULT_VIP_SCORING_CONFIG.vipThreshold;
+  return { vipThreshold, rules };
+}
+
+/**
+ * Finds a social handle for a network on the guest record or in its registration answers.
+ * @param {object} guest
+ * @param {string} network
+ * @returns {string|null}
+ */
+function findSocialHandle(guest, network) {
+  const fields = [`${network}_handle`, network];
+  for (const field of fields) {
+    const value = guest[field] || guest.user?.[field];
+    if (value) return String(value);
+  }
+  const answer = (guest.registration_answers || []).find((entry) => normalise(entry.label).includes(network) && (entry.answer || entry.value));
+  return answer ? String(answer.answer || answer.value) : null;
+}
+
+/**
+ * Evaluates one rule. Each evaluator returns { fraction (0-1), reason }.
+ */
+const RULE_EVALUATORS = {
+  emailDomain: (guest, rule) => {
+    const domain = normalise(guest.email).split('@')[1] || '';
+    const matched = rule.domains.map(normalise).find((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+    return matched ? { fraction: 1, reason: `email domain ${domain}` } : { fraction: 0, reason: 'email domain not on the list' };
+  },
+
+  registrationAnswer: (guest, rule) => {
+    const question = normalise(rule.question);
+    const entry = (guest.registration_answers || []).find((answer) => normalise(answer.label || answer.question).includes(question));
+    const rawAnswer = entry ? (entry.answer ?? entry.value) : null;
+    if (rawAnswer === null || rawAnswer === undefined || rawAnswer === '') {
+      return { fraction: 0, reason: `no answer to "${rule.question}"` };
+    }
+    const answers = Array.isArray(rawAnswer) ? rawAnswer.map(normalise) : [normalise(rawAnswer)];
+    const matched = rule.regex
+      ? answers.some((answer) => matchesPattern(rule, answer))
+      : answers.some((answer) => rule.answers.map(normalise).includes(answer));
+    return matched
+      ? { fraction: 1, reason: `"${rule.question}": ${answers.join(', ')}` }
+      : { fraction: 0, reason: `"${rule.question}" answer did not match` };
+  },
+
+  priorAttendance: (guest, rule, { attendanceCounts }) => {
+    const count = attendanceCounts?.get(normalise(guest.email)) || 0;
+    const fullScoreAt = rule.fullScoreAt || 1;
+    return { fraction: Math.min(count / fullScoreAt, 1), reason: `attended ${count} previous event${count === 1 ? '' : 's'}` };
+  },
+
+  ticketType: (guest, rule) => {
+    const ticketName = guest.event_ticket?.name || guest.ticket_type?.name || guest.ticket_name;
+    const matched = ticketName && rule.ticketTypes.map(normalise).includes(normalise(ticketName));
+    return matched ? { fraction: 1, reason: `ticket ${ticketName}` } : { fraction: 0, reason: ticketName ? `ticket ${ticketName} not listed` : 'no ticket type' };
+  },
+
+  socialHandle: (guest, rule) => {
+    const networks = rule.networks && rule.networks.length > 0 ? rule.networks : SOCIAL_NETWORKS;
+    const found = networks.filter((network) => findSocialHandle(guest, network));
+    return found.length > 0
+      ? { fraction: found.length / networks.length, reason: `has ${found.join(', ')}` }
+      : { fraction: 0, reason: 'no social handles' };
+  },
+};
+
+/**
+ * Scores one guest against a normalised config.
+ * @param {object} guest - A Luma guest record (entry.guest or a flat entry).
+ * @param {{ vipThreshold: number, rules: object[] }} scoringConfig - From normalizeScoringConfig.
+ * @param {object} [context] - { attendanceCounts: Map<email, number> } for priorAttendance rules.
+ * @returns {{ score: number, vip: boolean, breakdown: { type: string, weight: number, points: number, reason: string }[] }}
+ */
+function scoreGuest(guest, scoringConfig, context = {}) {
+  let totalWeight = 0;
+  let earned = 0;
+  const breakdown = scoringConfig.rules.map((rule) => {
+    const { fraction, reason } = RULE_EVALUATORS[rule.type](guest, rule, context);
+    const points = Math.round(rule.weight * fraction * 10) / 10;
+    totalWeight += rule.weight;
+    earned += rule.weight * fraction;
+    return { type: rule.type, weight: rule.weight, points, reason };
+  });
+  const score = totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0;
+  return { score, vip: score >= scoringConfig.vipThreshold, breakdown };
+}
+
+/**
+ * Counts, per email, how many of the org's most recent past events each guest attended
+ * (checked in, or approved when countApproved is set).
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted }).
+ * @param {object} rule - The priorAttendance rule.
+ * @param {string} [excludeEventId] - The event being scored, which never counts as prior.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function buildAttendanceCounts(org, rule, excludeEventId) {
+  const now = new Date().toISOString();
+  // Unfiltered so the cached event list is shared with everything else; past events are picked locally
+  const events = await lumaCache.listAllEvents(org);
+  const pastEvents = (events?.entries || [])
+    .map((entry) => entry.event || entry)
+    .filter((event) => event.api_id !== excludeEventId && event.start_at && event.start_at < now)
+    .sort((a, b) => b.start_at.localeCompare(a.start_at))
+    .slice(0, rule.lookbackEvents || 10);
+
+  const counts = new Map();
+  await mapWithConcurrency(pastEvents, 2, async (event) => {
+    const guests = await lumaCache.getAllGuests(org, event.api_id);
+    for (const entry of guests?.entries || []) {
+      const guest = entry.guest || entry;
+      const attended = guest.checked_in_at || (rule.countApproved && guest.approval_status === 'approved');
+      if (!attended || !guest.email) continue;
+      const email = normalise(guest.email);
+      counts.set(email, (counts.get(email) || 0) + 1);
+    }
+  });
+  console.log(`VIP scoring: attendance index built from ${pastEvents.length} past events for org ${org.id}.`);
+  return counts;
+}
+
+/**
+ * Scores every guest of an event using the org's configuration.
+ * @param {object} org - The Org record ({ id, lumaApiKeyEncrypted, vipScoringConfig }).
+ * @param {string} eventApiId - The event the guests belong to.
+ * @param {object[]} entries - Guest entries from Luma.
+ * @returns {Promise<{ guest: object, score: number, vip: boolean, breakdown: object[] }[]>} - In input order.
+ */
+async function scoreGuests(org, eventApiId, entries) {
+  const scoringConfig = normalizeScoringConfig(org.vipScoringConfig);
+  const attendanceRule = scoringConfig.rules.find((rule) => rule.type === 'priorAttendance');
+  const attendanceCounts = attendanceRule ? await buildAttendanceCounts(org, attendanceRule, eventApiId) : new Map();
+
+  return entries.map((entry) => {
+    const guest = entry.guest || entry;
+    return { guest, ...scoreGuest(guest, scoringConfig, { attendanceCounts }) };
+  });
+}
+
+/**
+ * The reasons for the rules a guest scored points on, highest first, joined with '; ',
+ * e.g. "ticket VIP; attended 2 previous events". Empty when nothing scored.
+ * @param {object[]} breakdown - From scoreGuest.
+ * @returns {string}
+ */
+const summariseBreakdown = (breakdown) => breakdown
+  .filter((item) => item.points > 0)
+  .sort((a, b) => b.points - a.points)
+  .map((item) => item.reason)
+  .join('; ');
+
+module.exports = {
+  DEFAULT_VIP_SCORING_CONFIG,
+  normalizeScoringConfig,
+  scoreGuest,
+  scoreGuests,
+  summariseBreakdown,
+};
@@ -122,6 +122,9 @@ exports.Prisma.OrgScalarFieldEnum = {
   name: 'name',
   lumaApiKeyEncrypted: 'lumaApiKeyEncrypted',
   vipScoringConfig: 'vipScoringConfig',
+  llmConfig: 'llmConfig',
+  exportConfig: 'exportConfig',
+  lumaWebhookSecretEncrypted: 'lumaWebhookSecretEncrypted',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
@@ -130,7 +133,18 @@ exports.Prisma.UserScalarFieldEnum = {
   id: 'id',
   firstName: 'firstName',
   username: 'username',
+  activeEventContext: 'activeEventContext',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.OrgRoleScalarFieldEnum = {
+  id: 'id',
+  userId: 'userId',
   role: 'role',
+  firstName: 'firstName',
+  username: 'username',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt',
   orgId: 'orgId'
@@ -140,6 +154,16 @@ exports.Prisma.GroupScalarFieldEnum = {
   id: 'id',
   name: 'name',
   activeEventContext: 'activeEventContext',
+  digestEnabled: 'digestEnabled',
+  digestTime: 'digestTime',
+  digestTimezone: 'digestTimezone',
+  digestDays: 'digestDays',
+  lastDigestAt: 'lastDigestAt',
+  nudgesEnabled: 'nudgesEnabled',
+  nudgeMaxPending: 'nudgeMaxPending',
+  nudgeMaxPendingHours: 'nudgeMaxPendingHours',
+  nudgeEventWithinHours: 'nudgeEventWithinHours',
+  liveUpdatesEnabled: 'liveUpdatesEnabled',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt',
   orgId: 'orgId'
@@ -155,6 +179,171 @@ exports.Prisma.AuditLogScalarFieldEnum = {
   groupId: 'groupId'
 };
 
+exports.Prisma.PendingConfirmationScalarFieldEnum = {
+  id: 'id',
+  chatId: 'chatId',
+  userId: 'userId',
+  messageId: 'messageId',
+  toolName: 'toolName',
+  params: 'params',
+  summary: 'summary',
+  status: 'status',
+  expiresAt: 'expiresAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.ConversationTurnScalarFieldEnum = {
+  id: 'id',
+  chatId: 'chatId',
+  userId: 'userId',
+  role: 'role',
+  content: 'content',
+  toolName: 'toolName',
+  toolData: 'toolData',
+  createdAt: 'createdAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.ReviewSessionScalarFieldEnum = {
+  id: 'id',
+  chatId: 'chatId',
+  messageId: 'messageId',
+  startedBy: 'startedBy',
+  eventApiId: 'eventApiId',
+  currentEmail: 'currentEmail',
+  status: 'status',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.ReviewDecisionScalarFieldEnum = {
+  id: 'id',
+  guestEmail: 'guestEmail',
+  decision: 'decision',
+  decidedBy: 'decidedBy',
+  decidedByName: 'decidedByName',
+  createdAt: 'createdAt',
+  sessionId: 'sessionId'
+};
+
+exports.Prisma.CheckinSessionScalarFieldEnum = {
+  id: 'id',
+  chatId: 'chatId',
+  startedBy: 'startedBy',
+  eventApiId: 'eventApiId',
+  counterMessageId: 'counterMessageId',
+  status: 'status',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.GuestSnapshotScalarFieldEnum = {
+  id: 'id',
+  eventApiId: 'eventApiId',
+  guestApiId: 'guestApiId',
+  email: 'email',
+  name: 'name',
+  approvalStatus: 'approvalStatus',
+  checkedInAt: 'checkedInAt',
+  vipScore: 'vipScore',
+  vip: 'vip',
+  data: 'data',
+  syncedAt: 'syncedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.QueuedCheckinScalarFieldEnum = {
+  id: 'id',
+  eventApiId: 'eventApiId',
+  guestApiId: 'guestApiId',
+  guestEmail: 'guestEmail',
+  guestName: 'guestName',
+  chatId: 'chatId',
+  checkedInBy: 'checkedInBy',
+  checkedInByName: 'checkedInByName',
+  checkedInAt: 'checkedInAt',
+  status: 'status',
+  conflict: 'conflict',
+  detail: 'detail',
+  attempts: 'attempts',
+  lastError: 'lastError',
+  resolvedAt: 'resolvedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.ScheduledJobScalarFieldEnum = {
+  id: 'id',
+  type: 'type',
+  key: 'key',
+  payload: 'payload',
+  runAt: 'runAt',
+  status: 'status',
+  attempts: 'attempts',
+  lastError: 'lastError',
+  lockedAt: 'lockedAt',
+  lockedBy: 'lockedBy',
+  lastRunAt: 'lastRunAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.NudgeAlertScalarFieldEnum = {
+  id: 'id',
+  eventApiId: 'eventApiId',
+  condition: 'condition',
+  value: 'value',
+  openKey: 'openKey',
+  sentAt: 'sentAt',
+  resolvedAt: 'resolvedAt',
+  groupId: 'groupId'
+};
+
+exports.Prisma.LumaWebhookEventScalarFieldEnum = {
+  id: 'id',
+  deliveryId: 'deliveryId',
+  type: 'type',
+  eventApiId: 'eventApiId',
+  payload: 'payload',
+  status: 'status',
+  error: 'error',
+  receivedAt: 'receivedAt',
+  claimedAt: 'claimedAt',
+  processedAt: 'processedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.EventDraftScalarFieldEnum = {
+  id: 'id',
+  chatId: 'chatId',
+  userId: 'userId',
+  step: 'step',
+  promptMessageId: 'promptMessageId',
+  fields: 'fields',
+  status: 'status',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orgId: 'orgId'
+};
+
+exports.Prisma.InvitePasteScalarFieldEnum = {
+  id: 'id',
+  chatId: 'chatId',
+  userId: 'userId',
+  eventApiId: 'eventApiId',
+  approvalStatus: 'approvalStatus',
+  ticketTypeId: 'ticketTypeId',
+  ticketTypeName: 'ticketTypeName',
+  promptMessageId: 'promptMessageId',
+  status: 'status',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orgId: 'orgId'
+};
+
 exports.Prisma.SortOrder = {
   asc: 'asc',
   desc: 'desc'
@@ -165,6 +354,10 @@ exports.Prisma.NullableJsonNullValueInput = {
   JsonNull: Prisma.JsonNull
 };
 
+exports.Prisma.JsonNullValueInput = {
+  JsonNull: Prisma.JsonNull
+};
+
 exports.Prisma.QueryMode = {
   default: 'default',
   insensitive: 'insensitive'
@@ -185,8 +378,21 @@ exports.Prisma.NullsOrder = {
 exports.Prisma.ModelName = {
   Org: 'Org',
   User: 'User',
+  OrgRole: 'OrgRole',
   Group: 'Group',
-  AuditLog: 'AuditLog'
+  AuditLog: 'AuditLog',
+  PendingConfirmation: 'PendingConfirmation',
+  ConversationTurn: 'ConversationTurn',
+  ReviewSession: 'ReviewSession',
+  ReviewDecision: 'ReviewDecision',
+  CheckinSession: 'CheckinSession',
+  GuestSnapshot: 'GuestSnapshot',
+  QueuedCheckin: 'QueuedCheckin',
+  ScheduledJob: 'ScheduledJob',
+  NudgeAlert: 'NudgeAlert',
+  LumaWebhookEvent: 'LumaWebhookEvent',
+  EventDraft: 'EventDraft',
+  InvitePaste: 'InvitePaste'
 };
 
 /**
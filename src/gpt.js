@@ -1,19 +1,14 @@
-const OpenAI = require('openai');
-const openai = new OpenAI(process.env.OPENAI_API_KEY);
+const { createProvider } = require('./core/llm');
+
+// Legacy entry point; OpenAI access now goes through the OpenAI-compatible LLM provider
+const provider = createProvider({ provider: 'openai', model: 'gpt-4' });
 
 async function processQuery(query) {
     try {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4",
-            messages: [{
-                role: "system",
-                content: "You are an events assistant. Help users find information about Sonic events."
-            }, {
-                role: "user",
-                content: query
-            }]
+        return await provider.generateText({
+            system: "You are an events assistant. Help users find information about Sonic events.",
+            messages: [{ role: "user", content: query }]
         });
-        return completion.choices[0].message.content;
     } catch (error) {
         console.error('Error processing query:', error);
         throw error;
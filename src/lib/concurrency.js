@@ -0,0 +1,34 @@
+/**
+ * Runs an async worker over a list with at most `limit` calls in flight.
+ * Results keep the input order. The worker should handle its own errors; a rejection
+ * stops new work from starting and is re-thrown once in-flight calls settle.
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum concurrent worker calls (at least 1).
+ * @param {function(*, number): Promise<*>} worker - Called with (item, index).
+ * @returns {Promise<Array>} - The worker results, in input order.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const runLane = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, runLane));
+  if (failure) throw failure;
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -5,6 +5,14 @@ const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16; // For AES-GCM
 const AUTH_TAG_LENGTH = 16;
 
+/** Thrown when stored data (e.g. an org's Luma API key) cannot be decrypted. */
+class DecryptionError extends Error {
+  constructor(message = 'Failed to decrypt data.', options) {
+    super(message, options);
+    this.name = 'DecryptionError';
+  }
+}
+
 // Ensure the encryption key is the correct length (32 bytes for AES-256)
 const encryptionKeyString = config.security.encryptionKey;
 if (!encryptionKeyString || Buffer.from(encryptionKeyString, 'hex').length !== 32) {
@@ -33,7 +41,7 @@ function encrypt(text) {
  * Decrypts text encrypted with AES-256-GCM.
  * @param {string} encryptedData - The base64 encoded string containing IV, auth tag, and ciphertext.
  * @returns {string} - The original plaintext.
- * @throws {Error} - If decryption fails (e.g., wrong key, tampered data).
+ * @throws {DecryptionError} - If decryption fails (e.g., wrong key, tampered data).
  */
 function decrypt(encryptedData) {
   try {
@@ -52,11 +60,12 @@ function decrypt(encryptedData) {
   } catch (error) {
     console.error("Decryption failed:", error);
     // It's often better to throw a generic error in production to avoid leaking details
-    throw new Error('Failed to decrypt data.');
+    throw new DecryptionError('Failed to decrypt data.', { cause: error });
   }
 }
 
 module.exports = {
   encrypt,
   decrypt,
+  DecryptionError,
 }; 
\ No newline at end of file
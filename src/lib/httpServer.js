@@ -0,0 +1,148 @@
+const http = require('http');
+
+/**
+ * Turns a path pattern like '/webhooks/luma/:orgId' into a matcher.
+ * @param {string} pattern
+ * @returns {(pathname: string) => object|null} - Route params, or null when the path doesn't match.
+ */
+function compilePath(pattern) {
+  const parts = pattern.split('/').filter(Boolean);
+  return (pathname) => {
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments.length !== parts.length) return null;
+    const params = {};
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i].startsWith(':')) {
+        try {
+          params[parts[i].slice(1)] = decodeURIComponent(segments[i]);
+        } catch (error) {
+          return null; // Malformed escape sequence
+        }
+      } else if (parts[i] !== segments[i]) {
+        return null;
+      }
+    }
+    return params;
+  };
+}
+
+/**
+ * Reads a request body into a Buffer, refusing bodies over maxBytes.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const tooLarge = () => Object.assign(new Error('Request body too large.'), { statusCode: 413 });
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume(); // Discard the body so the 413 can still be sent
+      reject(tooLarge());
+      return;
+    }
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep reading (and dropping) the rest, so the client gets the 413 rather than a reset
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on('end', () => (size > maxBytes ? reject(tooLarge()) : resolve(Buffer.concat(chunks))));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Minimal HTTP server with method + path routing, shared by everything the bot serves
+ * (webhooks, health checks). Handlers get the raw body so they can verify signatures.
+ * @param {object} [options]
+ * @param {number} [options.maxBodyBytes=1048576] - Larger request bodies are refused with 413.
+ * @returns {{ route: Function, listen: Function, close: Function, server: http.Server }}
+ */
+function createHttpServer({ maxBodyBytes = 1024 * 1024 } = {}) {
+  const routes = [];
+
+  const send = (res, { status = 200, body = '', headers = {} }) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const contentType = typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json';
+    res.writeHead(status, { 'Content-Type': contentType, ...headers });
+    res.end(payload);
+  };
+
+  const handleRequest = async (req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      return send(res, { status: 400, body: 'Bad request' }); // e.g. an absolute-form target with a malformed host
+    }
+    const { pathname, searchParams } = url;
+    const matches = routes
+      .map((route) => ({ route, params: route.match(pathname) }))
+      .filter(({ params }) => params);
+    if (matches.length === 0) return send(res, { status: 404, body: 'Not found' });
+    const match = matches.find(({ route }) => route.method === req.method);
+    if (!match) return send(res, { status: 405, body: 'Method not allowed', headers: { Allow: matches.map(({ route }) => route.method).join(', ') } });
+
+    try {
+      const rawBody = await readBody(req, maxBodyBytes);
+      const result = await match.route.handler({ req, res, rawBody, params: match.params, query: searchParams });
+      // A handler that wrote the response itself returns nothing
+      if (!res.headersSent && !res.writableEnded) send(res, result || {});
+    } catch (error) {
+      const status = error.statusCode || 500;
+      if (status >= 500) console.error(`HTTP ${req.method} ${pathname} failed:`, error);
+      if (!res.headersSent) send(res, { status, body: status >= 500 ? 'Internal error' : error.message });
+    }
+  };
+
+  // Nothing may escape as an unhandled rejection, e.g. a handler's result that can't be serialised
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error(`HTTP ${req.method} ${req.url} failed:`, error);
+      if (!res.headersSent) send(res, { status: 500, body: 'Internal error' });
+      else res.destroy();
+    });
+  });
+
+  return {
+    server,
+    /**
+     * Adds a route.
+     * @param {string} method - 'GET', 'POST', ...
+     * @param {string} pattern - Path, with ':name' segments for params.
+     * @param {(request: { req, res, rawBody: Buffer, params: object, query: URLSearchParams }) => Promise<{ status?: number, body?: string|object, headers?: object }|void>} handler
+     */
+    route(method, pattern, handler) {
+      routes.push({ method, match: compilePath(pattern), handler });
+    },
+    /**
+     * Starts listening.
+     * @param {number} port
+     * @returns {Promise<void>}
+     */
+    listen(port) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+    },
+    /**
+     * Stops accepting connections and waits for open ones to finish.
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeIdleConnections();
+      });
+    },
+  };
+}
+
+module.exports = {
+  createHttpServer,
+};
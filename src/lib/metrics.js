@@ -0,0 +1,80 @@
+/*
+ * Process-wide metrics in the Prometheus text format, served on /metrics.
+ * Counters and gauges take optional labels: counter.inc({ type: 'message' }).
+ */
+
+const metrics = new Map();
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelKey = (labels = {}) => Object.keys(labels).sort().map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',');
+
+function register(name, help, type) {
+  if (metrics.has(name)) return metrics.get(name);
+  const metric = { name, help, type, values: new Map() };
+  metrics.set(name, metric);
+  return metric;
+}
+
+/**
+ * Creates (or returns the existing) counter.
+ * @param {string} name - Metric name, e.g. 'bot_updates_total'.
+ * @param {string} help - One-line description.
+ * @returns {{ inc: (labels?: object, amount?: number) => void }}
+ */
+function counter(name, help) {
+  const metric = register(name, help, 'counter');
+  return {
+    inc(labels, amount = 1) {
+      const key = labelKey(labels);
+      metric.values.set(key, (metric.values.get(key) || 0) + amount);
+    },
+  };
+}
+
+/**
+ * Creates (or returns the existing) gauge.
+ * @param {string} name
+ * @param {string} help
+ * @returns {{ set: (value: number, labels?: object) => void, inc: (labels?: object, amount?: number) => void, dec: (labels?: object, amount?: number) => void }}
+ */
+function gauge(name, help) {
+  const metric = register(name, help, 'gauge');
+  const add = (labels, amount) => {
+    const key = labelKey(labels);
+    metric.values.set(key, (metric.values.get(key) || 0) + amount);
+  };
+  return {
+    set(value, labels) {
+      metric.values.set(labelKey(labels), value);
+    },
+    inc: (labels, amount = 1) => add(labels, amount),
+    dec: (labels, amount = 1) => add(labels, -amount),
+  };
+}
+
+/**
+ * Renders every metric, plus process uptime and memory, in the Prometheus text format.
+ * @returns {string}
+ */
+function renderMetrics() {
+  const memory = process.memoryUsage();
+  gauge('process_uptime_seconds', 'Seconds since the process started.').set(Math.round(process.uptime()));
+  gauge('process_resident_memory_bytes', 'Resident set size in bytes.').set(memory.rss);
+  gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes.').set(memory.heapUsed);
+
+  const lines = [];
+  for (const { name, help, type, values } of metrics.values()) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    if (values.size === 0 && type === 'counter') lines.push(`${name} 0`);
+    for (const [key, value] of values) {
+      lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  counter,
+  gauge,
+  renderMetrics,
+};
@@ -0,0 +1,26 @@
+const jpeg = require('jpeg-js');
+const jsQR = require('jsqr');
+
+// Telegram photos can be large; refuse anything that would decode to more pixels than this
+const MAX_PIXELS = 4096 * 4096;
+
+/**
+ * Reads the QR code in a JPEG image (Telegram sends photos as JPEG).
+ * @param {Buffer} imageBuffer - JPEG bytes.
+ * @returns {string|null} - The QR code's text, or null if none was found or the image could not be decoded.
+ */
+function decodeQrFromJpeg(imageBuffer) {
+  let image;
+  try {
+    image = jpeg.decode(imageBuffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_PIXELS / 1e6 });
+  } catch (error) {
+    console.warn('Could not decode image for QR scanning:', error.message);
+    return null;
+  }
+  const code = jsQR(new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length), image.width, image.height);
+  return code?.data || null;
+}
+
+module.exports = {
+  decodeQrFromJpeg,
+};
@@ -0,0 +1,132 @@
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T]([01]?\d|2[0-3]):([0-5]\d)$/;
+// ISO 8601 with an explicit offset, e.g. '2026-11-05T18:30:00Z' or '2026-11-05T18:30+01:00'
+const ISO_WITH_OFFSET_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Whether a string is an IANA timezone this runtime knows (e.g. 'Europe/Vienna').
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses 'HH:MM' (24h).
+ * @param {string} value
+ * @returns {{ hours: number, minutes: number }|null}
+ */
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+/**
+ * Calendar fields of an instant as seen in a timezone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds (positive east of UTC).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function timeZoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which a wall-clock time occurs in a timezone.
+ * Wall-clock times skipped by a DST change resolve to an adjacent valid instant.
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, hours, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const firstTry = guess - timeZoneOffsetMs(new Date(guess), timeZone);
+  // Re-check with the offset at the result, in case the guess straddled a DST change
+  return new Date(guess - timeZoneOffsetMs(new Date(firstTry), timeZone));
+}
+
+/**
+ * Next occurrence of a daily wall-clock time in a timezone, strictly after `from`.
+ * @param {string} timeOfDay - 'HH:MM'.
+ * @param {string} timeZone - IANA timezone.
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+function nextDailyRun(timeOfDay, timeZone, from = new Date()) {
+  const time = parseTimeOfDay(timeOfDay);
+  if (!time) throw new Error(`Invalid time of day '${timeOfDay}', expected HH:MM.`);
+  const today = zonedParts(from, timeZone);
+  let candidate = zonedTimeToDate(today.year, today.month, today.day, time.hours, time.minutes, timeZone);
+  if (candidate <= from) {
+    // Date.UTC normalises day overflow, so day + 1 rolls over months and years
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+    candidate = zonedTimeToDate(tomorrow.getUTCFullYear(), tomorrow.getUTCMonth() + 1, tomorrow.getUTCDate(), time.hours, time.minutes, timeZone);
+  }
+  return candidate;
+}
+
+/**
+ * Parses a wall-clock date and time in a timezone: 'YYYY-MM-DD HH:MM' (or with a 'T').
+ * ISO 8601 strings with an explicit offset or 'Z' are taken as they are.
+ * @param {string} value
+ * @param {string} timeZone - IANA timezone for wall-clock input.
+ * @returns {Date|null} - null if the value is not a valid date and time.
+ */
+function parseLocalDateTime(value, timeZone) {
+  const text = String(value || '').trim();
+  if (ISO_WITH_OFFSET_PATTERN.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const match = LOCAL_DATE_TIME_PATTERN.exec(text);
+  if (!match) return null;
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  // Reject dates Date.UTC would silently roll over, such as 2026-02-30
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) return null;
+  return zonedTimeToDate(year, month, day, hours, minutes, timeZone);
+}
+
+/**
+ * Formats an instant for chat replies in a timezone, e.g. 'Mon, 3 Jun, 18:30'.
+ * @param {Date|string} date
+ * @param {string} [timeZone='UTC']
+ * @returns {string}
+ */
+function formatInTimeZone(date, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+  }).format(new Date(date));
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseTimeOfDay,
+  timeZoneOffsetMs,
+  nextDailyRun,
+  parseLocalDateTime,
+  formatInTimeZone,
+};
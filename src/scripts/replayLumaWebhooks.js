@@ -0,0 +1,103 @@
+/*
+ * Replays recorded Luma webhook deliveries through the same handler the HTTP endpoint uses
+ * (signature check, idempotent storage, cache invalidation, group notifications).
+ *
+ *   node src/scripts/replayLumaWebhooks.js --org <orgId> payload.json [more.json ...]
+ *   node src/scripts/replayLumaWebhooks.js --org <orgId> --from-db [--limit 20]
+ *
+ * A file may hold one delivery body or an array of them. Options:
+ *   --from-db        Replay the org's most recently stored deliveries instead of files
+ *   --limit N        How many stored deliveries to replay (default 20)
+ *   --force          Send each delivery under a new ID, so already-processed ones run again
+ *   --dry-run        Print group notifications instead of sending them to Telegram
+ *   --url BASE_URL   POST to a running bot (e.g. http://localhost:3000) instead of handling in-process
+ *
+ * Deliveries are signed with the org's stored signing secret (see /liveupdates secret), so with --url
+ * the receiving bot must share this database or hold the same secret for the org.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { Telegram } = require('telegraf');
+const config = require('../config/config.js');
+const prisma = require('../core/db/prisma');
+const { signPayload, signingSecretFor } = require('../core/services/lumaWebhookService');
+const { handleLumaDelivery } = require('../bot/http/lumaWebhook');
+
+function parseArgs(argv) {
+  const options = { files: [], limit: 20 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--org') options.orgId = argv[++i];
+    else if (arg === '--limit') options.limit = Number(argv[++i]);
+    else if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--from-db') options.fromDb = true;
+    else if (arg === '--force') options.force = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else options.files.push(arg);
+  }
+  return options;
+}
+
+// Recorded deliveries: { payload, deliveryId? }
+async function loadDeliveries(options) {
+  if (options.fromDb) {
+    const stored = await prisma.lumaWebhookEvent.findMany({
+      where: { orgId: options.orgId },
+      orderBy: { receivedAt: 'desc' },
+      take: options.limit,
+    });
+    return stored.reverse().map((event) => ({ payload: event.payload, deliveryId: event.deliveryId }));
+  }
+  return options.files.flatMap((file) => {
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((payload) => ({ payload }));
+  });
+}
+
+async function replay() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.orgId || (!options.fromDb && options.files.length === 0)) {
+    console.error('Usage: node src/scripts/replayLumaWebhooks.js --org <orgId> (<payload.json>... | --from-db [--limit N]) [--force] [--dry-run] [--url BASE_URL]');
+    process.exit(1);
+  }
+  const secret = signingSecretFor(await prisma.org.findUnique({ where: { id: options.orgId } }));
+  if (!secret) {
+    console.error(`Org ${options.orgId} doesn't exist or has no Luma webhook signing secret; set one with /liveupdates secret.`);
+    process.exit(1);
+  }
+
+  const telegram = options.dryRun
+    ? { sendMessage: async (chatId, text) => console.log(`[dry run] to ${chatId}: ${text}`) }
+    : new Telegram(config.telegram.token);
+  const deliveries = await loadDeliveries(options);
+  console.log(`Replaying ${deliveries.length} deliver${deliveries.length === 1 ? 'y' : 'ies'} for org ${options.orgId}...`);
+
+  for (const [index, { payload, deliveryId }] of deliveries.entries()) {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    const headers = { [config.lumaWebhooks.signatureHeader]: signPayload(rawBody, secret) };
+    const originalId = deliveryId || payload.id;
+    if (options.force) headers['x-luma-delivery-id'] = `replay:${originalId || index}:${Date.now()}`;
+    else if (deliveryId) headers['x-luma-delivery-id'] = deliveryId;
+
+    let status;
+    let body;
+    if (options.url) {
+      const response = await axios.post(`${options.url.replace(/\/$/, '')}/webhooks/luma/${encodeURIComponent(options.orgId)}`, rawBody, {
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        validateStatus: () => true,
+      });
+      ({ status, data: body } = response);
+    } else {
+      ({ status, body } = await handleLumaDelivery({ orgId: options.orgId, rawBody, headers }, { telegram }));
+    }
+    console.log(`#${index + 1} ${payload.type || 'unknown'}: ${status} ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+  }
+}
+
+replay()
+  .catch((error) => {
+    console.error('Replay failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());